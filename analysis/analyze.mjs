@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+/**
+ * Batch audio analysis with the JavaScript analyzer (no Python needed).
+ * Writes the same JSON as analyze.py.
+ *
+ * Usage:
+ *   node analysis/analyze.mjs audio/neon-noir.mp3           # -> data/neon-noir.json
+ *   node analysis/analyze.mjs audio/*.wav                   # batch
+ *   node analysis/analyze.mjs audio/mix.flac -o out/mix.json
+ *   node analysis/analyze.mjs audio/a.mp3 --out-dir out --no-register
+ *
+ * WAV files are read directly. Other formats are decoded with ffmpeg, which
+ * must be on the PATH.
+ */
+
+import { execFile } from "node:child_process";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs, promisify } from "node:util";
+
+import { analyzeSamples, DEFAULT_HOP_LENGTH, DEFAULT_SAMPLE_RATE } from "./analyzer.js";
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+/**
+ * Read a PCM or float WAV file as a mono signal.
+ * @param {Buffer} buffer
+ * @returns {Object} { samples, sampleRate }
+ */
+function readWav(buffer) {
+  if (buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") {
+    throw new Error("Not a WAV file");
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString("ascii", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === "fmt ") {
+      format = {
+        code: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bits: buffer.readUInt16LE(body + 14),
+      };
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format code in the subformat GUID
+      if (format.code === 0xfffe) format.code = buffer.readUInt16LE(body + 24);
+    } else if (id === "data") {
+      if (!format) throw new Error("WAV data chunk before fmt chunk");
+      return { samples: decodePcm(buffer.subarray(body, body + size), format), sampleRate: format.sampleRate };
+    }
+    offset = body + size + (size % 2);
+  }
+  throw new Error("WAV file has no data chunk");
+}
+
+function decodePcm(data, { code, channels, bits }) {
+  const bytes = bits / 8;
+  const frames = Math.floor(data.length / (bytes * channels));
+  const read = code === 3 && bits === 32 ? (o) => data.readFloatLE(o)
+    : code === 3 && bits === 64 ? (o) => data.readDoubleLE(o)
+    : code === 1 && bits === 16 ? (o) => data.readInt16LE(o) / 32768
+    : code === 1 && bits === 24 ? (o) => data.readIntLE(o, 3) / 8388608
+    : code === 1 && bits === 32 ? (o) => data.readInt32LE(o) / 2147483648
+    : code === 1 && bits === 8 ? (o) => (data.readUInt8(o) - 128) / 128
+    : null;
+  if (!read) throw new Error(`Unsupported WAV format (code ${code}, ${bits}-bit)`);
+
+  const samples = new Float32Array(frames);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += read((i * channels + c) * bytes);
+    samples[i] = sum / channels;
+  }
+  return samples;
+}
+
+/**
+ * Resample by linear interpolation (after a box filter when downsampling).
+ * @param {Float32Array} samples
+ * @param {number} from - Source sample rate
+ * @param {number} to - Target sample rate
+ * @returns {Float32Array}
+ */
+function resample(samples, from, to) {
+  if (from === to) return samples;
+
+  let source = samples;
+  const ratio = from / to;
+  const width = Math.floor(ratio);
+  if (width > 1) {
+    source = new Float32Array(samples.length);
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i];
+      if (i >= width) sum -= samples[i - width];
+      source[i] = sum / Math.min(i + 1, width);
+    }
+  }
+
+  const out = new Float32Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < out.length; i++) {
+    const pos = i * ratio;
+    const j = Math.floor(pos);
+    const next = Math.min(j + 1, source.length - 1);
+    out[i] = source[j] + (source[next] - source[j]) * (pos - j);
+  }
+  return out;
+}
+
+/**
+ * Decode any audio file to a mono signal at `sampleRate`.
+ * @param {string} filePath
+ * @param {number} sampleRate
+ * @returns {Promise<Float32Array>}
+ */
+async function decodeAudio(filePath, sampleRate) {
+  if (/\.wav$/i.test(filePath)) {
+    const wav = readWav(await readFile(filePath));
+    return resample(wav.samples, wav.sampleRate, sampleRate);
+  }
+
+  try {
+    const { stdout } = await promisify(execFile)(
+      "ffmpeg",
+      ["-v", "error", "-i", filePath, "-f", "f32le", "-ac", "1", "-ar", String(sampleRate), "-"],
+      { encoding: "buffer", maxBuffer: 1024 * 1024 * 1024 }
+    );
+    return new Float32Array(stdout.buffer, stdout.byteOffset, stdout.length / 4).slice();
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      throw new Error("ffmpeg is needed to decode non-WAV files (or convert to WAV first)");
+    }
+    throw new Error(`ffmpeg failed: ${err.stderr?.toString().trim() || err.message}`);
+  }
+}
+
+/**
+ * Add or update the track's entry in data/tracks.json, as analyze.py does.
+ * @returns {Promise<boolean>} False if either file is outside the repository
+ */
+async function registerTrack(audioPath, analysisPath) {
+  const audioRel = path.relative(ROOT_DIR, path.resolve(audioPath));
+  const analysisRel = path.relative(ROOT_DIR, path.resolve(analysisPath));
+  if ([audioRel, analysisRel].some((p) => p.startsWith("..") || path.isAbsolute(p))) {
+    return false;
+  }
+
+  const manifestPath = path.join(ROOT_DIR, "data", "tracks.json");
+  let manifest;
+  try {
+    manifest = JSON.parse(await readFile(manifestPath, "utf8"));
+  } catch {
+    manifest = { default: null, tracks: [] };
+  }
+
+  const id = path.basename(analysisPath, path.extname(analysisPath));
+  const entry = {
+    id,
+    title: id.replace(/[-_]/g, " ").replace(/\b\w/g, (c) => c.toUpperCase()),
+    audio: audioRel.split(path.sep).join("/"),
+    analysis: analysisRel.split(path.sep).join("/"),
+  };
+
+  manifest.tracks = manifest.tracks || [];
+  const existing = manifest.tracks.find((t) => t.id === id);
+  if (existing) {
+    // Keep a hand-edited title
+    Object.assign(existing, entry, { title: existing.title || entry.title });
+  } else {
+    manifest.tracks.push(entry);
+  }
+  manifest.default = manifest.default || id;
+
+  await writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  return true;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: "string", short: "o" },
+      "out-dir": { type: "string" },
+      sr: { type: "string", default: String(DEFAULT_SAMPLE_RATE) },
+      hop: { type: "string", default: String(DEFAULT_HOP_LENGTH) },
+      "no-register": { type: "boolean", default: false },
+    },
+  });
+
+  if (positionals.length === 0) {
+    console.error(
+      "Usage: node analysis/analyze.mjs <audio...> [-o output.json | --out-dir dir]"
+      + " [--sr 22050] [--hop 512] [--no-register]"
+    );
+    process.exit(1);
+  }
+  if (values.output && positionals.length > 1) {
+    console.error("Error: -o works with a single input; use --out-dir for batches");
+    process.exit(1);
+  }
+
+  const sampleRate = Number(values.sr);
+  const hopLength = Number(values.hop);
+  const outDir = values["out-dir"] || path.join(ROOT_DIR, "data");
+  let failures = 0;
+
+  for (const inputPath of positionals) {
+    const outputPath = values.output
+      || path.join(outDir, `${path.basename(inputPath, path.extname(inputPath))}.json`);
+
+    try {
+      console.log(`Analyzing ${inputPath}...`);
+      const samples = await decodeAudio(inputPath, sampleRate);
+
+      let lastStage = null;
+      const result = analyzeSamples(samples, sampleRate, {
+        hopLength,
+        onProgress: ({ stage, message }) => {
+          if (stage !== lastStage) {
+            console.log(`  ${message}...`);
+            lastStage = stage;
+          }
+        },
+      });
+
+      await mkdir(path.dirname(outputPath), { recursive: true });
+      await writeFile(outputPath, JSON.stringify(result));
+      console.log(
+        `  Wrote ${outputPath}: ${result.frames.length} frames, `
+        + `${result.tempo} BPM, ${result.beats.length} beats`
+      );
+
+      if (!values["no-register"]) {
+        if (await registerTrack(inputPath, outputPath)) {
+          console.log(`  Registered as ?track=${path.basename(outputPath, ".json")} in data/tracks.json`);
+        } else {
+          console.log("  Not registered: audio and analysis must both live inside the repository");
+        }
+      }
+    } catch (err) {
+      console.error(`  Error: ${err.message}`);
+      failures++;
+    }
+  }
+
+  if (failures > 0) {
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+});
@@ -13,6 +13,9 @@ import librosa
 import numpy as np
 
 
+# Output format version, checked by mappings/schema.js (bump on schema changes)
+ANALYSIS_VERSION = 2
+
 # Frequency band definitions (Hz)
 BANDS = [
     ("sub_bass", 20, 60),
@@ -136,6 +139,7 @@ def analyze(filepath: str, sr: int = 22050, hop_length: int = 512) -> dict:
         frames.append(frame)
 
     result = {
+        "version": ANALYSIS_VERSION,
         "sampleRate": sr,
         "hopLength": hop_length,
         "duration": round(duration, 4),
@@ -149,12 +153,58 @@ def analyze(filepath: str, sr: int = 22050, hop_length: int = 512) -> dict:
     return result
 
 
+def register_track(root: Path, audio_path: Path, analysis_path: Path) -> bool:
+    """
+    Add or update the track's entry in data/tracks.json so the sketches can pick it.
+
+    Returns False if either file lives outside the repository (paths in the
+    manifest are relative to the repository root).
+    """
+    try:
+        audio_rel = audio_path.resolve().relative_to(root).as_posix()
+        analysis_rel = analysis_path.resolve().relative_to(root).as_posix()
+    except ValueError:
+        return False
+
+    manifest_path = root / "data" / "tracks.json"
+    if manifest_path.exists():
+        with open(manifest_path) as f:
+            manifest = json.load(f)
+    else:
+        manifest = {"default": None, "tracks": []}
+
+    track_id = analysis_path.stem
+    entry = {
+        "id": track_id,
+        "title": track_id.replace("-", " ").replace("_", " ").title(),
+        "audio": audio_rel,
+        "analysis": analysis_rel,
+    }
+
+    tracks = manifest.setdefault("tracks", [])
+    existing = next((t for t in tracks if t.get("id") == track_id), None)
+    if existing:
+        # Keep a hand-edited title
+        entry["title"] = existing.get("title", entry["title"])
+        existing.update(entry)
+    else:
+        tracks.append(entry)
+    if not manifest.get("default"):
+        manifest["default"] = track_id
+
+    with open(manifest_path, "w") as f:
+        json.dump(manifest, f, indent=2)
+        f.write("\n")
+    return True
+
+
 def main():
     parser = argparse.ArgumentParser(description="Analyze audio for visualization")
     parser.add_argument("input", help="Path to audio file")
     parser.add_argument("-o", "--output", help="Output JSON path (default: data/<name>.json)")
     parser.add_argument("--sr", type=int, default=22050, help="Sample rate (default: 22050)")
     parser.add_argument("--hop", type=int, default=512, help="Hop length (default: 512)")
+    parser.add_argument("--no-register", action="store_true", help="Don't add the track to data/tracks.json")
     args = parser.parse_args()
 
     input_path = Path(args.input)
@@ -163,11 +213,11 @@ def main():
         sys.exit(1)
 
     # Default output path
+    root_dir = Path(__file__).resolve().parent.parent
     if args.output:
         output_path = Path(args.output)
     else:
-        script_dir = Path(__file__).parent.parent
-        output_path = script_dir / "data" / f"{input_path.stem}.json"
+        output_path = root_dir / "data" / f"{input_path.stem}.json"
 
     # Ensure output directory exists
     output_path.parent.mkdir(parents=True, exist_ok=True)
@@ -184,6 +234,13 @@ def main():
     print(f"Tempo: {result['tempo']} BPM")
     print(f"Beats: {len(result['beats'])}")
 
+    # Register in the track manifest
+    if not args.no_register:
+        if register_track(root_dir, input_path, output_path):
+            print(f"Registered as ?track={output_path.stem} in data/tracks.json")
+        else:
+            print("Not registered: audio and analysis must both live inside the repository")
+
 
 if __name__ == "__main__":
     main()
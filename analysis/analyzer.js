@@ -0,0 +1,395 @@
+/**
+ * JavaScript port of analyze.py.
+ *
+ * Extracts the same per-frame features from a mono signal and returns the
+ * same JSON shape, so a track can be analyzed without Python. Runs anywhere:
+ * the analyzer page uses it from a Web Worker (worker.js) and
+ * analyze.mjs uses it from Node for batch jobs.
+ *
+ * Values follow librosa closely but not exactly: chroma comes from the STFT
+ * instead of a constant-Q transform, the harmonic/percussive split is done on
+ * the spectrogram without resynthesis, and tempo comes from one global
+ * autocorrelation. All features are normalized the same way, so sketches
+ * respond the same to either analyzer.
+ */
+
+import { ANALYSIS_VERSION } from "../mappings/schema.js";
+import {
+  chromaFilterbank,
+  contrastBinRanges,
+  frameRms,
+  medianFilterLine,
+  melFilterbank,
+  normalize,
+  powerToDb,
+  spectralContrast,
+  stftMagnitude,
+} from "./dsp.js";
+
+export const DEFAULT_SAMPLE_RATE = 22050;
+export const DEFAULT_HOP_LENGTH = 512;
+
+// Frequency band definitions (Hz), as in analyze.py
+export const BANDS = [
+  ["sub_bass", 20, 60],
+  ["bass", 60, 250],
+  ["low_mids", 250, 500],
+  ["mids", 500, 2000],
+  ["high_mids", 2000, 4000],
+  ["highs", 4000, 8000],
+  ["brilliance", 8000, 20000],
+];
+
+export const CHROMA_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+const N_FFT = 2048;
+const HPSS_KERNEL = 31;
+const N_MELS = 128;
+const ONSET_TOP_DB = 80;
+
+// Share of the total progress bar each stage takes
+const STAGES = [
+  ["stft", "Computing STFT", 0.25],
+  ["hpss", "Separating harmonic and percussive components", 0.35],
+  ["features", "Computing spectral features", 0.25],
+  ["beats", "Tracking beats", 0.1],
+  ["output", "Building output", 0.05],
+];
+
+function round(value, digits) {
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
+
+/**
+ * Analyze a mono signal.
+ * @param {Float32Array} samples - Mono audio
+ * @param {number} sampleRate - Sample rate of `samples`
+ * @param {Object} [options]
+ * @param {number} [options.hopLength=512] - Hop between frames in samples
+ * @param {Function} [options.onProgress] - Called with
+ *   { stage, message, progress } where progress runs 0-1 over the whole job
+ * @returns {Object} Analysis in the analyze.py format
+ */
+export function analyzeSamples(samples, sampleRate, { hopLength = DEFAULT_HOP_LENGTH, onProgress } = {}) {
+  if (!samples || samples.length === 0) {
+    throw new Error("Audio is empty");
+  }
+
+  let stageIndex = -1;
+  let stageStart = 0;
+  const beginStage = (name) => {
+    if (stageIndex >= 0) stageStart += STAGES[stageIndex][2];
+    stageIndex = STAGES.findIndex(([stage]) => stage === name);
+    report(0);
+  };
+  const report = (fraction) => {
+    const [stage, message, share] = STAGES[stageIndex];
+    onProgress?.({ stage, message, progress: Math.min(1, stageStart + share * fraction) });
+  };
+
+  beginStage("stft");
+  const { mag, nFrames, nBins } = stftMagnitude(samples, { nFft: N_FFT, hopLength, onProgress: report });
+  const binHz = sampleRate / N_FFT;
+
+  beginStage("hpss");
+  const { harmonic, percussive } = separate(mag, nFrames, nBins, report);
+
+  beginStage("features");
+  const rms = frameRms(samples, N_FFT, hopLength);
+  const centroid = new Float32Array(nFrames);
+  const contrast = new Float32Array(nFrames);
+  const harmEnergy = new Float32Array(nFrames);
+  const percEnergy = new Float32Array(nFrames);
+  const bands = BANDS.map(() => new Float32Array(nFrames));
+  const chroma = new Float32Array(nFrames * 12);
+  const melDb = new Float32Array(nFrames * N_MELS);
+
+  const melFilters = melFilterbank(sampleRate, N_FFT, N_MELS);
+  const chromaFilters = chromaFilterbank(sampleRate, N_FFT);
+  const bandRanges = BANDS.map(([, low, high]) => [
+    Math.ceil(low / binHz),
+    Math.min(nBins, Math.ceil(high / binHz)),
+  ]);
+  const contrastRanges = contrastBinRanges(binHz, nBins);
+  const harmPower = new Float32Array(nBins);
+  const percPower = new Float32Array(nBins);
+  let melDbMax = -Infinity;
+
+  for (let f = 0; f < nFrames; f++) {
+    const row = f * nBins;
+
+    // Spectral centroid
+    let weighted = 0;
+    let total = 0;
+    for (let k = 0; k < nBins; k++) {
+      weighted += k * binHz * mag[row + k];
+      total += mag[row + k];
+    }
+    centroid[f] = total > 0 ? weighted / total : 0;
+
+    contrast[f] = spectralContrast(mag, row, contrastRanges);
+
+    // Frequency bands: mean magnitude in each band
+    bandRanges.forEach(([lo, hi], b) => {
+      let sum = 0;
+      for (let k = lo; k < hi; k++) sum += mag[row + k];
+      bands[b][f] = hi > lo ? sum / (hi - lo) : 0;
+    });
+
+    // Harmonic/percussive energy and spectra
+    let harmSum = 0;
+    let percSum = 0;
+    for (let k = 0; k < nBins; k++) {
+      harmPower[k] = harmonic[row + k] ** 2;
+      percPower[k] = percussive[row + k] ** 2;
+      harmSum += harmPower[k];
+      percSum += percPower[k];
+    }
+    harmEnergy[f] = Math.sqrt(harmSum);
+    percEnergy[f] = Math.sqrt(percSum);
+
+    // Percussive mel spectrogram (dB) for onset strength
+    for (let m = 0; m < N_MELS; m++) {
+      const { start, weights } = melFilters[m];
+      let power = 0;
+      for (let i = 0; i < weights.length; i++) power += weights[i] * percPower[start + i];
+      const db = powerToDb(power);
+      melDb[f * N_MELS + m] = db;
+      if (db > melDbMax) melDbMax = db;
+    }
+
+    // Harmonic chroma, normalized per frame like analyze.py
+    let chromaMax = 0;
+    for (let pc = 0; pc < 12; pc++) {
+      let sum = 0;
+      const filterRow = pc * nBins;
+      for (let k = 0; k < nBins; k++) sum += chromaFilters[filterRow + k] * harmPower[k];
+      chroma[f * 12 + pc] = sum;
+      if (sum > chromaMax) chromaMax = sum;
+    }
+    for (let pc = 0; pc < 12; pc++) {
+      chroma[f * 12 + pc] = chromaMax > 0 ? chroma[f * 12 + pc] / chromaMax : 0;
+    }
+
+    if (f % 256 === 0) report(f / nFrames);
+  }
+
+  const onsetEnv = onsetStrength(melDb, nFrames, melDbMax, hopLength);
+
+  beginStage("beats");
+  const fps = sampleRate / hopLength;
+  const tempo = estimateTempo(onsetEnv, fps);
+  const beatFrames = trackBeats(onsetEnv, fps, tempo);
+
+  beginStage("output");
+  const rmsNorm = normalize(rms);
+  const centroidNorm = normalize(centroid);
+  const contrastNorm = normalize(contrast);
+  const onsetNorm = normalize(onsetEnv);
+  const harmNorm = normalize(harmEnergy);
+  const percNorm = normalize(percEnergy);
+  const bandsNorm = bands.map(normalize);
+
+  const frames = new Array(nFrames);
+  for (let i = 0; i < nFrames; i++) {
+    frames[i] = {
+      time: round((i * hopLength) / sampleRate, 4),
+      rms: round(rmsNorm[i], 4),
+      centroid: round(centroidNorm[i], 4),
+      centroid_hz: round(centroid[i], 1),
+      contrast: round(contrastNorm[i], 4),
+      onset: round(onsetNorm[i], 4),
+      harmonic: round(harmNorm[i], 4),
+      percussive: round(percNorm[i], 4),
+      bands: bandsNorm.map((band) => round(band[i], 4)),
+      chroma: Array.from(chroma.subarray(i * 12, i * 12 + 12), (v) => round(v, 4)),
+    };
+  }
+  report(1);
+
+  return {
+    version: ANALYSIS_VERSION,
+    sampleRate,
+    hopLength,
+    duration: round(samples.length / sampleRate, 4),
+    tempo: round(tempo, 2),
+    beats: beatFrames.map((f) => round((f * hopLength) / sampleRate, 4)),
+    bandNames: BANDS.map(([name]) => name),
+    chromaNames: CHROMA_NAMES.slice(),
+    frames,
+  };
+}
+
+/**
+ * Median-filtering harmonic/percussive separation with soft masks.
+ * Harmonic sounds are smooth across time, percussive ones across frequency.
+ * @returns {Object} { harmonic, percussive } magnitude spectrograms
+ */
+function separate(mag, nFrames, nBins, report) {
+  const harmMedian = new Float32Array(mag.length);
+  const percMedian = new Float32Array(mag.length);
+
+  for (let k = 0; k < nBins; k++) {
+    medianFilterLine(mag, harmMedian, k, nBins, nFrames, HPSS_KERNEL);
+    if (k % 64 === 0) report((0.6 * k) / nBins);
+  }
+  for (let f = 0; f < nFrames; f++) {
+    medianFilterLine(mag, percMedian, f * nBins, 1, nBins, HPSS_KERNEL);
+    if (f % 512 === 0) report(0.6 + (0.3 * f) / nFrames);
+  }
+
+  // Soft masks (power 2), written over the median buffers
+  for (let i = 0; i < mag.length; i++) {
+    const h = harmMedian[i] ** 2;
+    const p = percMedian[i] ** 2;
+    const total = h + p;
+    const harmMask = total > 1e-20 ? h / total : 0.5;
+    harmMedian[i] = mag[i] * harmMask;
+    percMedian[i] = mag[i] * (1 - harmMask);
+  }
+  report(1);
+
+  return { harmonic: harmMedian, percussive: percMedian };
+}
+
+/**
+ * Onset strength: mean positive change of the percussive mel spectrogram.
+ * Frames are shifted the same way librosa aligns centered frames.
+ */
+function onsetStrength(melDb, nFrames, melDbMax, hopLength) {
+  const floor = melDbMax - ONSET_TOP_DB;
+  const shift = 1 + Math.floor(N_FFT / (2 * hopLength));
+  const onset = new Float32Array(nFrames);
+
+  for (let f = shift; f < nFrames; f++) {
+    const cur = (f - shift + 1) * N_MELS;
+    const prev = (f - shift) * N_MELS;
+    let sum = 0;
+    for (let m = 0; m < N_MELS; m++) {
+      const diff = Math.max(melDb[cur + m], floor) - Math.max(melDb[prev + m], floor);
+      if (diff > 0) sum += diff;
+    }
+    onset[f] = sum / N_MELS;
+  }
+  return onset;
+}
+
+/**
+ * Estimate tempo from the onset envelope's autocorrelation, with a
+ * log-normal prior around 120 BPM (as librosa's tempo estimate).
+ * @returns {number} Tempo in BPM (0 if there's no rhythm to find)
+ */
+function estimateTempo(onset, fps) {
+  const maxLag = Math.min(onset.length - 1, Math.round(8 * fps));
+  const minLag = Math.max(1, Math.ceil((60 * fps) / 320));
+  let mean = 0;
+  for (const v of onset) mean += v;
+  mean /= onset.length;
+
+  let zeroLag = 0;
+  for (const v of onset) zeroLag += (v - mean) ** 2;
+  if (zeroLag === 0 || maxLag < minLag) return 0;
+
+  let bestLag = 0;
+  let bestScore = -Infinity;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let ac = 0;
+    for (let i = lag; i < onset.length; i++) {
+      ac += (onset[i] - mean) * (onset[i - lag] - mean);
+    }
+    const bpm = (60 * fps) / lag;
+    const prior = -0.5 * Math.log2(bpm / 120) ** 2;
+    const score = Math.log1p(1e6 * Math.max(0, ac / zeroLag)) + prior;
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+  return bestLag ? (60 * fps) / bestLag : 0;
+}
+
+/**
+ * Dynamic-programming beat tracker (Ellis 2007, as in librosa).
+ * @returns {Array<number>} Beat positions in frames
+ */
+function trackBeats(onset, fps, bpm) {
+  if (bpm <= 0) return [];
+  const n = onset.length;
+  const period = Math.round((60 * fps) / bpm);
+  const tightness = 100;
+
+  // Local score: onset envelope, unit variance, smoothed around each beat
+  let mean = 0;
+  for (const v of onset) mean += v;
+  mean /= n;
+  let variance = 0;
+  for (const v of onset) variance += (v - mean) ** 2;
+  const std = Math.sqrt(variance / Math.max(1, n - 1)) || 1;
+
+  const kernel = [];
+  for (let i = -period; i <= period; i++) {
+    kernel.push(Math.exp(-0.5 * ((i * 32) / period) ** 2));
+  }
+  const local = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    let sum = 0;
+    for (let j = 0; j < kernel.length; j++) {
+      const k = i + j - period;
+      if (k >= 0 && k < n) sum += kernel[j] * (onset[k] / std);
+    }
+    local[i] = sum;
+  }
+  let localMax = 0;
+  for (const v of local) localMax = Math.max(localMax, v);
+
+  // Best previous beat between half and two periods back
+  const cumulative = new Float64Array(n);
+  const backlink = new Int32Array(n).fill(-1);
+  const minGap = Math.round(period / 2);
+  const maxGap = 2 * period;
+  let firstBeat = true;
+  for (let i = 0; i < n; i++) {
+    let best = -Infinity;
+    let bestPrev = -1;
+    for (let gap = minGap; gap <= maxGap && i - gap >= 0; gap++) {
+      const score = cumulative[i - gap] - tightness * Math.log(gap / period) ** 2;
+      if (score > best) {
+        best = score;
+        bestPrev = i - gap;
+      }
+    }
+    cumulative[i] = local[i] + (bestPrev >= 0 ? best : 0);
+    backlink[i] = firstBeat && local[i] < 0.01 * localMax ? -1 : bestPrev;
+    if (local[i] >= 0.01 * localMax) firstBeat = false;
+  }
+
+  // Last beat: the last local maximum that beats half the median maximum
+  const maxima = [];
+  for (let i = 1; i < n - 1; i++) {
+    if (cumulative[i] > cumulative[i - 1] && cumulative[i] >= cumulative[i + 1]) maxima.push(i);
+  }
+  if (maxima.length === 0) return [];
+  const sorted = maxima.map((i) => cumulative[i]).sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  let last = maxima[maxima.length - 1];
+  for (let j = maxima.length - 1; j >= 0; j--) {
+    if (cumulative[maxima[j]] >= 0.5 * median) {
+      last = maxima[j];
+      break;
+    }
+  }
+
+  const beats = [];
+  for (let i = last; i >= 0; i = backlink[i]) beats.push(i);
+  beats.reverse();
+
+  // Trim weak beats at the start and end (silence, fades)
+  const strength = beats.map((b) => local[b]);
+  const threshold = 0.5 * Math.sqrt(strength.reduce((s, v) => s + v * v, 0) / strength.length);
+  let first = 0;
+  let end = beats.length;
+  while (first < end && strength[first] <= threshold) first++;
+  while (end > first && strength[end - 1] <= threshold) end--;
+  return beats.slice(first, end);
+}
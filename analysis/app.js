@@ -0,0 +1,103 @@
+/**
+ * Analyzer page: drop an audio file, analyze it in a worker, download the JSON.
+ */
+
+import { analyzeFile } from "./browser.js";
+
+const dropZone = document.getElementById("dropZone");
+const fileInput = document.getElementById("fileInput");
+const statusEl = document.getElementById("status");
+const statusText = document.getElementById("statusText");
+const progressEl = document.getElementById("progress");
+const resultEl = document.getElementById("result");
+const summaryEl = document.getElementById("summary");
+const downloadBtn = document.getElementById("download");
+
+let busy = false;
+let downloadUrl = null;
+let downloadName = "analysis.json";
+
+// Track id from a file name: "My Track.mp3" -> "my-track"
+function trackIdFromName(name) {
+  return name
+    .replace(/\.[^.]+$/, "")
+    .toLowerCase()
+    .replace(/[^\w.-]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "track";
+}
+
+function formatDuration(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = Math.floor(seconds % 60)
+    .toString()
+    .padStart(2, "0");
+  return `${m}:${s}`;
+}
+
+async function analyze(file) {
+  if (busy) return;
+  busy = true;
+
+  resultEl.classList.remove("visible");
+  statusEl.classList.add("visible");
+  statusText.classList.remove("error");
+  statusText.textContent = `Loading ${file.name}...`;
+  progressEl.value = 0;
+
+  try {
+    const started = performance.now();
+    const analysis = await analyzeFile(file, {
+      onProgress: ({ message, progress }) => {
+        statusText.textContent = `${message}...`;
+        progressEl.value = progress;
+      },
+    });
+    const seconds = ((performance.now() - started) / 1000).toFixed(1);
+
+    if (downloadUrl) URL.revokeObjectURL(downloadUrl);
+    downloadUrl = URL.createObjectURL(
+      new Blob([JSON.stringify(analysis)], { type: "application/json" })
+    );
+    downloadName = `${trackIdFromName(file.name)}.json`;
+
+    statusText.textContent = `Done in ${seconds}s`;
+    progressEl.value = 1;
+    summaryEl.textContent = `${formatDuration(analysis.duration)} · ${analysis.tempo} BPM · `
+      + `${analysis.beats.length} beats · ${analysis.frames.length} frames`;
+    resultEl.classList.add("visible");
+  } catch (err) {
+    statusText.textContent = `Could not analyze ${file.name}: ${err.message}`;
+    statusText.classList.add("error");
+    console.error(err);
+  } finally {
+    busy = false;
+  }
+}
+
+fileInput.addEventListener("change", () => {
+  if (fileInput.files[0]) analyze(fileInput.files[0]);
+  fileInput.value = "";
+});
+
+dropZone.addEventListener("dragover", (e) => {
+  e.preventDefault();
+  dropZone.classList.add("dragging");
+});
+
+dropZone.addEventListener("dragleave", () => {
+  dropZone.classList.remove("dragging");
+});
+
+dropZone.addEventListener("drop", (e) => {
+  e.preventDefault();
+  dropZone.classList.remove("dragging");
+  const file = e.dataTransfer.files[0];
+  if (file) analyze(file);
+});
+
+downloadBtn.addEventListener("click", () => {
+  const link = document.createElement("a");
+  link.href = downloadUrl;
+  link.download = downloadName;
+  link.click();
+});
@@ -0,0 +1,66 @@
+/**
+ * In-browser track analysis: decode an audio file and analyze it in a Web
+ * Worker, producing the same JSON as analyze.py.
+ */
+
+import { DEFAULT_HOP_LENGTH, DEFAULT_SAMPLE_RATE } from "./analyzer.js";
+
+/**
+ * Decode an audio file to a mono signal at the analysis sample rate.
+ * @param {Blob} file - Audio file (any format the browser can play)
+ * @param {number} [sampleRate=22050]
+ * @returns {Promise<Float32Array>}
+ */
+export async function decodeAudioFile(file, sampleRate = DEFAULT_SAMPLE_RATE) {
+  const data = await file.arrayBuffer();
+
+  // Decoding through a context resamples to that context's rate
+  const context = new OfflineAudioContext(1, 1, sampleRate);
+  const buffer = await context.decodeAudioData(data);
+
+  const samples = new Float32Array(buffer.length);
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const channel = buffer.getChannelData(c);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] += channel[i] / buffer.numberOfChannels;
+    }
+  }
+  return samples;
+}
+
+/**
+ * Analyze an audio file without blocking the page.
+ * @param {Blob} file - Audio file
+ * @param {Object} [options]
+ * @param {number} [options.sampleRate=22050]
+ * @param {number} [options.hopLength=512]
+ * @param {Function} [options.onProgress] - Called with { stage, message, progress }
+ * @returns {Promise<Object>} Analysis in the analyze.py format
+ */
+export async function analyzeFile(file, {
+  sampleRate = DEFAULT_SAMPLE_RATE,
+  hopLength = DEFAULT_HOP_LENGTH,
+  onProgress,
+} = {}) {
+  onProgress?.({ stage: "decode", message: "Decoding audio", progress: 0 });
+  const samples = await decodeAudioFile(file, sampleRate);
+
+  const worker = new Worker(new URL("./worker.js", import.meta.url), { type: "module" });
+  try {
+    return await new Promise((resolve, reject) => {
+      worker.onmessage = ({ data }) => {
+        if (data.type === "progress") {
+          onProgress?.(data);
+        } else if (data.type === "done") {
+          resolve(data.analysis);
+        } else {
+          reject(new Error(data.message));
+        }
+      };
+      worker.onerror = (event) => reject(new Error(event.message || "Analysis worker failed"));
+      worker.postMessage({ samples, sampleRate, hopLength }, [samples.buffer]);
+    });
+  } finally {
+    worker.terminate();
+  }
+}
@@ -0,0 +1,362 @@
+/**
+ * Signal processing helpers for the JavaScript analyzer (see analyzer.js).
+ * Plain typed-array code with no DOM or Node dependencies, so it runs in
+ * browsers, Web Workers and Node alike.
+ */
+
+/**
+ * Create an in-place radix-2 complex FFT of a fixed size.
+ * @param {number} n - FFT size (power of two)
+ * @returns {Function} fft(re, im) transforming Float64Arrays of length n
+ */
+export function createFFT(n) {
+  if (n & (n - 1)) {
+    throw new Error(`FFT size must be a power of two, got ${n}`);
+  }
+
+  const bits = Math.log2(n);
+  const reversed = new Uint32Array(n);
+  for (let i = 0; i < n; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) {
+      r |= ((i >> b) & 1) << (bits - 1 - b);
+    }
+    reversed[i] = r;
+  }
+
+  const cos = new Float64Array(n / 2);
+  const sin = new Float64Array(n / 2);
+  for (let i = 0; i < n / 2; i++) {
+    cos[i] = Math.cos((2 * Math.PI * i) / n);
+    sin[i] = -Math.sin((2 * Math.PI * i) / n);
+  }
+
+  return function fft(re, im) {
+    for (let i = 0; i < n; i++) {
+      const j = reversed[i];
+      if (j > i) {
+        let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+        tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+      }
+    }
+
+    for (let size = 2; size <= n; size *= 2) {
+      const half = size / 2;
+      const step = n / size;
+      for (let start = 0; start < n; start += size) {
+        for (let k = 0; k < half; k++) {
+          const wr = cos[k * step];
+          const wi = sin[k * step];
+          const a = start + k;
+          const b = a + half;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Periodic Hann window (the STFT window librosa uses).
+ * @param {number} n
+ * @returns {Float64Array}
+ */
+export function hannWindow(n) {
+  const w = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    w[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / n);
+  }
+  return w;
+}
+
+/**
+ * Number of centered frames for a signal (librosa's `center=True`).
+ * @param {number} length - Signal length in samples
+ * @param {number} hopLength
+ * @returns {number}
+ */
+export function frameCount(length, hopLength) {
+  return 1 + Math.floor(length / hopLength);
+}
+
+/**
+ * Magnitude STFT with centered, reflect-padded frames.
+ * @param {Float32Array} y - Mono signal
+ * @param {Object} options
+ * @param {number} options.nFft - FFT size
+ * @param {number} options.hopLength - Hop between frames in samples
+ * @param {Function} [options.onProgress] - Called with the fraction done
+ * @returns {Object} { mag, nFrames, nBins } with `mag` frame-major
+ *   (mag[frame * nBins + bin])
+ */
+export function stftMagnitude(y, { nFft, hopLength, onProgress }) {
+  const nBins = nFft / 2 + 1;
+  const nFrames = frameCount(y.length, hopLength);
+  const pad = nFft / 2;
+  const window = hannWindow(nFft);
+  const fft = createFFT(nFft);
+  const re = new Float64Array(nFft);
+  const im = new Float64Array(nFft);
+  const mag = new Float32Array(nFrames * nBins);
+
+  // Reflect padding at both ends, as numpy's "reflect" mode
+  const sample = (i) => {
+    if (y.length === 1) return y[0];
+    let j = i;
+    while (j < 0 || j >= y.length) {
+      j = j < 0 ? -j : 2 * (y.length - 1) - j;
+    }
+    return y[j];
+  };
+
+  for (let f = 0; f < nFrames; f++) {
+    const offset = f * hopLength - pad;
+    const inside = offset >= 0 && offset + nFft <= y.length;
+    for (let i = 0; i < nFft; i++) {
+      re[i] = (inside ? y[offset + i] : sample(offset + i)) * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    const row = f * nBins;
+    for (let k = 0; k < nBins; k++) {
+      mag[row + k] = Math.hypot(re[k], im[k]);
+    }
+
+    if (onProgress && f % 256 === 0) onProgress(f / nFrames);
+  }
+
+  return { mag, nFrames, nBins };
+}
+
+/**
+ * Frame-wise RMS of a signal, with centered zero-padded frames.
+ * @param {Float32Array} y
+ * @param {number} frameLength
+ * @param {number} hopLength
+ * @returns {Float32Array}
+ */
+export function frameRms(y, frameLength, hopLength) {
+  const nFrames = frameCount(y.length, hopLength);
+  const cumulative = new Float64Array(y.length + 1);
+  for (let i = 0; i < y.length; i++) {
+    cumulative[i + 1] = cumulative[i] + y[i] * y[i];
+  }
+
+  const rms = new Float32Array(nFrames);
+  const half = Math.floor(frameLength / 2);
+  for (let f = 0; f < nFrames; f++) {
+    const start = Math.max(0, f * hopLength - half);
+    const end = Math.min(y.length, f * hopLength - half + frameLength);
+    const energy = end > start ? cumulative[end] - cumulative[start] : 0;
+    rms[f] = Math.sqrt(Math.max(0, energy) / frameLength);
+  }
+  return rms;
+}
+
+/**
+ * Median filter along one strided line of a typed array.
+ * Windows are truncated at the ends of the line.
+ * @param {Float32Array} src
+ * @param {Float32Array} dst
+ * @param {number} start - Index of the first element of the line
+ * @param {number} stride - Distance between consecutive elements
+ * @param {number} count - Elements in the line
+ * @param {number} kernel - Window size (odd)
+ */
+export function medianFilterLine(src, dst, start, stride, count, kernel) {
+  const half = kernel >> 1;
+  const window = new Float32Array(kernel);
+  let size = 0;
+
+  const search = (value) => {
+    let lo = 0;
+    let hi = size;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (window[mid] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+  const insert = (value) => {
+    const at = search(value);
+    window.copyWithin(at + 1, at, size);
+    window[at] = value;
+    size++;
+  };
+  const remove = (value) => {
+    const at = search(value);
+    window.copyWithin(at, at + 1, size);
+    size--;
+  };
+
+  for (let j = 0; j <= half && j < count; j++) {
+    insert(src[start + j * stride]);
+  }
+
+  for (let i = 0; i < count; i++) {
+    const mid = size >> 1;
+    dst[start + i * stride] = size % 2 ? window[mid] : (window[mid - 1] + window[mid]) / 2;
+
+    const entering = i + half + 1;
+    if (entering < count) insert(src[start + entering * stride]);
+    const leaving = i - half;
+    if (leaving >= 0) remove(src[start + leaving * stride]);
+  }
+}
+
+/**
+ * Slaney-style mel filterbank (librosa's default).
+ * @param {number} sampleRate
+ * @param {number} nFft
+ * @param {number} nMels
+ * @returns {Array<Object>} One { start, weights } per mel band, where
+ *   weights apply to FFT bins start..start + weights.length - 1
+ */
+export function melFilterbank(sampleRate, nFft, nMels) {
+  // Slaney mel scale: linear below 1 kHz, logarithmic above
+  const minLogHz = 1000;
+  const linearStep = 200 / 3;
+  const minLogMel = minLogHz / linearStep;
+  const logStep = Math.log(6.4) / 27;
+  const hzToMel = (hz) => (hz < minLogHz ? hz / linearStep : minLogMel + Math.log(hz / minLogHz) / logStep);
+  const melToHz = (mel) => (mel < minLogMel ? mel * linearStep : minLogHz * Math.exp(logStep * (mel - minLogMel)));
+
+  const nBins = nFft / 2 + 1;
+  const maxMel = hzToMel(sampleRate / 2);
+  const edges = [];
+  for (let i = 0; i < nMels + 2; i++) {
+    edges.push(melToHz((maxMel * i) / (nMels + 1)));
+  }
+
+  const filters = [];
+  for (let m = 0; m < nMels; m++) {
+    const [lower, center, upper] = [edges[m], edges[m + 1], edges[m + 2]];
+    const norm = 2 / (upper - lower);
+    const weights = [];
+    let start = -1;
+    for (let k = 0; k < nBins; k++) {
+      const hz = (k * sampleRate) / nFft;
+      const w = Math.max(0, Math.min((hz - lower) / (center - lower), (upper - hz) / (upper - center)));
+      if (w > 0) {
+        if (start < 0) start = k;
+        weights[k - start] = w * norm;
+      } else if (start >= 0) {
+        break;
+      }
+    }
+    filters.push({ start: Math.max(0, start), weights: Float32Array.from(weights) });
+  }
+  return filters;
+}
+
+/**
+ * Chroma filterbank mapping FFT bins to 12 pitch classes (C first).
+ * Each bin spreads over nearby pitch classes with a Gaussian of half a
+ * semitone, weighted toward the middle octaves as librosa's chroma filters are.
+ * @param {number} sampleRate
+ * @param {number} nFft
+ * @returns {Float32Array} Weights, chroma-major (w[pc * nBins + bin])
+ */
+export function chromaFilterbank(sampleRate, nFft) {
+  const nBins = nFft / 2 + 1;
+  const filters = new Float32Array(12 * nBins);
+
+  for (let k = 1; k < nBins; k++) {
+    const hz = (k * sampleRate) / nFft;
+    if (hz < 27.5) continue; // Below A0 the bins are too coarse to mean anything
+
+    const midi = 69 + 12 * Math.log2(hz / 440);
+    const octave = midi / 12 - 1; // C4 = octave 4
+    const octaveWeight = Math.exp(-0.5 * ((octave - 4) / 2) ** 2);
+
+    for (let pc = 0; pc < 12; pc++) {
+      let d = (midi - pc) % 12;
+      if (d > 6) d -= 12;
+      if (d < -6) d += 12;
+      filters[pc * nBins + k] = Math.exp(-0.5 * (2 * d) ** 2) * octaveWeight;
+    }
+  }
+  return filters;
+}
+
+// Octave bands for spectral contrast (librosa: fmin 200 Hz, 6 bands)
+const CONTRAST_EDGES = [0, 200, 400, 800, 1600, 3200, 6400];
+const CONTRAST_QUANTILE = 0.02;
+
+/**
+ * FFT bin ranges of the spectral contrast octave bands.
+ * @param {number} binHz - Width of one FFT bin in Hz
+ * @param {number} nBins - Number of FFT bins
+ * @returns {Array<Array<number>>} [start, end) bin pairs
+ */
+export function contrastBinRanges(binHz, nBins) {
+  return CONTRAST_EDGES.map((low, i) => [
+    Math.min(nBins - 1, Math.round(low / binHz)),
+    i + 1 < CONTRAST_EDGES.length
+      ? Math.min(nBins, Math.round(CONTRAST_EDGES[i + 1] / binHz) + 1)
+      : nBins,
+  ]);
+}
+
+/**
+ * Mean spectral contrast (peak vs. valley, in dB) across octave bands.
+ * @param {Float32Array} mag - Magnitude spectrum (or a spectrogram)
+ * @param {number} offset - Index of the frame's first bin in `mag`
+ * @param {Array} ranges - Bin ranges from contrastBinRanges()
+ * @returns {number}
+ */
+export function spectralContrast(mag, offset, ranges) {
+  let sum = 0;
+  for (const [lo, hi] of ranges) {
+    const values = mag.slice(offset + lo, offset + hi).sort();
+    const n = Math.max(1, Math.round(CONTRAST_QUANTILE * values.length));
+    let valley = 0;
+    let peak = 0;
+    for (let i = 0; i < n; i++) {
+      valley += values[i];
+      peak += values[values.length - 1 - i];
+    }
+    sum += powerToDb(peak / n) - powerToDb(valley / n);
+  }
+  return sum / ranges.length;
+}
+
+/**
+ * Scale an array to the 0-1 range (all zeros if it is flat), like
+ * analyze.py's normalize().
+ * @param {ArrayLike<number>} values
+ * @returns {Float32Array}
+ */
+export function normalize(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+
+  const out = new Float32Array(values.length);
+  const range = max - min;
+  if (range < 1e-10) return out;
+  for (let i = 0; i < values.length; i++) {
+    out[i] = (values[i] - min) / range;
+  }
+  return out;
+}
+
+/**
+ * Convert a power value to decibels.
+ * @param {number} power
+ * @param {number} [amin=1e-10] - Floor to avoid log(0)
+ * @returns {number}
+ */
+export function powerToDb(power, amin = 1e-10) {
+  return 10 * Math.log10(Math.max(amin, power));
+}
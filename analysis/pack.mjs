@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Convert an analysis JSON file (from analyze.py) to the packed .arv format.
+ *
+ * Usage:
+ *   node analysis/pack.mjs data/neon-noir.json            # -> data/neon-noir.arv
+ *   node analysis/pack.mjs data/mix.json -o out/mix.arv
+ *   node analysis/pack.mjs data/mix.json --f32            # no Uint8 quantization
+ *
+ * Point the track's "analysis" entry in data/tracks.json at the .arv file to use it.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import { encodePackedAnalysis } from "../mappings/packed.js";
+import { validateAnalysis } from "../mappings/schema.js";
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(2)} MB`
+    : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: "string", short: "o" },
+      f32: { type: "boolean", default: false },
+    },
+  });
+
+  const inputPath = positionals[0];
+  if (!inputPath) {
+    console.error("Usage: node analysis/pack.mjs <analysis.json> [-o output.arv] [--f32]");
+    process.exit(1);
+  }
+
+  const outputPath = values.output
+    || path.join(path.dirname(inputPath), `${path.basename(inputPath, ".json")}.arv`);
+
+  const text = await readFile(inputPath, "utf8");
+  // Migrate older files so packed output always carries the current version
+  const analysis = validateAnalysis(JSON.parse(text));
+  const packed = encodePackedAnalysis(analysis, { quantize: !values.f32 });
+  await writeFile(outputPath, new Uint8Array(packed));
+
+  const inputSize = Buffer.byteLength(text);
+  console.log(`Wrote ${outputPath}`);
+  console.log(
+    `${analysis.frames.length} frames: ${formatSize(inputSize)} -> ${formatSize(packed.byteLength)}`
+    + ` (${((packed.byteLength / inputSize) * 100).toFixed(1)}%)`
+  );
+}
+
+main().catch((err) => {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+});
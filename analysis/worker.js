@@ -0,0 +1,23 @@
+/**
+ * Web Worker running the JavaScript analyzer off the main thread.
+ *
+ * Message in:  { samples: Float32Array, sampleRate, hopLength }
+ * Messages out: { type: "progress", stage, message, progress }
+ *               { type: "done", analysis }
+ *               { type: "error", message }
+ */
+
+import { analyzeSamples } from "./analyzer.js";
+
+self.onmessage = (event) => {
+  const { samples, sampleRate, hopLength } = event.data;
+  try {
+    const analysis = analyzeSamples(samples, sampleRate, {
+      hopLength,
+      onProgress: (progress) => self.postMessage({ type: "progress", ...progress }),
+    });
+    self.postMessage({ type: "done", analysis });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
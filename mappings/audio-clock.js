@@ -0,0 +1,245 @@
+/**
+ * Playback time as it's heard, for drawing in sync with the speakers.
+ *
+ * `audio.currentTime` is a poor frame clock: some browsers update it only
+ * every few tens of milliseconds, and it's the position being decoded, not
+ * the one coming out of the speakers, which can be 20 ms behind on built-in
+ * outputs and 200 ms or more over Bluetooth. AudioClock plays the <audio>
+ * element through an AudioContext and reads the context's output clock
+ * instead:
+ *
+ *   const clock = new AudioClock(audio);
+ *   const currentTime = clock.now();   // every frame
+ *
+ * Each time the element's position changes, it's paired with the context
+ * time it was decoded at. Between those updates the position is
+ * extrapolated along getOutputTimestamp() (or currentTime minus
+ * outputLatency where that's missing), which runs on the audio hardware's
+ * clock and already trails by the output latency. Small differences
+ * between the extrapolation and the element are eased in rather than
+ * jumped to, and the time never goes backwards while playing (SeekSync
+ * would take that for a seek); seeks, loops and rate changes re-anchor.
+ *
+ * Some latency is never reported (many Bluetooth stacks, a projector's
+ * processing), so a per-device offset from the calibration screen (see
+ * calibration.js) is added on top. Without an AudioContext (or for live
+ * input, whose frames are stamped with `audio.currentTime` itself) the
+ * clock is the element's time plus that offset.
+ */
+
+const STORAGE_KEY = "arv:av-offset";
+const MAX_OFFSET = 1; // seconds, either way
+const SNAP_ERROR = 0.15; // seconds between extrapolation and element beyond which the clock jumps
+const CORRECTION = 0.1; // share of a smaller error taken in per element update
+
+function loadOffsets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && typeof saved === "object" ? saved : {};
+  } catch (err) {
+    console.warn(`Saved A/V offsets unavailable (${err.message})`);
+    return {};
+  }
+}
+
+/**
+ * Name for the current playback setup: the audio output (when the browser
+ * reveals its label) and the screen size, which tells a projector from a
+ * laptop panel well enough.
+ * @returns {Promise<string>} e.g. "AirPods Pro · 1920×1080"
+ */
+export async function describeDevice() {
+  let output = "";
+  try {
+    const devices = (await navigator.mediaDevices?.enumerateDevices()) || [];
+    const outputs = devices.filter((d) => d.kind === "audiooutput");
+    const current = outputs.find((d) => d.deviceId === "default") || outputs[0];
+    output = (current?.label || "").replace(/^Default - /, "");
+  } catch {
+    // No device list (insecure context or no permission); fall back to the default name
+  }
+  const screenSize = typeof screen === "undefined" ? "" : ` · ${screen.width}×${screen.height}`;
+  return `${output || "Default output"}${screenSize}`;
+}
+
+/**
+ * Saved offset for a device.
+ * @param {string} device - From describeDevice()
+ * @returns {number} Seconds (0 if never calibrated)
+ */
+export function loadOffset(device) {
+  const offset = loadOffsets()[device];
+  return Number.isFinite(offset) ? offset : 0;
+}
+
+/**
+ * Save (or with 0, forget) the offset for a device.
+ * @param {string} device - From describeDevice()
+ * @param {number} offset - Seconds
+ */
+export function saveOffset(device, offset) {
+  const offsets = loadOffsets();
+  if (offset === 0) {
+    delete offsets[device];
+  } else {
+    offsets[device] = offset;
+  }
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(offsets));
+  } catch (err) {
+    console.warn(`Could not save the A/V offset (${err.message})`);
+  }
+}
+
+/**
+ * High-resolution, latency-compensated playback time for an audio element.
+ */
+export class AudioClock {
+  /**
+   * @param {HTMLAudioElement} audio
+   * @param {Object} [options]
+   * @param {AudioContext} [options.context] - Context to play through (made on first play otherwise)
+   */
+  constructor(audio, { context = null } = {}) {
+    this.audio = audio;
+    this.context = context;
+    this.source = null;
+    this.device = null;
+    this.offset = 0; // seconds added to the time; positive draws earlier
+    this.anchor = null; // { media, at }: media time heard when the output reaches context time `at`
+    this.lastMedia = null;
+    this.lastRate = null;
+    this.lastTime = null;
+    this.discontinuity = true;
+
+    const reanchor = () => {
+      this.anchor = null;
+      this.discontinuity = true;
+    };
+    audio.addEventListener("seeking", reanchor);
+    audio.addEventListener("emptied", reanchor);
+    audio.addEventListener("play", () => this.connect());
+    audio.addEventListener("pause", () => {
+      this.anchor = null;
+    });
+
+    this.loadCalibration();
+    navigator.mediaDevices?.addEventListener?.("devicechange", () => this.loadCalibration());
+  }
+
+  /** Whether the element plays through the AudioContext (and its output clock is used). */
+  get connected() {
+    return this.source !== null;
+  }
+
+  /** Output latency the browser reports, in seconds (0 without a context). */
+  get reportedLatency() {
+    if (!this.context) return 0;
+    return (this.context.outputLatency || 0) + (this.context.baseLatency || 0);
+  }
+
+  /**
+   * Route the element through the AudioContext, creating it if needed.
+   * Happens on the first play, since a context made before any user
+   * gesture starts suspended. Live input (srcObject) isn't routed.
+   * @returns {AudioContext|null} null without Web Audio, or for live input
+   */
+  connect() {
+    if (typeof AudioContext === "undefined" || this.audio.srcObject) return null;
+    this.context ||= new AudioContext();
+    if (this.context.state === "suspended") this.context.resume();
+    if (!this.source) {
+      try {
+        this.source = this.context.createMediaElementSource(this.audio);
+        this.source.connect(this.context.destination);
+        this.anchor = null; // it was on the page clock
+      } catch (err) {
+        console.warn(`Playing without the audio clock (${err.message})`);
+      }
+    }
+    return this.context;
+  }
+
+  /** Look up the saved offset for the current output and screen. */
+  async loadCalibration() {
+    this.device = await describeDevice();
+    this.offset = loadOffset(this.device);
+  }
+
+  /**
+   * Change the offset, and save it for the current device.
+   * @param {number} offset - Seconds; positive draws the visuals earlier
+   */
+  setOffset(offset) {
+    this.offset = Math.min(Math.max(offset, -MAX_OFFSET), MAX_OFFSET);
+    if (this.device) saveOffset(this.device, this.offset);
+  }
+
+  /**
+   * Context time of the sample leaving the speakers now (or at a
+   * performance.now() time), or null without a context.
+   * @param {number} [at] - performance.now() milliseconds
+   * @returns {number|null}
+   */
+  outputTime(at = performance.now()) {
+    if (!this.context) return null;
+    const { context } = this;
+    const stamp = context.getOutputTimestamp?.();
+    if (stamp && stamp.performanceTime > 0) {
+      return stamp.contextTime + (at - stamp.performanceTime) / 1000;
+    }
+    return context.currentTime - this.reportedLatency + (at - performance.now()) / 1000;
+  }
+
+  /**
+   * The playback time to draw, in seconds. Call once per frame.
+   * @returns {number}
+   */
+  now() {
+    const { audio } = this;
+    const media = audio.currentTime;
+    if (audio.srcObject) return media;
+    if (audio.paused || audio.seeking) {
+      // Nothing in flight to compensate for; playing picks up from here
+      this.lastMedia = null;
+      this.discontinuity = true;
+      return this.emit(media + this.offset);
+    }
+
+    // Without a context, extrapolate along the page clock
+    const output = this.connected ? this.outputTime() : performance.now() / 1000;
+    const decoding = this.connected ? this.context.currentTime : output;
+    const rate = audio.playbackRate;
+    if (rate !== this.lastRate) {
+      this.lastRate = rate;
+      this.anchor = null;
+    }
+
+    if (media !== this.lastMedia || this.anchor === null) {
+      // The element just moved: `media` leaves the speakers when the output reaches `decoding`
+      this.lastMedia = media;
+      if (this.anchor === null) {
+        this.anchor = { media, at: decoding };
+      } else {
+        const predicted = this.anchor.media + (decoding - this.anchor.at) * rate;
+        const error = media - predicted;
+        const jumped = Math.abs(error) > SNAP_ERROR;
+        this.anchor = { media: predicted + (jumped ? error : error * CORRECTION), at: decoding };
+        if (jumped) this.discontinuity = true;
+      }
+    }
+
+    const heard = this.anchor.media + (output - this.anchor.at) * rate;
+    return this.emit(heard + this.offset);
+  }
+
+  // Hold the time steady while playing, except across seeks. Just after
+  // Play, that holds the paused frame until the first sound is heard.
+  emit(time) {
+    const holding = !this.audio.paused && !this.discontinuity && this.lastTime !== null;
+    if (holding && time < this.lastTime) time = this.lastTime;
+    this.discontinuity = false;
+    this.lastTime = time;
+    return time;
+  }
+}
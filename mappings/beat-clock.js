@@ -0,0 +1,233 @@
+/**
+ * Beat clock: where a moment sits in the musical grid.
+ *
+ * Built on the analysis `beats` (times in seconds) and `tempo`. Lookups are a
+ * binary search, so asking every frame is cheap on long tracks. Before the
+ * first and after the last tracked beat the grid is extrapolated at the
+ * tempo, so there is always a current beat.
+ *
+ * Bars and phrases count from the estimated downbeat: the beat position in
+ * the bar whose beats carry the most low-end punch (see estimateDownbeat()).
+ * The time signature can change along the track.
+ *
+ *   const clock = new BeatClock(analysis, { timeSignature: "4/4" });
+ *   const { phase, beatInBar, isDownbeat, phrases } = clock.at(audio.currentTime);
+ */
+
+const DEFAULT_PHRASE_BARS = [4, 8, 16];
+
+/**
+ * Index of the last beat at or before `time` (-1 if before the first beat).
+ * @param {Array<number>} beats - Ascending beat times
+ * @param {number} time
+ * @returns {number}
+ */
+export function getBeatIndex(beats, time) {
+  let low = 0;
+  let high = beats.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (beats[mid] <= time) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Parse a time signature into beats per bar.
+ * @param {string|number} signature - "3/4", "7/8", or a beat count
+ * @returns {number}
+ */
+export function parseTimeSignature(signature) {
+  const beatsPerBar = typeof signature === "number"
+    ? signature
+    : Number(String(signature).split("/")[0]);
+  if (!Number.isInteger(beatsPerBar) || beatsPerBar < 1) {
+    throw new Error(`Invalid time signature: "${signature}"`);
+  }
+  return beatsPerBar;
+}
+
+/**
+ * Estimate which beat of the bar is the downbeat.
+ * Scores each offset by the bass and onset strength on the beats it would
+ * make downbeats; the strongest wins.
+ * @param {Array<number>} beats - Beat times
+ * @param {Array} frames - Analysis frames (may still be loading)
+ * @param {number} beatsPerBar
+ * @returns {number} Index (0..beatsPerBar-1) of the first downbeat in `beats`
+ */
+export function estimateDownbeat(beats, frames, beatsPerBar) {
+  if (!frames || frames.length === 0 || beats.length < beatsPerBar * 2) return 0;
+
+  const scores = new Array(beatsPerBar).fill(0);
+  const lastTime = frames[frames.length - 1].time;
+  const step = frames.length > 1 ? frames[1].time - frames[0].time : 1;
+
+  for (let i = 0; i < beats.length && beats[i] <= lastTime; i++) {
+    const frame = frames[Math.min(frames.length - 1, Math.round((beats[i] - frames[0].time) / step))];
+    scores[i % beatsPerBar] += frame.bands[0] + frame.bands[1] + frame.onset;
+  }
+  return scores.indexOf(Math.max(...scores));
+}
+
+/**
+ * Musical clock over an analysis' beat grid.
+ */
+export class BeatClock {
+  /**
+   * @param {Object} analysis - Analysis data with `beats` and `tempo` (and
+   *   `frames`, used for the downbeat estimate)
+   * @param {Object} [options]
+   * @param {string|number|Array} [options.timeSignature="4/4"] - Time signature,
+   *   or a list of changes: [{ beat: 0, timeSignature: "4/4" }, { beat: 128, timeSignature: "3/4" }]
+   *   where `beat` indexes the analysis beats
+   * @param {number} [options.downbeat] - Beat index of a known downbeat (skips the estimate)
+   * @param {Array<number>} [options.phraseBars=[4, 8, 16]] - Phrase lengths in bars
+   */
+  constructor(analysis, { timeSignature = "4/4", downbeat, phraseBars = DEFAULT_PHRASE_BARS } = {}) {
+    this.beats = analysis.beats || [];
+    this.phraseBars = phraseBars;
+
+    // Beat length: median tracked interval, else the tempo
+    const intervals = this.beats.slice(1).map((b, i) => b - this.beats[i]).sort((a, b) => a - b);
+    this.beatDuration = intervals.length > 0
+      ? intervals[Math.floor(intervals.length / 2)]
+      : analysis.tempo > 0 ? 60 / analysis.tempo : 0;
+
+    const changes = Array.isArray(timeSignature)
+      ? [...timeSignature].sort((a, b) => a.beat - b.beat)
+      : [{ beat: 0, timeSignature }];
+    const firstBeatsPerBar = parseTimeSignature(changes[0].timeSignature);
+    this.downbeat = downbeat ?? estimateDownbeat(this.beats, analysis.frames, firstBeatsPerBar);
+
+    // Meter segments: bars are counted from the first downbeat, so bar 0
+    // starts there and beats before it fall in negative bars
+    this.segments = [];
+    let bar = 0;
+    let start = this.downbeat;
+    changes.forEach((change, i) => {
+      const beatsPerBar = parseTimeSignature(change.timeSignature);
+      const segmentStart = i === 0 ? this.downbeat : change.beat;
+      if (i > 0) {
+        bar += Math.ceil((segmentStart - start) / this.segments[i - 1].beatsPerBar);
+      }
+      this.segments.push({ beat: segmentStart, bar, beatsPerBar });
+      start = segmentStart;
+    });
+  }
+
+  /** Whether there is a beat grid at all (live input and beatless tracks have none). */
+  get valid() {
+    return this.beatDuration > 0;
+  }
+
+  /**
+   * Time of a beat by index, extrapolating past either end of the tracked beats.
+   * @param {number} index
+   * @returns {number}
+   */
+  beatTime(index) {
+    const { beats } = this;
+    if (beats.length === 0) return index * this.beatDuration;
+    if (index < 0) return beats[0] + index * this.beatDuration;
+    if (index >= beats.length) return beats[beats.length - 1] + (index - beats.length + 1) * this.beatDuration;
+    return beats[index];
+  }
+
+  /**
+   * Beat index at a time, extrapolated like beatTime().
+   * @param {number} time
+   * @returns {number}
+   */
+  beatIndex(time) {
+    const { beats } = this;
+    if (beats.length === 0) return Math.floor(time / this.beatDuration);
+    if (time < beats[0]) return -Math.ceil((beats[0] - time) / this.beatDuration);
+    const index = getBeatIndex(beats, time);
+    if (index < beats.length - 1) return index;
+    return beats.length - 1 + Math.floor((time - beats[beats.length - 1]) / this.beatDuration);
+  }
+
+  /**
+   * Bar position of a beat.
+   * @param {number} beat - Beat index
+   * @returns {Object} { bar, beatInBar, beatsPerBar }
+   */
+  barOf(beat) {
+    let segment = this.segments[0];
+    for (let i = this.segments.length - 1; i > 0; i--) {
+      if (beat >= this.segments[i].beat) {
+        segment = this.segments[i];
+        break;
+      }
+    }
+    const offset = beat - segment.beat;
+    const barOffset = Math.floor(offset / segment.beatsPerBar);
+    return {
+      bar: segment.bar + barOffset,
+      beatInBar: offset - barOffset * segment.beatsPerBar,
+      beatsPerBar: segment.beatsPerBar,
+    };
+  }
+
+  /**
+   * Musical position at a time.
+   * @param {number} time - Playback time in seconds
+   * @returns {Object} {
+   *   valid, beat, phase, beatTime, nextBeatTime, timeToNextBeat,
+   *   bar, beatInBar, beatsPerBar, barPhase, isDownbeat, nextBarTime, timeToNextBar,
+   *   phrases: { [bars]: { index, bar, position } }
+   * }
+   *   `phase` and `barPhase` run 0-1; `phrases[8].position` runs 0-1 over an
+   *   8-bar phrase and `phrases[8].bar` is the bar within it.
+   */
+  at(time) {
+    if (!this.valid) {
+      return {
+        valid: false, beat: 0, phase: 0, beatTime: 0, nextBeatTime: Infinity, timeToNextBeat: Infinity,
+        bar: 0, beatInBar: 0, beatsPerBar: this.segments[0].beatsPerBar, barPhase: 0, isDownbeat: false,
+        nextBarTime: Infinity, timeToNextBar: Infinity, phrases: {},
+      };
+    }
+
+    const beat = this.beatIndex(time);
+    const beatTime = this.beatTime(beat);
+    const nextBeatTime = this.beatTime(beat + 1);
+    const phase = Math.min(1, Math.max(0, (time - beatTime) / (nextBeatTime - beatTime)));
+
+    const { bar, beatInBar, beatsPerBar } = this.barOf(beat);
+    const barPhase = (beatInBar + phase) / beatsPerBar;
+    const nextBarTime = this.beatTime(beat + beatsPerBar - beatInBar);
+
+    const phrases = {};
+    for (const length of this.phraseBars) {
+      const index = Math.floor(bar / length);
+      const barInPhrase = bar - index * length;
+      phrases[length] = { index, bar: barInPhrase, position: (barInPhrase + barPhase) / length };
+    }
+
+    return {
+      valid: true,
+      beat,
+      phase,
+      beatTime,
+      nextBeatTime,
+      timeToNextBeat: nextBeatTime - time,
+      bar,
+      beatInBar,
+      beatsPerBar,
+      barPhase,
+      isDownbeat: beatInBar === 0,
+      nextBarTime,
+      timeToNextBar: nextBarTime - time,
+      phrases,
+    };
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Feature broadcast to external tools.
+ *
+ * Sends the frame a sketch renders (from getFrameAtTime), with the beats
+ * and onsets since the previous one, over a WebSocket. relay/relay.mjs
+ * re-emits it as OSC over UDP for TouchDesigner, lighting desks and the like.
+ *
+ * Off unless the page URL asks for it:
+ *
+ *   visuals/flow-field/?broadcast                       # ws://localhost:8765
+ *   visuals/flow-field/?broadcast=ws://studio.local:9999
+ *
+ *   broadcast = startBroadcast(analysisData, { onsets: onsetEvents });
+ *   broadcast?.send(frame, currentTime);   // in the render loop
+ *
+ * Messages are JSON:
+ *   { type: "hello", tempo, duration, bandNames, chromaNames }  on connecting
+ *   { type: "frame", time, frame, events }                      every rendered frame
+ * where `events` holds { type: "beat", time, beat, bar, beatInBar, beatsPerBar }
+ * and { type: "onset", time, strength, band }. The connection retries in the
+ * background, and frames are dropped while the relay is behind.
+ */
+
+import { BeatClock } from "./beat-clock.js";
+import { OnsetEvents } from "./onsets.js";
+
+export const DEFAULT_RELAY_URL = "ws://localhost:8765";
+
+const MAX_RETRY_DELAY = 10000; // ms
+const MAX_BUFFERED = 256 * 1024; // bytes queued before frames are dropped
+const MAX_EVENT_GAP = 0.5; // seconds; longer jumps are seeks, not beats
+
+/**
+ * Read the relay address requested in the page URL.
+ * @returns {string|null} WebSocket URL, or null if broadcasting wasn't asked for
+ */
+export function getRequestedRelay() {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has("broadcast")) return null;
+  const url = params.get("broadcast");
+  return url && url !== "1" ? url : DEFAULT_RELAY_URL;
+}
+
+/**
+ * The numeric features of a frame (numbers and arrays of numbers).
+ * @param {Object} frame - Frame from getFrameAtTime()
+ * @returns {Object}
+ */
+export function frameFeatures(frame) {
+  const features = {};
+  for (const [key, value] of Object.entries(frame)) {
+    if (key === "time") continue;
+    if (Number.isFinite(value) || (Array.isArray(value) && value.every(Number.isFinite))) {
+      features[key] = value;
+    }
+  }
+  return features;
+}
+
+/**
+ * Streams frames and events to a relay.
+ */
+export class FeatureBroadcaster {
+  /**
+   * @param {Object} analysis - Analysis data (for the beat grid and names)
+   * @param {Object} [options]
+   * @param {string} [options.url] - Relay WebSocket URL
+   * @param {OnsetEvents} [options.onsets] - The sketch's onset events, if it has them
+   * @param {BeatClock} [options.clock] - The sketch's beat clock, if it has one
+   * @param {Function} [options.WebSocket] - WebSocket constructor (for tests)
+   */
+  constructor(analysis, { url = DEFAULT_RELAY_URL, onsets, clock, WebSocket: Socket = globalThis.WebSocket } = {}) {
+    this.analysis = analysis;
+    this.url = url;
+    this.onsets = onsets || new OnsetEvents(analysis.frames);
+    this.clock = clock || new BeatClock(analysis);
+    this.Socket = Socket;
+    this.socket = null;
+    this.retryDelay = 500;
+    this.retryTimer = null;
+    this.closed = false;
+    this.lastTime = null;
+    this.lastBeat = null;
+    this.dropped = 0;
+    this.connect();
+  }
+
+  /** Whether the relay is connected. */
+  get open() {
+    return this.socket?.readyState === 1;
+  }
+
+  connect() {
+    const socket = new this.Socket(this.url);
+    this.socket = socket;
+
+    socket.onopen = () => {
+      console.log(`Broadcasting features to ${this.url}`);
+      this.retryDelay = 500;
+      const { tempo, duration, bandNames, chromaNames } = this.analysis;
+      socket.send(JSON.stringify({ type: "hello", tempo, duration, bandNames, chromaNames }));
+    };
+    socket.onclose = () => {
+      if (this.closed) return;
+      // Retry quietly with backoff: the relay may not be running yet
+      this.retryTimer = setTimeout(() => this.connect(), this.retryDelay);
+      this.retryDelay = Math.min(this.retryDelay * 2, MAX_RETRY_DELAY);
+    };
+    socket.onerror = () => {
+      if (this.retryDelay === 500) console.warn(`Feature relay unavailable at ${this.url}, retrying`);
+    };
+  }
+
+  /**
+   * Beats and onsets since the previous frame. Seeks start over.
+   * @param {number} time - Playback time in seconds
+   * @returns {Array<Object>}
+   */
+  eventsSince(time) {
+    const events = [];
+    const beat = this.clock.at(time);
+    const last = this.lastTime;
+    const continuous = last !== null && time > last && time - last < MAX_EVENT_GAP;
+
+    if (continuous) {
+      for (const onset of this.onsets.consumeEvents(last, time)) {
+        events.push({ type: "onset", time: onset.time, strength: onset.strength, band: onset.band });
+      }
+      if (beat.valid && beat.beat > this.lastBeat) {
+        const { beatTime, bar, beatInBar, beatsPerBar } = beat;
+        events.push({ type: "beat", time: beatTime, beat: beat.beat, bar, beatInBar, beatsPerBar });
+      }
+    }
+
+    this.lastTime = time;
+    this.lastBeat = beat.valid ? beat.beat : null;
+    return events;
+  }
+
+  /**
+   * Send a rendered frame, with the events since the previous one.
+   * Call every frame, connected or not, so events stay in step.
+   * @param {Object} frame - Frame from getFrameAtTime()
+   * @param {number} time - Playback time in seconds
+   */
+  send(frame, time) {
+    const events = this.eventsSince(time);
+    if (!this.open) return;
+    if (this.socket.bufferedAmount > MAX_BUFFERED) {
+      this.dropped++;
+      return;
+    }
+    this.socket.send(JSON.stringify({ type: "frame", time, frame: frameFeatures(frame), events }));
+  }
+
+  /** Disconnect and stop retrying. */
+  close() {
+    this.closed = true;
+    clearTimeout(this.retryTimer);
+    this.socket?.close();
+  }
+}
+
+/**
+ * Start broadcasting if the page URL asks for it (see getRequestedRelay()).
+ * @param {Object} analysis - Analysis data
+ * @param {Object} [options] - As for FeatureBroadcaster
+ * @returns {FeatureBroadcaster|null}
+ */
+export function startBroadcast(analysis, options = {}) {
+  const url = getRequestedRelay();
+  return url ? new FeatureBroadcaster(analysis, { ...options, url }) : null;
+}
@@ -0,0 +1,264 @@
+/**
+ * Calibration screen for the A/V offset of an AudioClock.
+ *
+ * Plays a click every half second through the clock's AudioContext and
+ * flashes a square when the clock says each click is heard. Two ways to
+ * line them up:
+ *
+ * - Tap along: tap the square (or press T) on the clicks you hear. The
+ *   median lag of the taps is audio latency the browser doesn't report,
+ *   and becomes the offset.
+ * - Flash + click: move the offset slider until flash and click land
+ *   together. This also takes in the display's own lag, which tapping
+ *   can't hear, so it's the finishing step.
+ *
+ * The offset is saved per device (see audio-clock.js), so a Bluetooth
+ * speaker and a projector each keep their own:
+ *
+ *   const calibration = new Calibration(clock);
+ *   calibration.open();   // from a button; pauses playback
+ */
+
+const CLICK_INTERVAL = 0.5; // seconds
+const CLICK_LENGTH = 0.03; // seconds
+const SCHEDULE_AHEAD = 0.2; // seconds of clicks queued on the context
+const FLASH_LENGTH = 0.08; // seconds the square stays lit
+const TAPS = 8; // taps averaged for an estimate
+const SLIDER_RANGE = 400; // ms either way
+
+const STYLE = `
+.calibration {
+  position: fixed;
+  top: 50%;
+  left: 50%;
+  transform: translate(-50%, -50%);
+  width: 340px;
+  background: rgba(20, 20, 30, 0.95);
+  backdrop-filter: blur(10px);
+  color: #ccc;
+  font: 12px system-ui, -apple-system, sans-serif;
+  padding: 14px;
+  border-radius: 6px;
+  z-index: 300;
+}
+.calibration[hidden] { display: none; }
+.calibration h2 { font-size: 13px; font-weight: 600; color: #fff; margin-bottom: 6px; }
+.calibration p { margin: 6px 0; line-height: 1.4; }
+.calibration .device { color: #888; }
+.calibration .flash {
+  height: 120px;
+  margin: 10px 0;
+  border-radius: 4px;
+  background: #2a2a3a;
+  cursor: pointer;
+  touch-action: manipulation;
+  user-select: none;
+}
+.calibration .flash.lit { background: #fff; }
+.calibration label { display: flex; align-items: center; gap: 6px; }
+.calibration input[type="range"] { flex: 1; }
+.calibration output { width: 56px; text-align: right; font-variant-numeric: tabular-nums; }
+.calibration .actions { display: flex; gap: 6px; margin-top: 10px; }
+.calibration .actions button { padding: 4px 8px; font-size: 12px; }
+.calibration .status { min-height: 32px; color: #8ac; }
+`;
+
+function injectStyle() {
+  if (document.getElementById("calibration-style")) return;
+  const style = document.createElement("style");
+  style.id = "calibration-style";
+  style.textContent = STYLE;
+  document.head.appendChild(style);
+}
+
+function el(tag, props = {}, children = []) {
+  const node = document.createElement(tag);
+  Object.assign(node, props);
+  for (const child of children) node.appendChild(child);
+  return node;
+}
+
+function formatMs(seconds) {
+  const ms = Math.round(seconds * 1000);
+  return `${ms > 0 ? "+" : ms < 0 ? "−" : ""}${Math.abs(ms)} ms`;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Tap-along and flash + click calibration for an AudioClock.
+ */
+export class Calibration {
+  /**
+   * @param {AudioClock} clock
+   */
+  constructor(clock) {
+    injectStyle();
+    this.clock = clock;
+    this.running = false;
+    this.clicks = []; // context times of scheduled clicks
+    this.nextClick = 0;
+    this.taps = [];
+    this.frame = null;
+
+    this.device = el("p", { className: "device" });
+    this.flash = el("div", { className: "flash", title: "Tap on the clicks you hear" });
+    this.slider = el("input", { type: "range", min: String(-SLIDER_RANGE), max: String(SLIDER_RANGE), step: "5" });
+    this.output = el("output");
+    this.status = el("p", { className: "status" });
+    this.startButton = el("button", { textContent: "Start clicks" });
+    const resetButton = el("button", { textContent: "Reset" });
+    const doneButton = el("button", { textContent: "Done" });
+
+    this.panel = el("div", { className: "calibration", hidden: true }, [
+      el("h2", { textContent: "Audio/video sync" }),
+      el("p", {
+        textContent:
+          "Start the clicks and tap the square on each one you hear, then move the slider " +
+          "until the flash lands on the click. Higher draws the visuals earlier.",
+      }),
+      this.device,
+      this.flash,
+      el("label", {}, [el("span", { textContent: "Offset" }), this.slider, this.output]),
+      this.status,
+      el("div", { className: "actions" }, [this.startButton, resetButton, doneButton]),
+    ]);
+    document.body.appendChild(this.panel);
+
+    this.startButton.addEventListener("click", () => (this.running ? this.stop() : this.start()));
+    resetButton.addEventListener("click", () => this.setOffset(0));
+    doneButton.addEventListener("click", () => this.close());
+    this.slider.addEventListener("input", () => this.setOffset(Number(this.slider.value) / 1000));
+    this.flash.addEventListener("pointerdown", (event) => this.tap(event.timeStamp));
+    document.addEventListener("keydown", (event) => {
+      if (this.panel.hidden) return;
+      if (event.code === "KeyT" && !event.repeat) {
+        this.tap(event.timeStamp);
+      } else if (event.code === "Escape") {
+        this.close();
+      }
+    });
+  }
+
+  /** Show the screen, pausing playback so the clicks are heard on their own. */
+  async open() {
+    this.clock.audio.pause();
+    this.panel.hidden = false;
+    this.showOffset();
+    this.status.textContent = "";
+    await this.clock.loadCalibration();
+    this.showOffset();
+    const latency = this.clock.reportedLatency;
+    const reported = latency > 0 ? `. Reported output latency: ${Math.round(latency * 1000)} ms` : "";
+    this.device.textContent = `Saved for: ${this.clock.device}${reported}`;
+  }
+
+  close() {
+    this.stop();
+    this.panel.hidden = true;
+  }
+
+  start() {
+    const context = this.clock.connect();
+    if (!context) {
+      this.status.textContent = "This browser has no Web Audio, so there's no audio clock to calibrate.";
+      return;
+    }
+    this.running = true;
+    this.clicks = [];
+    this.taps = [];
+    this.nextClick = context.currentTime + 0.1;
+    this.startButton.textContent = "Stop clicks";
+    this.status.textContent = `Tap along: 0 of ${TAPS}`;
+    this.frame = requestAnimationFrame(() => this.update());
+  }
+
+  stop() {
+    this.running = false;
+    if (this.frame !== null) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.flash.classList.remove("lit");
+    this.startButton.textContent = "Start clicks";
+  }
+
+  /**
+   * Set, save and show the offset.
+   * @param {number} offset - Seconds
+   */
+  setOffset(offset) {
+    this.clock.setOffset(offset);
+    this.showOffset();
+  }
+
+  showOffset() {
+    const { offset } = this.clock;
+    this.slider.value = String(Math.round(offset * 1000));
+    this.output.textContent = formatMs(offset);
+  }
+
+  // Queue the clicks coming up, and light the square on the one being "heard"
+  update() {
+    if (!this.running) return;
+    const { context } = this.clock;
+    while (this.nextClick < context.currentTime + SCHEDULE_AHEAD) {
+      this.scheduleClick(context, this.nextClick);
+      this.nextClick += CLICK_INTERVAL;
+    }
+
+    // The same sum AudioClock.now() makes for the visuals: output time plus the offset
+    const shown = this.clock.outputTime() + this.clock.offset;
+    const click = this.nearestClick(shown);
+    const lit = click !== null && shown >= click && shown - click < FLASH_LENGTH;
+    this.flash.classList.toggle("lit", lit);
+    this.frame = requestAnimationFrame(() => this.update());
+  }
+
+  scheduleClick(context, time) {
+    const osc = context.createOscillator();
+    const gain = context.createGain();
+    osc.frequency.value = 1000;
+    gain.gain.setValueAtTime(0.5, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + CLICK_LENGTH);
+    osc.connect(gain).connect(context.destination);
+    osc.start(time);
+    osc.stop(time + CLICK_LENGTH);
+    this.clicks.push(time);
+    if (this.clicks.length > 16) this.clicks.shift();
+  }
+
+  nearestClick(time) {
+    let nearest = null;
+    for (const click of this.clicks) {
+      if (nearest === null || Math.abs(click - time) < Math.abs(nearest - time)) nearest = click;
+    }
+    return nearest;
+  }
+
+  /**
+   * Record a tap, and once there are enough, set the offset from them.
+   * @param {number} timeStamp - Event time, performance.now() milliseconds
+   */
+  tap(timeStamp) {
+    if (!this.running) return;
+    const heard = this.clock.outputTime(timeStamp);
+    const click = this.nearestClick(heard);
+    if (click === null || Math.abs(heard - click) > CLICK_INTERVAL / 2) return;
+
+    this.taps.push(heard - click);
+    if (this.taps.length < TAPS) {
+      this.status.textContent = `Tap along: ${this.taps.length} of ${TAPS}`;
+      return;
+    }
+    // Taps late by the unreported latency mean the visuals should be drawn that much later
+    const lag = median(this.taps.slice(-TAPS));
+    this.setOffset(-lag);
+    this.status.textContent =
+      `Your taps land ${formatMs(lag)} from the clicks, so the offset is now ${formatMs(-lag)}. ` +
+      "Fine-tune with the slider while watching the flash.";
+    this.taps = [];
+  }
+}
@@ -0,0 +1,467 @@
+/**
+ * Live mapping editor.
+ *
+ * A collapsible side panel listing a sketch's mappings (see evaluator.js)
+ * with their source, curve, ranges and smoothing. Edits apply on the next
+ * frame, while the music plays:
+ *
+ *   mountMappingEditor(mapper, { toggle: controlsEl });
+ *
+ * Edits are saved to localStorage per sketch and restored on the next
+ * visit. Export downloads the current mappings as a preset file; Import
+ * loads one (from any sketch: mappings for targets this sketch doesn't have
+ * are skipped). Reset goes back to the sketch's own mappings.
+ *
+ * Given the sketch's settings and audio element, the panel also lists the
+ * settings and offers Share, which puts the settings, changed mappings and
+ * playback time into the URL hash (see share.js). Mappings from a shared
+ * link take precedence over saved ones.
+ *
+ * Given MIDI controls (see midi.js), settings a knob can change apply as
+ * they're edited and get a learn button, and the sketch's MIDI triggers are
+ * listed with theirs.
+ */
+
+import { CURVES } from "./evaluator.js";
+import { factorToTimeConstant } from "./utils.js";
+import { readSharedMappings, readSharedSeed, buildShareHash, updateShareLink } from "./share.js";
+
+const STORAGE_PREFIX = "arv:mappings:";
+// Version 2: smoothing is a time constant in ms (version 1: a per-frame factor)
+const PRESET_VERSION = 2;
+
+const STYLE = `
+.mapping-editor {
+  position: fixed;
+  top: 0;
+  right: 0;
+  bottom: 0;
+  width: 320px;
+  overflow-y: auto;
+  background: rgba(20, 20, 30, 0.92);
+  backdrop-filter: blur(10px);
+  color: #ccc;
+  font: 12px system-ui, -apple-system, sans-serif;
+  padding: 12px;
+  z-index: 200;
+  transform: translateX(100%);
+  transition: transform 0.2s;
+}
+.mapping-editor.open { transform: none; }
+.mapping-editor h2 { font-size: 13px; font-weight: 600; color: #fff; margin-bottom: 8px; }
+.mapping-editor .actions { display: flex; gap: 6px; margin-bottom: 10px; }
+.mapping-editor .actions button { padding: 4px 8px; font-size: 12px; }
+.mapping-editor .settings button { margin-top: 4px; padding: 4px 8px; font-size: 12px; }
+.mapping-editor .settings label > span { width: 110px; overflow: hidden; text-overflow: ellipsis; }
+.mapping-editor button.midi-learn { flex: none; margin: 0; padding: 1px 6px; font-size: 11px; }
+.mapping-editor button.midi-learn.learning { border-color: #c88; color: #c88; }
+.mapping-editor .status { color: #c88; min-height: 14px; margin-bottom: 6px; white-space: pre-line; }
+.mapping-editor fieldset { border: none; border-top: 1px solid #333; padding: 8px 0; }
+.mapping-editor legend { color: #fff; font-weight: 600; padding-right: 6px; }
+.mapping-editor label { display: flex; align-items: center; gap: 6px; margin: 3px 0; }
+.mapping-editor label > span { width: 64px; color: #888; }
+.mapping-editor input, .mapping-editor select {
+  background: #2a2a3a;
+  color: #fff;
+  border: 1px solid #3a3a4a;
+  border-radius: 3px;
+  padding: 2px 4px;
+  font-size: 12px;
+  min-width: 0;
+  flex: 1;
+}
+.mapping-editor input[type="range"], .mapping-editor input[type="checkbox"] { padding: 0; }
+.mapping-editor input.invalid, .mapping-editor select.invalid { border-color: #c55; }
+.mapping-editor output { width: 36px; text-align: right; font-variant-numeric: tabular-nums; }
+`;
+
+function injectStyle() {
+  if (document.getElementById("mapping-editor-style")) return;
+  const style = document.createElement("style");
+  style.id = "mapping-editor-style";
+  style.textContent = STYLE;
+  document.head.appendChild(style);
+}
+
+/**
+ * Sketch name from the page URL: visuals/<name>/
+ * @returns {string}
+ */
+export function sketchName() {
+  const parts = window.location.pathname.split("/").filter(Boolean);
+  if (parts[parts.length - 1]?.includes(".")) parts.pop();
+  return parts[parts.length - 1] || "sketch";
+}
+
+function el(tag, props = {}, children = []) {
+  const node = document.createElement(tag);
+  Object.assign(node, props);
+  for (const child of children) node.appendChild(child);
+  return node;
+}
+
+function labeled(text, ...inputs) {
+  return el("label", {}, [el("span", { textContent: text }), ...inputs]);
+}
+
+function numberInput(value, step) {
+  return el("input", { type: "number", value: String(value), step: String(step) });
+}
+
+function select(options, value) {
+  const node = el("select");
+  for (const option of options) {
+    node.appendChild(el("option", { value: option, textContent: option, selected: option === value }));
+  }
+  return node;
+}
+
+function settingInput(value) {
+  if (typeof value === "boolean") {
+    return el("input", { type: "checkbox", checked: value });
+  }
+  if (typeof value === "number") {
+    return numberInput(value, "any");
+  }
+  return el("input", { type: "text", value });
+}
+
+function settingValue(input, fallback) {
+  if (typeof fallback === "boolean") return input.checked;
+  if (typeof fallback === "number") return Number(input.value);
+  return input.value;
+}
+
+/**
+ * Bring mappings saved by an older version up to date.
+ * @param {Array<Object>} mappings
+ * @param {number} version - Version they were saved with
+ * @returns {Array<Object>}
+ */
+export function migrateMappings(mappings, version) {
+  if (version >= 2) return mappings;
+  return mappings.map((mapping) => {
+    if (!Number.isFinite(mapping?.smoothing)) return mapping;
+    return { ...mapping, smoothing: Math.round(factorToTimeConstant(mapping.smoothing)) };
+  });
+}
+
+/**
+ * Read saved mappings for a sketch.
+ * @param {string} name - Sketch name
+ * @returns {Array<Object>|null} Saved mappings, or null if none (or storage is unavailable)
+ */
+export function loadSavedMappings(name) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_PREFIX + name));
+    // Version 1 saved a bare list
+    if (Array.isArray(saved)) return migrateMappings(saved, 1);
+    return Array.isArray(saved?.mappings) ? migrateMappings(saved.mappings, saved.version) : null;
+  } catch (err) {
+    console.warn(`Saved mappings for ${name} unavailable (${err.message})`);
+    return null;
+  }
+}
+
+/**
+ * Save a sketch's mappings, or forget them (null).
+ * @param {string} name - Sketch name
+ * @param {Array<Object>|null} mappings
+ */
+export function saveMappings(name, mappings) {
+  try {
+    if (mappings) {
+      localStorage.setItem(STORAGE_PREFIX + name, JSON.stringify({ version: PRESET_VERSION, mappings }));
+    } else {
+      localStorage.removeItem(STORAGE_PREFIX + name);
+    }
+  } catch (err) {
+    console.warn(`Could not save mappings for ${name} (${err.message})`);
+  }
+}
+
+/**
+ * Read the mappings out of a preset file's contents, migrated to the
+ * current version. Presets without a version are read as version 1.
+ * @param {string} text - File contents: { sketch, version, mappings } or a bare array
+ * @returns {Array<Object>}
+ * @throws {Error} If the file isn't a mapping preset
+ */
+export function parsePreset(text) {
+  let preset;
+  try {
+    preset = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Preset is not valid JSON (${err.message})`);
+  }
+  const mappings = Array.isArray(preset) ? preset : preset?.mappings;
+  if (!Array.isArray(mappings)) {
+    throw new Error("Preset has no mappings list");
+  }
+  return migrateMappings(mappings, preset.version ?? 1);
+}
+
+/**
+ * Mount the mapping editor for a sketch.
+ * Saved mappings are applied to the evaluator straight away.
+ * @param {MappingEvaluator} mapper - The sketch's evaluator
+ * @param {Object} [options]
+ * @param {HTMLElement} [options.toggle] - Controls bar to add the open/close button to
+ * @param {string} [options.name] - Storage and preset name (default: the sketch's directory)
+ * @param {Object} [options.settings] - { values, defaults }: the sketch's settings (see share.js)
+ * @param {HTMLAudioElement} [options.audio] - Audio element, for the playback time in shared links
+ * @param {MidiControls} [options.midi] - The sketch's MIDI knobs and triggers
+ * @returns {Object} { panel, refresh } - refresh() redraws the panel after outside changes
+ */
+export function mountMappingEditor(mapper, { toggle, name = sketchName(), settings, audio, midi } = {}) {
+  injectStyle();
+
+  // Saved bindings mean a controller is expected, so connect straight away
+  if (midi && !midi.connected && midi.bindings.size > 0) {
+    midi.connect().catch((err) => console.warn(`MIDI unavailable (${err.message})`));
+  }
+
+  const status = el("div", { className: "status" });
+
+  // A shared link describes every change from mappings.js, so saved edits don't apply
+  const shared = readSharedMappings();
+  const saved = shared ? null : loadSavedMappings(name);
+  if (shared || saved) {
+    const skipped = mapper.load(shared || saved);
+    for (const reason of skipped) {
+      console.warn(`${shared ? "Shared" : "Saved"} mapping skipped: ${reason}`);
+    }
+    if (shared) {
+      status.textContent = "Mappings from a shared link (edits are saved as usual)";
+    }
+  }
+
+  const list = el("div");
+  const fileInput = el("input", { type: "file", accept: ".json,application/json" });
+  fileInput.style.display = "none";
+
+  const save = () => saveMappings(name, mapper.spec);
+
+  const exportButton = el("button", { textContent: "Export" });
+  exportButton.addEventListener("click", () => {
+    const preset = { sketch: name, version: PRESET_VERSION, mappings: mapper.spec };
+    const blob = new Blob([JSON.stringify(preset, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = el("a", { href: url, download: `${name}-mappings.json` });
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+
+  const importButton = el("button", { textContent: "Import" });
+  importButton.addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", async () => {
+    const file = fileInput.files[0];
+    fileInput.value = "";
+    if (!file) return;
+    try {
+      const skipped = mapper.load(parsePreset(await file.text()));
+      status.textContent = skipped.length > 0 ? `Skipped:\n${skipped.join("\n")}` : "";
+      save();
+      refresh();
+    } catch (err) {
+      status.textContent = err.message;
+    }
+  });
+
+  const resetButton = el("button", { textContent: "Reset" });
+  resetButton.addEventListener("click", () => {
+    mapper.reset();
+    saveMappings(name, null);
+    status.textContent = "";
+    refresh();
+  });
+
+  const shareState = (values = settings?.values) => ({
+    settings: values,
+    defaults: settings?.defaults,
+    mapper,
+    time: audio?.currentTime,
+    seed: readSharedSeed(),
+  });
+
+  const shareButton = el("button", { textContent: "Share", title: "Copy a link to this configuration and moment" });
+  shareButton.addEventListener("click", async () => {
+    const link = updateShareLink(shareState());
+    try {
+      await navigator.clipboard.writeText(link);
+      status.textContent = "Link copied";
+    } catch {
+      status.textContent = "Link is in the address bar";
+    }
+  });
+
+  const panel = el("aside", { className: "mapping-editor" }, [
+    el("h2", { textContent: "Mappings" }),
+    el("div", { className: "actions" }, [exportButton, importButton, resetButton, shareButton, fileInput]),
+    status,
+    ...(settings ? [settingsFields()] : []),
+    ...(midi && Object.keys(midi.triggers).length > 0 ? [triggerFields()] : []),
+    list,
+  ]);
+  document.body.appendChild(panel);
+
+  // Apply a change from one of a mapping's inputs, flagging it if invalid
+  const apply = (target, input, changes) => {
+    try {
+      mapper.update(target, changes);
+      input.classList.remove("invalid");
+      input.title = "";
+      status.textContent = "";
+      save();
+    } catch (err) {
+      input.classList.add("invalid");
+      input.title = err.message;
+    }
+  };
+
+  function mappingFields(mapping) {
+    const { target } = mapping;
+    const sources = [...mapper.sourceNames, ...mapper.derivedSourceNames];
+    if (!sources.includes(mapping.source)) sources.unshift(mapping.source);
+
+    const source = select(sources, mapping.source);
+    source.addEventListener("change", () => apply(target, source, { source: source.value }));
+
+    const curve = select(Object.keys(CURVES), mapping.curve);
+    const exponent = numberInput(mapping.exponent, 0.1);
+    const exponentRow = labeled("exponent", exponent);
+    exponentRow.style.display = mapping.curve === "power" ? "" : "none";
+    curve.addEventListener("change", () => {
+      exponentRow.style.display = curve.value === "power" ? "" : "none";
+      apply(target, curve, { curve: curve.value });
+    });
+    exponent.addEventListener("input", () => apply(target, exponent, { exponent: Number(exponent.value) }));
+
+    const range = (field, values) => {
+      const inputs = values.map((value) => numberInput(value, "any"));
+      for (const input of inputs) {
+        input.addEventListener("input", () => {
+          apply(target, input, { [field]: inputs.map((i) => Number(i.value)) });
+        });
+      }
+      return inputs;
+    };
+
+    const smoothing = el("input", { type: "range", min: "0", max: "1000", step: "5", value: String(mapping.smoothing) });
+    const smoothingValue = el("output", { textContent: String(mapping.smoothing) });
+    smoothing.addEventListener("input", () => {
+      smoothingValue.textContent = smoothing.value;
+      apply(target, smoothing, { smoothing: Number(smoothing.value) });
+    });
+
+    // Blank attack/release use the smoothing time constant
+    const envelope = ["attack", "release"].map((field) => {
+      const input = el("input", { type: "number", min: "0", step: "5", placeholder: "= smoothing" });
+      input.value = mapping[field] === null ? "" : String(mapping[field]);
+      input.addEventListener("input", () => {
+        apply(target, input, { [field]: input.value === "" ? null : Number(input.value) });
+      });
+      return input;
+    });
+
+    return el("fieldset", {}, [
+      el("legend", { textContent: target }),
+      labeled("source", source),
+      labeled("curve", curve),
+      exponentRow,
+      labeled("input", ...range("input", mapping.input)),
+      labeled("output", ...range("output", mapping.output)),
+      labeled("smoothing", smoothing, smoothingValue),
+      labeled("att / rel", ...envelope),
+    ]);
+  }
+
+  // Settings size things at startup (particle counts, grids), so they apply on reload
+  function settingsFields() {
+    const { values, defaults } = settings;
+    const inputs = {};
+    const rows = Object.entries(values).map(([key, value]) => {
+      const input = settingInput(value);
+      inputs[key] = input;
+      if (!midi || !(key in midi.params)) {
+        return labeled(key, input);
+      }
+
+      // The sketch reads knob-controlled settings every frame, so they apply straight away
+      input.addEventListener("input", () => {
+        if (input.value !== "") values[key] = Number(input.value);
+      });
+      midi.subscribe((type, target, changed) => {
+        if (type === "change" && target === key) input.value = String(changed);
+      });
+      return labeled(key, input, learnButton(key));
+    });
+
+    const applyButton = el("button", { textContent: "Apply (reloads)" });
+    applyButton.addEventListener("click", () => {
+      const edited = {};
+      for (const [key, input] of Object.entries(inputs)) {
+        edited[key] = settingValue(input, defaults[key]);
+      }
+      window.location.hash = buildShareHash(shareState(edited));
+      window.location.reload();
+    });
+
+    return el("fieldset", { className: "settings" }, [
+      el("legend", { textContent: "Settings" }),
+      ...rows,
+      applyButton,
+    ]);
+  }
+
+  function triggerFields() {
+    const rows = Object.keys(midi.triggers).map((trigger) => labeled(trigger, learnButton(trigger)));
+    return el("fieldset", { className: "settings" }, [el("legend", { textContent: "MIDI triggers" }), ...rows]);
+  }
+
+  // Shows the bound control; click, then move a knob or hit a pad to bind one
+  function learnButton(target) {
+    const waiting = target in midi.params ? "move a knob" : "hit a pad";
+    const button = el("button", { className: "midi-learn", title: "MIDI learn (Alt-click to unbind)" });
+    const show = () => {
+      const learning = midi.learning === target;
+      button.textContent = learning ? waiting : midi.describe(target) || "learn";
+      button.classList.toggle("learning", learning);
+    };
+    button.addEventListener("click", async (event) => {
+      if (event.altKey) {
+        midi.unbind(target);
+        return;
+      }
+      if (midi.learning === target) {
+        midi.cancelLearn();
+        return;
+      }
+      try {
+        if (!midi.connected) await midi.connect();
+        midi.learn(target);
+        show();
+      } catch (err) {
+        status.textContent = err.message;
+      }
+    });
+    midi.subscribe((type, learned) => {
+      if ((type === "learn" || type === "bind") && learned === target) show();
+    });
+    show();
+    return button;
+  }
+
+  function refresh() {
+    list.replaceChildren(...mapper.spec.map(mappingFields));
+  }
+  refresh();
+
+  if (toggle) {
+    const button = el("button", { textContent: "Mappings", title: "Edit mappings" });
+    button.addEventListener("click", () => panel.classList.toggle("open"));
+    toggle.appendChild(button);
+  }
+
+  return { panel, refresh };
+}
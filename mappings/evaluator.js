@@ -0,0 +1,300 @@
+/**
+ * Declarative feature-to-parameter mappings.
+ *
+ * Each sketch lists its mappings as data (visuals/<name>/mappings.js)
+ * instead of writing map() calls into its render loop, so trying a
+ * different mapping is a config change:
+ *
+ *   { target: "hue", source: "centroid", curve: "linear",
+ *     input: [0, 1], output: [220, 30], smoothing: 160 }
+ *
+ * Every frame, each mapping reads its source, smooths it (a time constant
+ * in ms, 0 for none; `attack` and `release` override it for rising and
+ * falling values), normalizes it through `input`, shapes it with the curve
+ * and scales it to `output`:
+ *
+ *   const mapper = new MappingEvaluator(MAPPINGS, analysisData);
+ *   const params = mapper.evaluate(frame, dt);   // { hue: 184.2, ... }
+ *
+ * Sources are scalar frame fields ("rms", "centroid"), bands by name
+ * ("bass") or index ("bands.1"), chroma entries ("chroma.9"),
+ * "dominantPitch" (0-11), derived channels ("rms.local", when given a
+ * FeatureStream) and any sources the sketch registers itself.
+ *
+ * Mappings can be changed while the sketch runs (update(), load(),
+ * reset()); the mapping editor (editor.js) does this from its panel.
+ */
+
+import { lerp, clamp, power, easeInOut, getDominantPitch, smoothingFactor, REFERENCE_FPS } from "./utils.js";
+import { DERIVATIONS } from "./feature-stream.js";
+
+const SCALAR_FEATURES = ["rms", "centroid", "contrast", "onset", "harmonic", "percussive"];
+
+/**
+ * Curve shapes, applied to the source normalized to 0-1.
+ *   linear    - proportional
+ *   power     - t^exponent: above 1 holds quiet values down, below 1 lifts them
+ *   easeInOut - S-curve, flat at both ends
+ */
+export const CURVES = {
+  linear: (t) => t,
+  power: (t, mapping) => power(t, mapping.exponent),
+  easeInOut: (t) => easeInOut(t),
+};
+
+function isRange(range) {
+  return Array.isArray(range) && range.length === 2 && range.every(Number.isFinite);
+}
+
+function isTimeConstant(value) {
+  return Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Check a mapping and fill in its defaults.
+ * @param {Object} mapping - { target, source, curve?, exponent?, input?, output?,
+ *   smoothing?, attack?, release? }
+ * @returns {Object} The mapping with every field set
+ */
+export function normalizeMapping(mapping) {
+  const {
+    target,
+    source,
+    curve = "linear",
+    exponent = 1,
+    input = [0, 1],
+    output = [0, 1],
+    smoothing = 0,
+    attack = null,
+    release = null,
+  } = mapping;
+  const name = target ? `Mapping "${target}"` : "Mapping";
+
+  if (typeof target !== "string" || !target) {
+    throw new Error(`${name} needs a target parameter name`);
+  }
+  if (typeof source !== "string" || !source) {
+    throw new Error(`${name} needs a source feature`);
+  }
+  if (!(curve in CURVES)) {
+    throw new Error(`${name} has unknown curve "${curve}" (have: ${Object.keys(CURVES).join(", ")})`);
+  }
+  if (!Number.isFinite(exponent) || exponent <= 0) {
+    throw new Error(`${name} needs a positive exponent, got ${exponent}`);
+  }
+  if (!isRange(input) || input[0] === input[1]) {
+    throw new Error(`${name} needs an input range of two different numbers, got ${JSON.stringify(input)}`);
+  }
+  if (!isRange(output)) {
+    throw new Error(`${name} needs an output range of two numbers, got ${JSON.stringify(output)}`);
+  }
+  if (!isTimeConstant(smoothing)) {
+    throw new Error(`${name} needs smoothing of 0 ms or more, got ${smoothing}`);
+  }
+  for (const [field, value] of [["attack", attack], ["release", release]]) {
+    if (value !== null && !isTimeConstant(value)) {
+      throw new Error(`${name} needs ${field} of 0 ms or more (or null to use smoothing), got ${value}`);
+    }
+  }
+
+  return {
+    target,
+    source,
+    curve,
+    exponent,
+    input: [...input],
+    output: [...output],
+    smoothing,
+    attack,
+    release,
+  };
+}
+
+/**
+ * Map an (already smoothed) source value through a mapping's input range,
+ * curve and output range.
+ * @param {Object} mapping - Normalized mapping
+ * @param {number} value - Source value
+ * @returns {number}
+ */
+export function applyMapping(mapping, value) {
+  const [inMin, inMax] = mapping.input;
+  const [outMin, outMax] = mapping.output;
+  const t = clamp((value - inMin) / (inMax - inMin), 0, 1);
+  return outMin + CURVES[mapping.curve](t, mapping) * (outMax - outMin);
+}
+
+/**
+ * Evaluates one sketch's mappings frame by frame.
+ */
+export class MappingEvaluator {
+  /**
+   * @param {Array<Object>} spec - The sketch's mappings
+   * @param {Object} analysis - Analysis data (for band names)
+   * @param {Object} [options]
+   * @param {FeatureStream} [options.features] - Enables derived sources like "rms.local"
+   * @param {Object} [options.sources] - Extra sources by name, each
+   *   `(frame) => number`, for values the sketch computes itself
+   */
+  constructor(spec, analysis, { features, sources = {} } = {}) {
+    this.bandNames = analysis.bandNames || [];
+    this.features = features || null;
+    this.sources = sources;
+
+    this.defaults = spec.map(normalizeMapping);
+    const seen = new Set();
+    for (const { target } of this.defaults) {
+      if (seen.has(target)) {
+        throw new Error(`Mapping "${target}" is defined twice`);
+      }
+      seen.add(target);
+    }
+
+    this.reset();
+  }
+
+  /** The current mappings, with every field set (copies; change them with update()). */
+  get spec() {
+    return this.mappings.map((m) => ({ ...m, input: [...m.input], output: [...m.output] }));
+  }
+
+  /** Channels available when the evaluator has a FeatureStream, e.g. "rms.local". */
+  get derivedSourceNames() {
+    return this.features ? this.features.channels.filter((name) => name.includes(".")) : [];
+  }
+
+  /**
+   * Change one mapping. The target can't change, since the sketch reads
+   * its parameters by target name.
+   * @param {string} target - Target parameter of the mapping to change
+   * @param {Object} changes - Fields to replace, e.g. { curve: "power", exponent: 2 }
+   * @returns {Object} The updated mapping
+   * @throws {Error} For unknown targets or invalid changes (the mapping is left as it was)
+   */
+  update(target, changes) {
+    const index = this.mappings.findIndex((m) => m.target === target);
+    if (index < 0) {
+      throw new Error(`No mapping targets "${target}"`);
+    }
+    const previous = this.mappings[index];
+    const mapping = normalizeMapping({ ...previous, ...changes, target });
+    this.readers[index] = this.reader(mapping.source);
+    this.mappings[index] = mapping;
+
+    // Smoothed values of another source would blend two features
+    if (mapping.source !== previous.source) {
+      this.values[index] = null;
+    }
+    return mapping;
+  }
+
+  /**
+   * Apply a list of mappings by target, e.g. a saved preset. Mappings for
+   * targets this sketch doesn't have, and invalid ones, are skipped.
+   * @param {Array<Object>} mappings
+   * @returns {Array<string>} Why each skipped mapping was skipped
+   */
+  load(mappings) {
+    const skipped = [];
+    for (const mapping of mappings) {
+      try {
+        this.update(mapping?.target, mapping);
+      } catch (err) {
+        skipped.push(err.message);
+      }
+    }
+    return skipped;
+  }
+
+  /** Go back to the sketch's own mappings. */
+  reset() {
+    this.mappings = this.defaults.map((m) => ({ ...m, input: [...m.input], output: [...m.output] }));
+    this.readers = this.mappings.map((m) => this.reader(m.source));
+    this.clearSmoothing();
+  }
+
+  /** Forget the smoothed values, keeping the mappings (e.g. before replaying after a seek). */
+  clearSmoothing() {
+    this.values = this.mappings.map(() => null);
+  }
+
+  /** A copy of the smoothed values, for restoreSmoothing(). */
+  saveSmoothing() {
+    return [...this.values];
+  }
+
+  /**
+   * Put back smoothed values from saveSmoothing().
+   * @param {Array<number|null>} values
+   */
+  restoreSmoothing(values) {
+    this.values = values.length === this.mappings.length ? [...values] : this.mappings.map(() => null);
+  }
+
+  /**
+   * Named sources a mapping can use. Also valid: "bands.<i>", "chroma.<i>"
+   * and, with a FeatureStream, "<feature>.<derivation>".
+   */
+  get sourceNames() {
+    return [...SCALAR_FEATURES, ...this.bandNames, "dominantPitch", ...Object.keys(this.sources)];
+  }
+
+  // Function reading a source from a frame; throws for unknown sources
+  reader(source) {
+    if (source in this.sources) {
+      return this.sources[source];
+    }
+    if (SCALAR_FEATURES.includes(source)) {
+      return (frame) => frame[source];
+    }
+    if (source === "dominantPitch") {
+      return (frame) => getDominantPitch(frame.chroma);
+    }
+
+    const band = this.bandNames.indexOf(source);
+    if (band >= 0) {
+      return (frame) => frame.bands[band];
+    }
+
+    const [field, suffix] = source.split(".");
+    if ((field === "bands" || field === "chroma") && /^\d+$/.test(suffix)) {
+      const index = Number(suffix);
+      return (frame) => frame[field][index];
+    }
+    if (DERIVATIONS.includes(suffix) && this.features) {
+      // Throws now, rather than every frame, if the feature doesn't exist
+      this.features.get(source, 0);
+      return (frame) => this.features.get(source, frame.time) ?? 0;
+    }
+
+    const derived = this.features ? `, <feature>.${DERIVATIONS.join("|")}` : "";
+    throw new Error(
+      `Unknown mapping source "${source}" (have: ${this.sourceNames.join(", ")}, bands.<i>, chroma.<i>${derived})`
+    );
+  }
+
+  /**
+   * Evaluate every mapping for a frame.
+   * @param {Object} frame - Frame from getFrameAtTime()
+   * @param {number} [dt] - Seconds since the previous frame (see createFrameTimer)
+   * @returns {Object} Parameter values by target name
+   */
+  evaluate(frame, dt = 1 / REFERENCE_FPS) {
+    const params = {};
+    this.mappings.forEach((mapping, i) => {
+      // Smoothing state lives here rather than in a createEnvelopeFollower,
+      // so changing a mapping's smoothing doesn't restart it
+      const value = this.readers[i](frame);
+      const previous = this.values[i];
+      if (previous === null) {
+        this.values[i] = value;
+      } else {
+        const envelope = value > previous ? mapping.attack : mapping.release;
+        const timeConstant = envelope ?? mapping.smoothing;
+        this.values[i] = lerp(previous, value, smoothingFactor(timeConstant, dt));
+      }
+      params[mapping.target] = applyMapping(mapping, this.values[i]);
+    });
+    return params;
+  }
+}
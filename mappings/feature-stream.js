@@ -0,0 +1,242 @@
+/**
+ * Derived feature channels.
+ *
+ * The analysis normalizes each feature min-max over the whole track, so a
+ * quiet intro sits near 0 and a loud section stays pinned near 1. A
+ * FeatureStream derives extra channels per frame once, as frames load, so
+ * sketches don't each keep their own history buffers:
+ *
+ *   <feature>.delta     change per second
+ *   <feature>.mean      rolling mean over the last `window` seconds
+ *   <feature>.variance  rolling variance over the same window
+ *   <feature>.rank      percentile rank among all loaded frames (0-1)
+ *   <feature>.local     sliding-window AGC: 0-1 within the last `agcWindow` seconds
+ *
+ * Features are the scalar frame fields (rms, centroid, contrast, onset,
+ * harmonic, percussive) and the bands by name (sub_bass, bass, ... brilliance):
+ *
+ *   const features = new FeatureStream(analysisData);
+ *   const level = features.get("rms.local", audio.currentTime);
+ *   const kick = features.get("bass.delta", audio.currentTime);
+ *
+ * All windows look backwards only, so channels mean the same thing for
+ * files and for live input.
+ */
+
+import { clamp } from "./utils.js";
+
+const SCALAR_FEATURES = ["rms", "centroid", "contrast", "onset", "harmonic", "percussive"];
+
+/** Derived channel names, as used after the dot. */
+export const DERIVATIONS = ["delta", "mean", "variance", "rank", "local"];
+
+// Live frames are trimmed past this many (long sessions); a file's are all kept
+const MAX_BUFFERED = 1 << 16;
+
+/**
+ * One feature's values and derived channels.
+ * Indices are absolute frame counts; `offset` of them have been trimmed.
+ */
+class Series {
+  constructor(read, { window, agcWindow, agcFloor }) {
+    this.read = read;
+    this.window = window;
+    this.agcWindow = agcWindow;
+    this.agcFloor = agcFloor;
+
+    this.values = [];
+    this.delta = [];
+    this.mean = [];
+    this.variance = [];
+    this.local = [];
+
+    // Rolling sums over the window
+    this.windowStart = 0;
+    this.sum = 0;
+    this.sumSq = 0;
+
+    // Monotonic deques of indices for the AGC window's min and max
+    this.minQueue = [];
+    this.maxQueue = [];
+
+    // Sorted values for percentile rank, rebuilt as frames load
+    this.sorted = [];
+  }
+
+  value(index, offset) {
+    return this.values[index - offset];
+  }
+
+  push(index, frame, times, offset) {
+    const time = times[index - offset];
+    const value = this.read(frame);
+    this.values.push(value);
+
+    const prevIndex = index - 1 - offset;
+    this.delta.push(prevIndex >= 0 ? (value - this.values[prevIndex]) / Math.max(1e-6, time - times[prevIndex]) : 0);
+
+    // Rolling mean/variance
+    this.sum += value;
+    this.sumSq += value * value;
+    while (times[this.windowStart - offset] <= time - this.window) {
+      const old = this.value(this.windowStart, offset);
+      this.sum -= old;
+      this.sumSq -= old * old;
+      this.windowStart++;
+    }
+    const n = index - this.windowStart + 1;
+    const mean = this.sum / n;
+    this.mean.push(mean);
+    this.variance.push(Math.max(0, this.sumSq / n - mean * mean));
+
+    // Sliding min/max for AGC
+    const { minQueue, maxQueue } = this;
+    while (minQueue.length && this.value(minQueue[minQueue.length - 1], offset) >= value) minQueue.pop();
+    while (maxQueue.length && this.value(maxQueue[maxQueue.length - 1], offset) <= value) maxQueue.pop();
+    minQueue.push(index);
+    maxQueue.push(index);
+    while (times[minQueue[0] - offset] <= time - this.agcWindow) minQueue.shift();
+    while (times[maxQueue[0] - offset] <= time - this.agcWindow) maxQueue.shift();
+    const low = this.value(minQueue[0], offset);
+    const high = this.value(maxQueue[0], offset);
+    this.local.push(clamp((value - low) / Math.max(this.agcFloor, high - low), 0, 1));
+  }
+
+  trim(count) {
+    for (const key of ["values", "delta", "mean", "variance", "local"]) {
+      this[key].splice(0, count);
+    }
+  }
+
+  // Fraction of loaded values at or below a value
+  rank(value, final) {
+    const { values, sorted } = this;
+    // Re-sort once loading has grown by a tenth, and once at the end
+    if (sorted.length === 0 || values.length > sorted.length * 1.1 || (final && sorted.length !== values.length)) {
+      this.sorted = Float64Array.from(values).sort();
+    }
+
+    let low = 0;
+    let high = this.sorted.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.sorted[mid] <= value) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return this.sorted.length > 0 ? low / this.sorted.length : 0;
+  }
+}
+
+/**
+ * Derived channels over one track's frames.
+ */
+export class FeatureStream {
+  /**
+   * @param {Object} analysis - Analysis data (frames may still be loading, or live)
+   * @param {Object} [options]
+   * @param {number} [options.window=2] - Seconds for the rolling mean and variance
+   * @param {number} [options.agcWindow=8] - Seconds the `local` channel normalizes over
+   * @param {number} [options.agcFloor=0.05] - Smallest range `local` stretches to,
+   *   so near-silence isn't amplified to full scale
+   */
+  constructor(analysis, { window = 2, agcWindow = 8, agcFloor = 0.05 } = {}) {
+    this.frames = analysis.frames;
+    this.times = [];
+    this.offset = 0;
+    this.series = new Map();
+
+    const options = { window, agcWindow, agcFloor };
+    for (const name of SCALAR_FEATURES) {
+      this.series.set(name, new Series((frame) => frame[name], options));
+    }
+    (analysis.bandNames || []).forEach((name, i) => {
+      this.series.set(name, new Series((frame) => frame.bands[i], options));
+    });
+  }
+
+  /** Every channel name this stream can answer, e.g. "rms.local". */
+  get channels() {
+    const names = [];
+    for (const feature of this.series.keys()) {
+      names.push(feature, ...DERIVATIONS.map((d) => `${feature}.${d}`));
+    }
+    return names;
+  }
+
+  /** Derive channels for frames that arrived since the last call. */
+  update() {
+    const { frames, times } = this;
+    if (!frames || frames.length === 0) return;
+
+    // Go by time: live frames drop old ones from the front
+    const lastTime = times.length > 0 ? times[times.length - 1] : -Infinity;
+    let start = frames.length;
+    while (start > 0 && frames[start - 1].time > lastTime) start--;
+
+    for (let i = start; i < frames.length; i++) {
+      const frame = frames[i];
+      const index = this.offset + times.length;
+      times.push(frame.time);
+      for (const series of this.series.values()) {
+        series.push(index, frame, times, this.offset);
+      }
+    }
+
+    // A file is queried anywhere on its timeline, so only live input forgets
+    if (frames.live && times.length > MAX_BUFFERED) {
+      const drop = times.length - MAX_BUFFERED / 2;
+      times.splice(0, drop);
+      for (const series of this.series.values()) series.trim(drop);
+      this.offset += drop;
+    }
+  }
+
+  /**
+   * A channel's value at a time, interpolated between frames.
+   * @param {string} name - Feature ("rms", "bass") or derived channel ("rms.local", "bass.delta")
+   * @param {number} time - Time in seconds
+   * @returns {number|null} Value, or null before any frame has loaded
+   */
+  get(name, time) {
+    this.update();
+    const [feature, derivation] = name.split(".");
+    const series = this.series.get(feature);
+    if (!series) {
+      throw new Error(`Unknown feature channel "${name}" (have: ${[...this.series.keys()].join(", ")})`);
+    }
+    if (derivation && !DERIVATIONS.includes(derivation)) {
+      throw new Error(`Unknown derivation "${derivation}" in "${name}" (have: ${DERIVATIONS.join(", ")})`);
+    }
+
+    const { times } = this;
+    if (times.length === 0) return null;
+
+    if (derivation === "rank") {
+      const final = !this.frames.live && this.frames.complete !== false;
+      return series.rank(this.interpolate(series.values, time), final);
+    }
+    return this.interpolate(derivation ? series[derivation] : series.values, time);
+  }
+
+  // Linear interpolation of a per-frame array at a time
+  interpolate(values, time) {
+    const { times } = this;
+    let low = 0;
+    let high = times.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (times[mid] <= time) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    if (low >= times.length - 1 || time <= times[low]) return values[low];
+    const t = (time - times[low]) / (times[low + 1] - times[low]);
+    return values[low] + (values[low + 1] - values[low]) * t;
+  }
+}
@@ -0,0 +1,307 @@
+/**
+ * Chord and key detection from chroma.
+ *
+ * Chords: every ~0.1 s block of chroma is correlated with 24 triad templates
+ * (major and minor on each root); "N" (no chord) scores a fixed threshold, so
+ * it wins where no triad fits or there is no harmonic content. A Viterbi pass
+ * picks the most likely chord sequence given that chords tend to persist.
+ * This is what keeps the chord from flickering the way the per-frame argmax
+ * of getDominantPitch() does.
+ *
+ * Keys: chroma summed over the whole track (global key) or a sliding
+ * window (local key) is correlated with the Krumhansl-Kessler key profiles.
+ *
+ * The loader runs this once the analysis has fully loaded and stores the
+ * result as `analysis.harmony` (null until then, and for live input):
+ *
+ *   const chord = getChordAtTime(analysisData.harmony, t);   // { name: "Am", root: 9, ... }
+ *   const key = getKeyAtTime(analysisData.harmony, t);       // { name: "A minor", tonic: 9, ... }
+ *   const degree = scaleDegree(chord.root, key);             // semitones above the tonic
+ */
+
+const BLOCK_SECONDS = 0.1;
+
+// Krumhansl-Kessler key profiles, tonic first
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const DEFAULT_CHROMA_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+// Chord templates: 12 major, 12 minor, then no-chord
+function chordTemplates(chromaNames) {
+  const templates = [];
+  for (const quality of ["maj", "min"]) {
+    const third = quality === "maj" ? 4 : 3;
+    for (let root = 0; root < 12; root++) {
+      const vector = new Array(12).fill(0);
+      vector[root] = 1;
+      vector[(root + third) % 12] = 1;
+      vector[(root + 7) % 12] = 1;
+      templates.push({
+        root,
+        quality,
+        name: chromaNames[root] + (quality === "min" ? "m" : ""),
+        vector,
+      });
+    }
+  }
+  templates.push({ root: null, quality: null, name: "N", vector: null });
+  return templates;
+}
+
+function pearson(a, b) {
+  const meanA = a.reduce((s, v) => s + v, 0) / a.length;
+  const meanB = b.reduce((s, v) => s + v, 0) / b.length;
+  let num = 0;
+  let da = 0;
+  let db = 0;
+  for (let i = 0; i < a.length; i++) {
+    num += (a[i] - meanA) * (b[i] - meanB);
+    da += (a[i] - meanA) ** 2;
+    db += (b[i] - meanB) ** 2;
+  }
+  return da > 0 && db > 0 ? num / Math.sqrt(da * db) : 0;
+}
+
+/**
+ * Estimate the key of a chroma vector (e.g. summed over a stretch of music).
+ * @param {Array<number>} chroma - 12 pitch-class weights, C first
+ * @param {Array<string>} [chromaNames] - Pitch names for the key name
+ * @returns {Object} { tonic, mode, name, confidence } with confidence the
+ *   profile correlation (-1 to 1)
+ */
+export function estimateKey(chroma, chromaNames = DEFAULT_CHROMA_NAMES) {
+  let best = { tonic: 0, mode: "major", confidence: -Infinity };
+  for (let tonic = 0; tonic < 12; tonic++) {
+    // Rotate so the candidate tonic comes first
+    const rotated = chroma.map((_, i) => chroma[(i + tonic) % 12]);
+    for (const [mode, profile] of [["major", MAJOR_PROFILE], ["minor", MINOR_PROFILE]]) {
+      const confidence = pearson(rotated, profile);
+      if (confidence > best.confidence) best = { tonic, mode, confidence };
+    }
+  }
+  return { ...best, name: `${chromaNames[best.tonic]} ${best.mode}` };
+}
+
+/**
+ * Semitones from a key's tonic to a pitch class, for coloring by function
+ * rather than absolute pitch (the tonic is always 0, the fifth always 7).
+ * @param {number} pitchClass - 0-11, C = 0
+ * @param {Object} key - From estimateKey() / getKeyAtTime()
+ * @returns {number} 0-11
+ */
+export function scaleDegree(pitchClass, key) {
+  return (pitchClass - key.tonic + 12) % 12;
+}
+
+// Average frames into blocks of chroma, weighted by harmonic energy
+function toBlocks(frames) {
+  const blocks = [];
+  let current = null;
+  for (const frame of frames) {
+    const index = Math.floor(frame.time / BLOCK_SECONDS);
+    if (!current || current.index !== index) {
+      current = { index, time: index * BLOCK_SECONDS, chroma: new Array(12).fill(0), harmonic: 0, count: 0 };
+      blocks.push(current);
+    }
+    for (let i = 0; i < 12; i++) current.chroma[i] += frame.chroma[i];
+    current.harmonic += frame.harmonic;
+    current.count++;
+  }
+  for (const block of blocks) {
+    for (let i = 0; i < 12; i++) block.chroma[i] /= block.count;
+    block.harmonic /= block.count;
+  }
+  return blocks;
+}
+
+// Template fit of a block: chroma/template correlation (which ignores the
+// broadband floor real mixes put under every pitch class), or the
+// threshold for no-chord
+function similarity(block, template, noChordThreshold) {
+  return template.vector ? pearson(block.chroma, template.vector) : noChordThreshold;
+}
+
+/**
+ * Most likely chord per block: HMM with template-match emissions and a
+ * sticky transition matrix (stay with `selfProbability`, else any chord).
+ */
+function viterbi(blocks, templates, { selfProbability, sharpness, silence, noChordThreshold }) {
+  const n = blocks.length;
+  const states = templates.length;
+  const noChord = states - 1;
+  const stay = Math.log(selfProbability);
+  const move = Math.log((1 - selfProbability) / (states - 1));
+
+  const emission = (block, s) => {
+    // Without harmonic content the chroma is noise: call it no-chord
+    if (block.harmonic < silence) return s === noChord ? 0 : -sharpness;
+    return sharpness * similarity(block, templates[s], noChordThreshold);
+  };
+
+  let scores = templates.map((_, s) => emission(blocks[0], s));
+  const back = [];
+
+  for (let i = 1; i < n; i++) {
+    let bestPrev = 0;
+    for (let s = 1; s < states; s++) if (scores[s] > scores[bestPrev]) bestPrev = s;
+
+    const next = new Array(states);
+    const from = new Int16Array(states);
+    for (let s = 0; s < states; s++) {
+      // Staying beats the best switch, or the best switch wins
+      const viaStay = scores[s] + stay;
+      const viaMove = scores[bestPrev] + move;
+      if (viaStay >= viaMove || bestPrev === s) {
+        next[s] = viaStay;
+        from[s] = s;
+      } else {
+        next[s] = viaMove;
+        from[s] = bestPrev;
+      }
+      next[s] += emission(blocks[i], s);
+    }
+    back.push(from);
+    scores = next;
+  }
+
+  const path = new Array(n);
+  let state = 0;
+  for (let s = 1; s < states; s++) if (scores[s] > scores[state]) state = s;
+  path[n - 1] = state;
+  for (let i = n - 2; i >= 0; i--) {
+    state = back[i][state];
+    path[i] = state;
+  }
+  return path;
+}
+
+/**
+ * Chord timeline and keys for a track.
+ * @param {Array} frames - Complete analysis frames
+ * @param {Object} [options]
+ * @param {Array<string>} [options.chromaNames] - Pitch names, C first
+ * @param {number} [options.selfProbability=0.95] - Chance a chord continues
+ *   into the next 0.1 s; higher means steadier, slower to change
+ * @param {number} [options.sharpness=12] - How strongly template fit decides
+ * @param {number} [options.silence=0.05] - Harmonic level below which there is no chord
+ * @param {number} [options.noChordThreshold=0.3] - Correlation a triad needs to beat "N"
+ * @param {number} [options.keyWindow=30] - Seconds of context for the local key
+ * @returns {Object} {
+ *   chords: [{ start, end, name, root, quality, confidence }],
+ *   key: { tonic, mode, name, confidence },
+ *   localKeys: [{ start, end, tonic, mode, name, confidence }]
+ * }
+ *   root is 0-11 (null for "N"), quality "maj" | "min" | null; confidence is
+ *   the mean template correlation over the chord.
+ */
+export function analyzeHarmony(frames, {
+  chromaNames = DEFAULT_CHROMA_NAMES,
+  selfProbability = 0.95,
+  sharpness = 12,
+  silence = 0.05,
+  noChordThreshold = 0.3,
+  keyWindow = 30,
+} = {}) {
+  if (!frames || frames.length === 0) return { chords: [], key: null, localKeys: [] };
+
+  const endTime = frames[frames.length - 1].time;
+  const templates = chordTemplates(chromaNames);
+  const blocks = toBlocks(frames);
+  const path = viterbi(blocks, templates, { selfProbability, sharpness, silence, noChordThreshold });
+
+  // Merge runs of the same chord
+  const chords = [];
+  path.forEach((state, i) => {
+    const block = blocks[i];
+    const fit = similarity(block, templates[state], noChordThreshold);
+    const last = chords[chords.length - 1];
+    if (last && last.state === state) {
+      last.fit += fit;
+      last.count++;
+    } else {
+      chords.push({ state, start: block.time, fit, count: 1 });
+    }
+  });
+
+  const timeline = chords.map((chord, i) => {
+    const { root, quality, name } = templates[chord.state];
+    return {
+      start: i === 0 ? 0 : chord.start,
+      end: i < chords.length - 1 ? chords[i + 1].start : endTime,
+      name,
+      root,
+      quality,
+      confidence: chord.fit / chord.count,
+    };
+  });
+
+  // Keys from harmonic-weighted chroma sums
+  const accumulate = (sum, block, sign) => {
+    for (let i = 0; i < 12; i++) sum[i] += sign * block.chroma[i] * block.harmonic;
+  };
+  const total = new Array(12).fill(0);
+  for (const block of blocks) accumulate(total, block, 1);
+  const key = estimateKey(total, chromaNames);
+
+  // Local key every second from the surrounding window, merged into runs.
+  // The window slides over the time-ordered blocks: each enters and leaves
+  // the sum once, so long mixes stay linear.
+  const localKeys = [];
+  const half = keyWindow / 2;
+  const inWindow = new Array(12).fill(0);
+  let first = 0; // oldest block in the window
+  let next = 0; // first block past it
+  for (let t = 0; t <= endTime; t += 1) {
+    for (; next < blocks.length && blocks[next].time < t + half; next++) accumulate(inWindow, blocks[next], 1);
+    for (; first < next && blocks[first].time < t - half; first++) accumulate(inWindow, blocks[first], -1);
+    const local = estimateKey(inWindow, chromaNames);
+    const last = localKeys[localKeys.length - 1];
+    if (last && last.name === local.name) {
+      last.end = Math.min(endTime, t + 1);
+    } else {
+      if (last) last.end = t;
+      localKeys.push({ start: t, end: Math.min(endTime, t + 1), ...local });
+    }
+  }
+
+  return { chords: timeline, key, localKeys };
+}
+
+// Entry of a start-sorted timeline playing at a time
+function findAt(timeline, time) {
+  if (!timeline || timeline.length === 0) return null;
+  let low = 0;
+  let high = timeline.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (timeline[mid].start <= time) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return timeline[low];
+}
+
+/**
+ * The chord playing at a time.
+ * @param {Object|null} harmony - From analyzeHarmony() (analysis.harmony)
+ * @param {number} time - Seconds
+ * @returns {Object|null} { start, end, name, root, quality, confidence }, or
+ *   null if harmony isn't known (still loading, live input)
+ */
+export function getChordAtTime(harmony, time) {
+  return harmony ? findAt(harmony.chords, time) : null;
+}
+
+/**
+ * The key at a time: the local key, or the global key if there is none.
+ * @param {Object|null} harmony - From analyzeHarmony() (analysis.harmony)
+ * @param {number} time - Seconds
+ * @returns {Object|null} { tonic, mode, name, confidence }, or null if unknown
+ */
+export function getKeyAtTime(harmony, time) {
+  if (!harmony) return null;
+  return findAt(harmony.localKeys, time) || harmony.key;
+}
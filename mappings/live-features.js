@@ -0,0 +1,239 @@
+/**
+ * Real-time feature extraction for live input.
+ *
+ * Turns one spectrum + waveform snapshot at a time into a frame with the same
+ * fields as the analysis JSON. Offline analysis normalizes each feature over
+ * the whole track; live input can't see the future, so each feature is
+ * normalized against a running range that slowly forgets old extremes.
+ *
+ * No DOM or Web Audio here: live.js feeds it from an AnalyserNode, and tests
+ * can feed it spectra of synthetic signals.
+ */
+
+import { BANDS, CHROMA_NAMES } from "../analysis/analyzer.js";
+import { chromaFilterbank, contrastBinRanges, spectralContrast } from "../analysis/dsp.js";
+import { clamp } from "./utils.js";
+
+// Frames of spectrum history for the harmonic (across time) median
+const HARMONIC_HISTORY = 17;
+// Bins for the percussive (across frequency) median
+const PERCUSSIVE_KERNEL = 17;
+
+/**
+ * Running min/max normalizer.
+ * The range follows new extremes at once and relaxes toward the current
+ * value with the given half-life, so a quiet passage after a loud one
+ * regains contrast after a while.
+ */
+export class RunningNormalizer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.halfLife=10] - Seconds for the range to relax halfway
+   * @param {number} [options.minRange=1e-6] - Smallest range, so silence stays at 0
+   */
+  constructor({ halfLife = 10, minRange = 1e-6 } = {}) {
+    this.halfLife = halfLife;
+    this.minRange = minRange;
+    this.min = null;
+    this.max = null;
+  }
+
+  /**
+   * Update the range with a new value and return it normalized.
+   * @param {number} value
+   * @param {number} dt - Seconds since the previous value
+   * @returns {number} Value in 0-1
+   */
+  normalize(value, dt) {
+    if (this.min === null) {
+      this.min = value;
+      this.max = value;
+      return 0;
+    }
+
+    const relax = 1 - Math.pow(0.5, dt / this.halfLife);
+    this.max = value > this.max ? value : this.max + (value - this.max) * relax;
+    this.min = value < this.min ? value : this.min + (value - this.min) * relax;
+
+    const range = this.max - this.min;
+    return range < this.minRange ? 0 : clamp((value - this.min) / range, 0, 1);
+  }
+}
+
+/**
+ * Per-frame feature extractor.
+ */
+export class LiveFeatureExtractor {
+  /**
+   * @param {Object} options
+   * @param {number} options.sampleRate - Sample rate of the input
+   * @param {number} options.fftSize - FFT size of the spectra passed to process()
+   * @param {number} [options.halfLife=10] - Normalization half-life in seconds
+   */
+  constructor({ sampleRate, fftSize, halfLife = 10 }) {
+    this.sampleRate = sampleRate;
+    this.nBins = fftSize / 2 + 1;
+    this.binHz = sampleRate / fftSize;
+
+    this.bandRanges = BANDS.map(([, low, high]) => [
+      Math.ceil(low / this.binHz),
+      Math.min(this.nBins, Math.ceil(high / this.binHz)),
+    ]);
+    this.contrastRanges = contrastBinRanges(this.binHz, this.nBins);
+    this.chromaFilters = chromaFilterbank(sampleRate, fftSize);
+
+    this.history = Array.from({ length: HARMONIC_HISTORY }, () => new Float32Array(this.nBins));
+    this.historyIndex = 0;
+    this.historyFilled = 0;
+    this.prevPercussive = new Float32Array(this.nBins);
+
+    // Onset flux is averaged per band so a kick counts as much as a hi-hat
+    this.bandOfBin = new Int8Array(this.nBins).fill(-1);
+    this.bandRanges.forEach(([lo, hi], b) => this.bandOfBin.fill(b, lo, hi));
+    this.bandFlux = new Float32Array(BANDS.length);
+    this.lastTime = null;
+
+    const normalizer = () => new RunningNormalizer({ halfLife });
+    this.normalizers = {
+      rms: normalizer(),
+      centroid: normalizer(),
+      contrast: normalizer(),
+      onset: normalizer(),
+      harmonic: normalizer(),
+      percussive: normalizer(),
+      bands: BANDS.map(normalizer),
+    };
+  }
+
+  /** Band names, as in the analysis JSON. */
+  get bandNames() {
+    return BANDS.map(([name]) => name);
+  }
+
+  /** Chroma names, as in the analysis JSON. */
+  get chromaNames() {
+    return CHROMA_NAMES.slice();
+  }
+
+  /**
+   * Extract one frame.
+   * @param {number} time - Frame time in seconds
+   * @param {Float32Array} magnitude - Linear magnitude spectrum (fftSize/2 or fftSize/2 + 1 bins)
+   * @param {Float32Array} samples - The waveform the spectrum was taken from
+   * @returns {Object} Frame with the analysis JSON fields
+   */
+  process(time, magnitude, samples) {
+    const dt = this.lastTime === null ? 0 : Math.max(0, time - this.lastTime);
+    this.lastTime = time;
+    const n = Math.min(this.nBins, magnitude.length);
+    const norm = this.normalizers;
+
+    let energy = 0;
+    for (const s of samples) energy += s * s;
+    const rms = Math.sqrt(energy / Math.max(1, samples.length));
+
+    let weighted = 0;
+    let total = 0;
+    for (let k = 0; k < n; k++) {
+      weighted += k * this.binHz * magnitude[k];
+      total += magnitude[k];
+    }
+    const centroidHz = total > 0 ? weighted / total : 0;
+
+    const bands = this.bandRanges.map(([lo, hi], b) => {
+      let sum = 0;
+      const end = Math.min(hi, n);
+      for (let k = lo; k < end; k++) sum += magnitude[k];
+      return norm.bands[b].normalize(end > lo ? sum / (end - lo) : 0, dt);
+    });
+
+    const { harmonicPower, percussiveEnergy, harmonicEnergy, onset } = this.separate(magnitude, n);
+
+    // Chroma of the harmonic part, normalized per frame like analyze.py
+    const chroma = new Array(12).fill(0);
+    let chromaMax = 0;
+    for (let pc = 0; pc < 12; pc++) {
+      const row = pc * this.nBins;
+      let sum = 0;
+      for (let k = 0; k < n; k++) sum += this.chromaFilters[row + k] * harmonicPower[k];
+      chroma[pc] = sum;
+      chromaMax = Math.max(chromaMax, sum);
+    }
+    for (let pc = 0; pc < 12; pc++) {
+      chroma[pc] = chromaMax > 0 ? chroma[pc] / chromaMax : 0;
+    }
+
+    return {
+      time,
+      rms: norm.rms.normalize(rms, dt),
+      centroid: norm.centroid.normalize(centroidHz, dt),
+      centroid_hz: centroidHz,
+      contrast: norm.contrast.normalize(spectralContrast(magnitude, 0, this.contrastRanges), dt),
+      onset: norm.onset.normalize(onset, dt),
+      harmonic: norm.harmonic.normalize(harmonicEnergy, dt),
+      percussive: norm.percussive.normalize(percussiveEnergy, dt),
+      bands,
+      chroma,
+    };
+  }
+
+  /**
+   * Causal harmonic/percussive split: harmonic is the median over recent
+   * frames (no lookahead), percussive the median across frequency.
+   */
+  separate(magnitude, n) {
+    const current = this.history[this.historyIndex];
+    current.fill(0);
+    current.set(magnitude.subarray(0, n));
+    this.historyIndex = (this.historyIndex + 1) % HARMONIC_HISTORY;
+    this.historyFilled = Math.min(HARMONIC_HISTORY, this.historyFilled + 1);
+
+    const column = new Float32Array(this.historyFilled);
+    const window = new Float32Array(PERCUSSIVE_KERNEL);
+    const half = PERCUSSIVE_KERNEL >> 1;
+    const harmonicPower = new Float32Array(this.nBins);
+    let harmonicSum = 0;
+    let percussiveSum = 0;
+    this.bandFlux.fill(0);
+
+    for (let k = 0; k < n; k++) {
+      for (let i = 0; i < this.historyFilled; i++) column[i] = this.history[i][k];
+      column.sort();
+      const h = column[column.length >> 1];
+
+      const lo = Math.max(0, k - half);
+      const hi = Math.min(n, k + half + 1);
+      const span = window.subarray(0, hi - lo);
+      span.set(magnitude.subarray(lo, hi));
+      span.sort();
+      const p = span[span.length >> 1];
+
+      const total = h * h + p * p;
+      const harmonicMask = total > 1e-20 ? (h * h) / total : 0.5;
+      const harm = magnitude[k] * harmonicMask;
+      const perc = magnitude[k] - harm;
+
+      harmonicPower[k] = harm * harm;
+      harmonicSum += harm * harm;
+      percussiveSum += perc * perc;
+
+      // Onset: positive change of the compressed percussive spectrum
+      const rise = Math.log1p(1000 * perc) - Math.log1p(1000 * this.prevPercussive[k]);
+      const band = this.bandOfBin[k];
+      if (rise > 0 && band >= 0) this.bandFlux[band] += rise;
+      this.prevPercussive[k] = perc;
+    }
+
+    let onset = 0;
+    this.bandRanges.forEach(([lo, hi], b) => {
+      if (hi > lo) onset += this.bandFlux[b] / (hi - lo);
+    });
+
+    return {
+      harmonicPower,
+      harmonicEnergy: Math.sqrt(harmonicSum),
+      percussiveEnergy: Math.sqrt(percussiveSum),
+      onset: onset / BANDS.length,
+    };
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * Live input source: real-time features from a microphone, line-in or a
+ * synthetic test signal, in place of a pre-computed analysis file.
+ *
+ * Selected with `?source=live` (microphone / line-in) or `?source=test`
+ * (built-in test signal, no microphone needed). loadTrack() in tracks.js
+ * opens it in place of a track, so sketches run unchanged in either mode.
+ *
+ * The sketch's <audio> element plays the input stream (muted, so there is
+ * no feedback) and stays the clock: Play/Pause start and stop analysis, and
+ * each frame is stamped with `audio.currentTime`. Frames go into
+ * `analysis.frames` like streamed file frames, keeping the last
+ * `historySeconds`, so getFrameAtTime() returns the newest one.
+ */
+
+import { ANALYSIS_VERSION } from "./schema.js";
+import { LiveFeatureExtractor } from "./live-features.js";
+
+/**
+ * Render a loop of the synthetic test signal: kick on every beat, hi-hat on
+ * the offbeats and a pad alternating A minor and F major every bar.
+ * @param {number} sampleRate
+ * @param {Object} [options]
+ * @param {number} [options.bpm=120]
+ * @param {number} [options.bars=2] - Loop length
+ * @returns {Float32Array} Mono samples
+ */
+export function renderTestSignal(sampleRate, { bpm = 120, bars = 2 } = {}) {
+  const beat = 60 / bpm;
+  const samples = new Float32Array(Math.round(bars * 4 * beat * sampleRate));
+  const chords = [[220, 261.63, 329.63], [174.61, 220, 261.63]]; // Am, F
+
+  // Deterministic noise, so every run of the test signal is identical
+  let seed = 1;
+  const noise = () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return seed / 2147483648 - 1;
+  };
+
+  for (let i = 0; i < samples.length; i++) {
+    const t = i / sampleRate;
+    const inBeat = t % beat;
+    const offbeat = (t + beat / 2) % beat;
+    const chord = chords[Math.floor(t / (4 * beat)) % chords.length];
+
+    const kick = Math.sin(2 * Math.PI * (50 + 80 * Math.exp(-inBeat * 30)) * inBeat) * Math.exp(-inBeat * 8);
+    const hat = noise() * Math.exp(-offbeat * 60) * 0.3;
+    let pad = 0;
+    for (const hz of chord) pad += Math.sin(2 * Math.PI * hz * t) * 0.1;
+
+    samples[i] = 0.6 * kick + hat + pad;
+  }
+  return samples;
+}
+
+/**
+ * Open a live input and analyze it in real time.
+ * @param {HTMLAudioElement} audio - Sketch audio element (becomes the clock)
+ * @param {Object} [options]
+ * @param {string|MediaStream|AudioNode} [options.input="live"] - "live" for the
+ *   microphone, "test" for the test signal, or a stream/node to analyze
+ * @param {AudioContext} [options.context] - Context owning `input` if it's a node
+ * @param {number} [options.hopSeconds] - Seconds between frames (default as analyze.py)
+ * @param {number} [options.historySeconds=30] - Seconds of frames to keep
+ * @returns {Promise<Object>} { analysis, complete, stop } where
+ *   `complete` only settles (rejecting) if the input ends
+ */
+export async function openLiveSource(audio, {
+  input = "live",
+  context = new AudioContext(),
+  hopSeconds = 512 / 22050,
+  historySeconds = 30,
+} = {}) {
+  let node;
+  let stream;
+
+  if (input === "test") {
+    const loop = renderTestSignal(context.sampleRate);
+    const buffer = context.createBuffer(1, loop.length, context.sampleRate);
+    buffer.copyToChannel(loop, 0);
+    node = context.createBufferSource();
+    node.buffer = buffer;
+    node.loop = true;
+    node.start();
+  } else if (input === "live") {
+    stream = await navigator.mediaDevices.getUserMedia({
+      // Processing meant for voice calls would flatten the music
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+    });
+    node = context.createMediaStreamSource(stream);
+  } else if (input instanceof MediaStream) {
+    stream = input;
+    node = context.createMediaStreamSource(stream);
+  } else {
+    node = input;
+  }
+
+  if (!stream) {
+    const destination = context.createMediaStreamDestination();
+    node.connect(destination);
+    stream = destination.stream;
+  }
+
+  // About 2048 samples at 22050 Hz, whatever the device rate
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 2 ** Math.round(Math.log2(context.sampleRate * (2048 / 22050)));
+  analyser.smoothingTimeConstant = 0;
+  node.connect(analyser);
+
+  const extractor = new LiveFeatureExtractor({
+    sampleRate: context.sampleRate,
+    fftSize: analyser.fftSize,
+  });
+  const spectrumDb = new Float32Array(analyser.frequencyBinCount);
+  const magnitude = new Float32Array(analyser.frequencyBinCount);
+  const samples = new Float32Array(analyser.fftSize);
+
+  const frames = [];
+  frames.live = true;
+  const analysis = {
+    version: ANALYSIS_VERSION,
+    live: true,
+    sampleRate: context.sampleRate,
+    hopLength: Math.round(hopSeconds * context.sampleRate),
+    duration: Infinity,
+    tempo: 0,
+    beats: [],
+    bandNames: extractor.bandNames,
+    chromaNames: extractor.chromaNames,
+    frames,
+  };
+
+  const maxFrames = Math.ceil(historySeconds / hopSeconds);
+  const tick = () => {
+    if (audio.paused) return;
+
+    analyser.getFloatFrequencyData(spectrumDb);
+    analyser.getFloatTimeDomainData(samples);
+    for (let k = 0; k < magnitude.length; k++) {
+      magnitude[k] = spectrumDb[k] === -Infinity ? 0 : Math.pow(10, spectrumDb[k] / 20);
+    }
+
+    frames.push(extractor.process(audio.currentTime, magnitude, samples));
+    // Trim in batches so the array isn't shifted every frame
+    if (frames.length > maxFrames * 1.5) {
+      frames.splice(0, frames.length - maxFrames);
+    }
+  };
+  const timer = setInterval(tick, hopSeconds * 1000);
+
+  // The element only provides the clock and transport; never play the input
+  audio.srcObject = stream;
+  audio.muted = true;
+  audio.addEventListener("play", () => context.resume());
+  audio.addEventListener("pause", () => context.suspend());
+
+  const complete = new Promise((resolve, reject) => {
+    for (const track of stream.getAudioTracks()) {
+      track.addEventListener("ended", () => reject(new Error("Live input ended")));
+    }
+  });
+
+  const stop = () => {
+    clearInterval(timer);
+    node.disconnect();
+    for (const track of stream.getTracks()) track.stop();
+    context.close();
+  };
+
+  return { analysis, complete, stop };
+}
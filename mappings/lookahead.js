@@ -0,0 +1,125 @@
+/**
+ * Lookahead queries for anticipatory visuals.
+ *
+ * File analysis is computed before playback, so a sketch can look at what
+ * is coming: wind up before a drop, brace for a big hit, swell ahead of an
+ * energy rise. Every query takes the current playback time.
+ *
+ *   const ahead = new Lookahead(analysisData);
+ *   const soon = ahead.timeUntilNextOnset(t, 0.5);     // seconds to the next strong hit
+ *   const swell = ahead.upcomingEnergyRise(t, 2);      // > 0 when it gets louder
+ *   const drop = ahead.timeUntilSection(t, "drop");    // seconds to the next drop
+ *
+ * Only loaded frames can be seen: while a file is still loading the
+ * lookahead stops at the last frame that has arrived, and live input has
+ * no future at all (queries return null, Infinity or 0 as documented).
+ */
+
+import { getFrameAtTime, getFrameIndex } from "./utils.js";
+import { OnsetEvents } from "./onsets.js";
+
+/**
+ * Read a feature from a frame by name: "rms", or "bands.1" / "chroma.9"
+ * for one entry of an array feature.
+ */
+function readFeature(frame, name) {
+  const [field, index] = name.split(".");
+  const value = frame[field];
+  return index === undefined ? value : value?.[Number(index)];
+}
+
+/**
+ * Lookahead over one track's analysis.
+ */
+export class Lookahead {
+  /**
+   * @param {Object} analysis - Analysis data (frames, and sections once loaded)
+   * @param {Object} [options]
+   * @param {OnsetEvents} [options.onsets] - Share a sketch's onset events instead of picking them again
+   */
+  constructor(analysis, { onsets } = {}) {
+    this.analysis = analysis;
+    this.onsets = onsets || new OnsetEvents(analysis.frames);
+  }
+
+  /** Whether there is a future to look at (false for live input). */
+  get available() {
+    return !this.analysis.frames.live;
+  }
+
+  /**
+   * A feature's value `horizon` seconds ahead.
+   * @param {string} name - Frame field, e.g. "rms", "centroid" or "bands.1"
+   * @param {number} time - Current time in seconds
+   * @param {number} horizon - Seconds ahead
+   * @returns {number|Array|null} The value, or null if that far hasn't loaded (or live)
+   */
+  peekFeature(name, time, horizon) {
+    if (!this.available) return null;
+    const frame = getFrameAtTime(this.analysis.frames, time + horizon);
+    return frame ? readFeature(frame, name) ?? null : null;
+  }
+
+  /**
+   * Seconds until the next onset at least as strong as `threshold`.
+   * @param {number} time - Current time in seconds
+   * @param {number} [threshold=0] - Minimum onset strength (0-1)
+   * @param {string} [band] - Only "low", "mid" or "high" onsets
+   * @returns {number} Seconds, or Infinity if none is coming (or live)
+   */
+  timeUntilNextOnset(time, threshold = 0, band) {
+    if (!this.available) return Infinity;
+    const event = this.onsets.nextEvent(time, { minStrength: threshold, band });
+    return event ? event.time - time : Infinity;
+  }
+
+  /**
+   * How much louder the next `window` seconds are than the last `window`:
+   * mean RMS ahead minus mean RMS behind.
+   * @param {number} time - Current time in seconds
+   * @param {number} [window=2] - Seconds to average either side
+   * @returns {number} -1 to 1; positive means energy is about to rise (0 for live)
+   */
+  upcomingEnergyRise(time, window = 2) {
+    if (!this.available) return 0;
+    const behind = this.meanOf("rms", time - window, time);
+    const ahead = this.meanOf("rms", time, time + window);
+    return ahead === null || behind === null ? 0 : ahead - behind;
+  }
+
+  /**
+   * Seconds until the next section starts, optionally of a given label.
+   * Sections appear once the whole track has loaded (see sections.js).
+   * @param {number} time - Current time in seconds
+   * @param {string} [label] - e.g. "drop"; any section if omitted
+   * @returns {number} Seconds, or Infinity if none is coming (or not known yet)
+   */
+  timeUntilSection(time, label) {
+    const sections = this.analysis.sections || [];
+    const next = sections.find((s) => s.start > time && (!label || s.label === label));
+    return next ? next.start - time : Infinity;
+  }
+
+  /**
+   * Mean of a feature over a time range of loaded frames.
+   * @param {string} name - Frame field, as for peekFeature()
+   * @param {number} start - Seconds
+   * @param {number} end - Seconds
+   * @returns {number|null} Mean, or null if no loaded frame falls in the range
+   */
+  meanOf(name, start, end) {
+    const { frames } = this.analysis;
+    if (!frames || frames.length === 0) return null;
+
+    let sum = 0;
+    let count = 0;
+    for (let i = getFrameIndex(frames, start); i < frames.length; i++) {
+      const frame = frames[i];
+      if (frame.time > end) break;
+      if (frame.time < start) continue;
+      sum += readFeature(frame, name);
+      count++;
+    }
+    return count > 0 ? sum / count : null;
+  }
+}
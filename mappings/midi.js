@@ -0,0 +1,326 @@
+/**
+ * Web MIDI controller input with MIDI-learn.
+ *
+ * A sketch lists the settings a knob may change while it runs (see
+ * share.js for settings), with the range the knob sweeps, and the events a
+ * note can trigger:
+ *
+ *   const midi = new MidiControls(settings, {
+ *     params: { boidCount: { min: 20, max: 600, step: 1 } },
+ *     triggers: { burst: (velocity) => bursts.push(velocity) },
+ *   });
+ *
+ * Press "learn" next to a parameter or trigger in the mapping panel (see
+ * editor.js), then move a knob or hit a pad: control changes from that knob
+ * set the parameter, note-ons from that pad fire the trigger. Bindings are
+ * saved in localStorage per sketch, and the panel connects on load when
+ * there are some.
+ *
+ * connect() asks the browser for MIDI access, or takes anything shaped
+ * like MIDIAccess (`inputs` with `onmidimessage`, `onstatechange`), so
+ * createMockMidiAccess() can drive it without hardware.
+ */
+
+import { sketchName } from "./editor.js";
+
+const STORAGE_PREFIX = "arv:midi:";
+const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+/**
+ * Decode a MIDI message. Only control changes and notes are of interest.
+ * @param {Uint8Array|Array<number>} data - Raw message bytes
+ * @returns {Object|null} { type: "cc"|"noteon"|"noteoff", channel (0-15), number, value (0-127) }
+ */
+export function parseMidiMessage(data) {
+  if (!data || data.length < 3) return null;
+  const [status, number, value] = data;
+  const channel = status & 0x0f;
+  switch (status & 0xf0) {
+    case 0xb0:
+      return { type: "cc", channel, number, value };
+    case 0x90:
+      // Note-on with velocity 0 is a note-off
+      return { type: value > 0 ? "noteon" : "noteoff", channel, number, value };
+    case 0x80:
+      return { type: "noteoff", channel, number, value };
+    default:
+      return null;
+  }
+}
+
+// Key for a control: the kind of message, channel and controller or note number
+function controlKey({ type, channel, number }) {
+  return `${type === "cc" ? "cc" : "note"}:${channel}:${number}`;
+}
+
+/**
+ * Human-readable name for a bound control.
+ * @param {string} key - Control key, e.g. "cc:0:21"
+ * @returns {string} e.g. "CC 21 (ch 1)", "Note C3 (ch 10)"
+ */
+export function describeControl(key) {
+  const [kind, channel, number] = key.split(":");
+  const n = Number(number);
+  const name = kind === "cc" ? `CC ${n}` : `Note ${NOTE_NAMES[n % 12]}${Math.floor(n / 12) - 1}`;
+  return `${name} (ch ${Number(channel) + 1})`;
+}
+
+function loadBindings(name) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_PREFIX + name));
+    return saved && typeof saved === "object" ? Object.entries(saved) : [];
+  } catch (err) {
+    console.warn(`Saved MIDI bindings for ${name} unavailable (${err.message})`);
+    return [];
+  }
+}
+
+function saveBindings(name, bindings) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + name, JSON.stringify(Object.fromEntries(bindings)));
+  } catch (err) {
+    console.warn(`Could not save MIDI bindings for ${name} (${err.message})`);
+  }
+}
+
+/**
+ * A stand-in for MIDIAccess, for testing without a controller.
+ *
+ *   const access = createMockMidiAccess();
+ *   await midi.connect(access);
+ *   access.send([0xb0, 21, 127]);   // CC 21 on channel 1, all the way up
+ *
+ * @param {Array<string>} [names] - Input names
+ * @returns {Object} MIDIAccess-like object with send(data, inputId?) and plug(name)
+ */
+export function createMockMidiAccess(names = ["Mock controller"]) {
+  const inputs = new Map();
+  const access = {
+    inputs,
+    outputs: new Map(),
+    onstatechange: null,
+    // Deliver a message as if it came from an input (the first by default)
+    send(data, id = inputs.keys().next().value) {
+      inputs.get(id)?.onmidimessage?.({ data: Uint8Array.from(data) });
+    },
+    // Connect another input, as when a controller is plugged in
+    plug(name) {
+      const id = `mock-${inputs.size}`;
+      const port = { id, name, type: "input", state: "connected", onmidimessage: null };
+      inputs.set(id, port);
+      access.onstatechange?.({ port });
+      return id;
+    },
+  };
+  for (const name of names) access.plug(name);
+  return access;
+}
+
+/**
+ * MIDI knobs for a sketch's settings, and pads for its triggers.
+ */
+export class MidiControls {
+  /**
+   * @param {Object} values - The sketch's settings object; knobs write into it
+   * @param {Object} [options]
+   * @param {Object} [options.params] - { setting: { min, max, step? } }: settings knobs can change
+   * @param {Object} [options.triggers] - { name: (velocity 0-1, note) => void }: events notes can fire
+   * @param {string} [options.name] - Storage name (default: the sketch's directory)
+   * @throws {Error} For parameters that aren't settings or have a bad range
+   */
+  constructor(values, { params = {}, triggers = {}, name = sketchName() } = {}) {
+    for (const [key, { min, max, step }] of Object.entries(params)) {
+      if (typeof values[key] !== "number") {
+        throw new Error(`MIDI parameter "${key}" is not a numeric setting`);
+      }
+      if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+        throw new Error(`MIDI parameter "${key}" needs min below max, got [${min}, ${max}]`);
+      }
+      if (step !== undefined && !(step > 0)) {
+        throw new Error(`MIDI parameter "${key}" needs a positive step, got ${step}`);
+      }
+      if (key in triggers) {
+        throw new Error(`"${key}" is both a MIDI parameter and a trigger`);
+      }
+    }
+
+    this.values = values;
+    this.params = params;
+    this.triggers = triggers;
+    this.name = name;
+    this.access = null;
+    this.learning = null;
+    this.listeners = new Set();
+
+    // Target (parameter or trigger) -> control key, skipping targets this sketch lost
+    this.bindings = new Map(loadBindings(name).filter(([target]) => this.isTarget(target)));
+  }
+
+  /** Whether a MIDI source is connected. */
+  get connected() {
+    return this.access !== null;
+  }
+
+  /** Names of the parameters and triggers, for listing. */
+  get targetNames() {
+    return [...Object.keys(this.params), ...Object.keys(this.triggers)];
+  }
+
+  isTarget(target) {
+    return target in this.params || target in this.triggers;
+  }
+
+  /**
+   * Start listening to every MIDI input, including ones plugged in later.
+   * @param {Object} [access] - MIDIAccess (or a mock); requested from the browser if omitted
+   * @returns {Promise<MidiControls>}
+   * @throws {Error} If the browser has no Web MIDI or access is refused
+   */
+  async connect(access) {
+    if (!access) {
+      if (typeof navigator === "undefined" || !navigator.requestMIDIAccess) {
+        throw new Error("Web MIDI is not available in this browser");
+      }
+      access = await navigator.requestMIDIAccess();
+    }
+    this.disconnect();
+    this.access = access;
+    const attach = () => {
+      for (const input of access.inputs.values()) {
+        input.onmidimessage = (event) => this.handle(event.data);
+      }
+    };
+    attach();
+    access.onstatechange = attach;
+    return this;
+  }
+
+  /** Stop listening to MIDI inputs. */
+  disconnect() {
+    if (!this.access) return;
+    for (const input of this.access.inputs.values()) {
+      input.onmidimessage = null;
+    }
+    this.access.onstatechange = null;
+    this.access = null;
+  }
+
+  /**
+   * Listen for changes: ("change", setting, value) when a knob moves a
+   * setting, ("trigger", name, velocity) when a note fires a trigger,
+   * ("bind", target, control) when a binding changes (control is null once
+   * unbound) and ("learn", target, control) when learning ends (control is
+   * null if cancelled).
+   * @param {Function} listener - (type, target, detail) => void
+   * @returns {Function} Removes the listener
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(type, target, detail) {
+    for (const listener of this.listeners) listener(type, target, detail);
+  }
+
+  /**
+   * Bind the next knob moved (for a parameter) or note played (for a trigger).
+   * @param {string} target - Parameter or trigger name
+   * @throws {Error} For unknown targets
+   */
+  learn(target) {
+    if (!this.isTarget(target)) {
+      throw new Error(`No MIDI parameter or trigger named "${target}" (have: ${this.targetNames.join(", ")})`);
+    }
+    if (this.learning) this.emit("learn", this.learning, null);
+    this.learning = target;
+  }
+
+  /** Stop waiting for a control to learn. */
+  cancelLearn() {
+    if (!this.learning) return;
+    const target = this.learning;
+    this.learning = null;
+    this.emit("learn", target, null);
+  }
+
+  /**
+   * Bind a control to a target, releasing it from any other target.
+   * @param {string} target - Parameter or trigger name
+   * @param {string} control - Control key, e.g. "cc:0:21" or "note:9:36"
+   */
+  bind(target, control) {
+    for (const [other, bound] of this.bindings) {
+      if (bound === control && other !== target) {
+        this.bindings.delete(other);
+        this.emit("bind", other, null);
+      }
+    }
+    this.bindings.set(target, control);
+    saveBindings(this.name, this.bindings);
+    this.emit("bind", target, control);
+  }
+
+  /**
+   * Forget a target's control.
+   * @param {string} target - Parameter or trigger name
+   */
+  unbind(target) {
+    if (this.bindings.delete(target)) {
+      saveBindings(this.name, this.bindings);
+      this.emit("bind", target, null);
+    }
+  }
+
+  /**
+   * The control bound to a target, for display.
+   * @param {string} target - Parameter or trigger name
+   * @returns {string|null} e.g. "CC 21 (ch 1)", or null if unbound
+   */
+  describe(target) {
+    const control = this.bindings.get(target);
+    return control ? describeControl(control) : null;
+  }
+
+  /**
+   * Handle a raw MIDI message (inputs call this; tests can too).
+   * @param {Uint8Array|Array<number>} data - Message bytes
+   */
+  handle(data) {
+    const message = parseMidiMessage(data);
+    if (!message || message.type === "noteoff") return;
+    const control = controlKey(message);
+
+    // Knobs teach parameters, notes teach triggers
+    if (this.learning) {
+      const wantsKnob = this.learning in this.params;
+      if (wantsKnob === (message.type === "cc")) {
+        const target = this.learning;
+        this.learning = null;
+        this.bind(target, control);
+        this.emit("learn", target, control);
+      }
+      return;
+    }
+
+    for (const [target, bound] of this.bindings) {
+      if (bound !== control) continue;
+      if (message.type === "cc" && target in this.params) {
+        this.values[target] = this.scale(target, message.value);
+        this.emit("change", target, this.values[target]);
+      } else if (message.type === "noteon" && target in this.triggers) {
+        const velocity = message.value / 127;
+        this.triggers[target](velocity, message.number);
+        this.emit("trigger", target, velocity);
+      }
+    }
+  }
+
+  // Controller value (0-127) to a parameter's range, on its step
+  scale(target, value) {
+    const { min, max, step } = this.params[target];
+    const scaled = min + ((max - min) * value) / 127;
+    if (!step) return scaled;
+    return Number((min + Math.round((scaled - min) / step) * step).toFixed(10));
+  }
+}
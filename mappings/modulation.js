@@ -0,0 +1,218 @@
+/**
+ * Tempo-synced LFOs and a modulation matrix.
+ *
+ * Mappings follow the audio, so a quiet passage sits still. LFOs keep
+ * things moving in time with the music: each cycles over a number of beats
+ * of the track's beat grid (see beat-clock.js), in one of four shapes:
+ *
+ *   { name: "sway", shape: "sine", beats: 8 }      // one cycle every two bars
+ *   { name: "step", shape: "random", beats: 1 }    // a new random value each beat
+ *
+ * Routes connect a source (an LFO, or any mapping source such as "bass" or
+ * "rms.mean") to a sketch parameter with a depth. The matrix adds
+ * `depth * source` to the parameter: LFOs swing it by +/-depth, features
+ * (0-1) push it up by up to depth.
+ *
+ *   { source: "sway", target: "rotation", depth: 0.5 }
+ *
+ *   const modulation = new ModulationMatrix(MODULATION, analysisData, { mapper, targets: ["rotation"] });
+ *   const params = modulation.apply({ ...mapper.evaluate(frame, dt), rotation: 1 }, frame, currentTime);
+ *
+ * Targets are the mapper's targets plus any extra parameters the sketch
+ * exposes. Live input has no beat grid, so LFOs run at the analysis tempo
+ * there (120 BPM if it has none).
+ */
+
+import { BeatClock } from "./beat-clock.js";
+import { hashString } from "./random.js";
+
+const FALLBACK_TEMPO = 120;
+
+// Deterministic 0-1 value for a cycle, so a seek lands on the same step
+function hashUnit(seed, cycle) {
+  let h = (seed ^ Math.imul(cycle | 0, 0x9e3779b1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+/**
+ * LFO shapes, from the position in the cycle (0-1) to -1..1.
+ *   sine   - starts at 0, peaks a quarter of the way through
+ *   saw    - ramps from -1 to 1
+ *   square - 1 for the first half, -1 for the second
+ *   random - holds a random value for each cycle
+ */
+export const SHAPES = {
+  sine: (position) => Math.sin(position * Math.PI * 2),
+  saw: (position) => position * 2 - 1,
+  square: (position) => (position < 0.5 ? 1 : -1),
+  random: (position, cycle, seed) => hashUnit(seed, cycle) * 2 - 1,
+};
+
+/**
+ * Check an LFO and fill in its defaults.
+ * @param {Object} lfo - { name, shape?, beats?, phase? }
+ * @returns {Object} The LFO with every field set
+ */
+export function normalizeLfo(lfo) {
+  const { name, shape = "sine", beats = 4, phase = 0 } = lfo;
+  const label = name ? `LFO "${name}"` : "LFO";
+
+  if (typeof name !== "string" || !name) {
+    throw new Error(`${label} needs a name`);
+  }
+  if (!(shape in SHAPES)) {
+    throw new Error(`${label} has unknown shape "${shape}" (have: ${Object.keys(SHAPES).join(", ")})`);
+  }
+  if (!Number.isFinite(beats) || beats <= 0) {
+    throw new Error(`${label} needs a positive number of beats per cycle, got ${beats}`);
+  }
+  if (!Number.isFinite(phase) || phase < 0 || phase >= 1) {
+    throw new Error(`${label} needs a phase in [0, 1), got ${phase}`);
+  }
+
+  return { name, shape, beats, phase };
+}
+
+/**
+ * Routes LFOs and features to sketch parameters.
+ */
+export class ModulationMatrix {
+  /**
+   * @param {Object} spec - { lfos, routes }: the sketch's modulation
+   * @param {Object} analysis - Analysis data (for the beat grid)
+   * @param {Object} [options]
+   * @param {MappingEvaluator} [options.mapper] - Enables feature sources, and its targets as targets
+   * @param {Array<string>} [options.targets] - Extra parameters the sketch lets routes modulate
+   * @param {BeatClock} [options.clock] - The sketch's beat clock, if it has one
+   */
+  constructor({ lfos = [], routes = [] } = {}, analysis, { mapper, targets = [], clock } = {}) {
+    this.mapper = mapper || null;
+    this.clock = clock || new BeatClock(analysis);
+    this.tempo = analysis.tempo > 0 ? analysis.tempo : FALLBACK_TEMPO;
+
+    const mapped = this.mapper ? this.mapper.spec.map((m) => m.target) : [];
+    this.targetNames = [...new Set([...mapped, ...targets])];
+
+    this.lfos = new Map();
+    for (const lfo of lfos.map(normalizeLfo)) {
+      if (this.lfos.has(lfo.name)) {
+        throw new Error(`LFO "${lfo.name}" is defined twice`);
+      }
+      if (this.mapper?.sourceNames.includes(lfo.name)) {
+        throw new Error(`LFO "${lfo.name}" has the same name as a feature`);
+      }
+      this.lfos.set(lfo.name, { ...lfo, seed: hashString(lfo.name) });
+    }
+
+    this.entries = [];
+    for (const { source, target, depth } of routes) {
+      this.route(source, target, depth);
+    }
+  }
+
+  /** The current routes (copies; change them with route()). */
+  get routes() {
+    return this.entries.map(({ source, target, depth }) => ({ source, target, depth }));
+  }
+
+  /** Sources a route can use: LFO names, then the mapper's named sources. */
+  get sourceNames() {
+    return [...this.lfos.keys(), ...(this.mapper ? this.mapper.sourceNames : [])];
+  }
+
+  /**
+   * Add, change or (with depth 0) remove the route from a source to a target.
+   * @param {string} source - LFO name or mapping source
+   * @param {string} target - Parameter name
+   * @param {number} depth - Most the source moves the target by
+   * @throws {Error} For unknown sources or targets, or a non-numeric depth
+   */
+  route(source, target, depth) {
+    const name = `Modulation ${source} -> ${target}`;
+    if (!this.targetNames.includes(target)) {
+      throw new Error(`${name} targets unknown parameter "${target}" (have: ${this.targetNames.join(", ")})`);
+    }
+    if (!Number.isFinite(depth)) {
+      throw new Error(`${name} needs a numeric depth, got ${depth}`);
+    }
+
+    const index = this.entries.findIndex((e) => e.source === source && e.target === target);
+    if (depth === 0) {
+      if (index >= 0) this.entries.splice(index, 1);
+      return;
+    }
+
+    const entry = { source, target, depth, read: this.reader(source, name) };
+    if (index >= 0) {
+      this.entries[index] = entry;
+    } else {
+      this.entries.push(entry);
+    }
+  }
+
+  // Function reading a source at a frame and time
+  reader(source, name) {
+    const lfo = this.lfos.get(source);
+    if (lfo) {
+      return (frame, time) => this.lfo(lfo.name, time);
+    }
+    const unknown = () =>
+      new Error(`${name} has unknown source "${source}" (have: ${this.sourceNames.join(", ")})`);
+    if (!this.mapper) {
+      throw unknown();
+    }
+    let read;
+    try {
+      read = this.mapper.reader(source);
+    } catch {
+      throw unknown();
+    }
+    return (frame) => read(frame);
+  }
+
+  /**
+   * Musical position in beats, counted from the first downbeat.
+   * @param {number} time - Playback time in seconds
+   * @returns {number}
+   */
+  beatPosition(time) {
+    const beat = this.clock.at(time);
+    if (!beat.valid) {
+      return (time * this.tempo) / 60;
+    }
+    return beat.bar * beat.beatsPerBar + beat.beatInBar + beat.phase;
+  }
+
+  /**
+   * An LFO's value at a time.
+   * @param {string} name - LFO name
+   * @param {number} time - Playback time in seconds
+   * @returns {number} -1 to 1
+   */
+  lfo(name, time) {
+    const lfo = this.lfos.get(name);
+    if (!lfo) {
+      throw new Error(`No LFO named "${name}"`);
+    }
+    const cycles = this.beatPosition(time) / lfo.beats + lfo.phase;
+    const cycle = Math.floor(cycles);
+    return SHAPES[lfo.shape](cycles - cycle, cycle, lfo.seed);
+  }
+
+  /**
+   * Modulate a frame's parameters.
+   * @param {Object} params - Parameter values by name (e.g. from MappingEvaluator.evaluate)
+   * @param {Object} frame - Frame from getFrameAtTime(), for feature sources
+   * @param {number} time - Playback time in seconds, for LFOs
+   * @returns {Object} A copy of `params` with the routes added
+   */
+  apply(params, frame, time) {
+    const result = { ...params };
+    for (const { read, target, depth } of this.entries) {
+      result[target] = (result[target] ?? 0) + depth * read(frame, time);
+    }
+    return result;
+  }
+}
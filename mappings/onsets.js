@@ -0,0 +1,255 @@
+/**
+ * Discrete onset events.
+ *
+ * Peak-picks the onset envelope (`frame.onset`) into one event per hit, so a
+ * sketch can fire each drum hit exactly once instead of comparing a smoothed
+ * value against a threshold every frame (which fires several frames in a
+ * row for one loud hit and never for a quiet one).
+ *
+ * A frame is an onset when it is the maximum of its neighbourhood, rises
+ * `delta` above the local average, and comes at least `minInterval` after
+ * the previous onset. Frames are scanned as they arrive, so events are
+ * available while a file is still loading and for live input (a little
+ * behind real time, since picking a peak needs the frames after it).
+ *
+ *   const onsets = new OnsetEvents(analysisData.frames);
+ *   for (const event of onsets.consumeEvents(lastTime, audio.currentTime)) {
+ *     burst(event.strength, event.band);
+ *   }
+ *   lastTime = audio.currentTime;
+ */
+
+// Band groups for classifying what kind of hit an onset is
+const BAND_GROUPS = {
+  low: [0, 1],       // sub_bass, bass: kicks, bass notes
+  mid: [2, 3, 4],    // low_mids, mids, high_mids: snares, chords
+  high: [5, 6],      // highs, brilliance: hats, cymbals
+};
+
+// Frames before a peak to measure each band's rise against
+const RISE_FRAMES = 3;
+
+// Scan buffers are trimmed past this many frames (long live sessions)
+const MAX_BUFFERED = 4096;
+
+// consumeEvents() call times remembered (a few callers: sketch, broadcast)
+const MAX_CONSUMED_TIMES = 16;
+
+// Index of the first event later than a time
+function firstAfter(events, time) {
+  let low = 0;
+  let high = events.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (events[mid].time <= time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Onset events for one track's frames.
+ */
+export class OnsetEvents {
+  /**
+   * @param {Array} frames - Analysis frames (may still be loading, or live)
+   * @param {Object} [options]
+   * @param {number} [options.delta=0.07] - How far a peak must rise above the local average
+   * @param {number} [options.peakWindow=0.03] - Seconds either side a peak must be the maximum of
+   * @param {number} [options.averageWindow=0.1] - Seconds either side of the local average
+   * @param {number} [options.minInterval=0.06] - Shortest gap between onsets in seconds
+   */
+  constructor(frames, { delta = 0.07, peakWindow = 0.03, averageWindow = 0.1, minInterval = 0.06 } = {}) {
+    this.frames = frames;
+    this.delta = delta;
+    this.peakWindow = peakWindow;
+    this.averageWindow = averageWindow;
+    this.minInterval = minInterval;
+
+    this.events = [];
+    this.nextId = 0;
+
+    // Scan buffers: what has been read from frames, and how far peaks are picked
+    this.times = [];
+    this.onsets = [];
+    this.bands = [];
+    this.scanIndex = 0;
+    this.lastEventTime = -Infinity;
+
+    // nextId after recent consumeEvents() calls, by their currentTime: a
+    // caller's next call starts from there, so events picked since (late,
+    // for live input) still fire once
+    this.consumed = new Map();
+  }
+
+  /**
+   * Pick onsets in frames that arrived since the last call.
+   * Called by the queries below; call it directly to pre-scan.
+   */
+  update() {
+    const { frames } = this;
+    if (!frames || frames.length === 0) return;
+
+    // Read new frames (live frames drop old ones from the front, so go by time)
+    const lastTime = this.times.length > 0 ? this.times[this.times.length - 1] : -Infinity;
+    let start = frames.length;
+    while (start > 0 && frames[start - 1].time > lastTime) start--;
+    for (let i = start; i < frames.length; i++) {
+      const frame = frames[i];
+      this.times.push(frame.time);
+      this.onsets.push(frame.onset);
+      this.bands.push(frame.bands);
+    }
+
+    const count = this.times.length;
+    if (count < 2) return;
+
+    const hop = (this.times[count - 1] - this.times[0]) / (count - 1);
+    const peakFrames = Math.max(1, Math.round(this.peakWindow / hop));
+    const averageFrames = Math.max(1, Math.round(this.averageWindow / hop));
+    const lookahead = Math.max(peakFrames, averageFrames);
+
+    // A frame can be judged once the frames after it have arrived
+    const finished = !frames.live && frames.complete !== false;
+    const end = finished ? count : count - lookahead;
+
+    for (let i = this.scanIndex; i < end; i++) {
+      if (this.isPeak(i, peakFrames, averageFrames)) {
+        this.events.push({
+          id: this.nextId++,
+          time: this.times[i],
+          strength: this.onsets[i],
+          band: this.classify(i),
+        });
+        this.lastEventTime = this.times[i];
+      }
+    }
+    this.scanIndex = Math.max(this.scanIndex, end);
+
+    if (count > MAX_BUFFERED) {
+      const drop = count - MAX_BUFFERED / 2;
+      this.times.splice(0, drop);
+      this.onsets.splice(0, drop);
+      this.bands.splice(0, drop);
+      this.scanIndex -= drop;
+    }
+  }
+
+  isPeak(i, peakFrames, averageFrames) {
+    const { onsets } = this;
+    const value = onsets[i];
+    if (this.times[i] - this.lastEventTime < this.minInterval) return false;
+
+    for (let j = Math.max(0, i - peakFrames); j <= Math.min(onsets.length - 1, i + peakFrames); j++) {
+      if (onsets[j] > value) return false;
+    }
+
+    let sum = 0;
+    let n = 0;
+    for (let j = Math.max(0, i - averageFrames); j <= Math.min(onsets.length - 1, i + averageFrames); j++) {
+      sum += onsets[j];
+      n++;
+    }
+    return value >= sum / n + this.delta;
+  }
+
+  // The band group whose bands rose most into the peak
+  classify(i) {
+    let best = "mid";
+    let bestRise = -Infinity;
+    for (const [name, indices] of Object.entries(BAND_GROUPS)) {
+      let rise = 0;
+      for (const b of indices) {
+        let before = this.bands[i][b];
+        for (let j = Math.max(0, i - RISE_FRAMES); j < i; j++) {
+          before = Math.min(before, this.bands[j][b]);
+        }
+        rise += this.bands[i][b] - before;
+      }
+      rise /= indices.length;
+      if (rise > bestRise) {
+        bestRise = rise;
+        best = name;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Events with start < time <= end, in time order.
+   * @param {number} start - Seconds (exclusive)
+   * @param {number} end - Seconds (inclusive)
+   * @returns {Array<Object>} Events { id, time, strength, band }
+   */
+  between(start, end) {
+    this.update();
+    const { events } = this;
+
+    const result = [];
+    for (let i = firstAfter(events, start); i < events.length && events[i].time <= end; i++) {
+      result.push(events[i]);
+    }
+    return result;
+  }
+
+  /**
+   * The first event after a time.
+   * Only sees events already picked, i.e. the frames loaded so far.
+   * @param {number} time - Seconds
+   * @param {Object} [options]
+   * @param {number} [options.minStrength=0] - Skip weaker events
+   * @param {string} [options.band] - Only "low", "mid" or "high" events
+   * @returns {Object|null} Event { id, time, strength, band }, or null if none
+   */
+  nextEvent(time, { minStrength = 0, band } = {}) {
+    this.update();
+    const { events } = this;
+
+    for (let i = firstAfter(events, time); i < events.length; i++) {
+      const event = events[i];
+      if (event.strength >= minStrength && (!band || event.band === band)) return event;
+    }
+    return null;
+  }
+
+  /**
+   * Events that happened since the previous render.
+   * Pass the time you rendered last and the time you're rendering now;
+   * every event fires in exactly one call, however the frames fall. An
+   * event picked only after its time had been rendered (live input is
+   * picked a few frames behind) fires in the next call instead. Seeking
+   * backwards returns nothing, and after a long jump forward (a seek or a
+   * hidden tab) events older than `maxLag` are skipped rather than all
+   * firing at once.
+   * @param {number} prevTime - Playback time of the previous call
+   * @param {number} currentTime - Playback time now
+   * @param {Object} [options]
+   * @param {number} [options.minStrength=0] - Ignore weaker events
+   * @param {string} [options.band] - Only "low", "mid" or "high" events
+   * @param {number} [options.maxLag=0.5] - Seconds an event may be late and still fire
+   * @returns {Array<Object>} Events { id, time, strength, band }
+   */
+  consumeEvents(prevTime, currentTime, { minStrength = 0, band, maxLag = 0.5 } = {}) {
+    this.update();
+    // Events from before prevTime that the previous call couldn't have returned
+    const unseen = this.consumed.get(prevTime) ?? Infinity;
+    // The first caller at a time sets it: later callers in the same frame pick nothing new
+    if (!this.consumed.has(currentTime)) {
+      this.consumed.set(currentTime, this.nextId);
+      if (this.consumed.size > MAX_CONSUMED_TIMES) this.consumed.delete(this.consumed.keys().next().value);
+    }
+    if (currentTime <= prevTime) return [];
+
+    const { events } = this;
+    const result = [];
+    for (let i = firstAfter(events, currentTime - maxLag); i < events.length && events[i].time <= currentTime; i++) {
+      const event = events[i];
+      if (event.time <= prevTime && event.id < unseen) continue;
+      if (event.strength >= minStrength && (!band || event.band === band)) result.push(event);
+    }
+    return result;
+  }
+}
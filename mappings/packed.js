@@ -0,0 +1,447 @@
+/**
+ * Packed binary analysis format (.arv).
+ *
+ * The JSON export repeats every key in every frame. The packed format stores
+ * each frame feature as one column instead: Uint8-quantized when the feature
+ * stays within a small range (rms, bands, chroma, ...), Float32 otherwise
+ * (time, centroid_hz). Track-level data lives in a small JSON header.
+ *
+ * Columns are split into blocks of `blockSize` frames (about 10 seconds), so
+ * a file read front to back arrives in time order and can be decoded while
+ * it downloads (see PackedAnalysisStream).
+ *
+ * Layout (little-endian):
+ *   0   4 bytes  magic "ARVA"
+ *   4   uint16   format version
+ *   6   uint16   reserved (0)
+ *   8   uint32   header length in bytes
+ *   12  header   UTF-8 JSON, padded with spaces to a 4-byte boundary
+ *   ..  blocks   each block holds every column for its frame range, in
+ *                header.columns order, each column slice padded to 4 bytes
+ *
+ * Header JSON:
+ * {
+ *   sampleRate, hopLength, duration, tempo, beats, bandNames, chromaNames,
+ *   frameCount, blockSize,
+ *   columns: [{ name, type: "f32" | "u8", width, min?, max? }]
+ * }
+ *
+ * A column with width > 1 holds an array field (bands, chroma), stored
+ * frame-major: frame 0's values, then frame 1's, and so on.
+ * A "u8" column maps 0..255 linearly onto min..max.
+ *
+ * Version 1 files have no blockSize; they are a single block.
+ */
+
+const MAGIC = "ARVA";
+const VERSION = 2;
+const PREAMBLE_BYTES = 12;
+const DEFAULT_BLOCK_SECONDS = 10;
+
+// Track-level fields carried in the header (everything except frames)
+const HEADER_FIELDS = [
+  "version",
+  "sampleRate",
+  "hopLength",
+  "duration",
+  "tempo",
+  "beats",
+  "bandNames",
+  "chromaNames",
+];
+
+function align4(n) {
+  return (n + 3) & ~3;
+}
+
+function bytesPerValue(col) {
+  return col.type === "f32" ? 4 : 1;
+}
+
+/**
+ * Check whether a buffer holds a packed analysis.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {boolean}
+ */
+export function isPackedAnalysis(buffer) {
+  if (buffer.byteLength < 4) return false;
+  const bytes = buffer instanceof Uint8Array
+    ? buffer.subarray(0, 4)
+    : new Uint8Array(buffer, 0, 4);
+  return String.fromCharCode(...bytes) === MAGIC;
+}
+
+/**
+ * Work out the column layout for a frames array.
+ * @param {Array} frames - Analysis frames
+ * @param {boolean} quantize - Allow Uint8 columns
+ * @returns {Array} Column descriptors
+ */
+function describeColumns(frames, quantize) {
+  const first = frames[0];
+  const columns = [];
+
+  for (const name of Object.keys(first)) {
+    const sample = first[name];
+    const isArray = Array.isArray(sample);
+    if (!isArray && typeof sample !== "number") {
+      throw new Error(`Cannot pack frame field "${name}": not a number or number array`);
+    }
+
+    const width = isArray ? sample.length : 1;
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < frames.length; i++) {
+      const value = frames[i][name];
+      const values = isArray ? value : [value];
+      if (!values || values.length !== width) {
+        throw new Error(`Cannot pack frame field "${name}": inconsistent at frame ${i}`);
+      }
+      for (const v of values) {
+        if (v < min) min = v;
+        if (v > max) max = v;
+      }
+    }
+
+    // Time needs full precision; normalized features fit in a byte
+    const fitsByte = quantize && name !== "time" && min >= 0 && max <= 1;
+    columns.push(
+      fitsByte
+        ? { name, type: "u8", width, min: 0, max: 1, array: isArray }
+        : { name, type: "f32", width, array: isArray }
+    );
+  }
+
+  return columns;
+}
+
+/**
+ * Byte length of one block's column data.
+ * @param {Array} columns - Column descriptors
+ * @param {number} frameCount - Frames in the block
+ * @returns {number}
+ */
+function blockByteLength(columns, frameCount) {
+  let total = 0;
+  for (const col of columns) {
+    total += align4(frameCount * col.width * bytesPerValue(col));
+  }
+  return total;
+}
+
+/**
+ * Encode an analysis object (as written by analyze.py) into the packed format.
+ * @param {Object} analysis - Analysis with frames array
+ * @param {Object} [options]
+ * @param {boolean} [options.quantize=true] - Store 0-1 features as Uint8
+ * @param {number} [options.blockSeconds=10] - Duration covered by each block
+ * @returns {ArrayBuffer}
+ */
+export function encodePackedAnalysis(
+  analysis,
+  { quantize = true, blockSeconds = DEFAULT_BLOCK_SECONDS } = {}
+) {
+  const frames = analysis.frames;
+  if (!frames || frames.length === 0) {
+    throw new Error("Cannot pack an analysis without frames");
+  }
+
+  const frameRate = analysis.sampleRate && analysis.hopLength
+    ? analysis.sampleRate / analysis.hopLength
+    : 43;
+  const blockSize = Math.max(1, Math.round(blockSeconds * frameRate));
+
+  const columns = describeColumns(frames, quantize);
+  const header = { frameCount: frames.length, blockSize, columns };
+  for (const field of HEADER_FIELDS) {
+    if (analysis[field] !== undefined) header[field] = analysis[field];
+  }
+
+  const encoder = new TextEncoder();
+  const headerText = JSON.stringify(header);
+  const headerBytes = encoder.encode(
+    headerText.padEnd(align4(encoder.encode(headerText).length), " ")
+  );
+
+  let byteLength = PREAMBLE_BYTES + headerBytes.length;
+  for (let start = 0; start < frames.length; start += blockSize) {
+    byteLength += blockByteLength(columns, Math.min(blockSize, frames.length - start));
+  }
+
+  const buffer = new ArrayBuffer(byteLength);
+  const view = new DataView(buffer);
+  for (let i = 0; i < 4; i++) view.setUint8(i, MAGIC.charCodeAt(i));
+  view.setUint16(4, VERSION, true);
+  view.setUint16(6, 0, true);
+  view.setUint32(8, headerBytes.length, true);
+  new Uint8Array(buffer, PREAMBLE_BYTES, headerBytes.length).set(headerBytes);
+
+  let offset = PREAMBLE_BYTES + headerBytes.length;
+  for (let start = 0; start < frames.length; start += blockSize) {
+    const end = Math.min(start + blockSize, frames.length);
+
+    for (const col of columns) {
+      const count = (end - start) * col.width;
+      const data = col.type === "f32"
+        ? new Float32Array(buffer, offset, count)
+        : new Uint8Array(buffer, offset, count);
+      const scale = col.type === "u8" ? 255 / (col.max - col.min) : 1;
+
+      for (let i = start; i < end; i++) {
+        const value = frames[i][col.name];
+        for (let j = 0; j < col.width; j++) {
+          const v = col.array ? value[j] : value;
+          data[(i - start) * col.width + j] = col.type === "u8"
+            ? Math.round((v - col.min) * scale)
+            : v;
+        }
+      }
+
+      offset += align4(count * bytesPerValue(col));
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Read-only frames view over packed columns.
+ * Indexing (`frames[i]`) builds a plain frame object on demand, so code
+ * written for the JSON frames array keeps working unchanged.
+ *
+ * While streaming, `length` counts the frames decoded so far and
+ * `complete` stays false until the last block has arrived.
+ */
+class PackedFrames {
+  constructor(columns, frameCount) {
+    this.columns = columns;
+    this.frameCount = frameCount;
+    this.length = 0;
+    this.complete = false;
+  }
+
+  /**
+   * Build the frame object at an index.
+   * @param {number} index
+   * @returns {Object|undefined}
+   */
+  at(index) {
+    if (index < 0) index += this.length;
+    if (index < 0 || index >= this.length) return undefined;
+
+    const frame = {};
+    for (const col of this.columns) {
+      if (col.array) {
+        const start = index * col.width;
+        const values = new Array(col.width);
+        for (let j = 0; j < col.width; j++) {
+          values[j] = col.decode(col.data[start + j]);
+        }
+        frame[col.name] = values;
+      } else {
+        frame[col.name] = col.decode(col.data[index]);
+      }
+    }
+    return frame;
+  }
+
+  /**
+   * Raw typed array for a column, for fast whole-track passes.
+   * Array columns are frame-major with `width` values per frame.
+   * @param {string} name - Frame field name
+   * @returns {Object|null} { data, width, decode }
+   */
+  column(name) {
+    return this.columns.find((col) => col.name === name) || null;
+  }
+
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.length; i++) {
+      yield this.at(i);
+    }
+  }
+}
+
+// Route numeric property access (frames[12]) to PackedFrames.at()
+const INDEX_PATTERN = /^(0|[1-9]\d*)$/;
+const framesProxyHandler = {
+  get(target, prop, receiver) {
+    if (typeof prop === "string" && INDEX_PATTERN.test(prop)) {
+      return target.at(Number(prop));
+    }
+    return Reflect.get(target, prop, receiver);
+  },
+  has(target, prop) {
+    if (typeof prop === "string" && INDEX_PATTERN.test(prop)) {
+      return Number(prop) < target.length;
+    }
+    return Reflect.has(target, prop);
+  },
+};
+
+/**
+ * Incremental decoder for packed analysis bytes.
+ * Feed it chunks as they download; `analysis` becomes available once the
+ * header has arrived and its frames grow one block (time range) at a time.
+ */
+export class PackedAnalysisStream {
+  constructor() {
+    this.chunks = [];
+    this.pendingBytes = 0;
+    this.analysis = null;
+    this.header = null;
+    this.frames = null;
+    this.nextFrame = 0;
+  }
+
+  /**
+   * Take the first `length` pending bytes as one contiguous array.
+   * @param {number} length
+   * @returns {Uint8Array}
+   */
+  take(length) {
+    const out = new Uint8Array(length);
+    let filled = 0;
+    while (filled < length) {
+      const chunk = this.chunks[0];
+      const needed = length - filled;
+      if (chunk.length <= needed) {
+        out.set(chunk, filled);
+        filled += chunk.length;
+        this.chunks.shift();
+      } else {
+        out.set(chunk.subarray(0, needed), filled);
+        this.chunks[0] = chunk.subarray(needed);
+        filled += needed;
+      }
+    }
+    this.pendingBytes -= length;
+    return out;
+  }
+
+  /**
+   * Peek at the first `length` pending bytes without consuming them.
+   * @param {number} length
+   * @returns {Uint8Array}
+   */
+  peek(length) {
+    const saved = this.chunks.slice();
+    const savedBytes = this.pendingBytes;
+    const bytes = this.take(length);
+    this.chunks = saved;
+    this.pendingBytes = savedBytes;
+    return bytes;
+  }
+
+  /**
+   * Add downloaded bytes and decode whatever is now complete.
+   * @param {Uint8Array} chunk
+   * @returns {number} Frames decoded so far
+   */
+  push(chunk) {
+    if (chunk.length > 0) {
+      this.chunks.push(chunk);
+      this.pendingBytes += chunk.length;
+    }
+
+    if (!this.header) {
+      if (this.pendingBytes < PREAMBLE_BYTES) return 0;
+      const preamble = this.peek(PREAMBLE_BYTES);
+      if (!isPackedAnalysis(preamble)) {
+        throw new Error("Not a packed analysis file (bad magic)");
+      }
+      const view = new DataView(preamble.buffer);
+      const version = view.getUint16(4, true);
+      if (version < 1 || version > VERSION) {
+        throw new Error(`Unsupported packed analysis version ${version}`);
+      }
+      const headerLength = view.getUint32(8, true);
+      if (this.pendingBytes < PREAMBLE_BYTES + headerLength) return 0;
+
+      this.take(PREAMBLE_BYTES);
+      this.readHeader(this.take(headerLength));
+    }
+
+    // Decode every block that has fully arrived
+    const { frameCount, blockSize } = this.header;
+    while (this.nextFrame < frameCount) {
+      const blockFrames = Math.min(blockSize, frameCount - this.nextFrame);
+      const length = blockByteLength(this.frames.columns, blockFrames);
+      if (this.pendingBytes < length) break;
+      this.readBlock(this.take(length), blockFrames);
+    }
+
+    return this.frames.length;
+  }
+
+  /**
+   * Parse the header and allocate full-length columns.
+   * @param {Uint8Array} bytes
+   */
+  readHeader(bytes) {
+    const header = JSON.parse(new TextDecoder().decode(bytes));
+    header.blockSize = header.blockSize || header.frameCount;
+    this.header = header;
+
+    const columns = header.columns.map((col) => {
+      const count = header.frameCount * col.width;
+      const isFloat = col.type === "f32";
+      const data = isFloat ? new Float32Array(count) : new Uint8Array(count);
+      const scale = isFloat ? 1 : (col.max - col.min) / 255;
+      const decode = isFloat ? (v) => v : (q) => col.min + q * scale;
+      return { ...col, data, decode };
+    });
+
+    this.frames = new PackedFrames(columns, header.frameCount);
+
+    const analysis = {};
+    for (const field of HEADER_FIELDS) {
+      if (header[field] !== undefined) analysis[field] = header[field];
+    }
+    analysis.frames = new Proxy(this.frames, framesProxyHandler);
+    this.analysis = analysis;
+  }
+
+  /**
+   * Copy one block's column slices into the full-length columns.
+   * @param {Uint8Array} bytes - Block bytes (offset 0 is 4-byte aligned)
+   * @param {number} blockFrames - Frames in this block
+   */
+  readBlock(bytes, blockFrames) {
+    let offset = 0;
+    for (const col of this.frames.columns) {
+      const count = blockFrames * col.width;
+      const slice = col.type === "f32"
+        ? new Float32Array(bytes.buffer, bytes.byteOffset + offset, count)
+        : bytes.subarray(offset, offset + count);
+      col.data.set(slice, this.nextFrame * col.width);
+      offset += align4(count * bytesPerValue(col));
+    }
+
+    this.nextFrame += blockFrames;
+    this.frames.length = this.nextFrame;
+    this.frames.complete = this.nextFrame === this.header.frameCount;
+  }
+
+  /**
+   * Signal the end of the input.
+   * @returns {Object} The decoded analysis
+   */
+  finish() {
+    if (!this.header || !this.frames.complete) {
+      throw new Error("Packed analysis is truncated");
+    }
+    return this.analysis;
+  }
+}
+
+/**
+ * Decode a complete packed analysis into the same shape as the JSON export.
+ * @param {ArrayBuffer} buffer - Packed analysis bytes
+ * @returns {Object} Analysis whose `frames` is a lazily decoded view
+ */
+export function decodePackedAnalysis(buffer) {
+  const stream = new PackedAnalysisStream();
+  stream.push(new Uint8Array(buffer));
+  return stream.finish();
+}
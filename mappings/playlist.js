@@ -0,0 +1,791 @@
+/**
+ * Playlist source: a queue of tracks played back to back, for running the
+ * visuals for hours.
+ *
+ * Selected with `?source=playlist`, which queues every track in the
+ * manifest, or `&tracks=a,b,c` for some of them in that order. Playback
+ * options come from the URL too, and the playlist controls in the controls
+ * bar change them while it plays:
+ *
+ *   ?source=playlist&shuffle&repeat=all&crossfade=8
+ *
+ * `repeat` is off (stop after the last track), all or one; `crossfade` is
+ * in seconds (default 4) and 0 plays the tracks gapless.
+ *
+ * Two decks (hidden <audio> elements) play through one AudioContext: the
+ * current track, and the next one, loaded with its analysis some seconds
+ * before it's due. Crossfades are equal-power; gapless transitions are a
+ * 40 ms crossfade, which hides the next deck's start-up.
+ *
+ * Like live input (see live.js), the sketch sees one analysis that never
+ * ends. The sketch's <audio> element carries the mix (muted) and is the
+ * clock, and every hop a frame is taken from each playing track's analysis
+ * at the position being heard and pushed onto `analysis.frames`. During a
+ * crossfade the two tracks' frames are blended by the fade position, so
+ * smoothing, simulations and anything else built up over the outgoing track
+ * carries on into the next one instead of starting over. Beats, tempo,
+ * sections and harmony switch to the incoming track halfway through the
+ * fade, moved onto the playlist's timeline.
+ */
+
+import { ANALYSIS_VERSION } from "./schema.js";
+import { blendFrames, clamp, getFrameAtTime } from "./utils.js";
+import { loadTrackAnalysis, resolveTrack } from "./tracks.js";
+import { SeededRandom } from "./random.js";
+import { describeDevice, loadOffset } from "./audio-clock.js";
+import { formatTime } from "./transport.js";
+
+/** Repeat modes: stop at the end, go round the queue, or play one track over. */
+export const REPEAT_MODES = ["off", "all", "one"];
+
+const DEFAULT_CROSSFADE = 4; // seconds
+const CROSSFADES = [0, 2, 4, 8, 12]; // seconds, offered in the controls
+const GAPLESS_FADE = 0.04; // seconds of overlap for crossfade 0
+const START_LEAD = 0.1; // seconds the next deck gets to start before its fade-in
+const PRELOAD_SECONDS = 20; // load the next track this long before it's due
+const RESYNC_SECONDS = 0.25; // deck drift beyond which its timeline position jumps
+const DRIFT_CORRECTION = 0.05; // share of smaller drift taken in per hop
+const GAIN_SMOOTHING = 0.01; // seconds; time constant of gain changes
+
+/**
+ * Playlist options from the page URL.
+ * @returns {Object} { tracks, shuffle, repeat, crossfade }
+ */
+export function readPlaylistOptions() {
+  const params = new URLSearchParams(window.location.search);
+  const tracks = (params.get("tracks") || "").split(",").filter(Boolean);
+  const repeat = params.get("repeat");
+  const crossfade = Number(params.get("crossfade") ?? DEFAULT_CROSSFADE);
+  return {
+    tracks,
+    shuffle: params.has("shuffle") && params.get("shuffle") !== "0",
+    repeat: REPEAT_MODES.includes(repeat) ? repeat : "off",
+    crossfade: Number.isFinite(crossfade) && crossfade >= 0 ? crossfade : DEFAULT_CROSSFADE,
+  };
+}
+
+/**
+ * The queue: which track is playing and which comes next, with shuffle
+ * and repeat. No audio here; PlaylistPlayer plays it.
+ */
+export class Playlist {
+  /**
+   * @param {Array<Object>} tracks - Track entries (see resolveTrack())
+   * @param {Object} [options]
+   * @param {boolean} [options.shuffle=false]
+   * @param {string} [options.repeat="off"] - One of REPEAT_MODES
+   * @param {RandomStream} [options.random] - Shuffles (default: the page seed's "shuffle" stream)
+   */
+  constructor(tracks, { shuffle = false, repeat = "off", random = new SeededRandom().stream("shuffle") } = {}) {
+    if (tracks.length === 0) {
+      throw new Error("The playlist is empty: add tracks to data/tracks.json or list them with ?tracks=");
+    }
+    this.tracks = [...tracks];
+    this.random = random;
+    this.order = this.tracks.map((_, i) => i);
+    this.position = 0;
+    this.upcoming = null; // order for the next time round, once it's been peeked at
+    this.failed = new Set(); // tracks that wouldn't load, never queued again
+    this.shuffle = false;
+    this.setRepeat(repeat);
+    if (shuffle) this.setShuffle(true);
+  }
+
+  /** The track playing. */
+  get current() {
+    return this.tracks[this.order[this.position]];
+  }
+
+  /** The tracks in play order. */
+  get queue() {
+    return this.order.map((i) => this.tracks[i]);
+  }
+
+  /**
+   * The track that plays when the current one ends.
+   * @returns {Object|null} null at the end of the queue with repeat off
+   */
+  peek() {
+    const next = this.following(false);
+    return next && this.tracks[next.order[next.position]];
+  }
+
+  /**
+   * Move on to the next track.
+   * @param {boolean} [manual=false] - Skipped by hand: ignores repeat one
+   * @returns {Object|null} The new current track, or null (and no move) at
+   *   the end of the queue with repeat off
+   */
+  advance(manual = false) {
+    const next = this.following(manual);
+    if (!next) return null;
+    this.order = next.order;
+    this.position = next.position;
+    this.upcoming = null;
+    return this.current;
+  }
+
+  /**
+   * Go back a track (round to the last with repeat on; the first stays put).
+   * @returns {Object} The new current track
+   */
+  previous() {
+    if (this.position > 0) {
+      this.position--;
+    } else if (this.repeat !== "off") {
+      this.position = this.order.length - 1;
+    }
+    return this.current;
+  }
+
+  /**
+   * Play a track from the queue next.
+   * @param {number} position - Index in `queue`
+   * @returns {Object} The new current track
+   */
+  jump(position) {
+    this.position = clamp(Math.floor(position), 0, this.order.length - 1);
+    return this.current;
+  }
+
+  /**
+   * Turn shuffle on (the current track stays, the rest are shuffled after
+   * it) or off (back to the listed order, at the current track).
+   * @param {boolean} on
+   */
+  setShuffle(on) {
+    const playing = this.order[this.position];
+    if (on) {
+      this.order = [playing, ...this.shuffled().filter((i) => i !== playing)];
+      this.position = 0;
+    } else {
+      this.order = [...this.order].sort((a, b) => a - b);
+      this.position = this.order.indexOf(playing);
+    }
+    this.shuffle = on;
+    this.upcoming = null;
+  }
+
+  /**
+   * @param {string} mode - One of REPEAT_MODES
+   */
+  setRepeat(mode) {
+    if (!REPEAT_MODES.includes(mode)) {
+      throw new Error(`Unknown repeat mode "${mode}" (have: ${REPEAT_MODES.join(", ")})`);
+    }
+    this.repeat = mode;
+  }
+
+  /**
+   * Add a track to the end of the queue.
+   * @param {Object} track
+   */
+  add(track) {
+    this.tracks.push(track);
+    this.order.push(this.tracks.length - 1);
+    this.upcoming = null;
+  }
+
+  /**
+   * Take a track out of the queue (not the one playing).
+   * @param {Object} track
+   */
+  remove(track) {
+    const index = this.tracks.indexOf(track);
+    const at = this.order.indexOf(index);
+    if (at < 0 || at === this.position) return;
+    this.order.splice(at, 1);
+    if (at < this.position) this.position--;
+    this.upcoming = null;
+  }
+
+  /**
+   * Drop a track that failed to load. If it's the one playing (repeat one,
+   * or the only track), it stays current but nothing plays it again.
+   * @param {Object} track
+   */
+  fail(track) {
+    this.failed.add(track);
+    this.remove(track);
+    this.upcoming = null;
+  }
+
+  // Order and position after the current track, or null at the end
+  following(manual) {
+    const next = this.candidate(manual);
+    return next && !this.failed.has(this.tracks[next.order[next.position]]) ? next : null;
+  }
+
+  candidate(manual) {
+    if (this.repeat === "one" && !manual && !this.failed.has(this.current)) {
+      return { order: this.order, position: this.position };
+    }
+    if (this.position + 1 < this.order.length) {
+      return { order: this.order, position: this.position + 1 };
+    }
+    if (this.repeat === "off") return null;
+    // Round again, reshuffled if shuffling, without repeating the last track straight away
+    if (!this.upcoming) {
+      this.upcoming = this.shuffle ? this.shuffled(this.order[this.position]) : this.order;
+    }
+    return { order: this.upcoming, position: 0 };
+  }
+
+  // Every track index in random order, not starting with `avoid`
+  shuffled(avoid = null) {
+    const order = this.tracks.map((_, i) => i).filter((i) => this.order.includes(i));
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = this.random.int(i + 1);
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    if (order.length > 1 && order[0] === avoid) {
+      [order[0], order[1]] = [order[1], order[0]];
+    }
+    return order;
+  }
+}
+
+// Move timeline entries ({ start, end, ... }) to the playlist's timeline
+function shiftTimeline(entries, offset) {
+  return (entries || []).map((entry) => ({ ...entry, start: entry.start + offset, end: entry.end + offset }));
+}
+
+/**
+ * One of the two players: an audio element routed through a gain, and the
+ * analysis of the track it has loaded.
+ */
+class Deck {
+  constructor(context, output) {
+    this.element = new Audio();
+    this.element.preload = "auto";
+    this.gain = context.createGain();
+    this.gain.gain.value = 0;
+    context.createMediaElementSource(this.element).connect(this.gain).connect(output);
+    this.context = context;
+    this.track = null;
+    this.analysis = null;
+    this.complete = null;
+    this.start = 0; // playlist time of the track's 0:00
+    this.auto = false; // queued by the player rather than picked by hand
+  }
+
+  /** Track length in seconds. */
+  get duration() {
+    const { duration } = this.element;
+    return Number.isFinite(duration) ? duration : this.analysis?.duration ?? 0;
+  }
+
+  /** Seconds left to play. */
+  get remaining() {
+    return this.duration - this.element.currentTime;
+  }
+
+  /**
+   * Load a track and start streaming its analysis.
+   * @param {Object} track
+   * @param {Object} [options] - For loadTrackAnalysis()
+   * @returns {Promise<boolean>} false if another load replaced this one meanwhile
+   */
+  async load(track, options) {
+    this.unload();
+    this.track = track;
+    this.element.src = track.audioUrl;
+    const { analysis, complete } = await loadTrackAnalysis(track, options);
+    if (this.track !== track) return false;
+    this.analysis = analysis;
+    this.complete = complete;
+    complete.catch((err) => console.warn(`Analysis of "${track.id}" is incomplete (${err.message})`));
+    return true;
+  }
+
+  unload() {
+    this.element.pause();
+    this.element.removeAttribute("src");
+    this.element.load();
+    this.setGain(0);
+    this.track = null;
+    this.analysis = null;
+    this.complete = null;
+    this.auto = false;
+  }
+
+  /**
+   * Frame at a position in the track (held at either end).
+   * @param {number} time - Seconds into the track
+   * @returns {Object|null}
+   */
+  frameAt(time) {
+    return getFrameAtTime(this.analysis.frames, clamp(time, 0, this.analysis.duration));
+  }
+
+  setGain(value) {
+    this.gain.gain.setTargetAtTime(value, this.context.currentTime, GAIN_SMOOTHING);
+  }
+}
+
+/**
+ * Plays a Playlist with transitions, and builds the analysis the sketch sees.
+ */
+export class PlaylistPlayer {
+  /**
+   * @param {HTMLAudioElement} audio - Sketch audio element (becomes the clock)
+   * @param {Playlist} playlist
+   * @param {Object} [options]
+   * @param {AudioContext} [options.context]
+   * @param {number} [options.crossfade=4] - Seconds; 0 for gapless
+   * @param {number} [options.hopSeconds] - Seconds between frames (default as analyze.py)
+   * @param {number} [options.historySeconds=30] - Seconds of frames to keep
+   */
+  constructor(audio, playlist, {
+    context = new AudioContext(),
+    crossfade = DEFAULT_CROSSFADE,
+    hopSeconds = 512 / 22050,
+    historySeconds = 30,
+  } = {}) {
+    this.audio = audio;
+    this.playlist = playlist;
+    this.context = context;
+    this.crossfade = crossfade;
+    this.hopSeconds = hopSeconds;
+    this.maxFrames = Math.ceil(historySeconds / hopSeconds);
+    this.offset = 0; // calibrated A/V offset (see audio-clock.js)
+    this.listeners = new Set();
+
+    const mix = context.createGain();
+    mix.connect(context.destination);
+    this.stream = context.createMediaStreamDestination();
+    mix.connect(this.stream);
+    this.decks = [new Deck(context, mix), new Deck(context, mix)];
+    this.current = null;
+    this.next = null; // deck loaded with the next track
+    this.loading = null; // track being loaded into the other deck
+    this.fade = null; // { start, length, adopted }
+
+    const frames = [];
+    frames.live = true;
+    this.analysis = {
+      version: ANALYSIS_VERSION,
+      live: true,
+      duration: Infinity,
+      tempo: 0,
+      beats: [],
+      bandNames: [],
+      chromaNames: [],
+      sections: [],
+      harmony: null,
+      track: null, // the track being heard
+      frames,
+    };
+  }
+
+  /** The deck that isn't playing the current track. */
+  get idleDeck() {
+    return this.decks.find((deck) => deck !== this.current);
+  }
+
+  // Decks that should be playing while the playlist plays
+  get activeDecks() {
+    return [this.current, this.fade ? this.next : null].filter(Boolean);
+  }
+
+  /** Length of the transitions in seconds. */
+  get fadeLength() {
+    return Math.max(this.crossfade, GAPLESS_FADE);
+  }
+
+  // Playlist time being heard now: the clock minus output latency, plus the calibrated offset
+  get heardTime() {
+    const latency = (this.context.outputLatency || 0) + (this.context.baseLatency || 0);
+    return this.audio.currentTime - latency + this.offset;
+  }
+
+  /**
+   * Where the current track is.
+   * @returns {Object} { track, time, duration }
+   */
+  get position() {
+    const deck = this.current;
+    if (!deck) return { track: null, time: 0, duration: 0 };
+    return { track: deck.track, time: Math.max(0, this.heardTime - deck.start), duration: deck.duration };
+  }
+
+  /**
+   * Call when the queue or the track changes.
+   * @param {Function} listener - () => void
+   * @returns {Function} Removes the listener
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    for (const listener of this.listeners) listener();
+  }
+
+  /**
+   * Load the first track that loads and take over the sketch's audio element.
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Download progress of the first analysis
+   * @throws {Error} If no track in the playlist loads
+   */
+  async start({ onProgress } = {}) {
+    const deck = this.decks[0];
+    let lastError = null;
+    for (let tries = this.playlist.order.length; tries > 0; tries--) {
+      const track = this.playlist.current;
+      try {
+        await deck.load(track, { onProgress });
+        break;
+      } catch (err) {
+        lastError = err;
+        console.warn(`Skipping "${track.id}" (${err.message})`);
+        this.playlist.advance(true);
+        this.playlist.fail(track);
+      }
+    }
+    if (!deck.analysis) {
+      throw new Error(`No track in the playlist could be loaded (${lastError?.message})`);
+    }
+
+    const { analysis } = this;
+    for (const key of ["sampleRate", "hopLength", "bandNames", "chromaNames"]) {
+      analysis[key] = deck.analysis[key];
+    }
+    this.current = deck;
+    deck.start = 0;
+    deck.setGain(1);
+    this.adopt(deck, 0);
+
+    // The element only provides the clock and transport; the decks play the audio
+    this.audio.srcObject = this.stream.stream;
+    this.audio.muted = true;
+    this.audio.addEventListener("play", () => {
+      this.context.resume();
+      for (const active of this.activeDecks) active.element.play();
+    });
+    this.audio.addEventListener("pause", () => {
+      for (const active of this.activeDecks) active.element.pause();
+      this.context.suspend();
+    });
+    describeDevice().then((device) => {
+      this.offset = loadOffset(device);
+    });
+
+    this.timer = setInterval(() => this.tick(), this.hopSeconds * 1000);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    for (const deck of this.decks) deck.unload();
+    this.context.close();
+  }
+
+  /** Skip to the next track now, with the usual transition. */
+  skip() {
+    const track = this.playlist.advance(true);
+    if (track) this.cue(track);
+  }
+
+  /** Go back a track. */
+  back() {
+    this.cue(this.playlist.previous());
+  }
+
+  /**
+   * Play a track from the queue now.
+   * @param {number} position - Index in `playlist.queue`
+   */
+  jump(position) {
+    this.cue(this.playlist.jump(position));
+  }
+
+  /** @param {boolean} on */
+  setShuffle(on) {
+    this.playlist.setShuffle(on);
+    this.requeue();
+  }
+
+  /** @param {string} mode - One of REPEAT_MODES */
+  setRepeat(mode) {
+    this.playlist.setRepeat(mode);
+    this.requeue();
+  }
+
+  /** @param {number} seconds - 0 for gapless */
+  setCrossfade(seconds) {
+    this.crossfade = Math.max(0, seconds);
+  }
+
+  // The next track may have changed: drop one loaded in advance (unless it's already fading in)
+  requeue() {
+    if (!this.fade && (this.next?.auto || this.loading)) {
+      this.idleDeck.unload();
+      this.next = null;
+      this.loading = null;
+    }
+    this.notify();
+  }
+
+  // Switch to a track picked by hand: fade to it while playing, cut to it while paused
+  async cue(track) {
+    if (this.fade) this.endFade();
+    const loaded = await this.prepare(track, false);
+    if (!loaded) return;
+    if (this.audio.paused) {
+      this.cut(this.next);
+    } else {
+      this.beginFade(Math.min(this.fadeLength, Math.max(this.current.remaining, GAPLESS_FADE)));
+    }
+  }
+
+  // Load a track into the idle deck as `next`
+  async prepare(track, auto) {
+    const deck = this.idleDeck;
+    this.next = null;
+    this.loading = track;
+    let loaded;
+    try {
+      loaded = await deck.load(track);
+    } catch (err) {
+      loaded = false;
+      console.warn(`Skipping "${track.id}" (${err.message})`);
+      // A track picked by hand is already current in the queue; go back to the one still playing
+      const playing = this.playlist.queue.indexOf(this.current.track);
+      if (playing >= 0) this.playlist.jump(playing);
+      this.playlist.fail(track);
+      this.notify();
+    }
+    if (this.loading !== track) return false; // replaced by a later pick
+    this.loading = null;
+    if (!loaded) return false;
+    deck.auto = auto;
+    this.next = deck;
+    return true;
+  }
+
+  // Start fading from the current deck to the next
+  beginFade(length) {
+    const deck = this.next;
+    if (deck.auto) this.playlist.advance();
+    this.fade = { start: this.audio.currentTime, length, adopted: false };
+    deck.start = this.audio.currentTime;
+    deck.element.currentTime = 0;
+    deck.setGain(0);
+    if (!this.audio.paused) deck.element.play();
+    this.notify();
+  }
+
+  endFade() {
+    if (!this.fade.adopted) this.adopt(this.next, this.audio.currentTime);
+    this.current.unload();
+    this.current = this.next;
+    this.current.setGain(1);
+    this.next = null;
+    this.fade = null;
+  }
+
+  // Replace the current deck at once
+  cut(deck) {
+    this.current.unload();
+    this.current = deck;
+    this.next = null;
+    deck.start = this.audio.currentTime;
+    deck.element.currentTime = 0;
+    deck.setGain(1);
+    if (!this.audio.paused) deck.element.play();
+    this.adopt(deck, this.audio.currentTime);
+  }
+
+  // Take a deck's beats, tempo, sections and harmony from a playlist time on
+  adopt(deck, from) {
+    const { analysis } = this;
+    const fill = () => {
+      // Beats before `from` stay, so beat and bar numbers carry on
+      const { beats } = analysis;
+      let keep = beats.length;
+      while (keep > 0 && beats[keep - 1] >= from) keep--;
+      beats.length = keep;
+      for (const beat of deck.analysis?.beats || []) {
+        if (beat + deck.start >= from) beats.push(beat + deck.start);
+      }
+      analysis.sections = shiftTimeline(deck.analysis?.sections, deck.start);
+      const harmony = deck.analysis?.harmony;
+      analysis.harmony = harmony && {
+        ...harmony,
+        chords: shiftTimeline(harmony.chords, deck.start),
+        localKeys: shiftTimeline(harmony.localKeys, deck.start),
+      };
+    };
+    analysis.tempo = deck.analysis.tempo;
+    analysis.track = deck.track;
+    fill();
+    // Sections and harmony arrive once the deck's analysis has loaded
+    deck.complete.then(() => {
+      if (analysis.track === deck.track && (deck === this.current || deck === this.next)) fill();
+    }, () => {});
+    this.notify();
+  }
+
+  // Keep a deck's place on the playlist timeline in step with its element
+  resync(deck, now) {
+    if (deck.element.paused) return;
+    const drift = now - deck.element.currentTime - deck.start;
+    deck.start += Math.abs(drift) > RESYNC_SECONDS ? drift : drift * DRIFT_CORRECTION;
+  }
+
+  tick() {
+    if (this.audio.paused || !this.current) return;
+    const now = this.audio.currentTime;
+    const heard = this.heardTime;
+    for (const deck of this.activeDecks) this.resync(deck, now);
+
+    const { current } = this;
+    if (!this.next && !this.loading && current.remaining < PRELOAD_SECONDS) {
+      const track = this.playlist.peek();
+      if (track) this.prepare(track, true);
+    }
+    if (!this.fade && this.next?.auto && current.remaining <= this.fadeLength + START_LEAD) {
+      this.beginFade(this.fadeLength);
+    }
+    if (!this.fade && !this.next && !this.loading && current.element.ended) {
+      this.finish();
+      return;
+    }
+
+    let frame = current.frameAt(heard - current.start);
+    if (this.fade) {
+      const { fade, next } = this;
+      // Gains follow the clock; the blend follows what's heard
+      const played = clamp((now - fade.start) / fade.length, 0, 1);
+      const blend = clamp((heard - fade.start) / fade.length, 0, 1);
+      current.setGain(Math.cos((played * Math.PI) / 2));
+      next.setGain(Math.sin((played * Math.PI) / 2));
+
+      const incoming = next.frameAt(heard - next.start);
+      frame = frame && incoming ? blendFrames(frame, incoming, blend) : frame || incoming;
+      if (blend >= 0.5 && !fade.adopted) {
+        fade.adopted = true;
+        this.adopt(next, now);
+      }
+      if (blend >= 1) this.endFade();
+    }
+
+    if (frame) {
+      const { frames } = this.analysis;
+      frames.push({ ...frame, time: now });
+      // Trim in batches so the array isn't shifted every frame
+      if (frames.length > this.maxFrames * 1.5) {
+        frames.splice(0, frames.length - this.maxFrames);
+      }
+    }
+  }
+
+  // End of the queue: stop, ready to start over from the top
+  finish() {
+    this.audio.pause();
+    this.cue(this.playlist.jump(0));
+  }
+}
+
+/**
+ * Open the playlist source.
+ * @param {HTMLAudioElement} audio - Sketch audio element (becomes the clock)
+ * @param {Object} manifest - From loadManifest()
+ * @param {Object} [options] - As readPlaylistOptions(), and:
+ * @param {Array<string>} [options.tracks] - Track ids (default: the whole manifest)
+ * @param {Function} [options.onProgress] - Download progress of the first analysis
+ * @returns {Promise<Object>} { analysis, complete, player, stop } where
+ *   `complete` never settles: tracks that fail to load are skipped
+ */
+export async function openPlaylist(audio, manifest, { tracks = [], shuffle, repeat, crossfade, onProgress } = {}) {
+  const ids = tracks.length > 0 ? tracks : manifest.tracks.map((track) => track.id);
+  const playlist = new Playlist(ids.map((id) => resolveTrack(manifest, id)), { shuffle, repeat });
+  const player = new PlaylistPlayer(audio, playlist, { crossfade });
+  await player.start({ onProgress });
+  return {
+    analysis: player.analysis,
+    complete: new Promise(() => {}),
+    player,
+    stop: () => player.stop(),
+  };
+}
+
+/**
+ * Add the playlist controls to a sketch's controls bar: back and skip, the
+ * queue (pick a track to play it), shuffle, repeat and the crossfade.
+ * @param {HTMLElement} container
+ * @param {PlaylistPlayer} player
+ * @returns {Function} Removes the controls and stops updating them
+ */
+export function mountPlaylistControls(container, player) {
+  const { playlist } = player;
+  const wrapper = document.createElement("span");
+  wrapper.className = "playlist-controls";
+  wrapper.style.display = "contents";
+
+  const button = (text, title, onClick) => {
+    const node = document.createElement("button");
+    node.textContent = text;
+    node.title = title;
+    node.addEventListener("click", onClick);
+    return node;
+  };
+  const select = (title, options, onChange) => {
+    const node = document.createElement("select");
+    node.title = title;
+    for (const [value, label] of options) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      node.appendChild(option);
+    }
+    node.addEventListener("change", () => onChange(node.value));
+    return node;
+  };
+
+  const backButton = button("Back", "Previous track", () => player.back());
+  const skipButton = button("Skip", "Next track", () => player.skip());
+  const queueSelect = select("Queue", [], (value) => player.jump(Number(value)));
+  const shuffleButton = button("", "Shuffle the queue", () => player.setShuffle(!playlist.shuffle));
+  const repeatSelect = select(
+    "Repeat",
+    REPEAT_MODES.map((mode) => [mode, mode === "off" ? "Repeat off" : `Repeat ${mode}`]),
+    (mode) => player.setRepeat(mode)
+  );
+  const crossfadeSelect = select(
+    "Transition between tracks",
+    CROSSFADES.map((seconds) => [String(seconds), seconds === 0 ? "Gapless" : `${seconds} s crossfade`]),
+    (seconds) => player.setCrossfade(Number(seconds))
+  );
+  if (!CROSSFADES.includes(player.crossfade)) {
+    crossfadeSelect.appendChild(new Option(`${player.crossfade} s crossfade`, String(player.crossfade)));
+  }
+  crossfadeSelect.value = String(player.crossfade);
+  const timeDisplay = document.createElement("span");
+  timeDisplay.className = "time";
+
+  const show = () => {
+    queueSelect.replaceChildren(
+      ...playlist.queue.map((track, i) => new Option(`${i + 1}. ${track.title}`, String(i), false, i === playlist.position))
+    );
+    shuffleButton.textContent = playlist.shuffle ? "Shuffle: on" : "Shuffle: off";
+    repeatSelect.value = playlist.repeat;
+  };
+  const unsubscribe = player.onChange(show);
+  show();
+
+  // The transport shows playlist time; this is the track's
+  const timer = setInterval(() => {
+    const { time, duration } = player.position;
+    timeDisplay.textContent = `${formatTime(time)} / ${formatTime(duration)}`;
+  }, 250);
+
+  wrapper.append(backButton, skipButton, queueSelect, timeDisplay, shuffleButton, repeatSelect, crossfadeSelect);
+  container.appendChild(wrapper);
+  return () => {
+    clearInterval(timer);
+    unsubscribe();
+    wrapper.remove();
+  };
+}
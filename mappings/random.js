@@ -0,0 +1,129 @@
+/**
+ * Seeded randomness, so the same seed and track always give the same frames.
+ *
+ * Sketches draw from named streams instead of Math.random(). Each stream is
+ * its own generator, seeded from the page seed and the stream's name, so
+ * more draws in one (say, particle spawns) don't shift another (the
+ * starting layout):
+ *
+ *   const random = new SeededRandom();      // seed from the URL
+ *   const spawns = random.stream("spawns");
+ *   const x = spawns.next() * width;        // 0 <= x < width
+ *   const size = spawns.range(2, 5);
+ *
+ * The seed is `#seed=` in the URL hash (kept in share links), or else the
+ * track (`?track=`, or the live source), so each track has its own look
+ * and a link always renders the same way:
+ *
+ *   visuals/flocking/?track=neon-noir#seed=take-2
+ *
+ * Streams can be rewound and saved (reset(), `state`), so a SeekSync replay
+ * (see seek.js) draws the same numbers playback did.
+ */
+
+import { readSharedSeed } from "./share.js";
+import { getRequestedSource, getRequestedTrackId } from "./tracks.js";
+
+/**
+ * 32-bit FNV-1a hash of a string.
+ * @param {string} text
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function hashString(text) {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * The page's seed: `#seed=` if given, else the track id (or live source).
+ * @returns {string}
+ */
+export function readSeed() {
+  const shared = readSharedSeed();
+  if (shared !== null) return shared;
+  const source = getRequestedSource();
+  return source === "file" ? getRequestedTrackId() || "default" : source;
+}
+
+/**
+ * One generator (mulberry32): fast, and plenty for visuals.
+ */
+export class RandomStream {
+  /**
+   * @param {number} seed - Unsigned 32-bit integer
+   */
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /** Rewind to the first number. */
+  reset() {
+    this.state = this.seed;
+  }
+
+  /**
+   * The next number, like Math.random().
+   * @returns {number} 0 <= n < 1
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * @param {number} min
+   * @param {number} max
+   * @returns {number} min <= n < max
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * @param {number} count
+   * @returns {number} An integer, 0 <= n < count
+   */
+  int(count) {
+    return Math.floor(this.next() * count);
+  }
+
+  /**
+   * @param {Array} items
+   * @returns {*} One of the items (undefined if there are none)
+   */
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+}
+
+/**
+ * A sketch's named streams, all from one seed.
+ */
+export class SeededRandom {
+  /**
+   * @param {string|number} [seed] - Defaults to readSeed()
+   */
+  constructor(seed = readSeed()) {
+    this.seed = String(seed);
+    this.streams = new Map();
+  }
+
+  /**
+   * The stream for a name (the same one each call).
+   * @param {string} name
+   * @returns {RandomStream}
+   */
+  stream(name) {
+    if (!this.streams.has(name)) {
+      this.streams.set(name, new RandomStream(hashString(`${this.seed}:${name}`)));
+    }
+    return this.streams.get(name);
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * Analysis schema: versioning, migration and validation.
+ *
+ * analyze.py stamps its output with a `version`. Files written before
+ * versioning existed have none and count as version 1. At load time older
+ * files are migrated up to ANALYSIS_VERSION, then validated so a malformed
+ * file fails with a message naming the bad field (and frame) instead of
+ * crashing inside a sketch's render loop.
+ */
+
+/** Current analysis format version (keep in sync with analyze.py). */
+export const ANALYSIS_VERSION = 2;
+
+const DEFAULT_BAND_NAMES = [
+  "sub_bass", "bass", "low_mids", "mids", "high_mids", "highs", "brilliance",
+];
+const DEFAULT_CHROMA_NAMES = [
+  "C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B",
+];
+
+// The sketches read bands and chroma by position, so files must use this
+// layout: the names can be relabelled but not added to or dropped
+const FRAME_LAYOUT = { bandNames: DEFAULT_BAND_NAMES, chromaNames: DEFAULT_CHROMA_NAMES };
+
+// Scalar features every frame must carry
+const FRAME_SCALARS = [
+  "time", "rms", "centroid", "centroid_hz", "contrast", "onset", "harmonic", "percussive",
+];
+
+/**
+ * Error for analysis data that doesn't match the schema.
+ * `field` names the offending field; `frameIndex` is set for per-frame errors.
+ */
+export class AnalysisError extends Error {
+  constructor(message, { field = null, frameIndex = null } = {}) {
+    super(message);
+    this.name = "AnalysisError";
+    this.field = field;
+    this.frameIndex = frameIndex;
+  }
+}
+
+/**
+ * Migrations keyed by the version they upgrade from.
+ * Each one edits track-level fields in place and sets the next version.
+ */
+const MIGRATIONS = {
+  // v1: unversioned output of early analyze.py runs, which may lack the
+  // name tables, duration or tempo
+  1(data) {
+    data.sampleRate = data.sampleRate ?? 22050;
+    data.hopLength = data.hopLength ?? 512;
+    data.bandNames = data.bandNames ?? DEFAULT_BAND_NAMES.slice();
+    data.chromaNames = data.chromaNames ?? DEFAULT_CHROMA_NAMES.slice();
+    data.beats = data.beats ?? [];
+
+    if (data.tempo === undefined) {
+      // Median inter-beat interval, 0 when there are too few beats
+      const intervals = data.beats.slice(1).map((b, i) => b - data.beats[i]).sort((a, b) => a - b);
+      const median = intervals[Math.floor(intervals.length / 2)];
+      data.tempo = median > 0 ? Math.round((60 / median) * 100) / 100 : 0;
+    }
+
+    if (data.duration === undefined && data.frames?.length > 0) {
+      data.duration = data.frames[data.frames.length - 1].time;
+    }
+
+    data.version = 2;
+  },
+};
+
+/**
+ * Upgrade track-level analysis data to ANALYSIS_VERSION in place.
+ * @param {Object} data - Analysis data (frames may still be loading)
+ * @returns {Object} The same object
+ */
+export function migrateAnalysis(data) {
+  const version = data.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new AnalysisError(`Invalid analysis version: ${JSON.stringify(data.version)}`, {
+      field: "version",
+    });
+  }
+  if (version > ANALYSIS_VERSION) {
+    throw new AnalysisError(
+      `Analysis version ${version} is newer than this viewer supports `
+      + `(${ANALYSIS_VERSION}). Update the visuals code.`,
+      { field: "version" }
+    );
+  }
+
+  for (let v = version; v < ANALYSIS_VERSION; v++) {
+    MIGRATIONS[v](data);
+  }
+  return data;
+}
+
+function isNumberArray(value, length) {
+  return Array.isArray(value)
+    && value.length === length
+    && value.every((v) => typeof v === "number" && Number.isFinite(v));
+}
+
+/**
+ * Validate track-level fields.
+ * @param {Object} data - Migrated analysis data
+ * @throws {AnalysisError}
+ */
+export function validateHeader(data) {
+  for (const field of ["sampleRate", "hopLength"]) {
+    if (!(typeof data[field] === "number" && data[field] > 0)) {
+      throw new AnalysisError(`"${field}" must be a positive number`, { field });
+    }
+  }
+  if (typeof data.tempo !== "number" || !(data.tempo >= 0)) {
+    throw new AnalysisError("\"tempo\" must be a number >= 0", { field: "tempo" });
+  }
+
+  if (!Array.isArray(data.beats)) {
+    throw new AnalysisError("\"beats\" must be an array of times", { field: "beats" });
+  }
+  for (let i = 0; i < data.beats.length; i++) {
+    const beat = data.beats[i];
+    if (typeof beat !== "number" || !Number.isFinite(beat) || (i > 0 && beat < data.beats[i - 1])) {
+      throw new AnalysisError(`beats[${i}] must be a time >= the previous beat`, { field: "beats" });
+    }
+  }
+
+  for (const [field, layout] of Object.entries(FRAME_LAYOUT)) {
+    const names = data[field];
+    if (!Array.isArray(names) || !names.every((n) => typeof n === "string")) {
+      throw new AnalysisError(`"${field}" must be an array of names`, { field });
+    }
+    if (names.length !== layout.length) {
+      throw new AnalysisError(
+        `"${field}" must have ${layout.length} names (${layout[0]} to ${layout[layout.length - 1]}), `
+        + `got ${names.length}`,
+        { field }
+      );
+    }
+  }
+}
+
+/**
+ * Validate a range of frames.
+ * @param {Object} data - Analysis data with header already validated
+ * @param {number} [start=0] - First frame index to check
+ * @param {number} [end] - One past the last frame to check (default: all loaded)
+ * @throws {AnalysisError}
+ */
+export function validateFrames(data, start = 0, end = data.frames.length) {
+  const { frames } = data;
+  const bandCount = FRAME_LAYOUT.bandNames.length;
+  const chromaCount = FRAME_LAYOUT.chromaNames.length;
+  let prevTime = start > 0 ? frames[start - 1].time : -Infinity;
+
+  for (let i = start; i < end; i++) {
+    const frame = frames[i];
+    if (!frame || typeof frame !== "object") {
+      throw new AnalysisError(`frames[${i}] is not an object`, { field: "frames", frameIndex: i });
+    }
+
+    for (const field of FRAME_SCALARS) {
+      const value = frame[field];
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        throw new AnalysisError(
+          `frames[${i}].${field} is ${value === undefined ? "missing" : `not a number (${JSON.stringify(value)})`}`,
+          { field, frameIndex: i }
+        );
+      }
+    }
+
+    if (frame.time < prevTime) {
+      throw new AnalysisError(
+        `frames[${i}].time (${frame.time}) is earlier than the previous frame (${prevTime})`,
+        { field: "time", frameIndex: i }
+      );
+    }
+    prevTime = frame.time;
+
+    if (!isNumberArray(frame.bands, bandCount)) {
+      throw new AnalysisError(
+        `frames[${i}].bands must be ${bandCount} numbers (one per bandNames entry), `
+        + `got ${Array.isArray(frame.bands) ? `${frame.bands.length} values` : "none"}`,
+        { field: "bands", frameIndex: i }
+      );
+    }
+    if (!isNumberArray(frame.chroma, chromaCount)) {
+      throw new AnalysisError(
+        `frames[${i}].chroma must be ${chromaCount} numbers (one per chromaNames entry), `
+        + `got ${Array.isArray(frame.chroma) ? `${frame.chroma.length} values` : "none"}`,
+        { field: "chroma", frameIndex: i }
+      );
+    }
+  }
+}
+
+/**
+ * Migrate and fully validate an analysis object.
+ * @param {Object} data - Analysis data with all frames loaded
+ * @returns {Object} The migrated data
+ * @throws {AnalysisError}
+ */
+export function validateAnalysis(data) {
+  migrateAnalysis(data);
+  validateHeader(data);
+  if (!data.frames || data.frames.length === 0) {
+    throw new AnalysisError("\"frames\" must be a non-empty array", { field: "frames" });
+  }
+  validateFrames(data);
+  return data;
+}
+
+/**
+ * Create a checker for analysis data that arrives incrementally.
+ * The first call migrates and validates the header; each call validates
+ * the frames that arrived since the previous one.
+ * @returns {Function} (data, complete) => void, throws AnalysisError
+ */
+export function createAnalysisChecker() {
+  let checkedFrames = -1;
+
+  return function check(data, complete = false) {
+    if (checkedFrames < 0) {
+      migrateAnalysis(data);
+      validateHeader(data);
+      checkedFrames = 0;
+    }
+
+    validateFrames(data, checkedFrames);
+    checkedFrames = data.frames.length;
+
+    if (complete) {
+      if (checkedFrames === 0) {
+        throw new AnalysisError("\"frames\" must be a non-empty array", { field: "frames" });
+      }
+      // Migrated v1 files had no frames yet to derive their duration from
+      if (data.duration === undefined) {
+        data.duration = data.frames[checkedFrames - 1].time;
+      }
+    }
+  };
+}
+
+/**
+ * Describe a loading error for the on-screen overlay.
+ * @param {Error} err
+ * @returns {string}
+ */
+export function describeLoadError(err) {
+  if (err instanceof AnalysisError) {
+    return `Invalid analysis data: ${err.message}`;
+  }
+  return `Error loading analysis data: ${err.message}`;
+}
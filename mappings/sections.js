@@ -0,0 +1,327 @@
+/**
+ * Song-section segmentation.
+ *
+ * Splits a track into sections from its full frame list:
+ *
+ * 1. Frames are averaged into half-second blocks of chroma, bands and RMS.
+ * 2. A checkerboard kernel slides along the block sequence; where the
+ *    blocks before and after a point differ more than they differ among
+ *    themselves, the novelty curve peaks.
+ * 3. The strongest novelty peaks at least `minSectionSeconds` apart become
+ *    boundaries, snapped to the nearest beat.
+ * 4. Sections that sound alike (chroma + band balance) share a cluster
+ *    ("A", "B", ...), and each section gets a label from its energy and
+ *    its neighbours: intro, verse, build, drop, breakdown or outro.
+ *
+ * The loader runs this once the analysis has fully loaded and stores the
+ * result as `analysis.sections` (empty until then, and for live input):
+ *
+ *   const section = getSectionAtTime(analysisData.sections, audio.currentTime);
+ *   if (section?.label === "drop") { ... }
+ */
+
+import { getBeatIndex } from "./beat-clock.js";
+
+const BLOCK_SECONDS = 0.5;
+
+/** Section labels, in no particular order. */
+export const SECTION_LABELS = ["intro", "verse", "build", "drop", "breakdown", "outro"];
+
+/**
+ * Average frames into fixed-length blocks.
+ * Each block's vector is chroma (12) + bands (7) + rms (1).
+ */
+function toBlocks(frames) {
+  const blocks = [];
+  let current = null;
+
+  for (const frame of frames) {
+    const index = Math.floor(frame.time / BLOCK_SECONDS);
+    if (!current || current.index !== index) {
+      current = { index, time: index * BLOCK_SECONDS, vector: new Array(20).fill(0), onset: 0, count: 0 };
+      blocks.push(current);
+    }
+    const v = current.vector;
+    for (let i = 0; i < 12; i++) v[i] += frame.chroma[i];
+    for (let i = 0; i < 7; i++) v[12 + i] += frame.bands[i];
+    v[19] += frame.rms;
+    current.onset += frame.onset;
+    current.count++;
+  }
+
+  for (const block of blocks) {
+    for (let i = 0; i < 20; i++) block.vector[i] /= block.count;
+    block.onset /= block.count;
+  }
+  return blocks;
+}
+
+/**
+ * Z-score every dimension across blocks, so a small but consistent
+ * change (say, in one chroma bin) counts as much as a loud one.
+ */
+function standardize(vectors) {
+  const dims = vectors[0].length;
+  const result = vectors.map((v) => v.slice());
+  for (let d = 0; d < dims; d++) {
+    let mean = 0;
+    for (const v of vectors) mean += v[d];
+    mean /= vectors.length;
+    let variance = 0;
+    for (const v of vectors) variance += (v[d] - mean) ** 2;
+    const std = Math.sqrt(variance / vectors.length) || 1;
+    for (const v of result) v[d] = (v[d] - mean) / std;
+  }
+  return result;
+}
+
+// Distance with chroma, bands and RMS weighted equally as groups
+function distance(a, b) {
+  let chroma = 0;
+  let bands = 0;
+  for (let i = 0; i < 12; i++) chroma += (a[i] - b[i]) ** 2;
+  for (let i = 12; i < 19; i++) bands += (a[i] - b[i]) ** 2;
+  const rms = Math.abs(a[19] - b[19]);
+  return Math.sqrt(chroma / 12) + Math.sqrt(bands / 7) + rms;
+}
+
+/**
+ * Checkerboard novelty: cross-distance between the windows before and
+ * after each block minus the distance within them, Gaussian-tapered.
+ */
+function noveltyCurve(vectors, halfWidth) {
+  const n = vectors.length;
+  const taper = (k) => Math.exp(-0.5 * (k / (halfWidth / 2)) ** 2);
+  const novelty = new Array(n).fill(0);
+
+  for (let i = 0; i < n; i++) {
+    let cross = 0;
+    let within = 0;
+    let weight = 0;
+    for (let a = 1; a <= halfWidth; a++) {
+      for (let b = 1; b <= halfWidth; b++) {
+        // Blocks i-a, i-b are before the candidate boundary; i+a-1, i+b-1 after
+        if (i - Math.max(a, b) < 0 || i + Math.max(a, b) - 1 >= n) continue;
+        const w = taper(a) * taper(b);
+        cross += w * distance(vectors[i - a], vectors[i + b - 1]);
+        within += w * 0.5 * (
+          distance(vectors[i - a], vectors[i - b]) + distance(vectors[i + a - 1], vectors[i + b - 1])
+        );
+        weight += w;
+      }
+    }
+    novelty[i] = weight > 0 ? Math.max(0, (cross - within) / weight) : 0;
+  }
+  return novelty;
+}
+
+/**
+ * Pick boundary blocks: local novelty maxima that stand above their
+ * surroundings, strongest first, kept at least `minGap` blocks apart.
+ */
+function pickPeaks(novelty, minGap, threshold) {
+  const max = Math.max(...novelty);
+  if (max <= 0) return [];
+
+  const candidates = [];
+  for (let i = 1; i < novelty.length - 1; i++) {
+    if (novelty[i] < novelty[i - 1] || novelty[i] < novelty[i + 1]) continue;
+
+    let localMean = 0;
+    let count = 0;
+    for (let j = Math.max(0, i - minGap); j < Math.min(novelty.length, i + minGap + 1); j++) {
+      localMean += novelty[j];
+      count++;
+    }
+    localMean /= count;
+
+    if ((novelty[i] - localMean) / max >= threshold) {
+      candidates.push(i);
+    }
+  }
+
+  candidates.sort((a, b) => novelty[b] - novelty[a]);
+  const peaks = [];
+  for (const i of candidates) {
+    if (i < minGap || i > novelty.length - minGap) continue;
+    if (peaks.every((p) => Math.abs(p - i) >= minGap)) peaks.push(i);
+  }
+  return peaks.sort((a, b) => a - b);
+}
+
+// Move a boundary onto the nearest beat
+function snapToBeat(time, beats) {
+  if (!beats || beats.length === 0) return time;
+  const i = getBeatIndex(beats, time);
+  if (i < 0) return beats[0];
+  if (i >= beats.length - 1) return beats[i];
+  return time - beats[i] <= beats[i + 1] - time ? beats[i] : beats[i + 1];
+}
+
+/**
+ * Group sections by similarity of their mean chroma + band balance.
+ * A section joins the first cluster whose founding section is closer than
+ * `similarity` times the median pairwise distance.
+ */
+function clusterSections(vectors, similarity) {
+  const pairs = [];
+  for (let i = 0; i < vectors.length; i++) {
+    for (let j = i + 1; j < vectors.length; j++) pairs.push(distance(vectors[i], vectors[j]));
+  }
+  pairs.sort((a, b) => a - b);
+  const limit = pairs.length > 0 ? pairs[Math.floor(pairs.length / 2)] * similarity : 0;
+
+  const founders = [];
+  return vectors.map((v, i) => {
+    const match = founders.findIndex((f) => distance(vectors[f], v) < limit);
+    if (match >= 0) return match;
+    founders.push(i);
+    return founders.length - 1;
+  });
+}
+
+/**
+ * Label sections from their relative energy and neighbours.
+ * energy is 0-1 across the track's sections; rising marks sections whose
+ * second half is louder than their first.
+ */
+function labelSections(sections) {
+  const last = sections.length - 1;
+  let seenDrop = false;
+
+  return sections.map((section, i) => {
+    const next = sections[i + 1];
+    let label = "verse";
+
+    if (section.energy >= 0.7) {
+      label = "drop";
+    } else if (i === 0 && section.energy < 0.5) {
+      label = "intro";
+    } else if (i === last && section.energy < 0.5) {
+      label = "outro";
+    } else if (next && next.energy >= 0.7 && (section.rising || section.energy < next.energy - 0.2)) {
+      label = "build";
+    } else if (seenDrop && section.energy < 0.4) {
+      label = "breakdown";
+    }
+
+    if (label === "drop") seenDrop = true;
+    return label;
+  });
+}
+
+/**
+ * Segment a track into sections.
+ * @param {Array} frames - Complete analysis frames
+ * @param {Object} [options]
+ * @param {Array<number>} [options.beats] - Beat times to snap boundaries to
+ * @param {number} [options.minSectionSeconds=8] - Shortest section
+ * @param {number} [options.kernelSeconds=16] - Width of the novelty kernel
+ * @param {number} [options.threshold=0.1] - How far (relative to the
+ *   strongest peak) a novelty peak must rise above its surroundings
+ * @param {number} [options.similarity=0.6] - Cluster distance, relative to
+ *   the median distance between sections
+ * @returns {Array<Object>} Sections in time order:
+ *   { index, start, end, label, cluster, energy, onsetDensity, novelty }
+ *   energy and onsetDensity are 0-1 relative to the rest of the track;
+ *   novelty is the strength of the boundary the section starts at.
+ */
+export function segmentSections(frames, {
+  beats = [],
+  minSectionSeconds = 8,
+  kernelSeconds = 16,
+  threshold = 0.1,
+  similarity = 0.6,
+} = {}) {
+  if (!frames || frames.length === 0) return [];
+
+  const endTime = frames[frames.length - 1].time;
+  const blocks = toBlocks(frames);
+  const vectors = standardize(blocks.map((b) => b.vector));
+  const novelty = noveltyCurve(vectors, Math.max(2, Math.round(kernelSeconds / 2 / BLOCK_SECONDS)));
+  const peaks = pickPeaks(novelty, Math.max(1, Math.round(minSectionSeconds / BLOCK_SECONDS)), threshold);
+  const maxNovelty = Math.max(...novelty) || 1;
+
+  // Boundaries (snapping can merge neighbours only if beats are very sparse)
+  const boundaries = [{ time: 0, novelty: 0 }];
+  for (const p of peaks) {
+    const time = snapToBeat(blocks[p].time, beats);
+    if (time > boundaries[boundaries.length - 1].time) {
+      boundaries.push({ time, novelty: novelty[p] / maxNovelty });
+    }
+  }
+
+  const sections = boundaries.map((boundary, i) => {
+    const start = boundary.time;
+    const end = i < boundaries.length - 1 ? boundaries[i + 1].time : endTime;
+    const inside = blocks.filter((b) => b.time >= start && b.time < end);
+    const members = inside.length > 0 ? inside : [blocks[Math.min(blocks.length - 1, Math.floor(start / BLOCK_SECONDS))]];
+    const half = Math.ceil(members.length / 2);
+    const meanOf = (list, pick) => list.reduce((sum, b) => sum + pick(b), 0) / Math.max(1, list.length);
+
+    return {
+      index: i,
+      start,
+      end,
+      novelty: boundary.novelty,
+      rms: meanOf(members, (b) => b.vector[19]),
+      onset: meanOf(members, (b) => b.onset),
+      rising: members.length > 1 && meanOf(members.slice(half), (b) => b.vector[19]) > meanOf(members.slice(0, half), (b) => b.vector[19]) * 1.1,
+      // Loudness is left out (0) so a quiet and a loud pass of the same part still match
+      vector: members[0].vector.map((_, d) => (d < 19 ? meanOf(members, (b) => b.vector[d]) : 0)),
+    };
+  });
+
+  // Energy and onset density relative to the track's quietest/loudest section
+  const relative = (key) => {
+    const values = sections.map((s) => s[key]);
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min;
+    return values.map((v) => (range > 1e-6 ? (v - min) / range : 0.5));
+  };
+  const energy = relative("rms");
+  const onsetDensity = relative("onset");
+  sections.forEach((s, i) => {
+    s.energy = energy[i];
+    s.onsetDensity = onsetDensity[i];
+  });
+
+  const clusters = clusterSections(
+    sections.length > 1 ? standardize(sections.map((s) => s.vector)) : sections.map((s) => s.vector),
+    similarity
+  );
+  const labels = labelSections(sections);
+
+  return sections.map((s, i) => ({
+    index: s.index,
+    start: s.start,
+    end: s.end,
+    label: labels[i],
+    cluster: String.fromCharCode(65 + (clusters[i] % 26)),
+    energy: s.energy,
+    onsetDensity: s.onsetDensity,
+    novelty: s.novelty,
+  }));
+}
+
+/**
+ * Find the section playing at a time.
+ * @param {Array<Object>} sections - From segmentSections()
+ * @param {number} time - Time in seconds
+ * @returns {Object|null} The section, or null if there are none (still loading, live input)
+ */
+export function getSectionAtTime(sections, time) {
+  if (!sections || sections.length === 0) return null;
+
+  let low = 0;
+  let high = sections.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (sections[mid].start <= time) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return sections[low];
+}
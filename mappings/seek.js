@@ -0,0 +1,243 @@
+/**
+ * Seek-consistent state for sketches that remember.
+ *
+ * A sketch that builds on its previous frames (a reaction-diffusion grid,
+ * terrain rows, particles, a phrase accumulator) would otherwise look
+ * different after seeking to 2:00 than after playing up to 2:00. SeekSync
+ * notices jumps in playback time and rebuilds the state before the frame is
+ * drawn, by replaying the frames before the new time at a fixed timestep:
+ * from the nearest checkpoint saved while playing or replaying, or from a
+ * fresh state `warmup` seconds back. A sketch whose state fades within
+ * seconds (trails, particles that die) sets a warmup that long, so seeks
+ * stay cheap on long mixes; one that builds on everything before (a
+ * reaction-diffusion pattern) replays from the start of the track with
+ * `warmup: Infinity`.
+ *
+ * A replay longer than `budget` milliseconds is spread over the following
+ * frames: step() returns null until it has caught up, and `progress` says
+ * how far it is, for the sketch to show (and to hold playback, if the
+ * replay is slower than real time).
+ *
+ * The sketch splits its frame into a simulation step and drawing:
+ *
+ *   const sync = new SeekSync(analysisData, {
+ *     reset: (time) => { ... },               // back to the starting state
+ *     advance: (frame, time, dt) => { ... },  // one step, no drawing
+ *     snapshot: () => ({ ... }),              // optional: checkpoints
+ *     restore: (state, time) => { ... },
+ *   });
+ *
+ *   const params = sync.step(frame, currentTime, dt);   // in the render loop
+ *   if (!params) { ... }                                 // still catching up
+ *
+ * advance() gets every frame on the way, so onsets and beats that fall in
+ * the replayed span fire as they would have. Anything advance() changes
+ * belongs in reset() and snapshot(), including smoothing in the mapper
+ * (MappingEvaluator.clearSmoothing() and saveSmoothing()).
+ */
+
+import { getFrameAtTime, REFERENCE_FPS } from "./utils.js";
+
+const MAX_GAP = 0.5; // seconds; longer jumps forward (and any jump back) are seeks
+const DEFAULT_WARMUP = 30; // seconds
+
+// Index of the first checkpoint later than a time
+function firstAfter(checkpoints, time) {
+  let low = 0;
+  let high = checkpoints.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (checkpoints[mid].time <= time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Rebuilds a sketch's state after seeks.
+ */
+export class SeekSync {
+  /**
+   * @param {Object} analysis - Analysis data (frames are read as they stream in)
+   * @param {Object} options
+   * @param {Function} options.reset - (time) => void; the state the sketch starts in
+   * @param {Function} options.advance - (frame, time, dt) => result; one simulation step
+   * @param {Function} [options.snapshot] - () => state; a copy of everything advance() changes
+   * @param {Function} [options.restore] - (state, time) => void; put a snapshot back
+   * @param {number} [options.warmup=30] - Seconds replayed from a fresh state
+   *   (Infinity: from the start of the track)
+   * @param {number} [options.maxReplay=warmup] - Furthest back a checkpoint is used from
+   * @param {number} [options.budget=Infinity] - Milliseconds of replay per rendered frame
+   * @param {number} [options.checkpointInterval=5] - Seconds between checkpoints
+   * @param {number} [options.maxCheckpoints=64] - Past this, every other checkpoint
+   *   is dropped and the interval doubles
+   * @param {number} [options.step] - Replay timestep in seconds (default one 60 fps frame)
+   */
+  constructor(analysis, {
+    reset,
+    advance,
+    snapshot = null,
+    restore = null,
+    warmup = DEFAULT_WARMUP,
+    maxReplay = warmup,
+    checkpointInterval = 5,
+    maxCheckpoints = 64,
+    budget = Infinity,
+    step = 1 / REFERENCE_FPS,
+  }) {
+    if (typeof reset !== "function" || typeof advance !== "function") {
+      throw new Error("SeekSync needs reset() and advance() functions");
+    }
+    if (Boolean(snapshot) !== Boolean(restore)) {
+      throw new Error("SeekSync needs both snapshot() and restore(), or neither");
+    }
+    if (!(warmup > 0) || !(maxReplay >= 0) || !(checkpointInterval > 0) || !(step > 0) || !(budget > 0)) {
+      throw new Error("SeekSync needs a positive warmup, checkpointInterval, budget and step");
+    }
+
+    this.analysis = analysis;
+    this.reset = reset;
+    this.advance = advance;
+    this.snapshot = snapshot;
+    this.restore = restore;
+    this.warmup = warmup;
+    this.maxReplay = maxReplay;
+    this.baseInterval = checkpointInterval;
+    this.maxCheckpoints = Math.max(2, maxCheckpoints);
+    this.budget = budget;
+    this.stepSize = step;
+    this.invalidate();
+  }
+
+  /** Whether the state can't be rebuilt (live input has no past to replay). */
+  get live() {
+    return !Number.isFinite(this.analysis.duration);
+  }
+
+  /** Whether a replay is still catching up (step() returns null meanwhile). */
+  get rebuilding() {
+    return this.replay !== null;
+  }
+
+  /** How far the current replay is, 0-1 (1 when there's none). */
+  get progress() {
+    const { replay } = this;
+    return replay ? replay.done / Math.max(1, replay.steps) : 1;
+  }
+
+  /**
+   * Forget the checkpoints and rebuild on the next step, e.g. after the
+   * canvas is resized or a setting the simulation depends on changes.
+   */
+  invalidate() {
+    this.checkpoints = [];
+    this.interval = this.baseInterval;
+    this.lastTime = null;
+    this.lastRebuild = null;
+    this.replay = null; // { target, from, steps, done, restored } while catching up
+  }
+
+  /**
+   * Advance the sketch to a playback time, rebuilding its state first if
+   * the time jumped. Call once per rendered frame.
+   * @param {Object} frame - Frame from getFrameAtTime()
+   * @param {number} time - Playback time in seconds
+   * @param {number} dt - Seconds since the previous frame
+   * @returns {*} Whatever advance() returns, or null while a replay is catching up
+   */
+  step(frame, time, dt) {
+    if (this.live) return this.advance(frame, time, dt);
+
+    const { replay } = this;
+    if (replay && Math.abs(time - replay.target) <= MAX_GAP) {
+      // Playback moved on (or paused) while replaying: follow it
+      replay.target = time;
+      replay.steps = Math.max(replay.done, Math.ceil((time - replay.from) / this.stepSize));
+      this.continueReplay();
+    } else if (replay || this.lastTime === null || time < this.lastTime || time - this.lastTime > MAX_GAP) {
+      // Checkpoints saved by an unfinished replay keep its progress
+      this.rebuild(time);
+    }
+    if (this.replay) return null;
+
+    const last = this.lastTime;
+    const result = this.advance(frame, time, dt);
+    this.lastTime = time;
+    if (last !== null && time > last) this.checkpoint(time);
+    return result;
+  }
+
+  /**
+   * Bring the state to just before a time, as if the track had played up to
+   * it: at once, or over the next steps if it takes longer than the budget.
+   * @param {number} target - Playback time in seconds
+   */
+  rebuild(target) {
+    // The latest checkpoint before the target (the target's own frame is still to come)
+    let index = firstAfter(this.checkpoints, target) - 1;
+    while (index >= 0 && this.checkpoints[index].time >= target) index--;
+    const checkpoint = this.checkpoints[index];
+
+    const restored = checkpoint && checkpoint.time >= target - this.maxReplay;
+    let from;
+    if (restored) {
+      this.restore(checkpoint.state, checkpoint.time);
+      from = checkpoint.time + this.stepSize;
+    } else {
+      from = Math.max(0, target - this.warmup);
+      this.reset(from);
+    }
+
+    const steps = Math.max(0, Math.ceil((target - from) / this.stepSize));
+    this.replay = { target, from, steps, done: 0, restored: Boolean(restored) };
+    this.lastTime = null;
+    this.continueReplay();
+  }
+
+  // Replay until caught up with the target, or out of this frame's budget
+  continueReplay() {
+    const { replay } = this;
+    const deadline = performance.now() + this.budget;
+    while (replay.done < replay.steps) {
+      const time = replay.from + replay.done * this.stepSize;
+      replay.done++;
+      const frame = getFrameAtTime(this.analysis.frames, time);
+      if (frame) {
+        this.advance(frame, time, this.stepSize);
+        // Dragging the scrubber forward seeks again from here
+        this.checkpoint(time);
+      }
+      if (performance.now() >= deadline) break;
+    }
+    if (replay.done < replay.steps) return;
+
+    const { target: time, from, steps, restored } = replay;
+    this.lastRebuild = { time, from, steps, restored };
+    this.replay = null;
+  }
+
+  // Save a checkpoint if this interval doesn't have one yet
+  checkpoint(time) {
+    if (!this.snapshot) return;
+    const slot = Math.floor(time / this.interval);
+    const index = firstAfter(this.checkpoints, time);
+    const neighbours = [this.checkpoints[index - 1], this.checkpoints[index]];
+    if (neighbours.some((c) => c && Math.floor(c.time / this.interval) === slot)) return;
+
+    this.checkpoints.splice(index, 0, { time, state: this.snapshot() });
+    if (this.checkpoints.length > this.maxCheckpoints) {
+      // Keep covering the whole track, more sparsely
+      this.interval *= 2;
+      const kept = new Set();
+      this.checkpoints = this.checkpoints.filter((c) => {
+        const coarse = Math.floor(c.time / this.interval);
+        if (kept.has(coarse)) return false;
+        kept.add(coarse);
+        return true;
+      });
+    }
+  }
+}
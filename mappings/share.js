@@ -0,0 +1,190 @@
+/**
+ * Shareable links: a sketch's settings, mapping changes and playback time
+ * in the URL hash.
+ *
+ *   visuals/flow-field/?track=neon-noir#t=83.4&particleCount=4000&m=W3sidGFy...
+ *
+ *   t            playback time in seconds
+ *   seed         seed for the sketch's randomness (see random.js)
+ *   <setting>    any setting the sketch declares (see readSettings())
+ *   m            mappings changed from the sketch's mappings.js, as
+ *                base64url JSON of only the changed fields
+ *
+ * Only values that differ from the sketch's defaults are written, so links
+ * stay short. Opening a link restores the settings before the sketch
+ * starts, and the mappings and time once the track has loaded. The track
+ * itself is the `?track=` parameter, which the hash leaves alone.
+ */
+
+const TIME_KEY = "t";
+const SEED_KEY = "seed";
+const MAPPINGS_KEY = "m";
+const MAPPING_FIELDS = ["source", "curve", "exponent", "input", "output", "smoothing", "attack", "release"];
+
+function hashParams() {
+  return new URLSearchParams(window.location.hash.slice(1));
+}
+
+function encodeJson(value) {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function decodeJson(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0))));
+}
+
+// Parse a hash value as the same type as the setting's default
+function parseSetting(name, text, fallback) {
+  if (typeof fallback === "number") {
+    const value = Number(text);
+    if (text === "" || !Number.isFinite(value)) {
+      throw new Error(`Setting "${name}" must be a number, got "${text}"`);
+    }
+    return value;
+  }
+  if (typeof fallback === "boolean") {
+    if (text !== "true" && text !== "false") {
+      throw new Error(`Setting "${name}" must be true or false, got "${text}"`);
+    }
+    return text === "true";
+  }
+  return text;
+}
+
+/**
+ * A sketch's settings: its defaults, overridden by any in the URL hash.
+ * Read once at startup, so settings like particle counts can size things.
+ * @param {Object} defaults - Setting names to default values (numbers, booleans or strings)
+ * @returns {Object} Settings, with the same keys as `defaults`
+ */
+export function readSettings(defaults) {
+  for (const reserved of [TIME_KEY, SEED_KEY, MAPPINGS_KEY]) {
+    if (reserved in defaults) {
+      throw new Error(`"${reserved}" is reserved in the URL hash and can't be a setting name`);
+    }
+  }
+
+  const params = hashParams();
+  const settings = { ...defaults };
+  for (const [name, fallback] of Object.entries(defaults)) {
+    if (!params.has(name)) continue;
+    try {
+      settings[name] = parseSetting(name, params.get(name), fallback);
+    } catch (err) {
+      console.warn(`${err.message}; using ${fallback}`);
+    }
+  }
+  return settings;
+}
+
+/**
+ * Mapping changes from the URL hash.
+ * @returns {Array<Object>|null} Partial mappings (target plus changed fields), or null if none
+ */
+export function readSharedMappings() {
+  const encoded = hashParams().get(MAPPINGS_KEY);
+  if (!encoded) return null;
+  try {
+    const mappings = decodeJson(encoded);
+    if (!Array.isArray(mappings)) throw new Error("not a list");
+    return mappings;
+  } catch (err) {
+    console.warn(`Ignoring shared mappings (${err.message})`);
+    return null;
+  }
+}
+
+/**
+ * Playback time from the URL hash.
+ * @returns {number|null} Seconds, or null if none
+ */
+export function readSharedTime() {
+  const time = Number(hashParams().get(TIME_KEY));
+  return hashParams().has(TIME_KEY) && Number.isFinite(time) && time >= 0 ? time : null;
+}
+
+/**
+ * Random seed from the URL hash.
+ * @returns {string|null} The seed, or null if none
+ */
+export function readSharedSeed() {
+  const seed = hashParams().get(SEED_KEY);
+  return seed || null;
+}
+
+/**
+ * Move playback to the shared time, if the link has one. Call once the
+ * track is loading; waits for the audio's metadata if needed.
+ * @param {HTMLAudioElement} audio
+ */
+export function seekToSharedTime(audio) {
+  const time = readSharedTime();
+  if (time === null) return;
+  const seek = () => {
+    audio.currentTime = Number.isFinite(audio.duration) ? Math.min(time, audio.duration) : time;
+  };
+  if (audio.readyState >= 1) {
+    seek();
+  } else {
+    audio.addEventListener("loadedmetadata", seek, { once: true });
+  }
+}
+
+// Fields of a mapping that differ from its default
+function mappingChanges(mapping, fallback) {
+  const changes = {};
+  for (const field of MAPPING_FIELDS) {
+    if (JSON.stringify(mapping[field]) !== JSON.stringify(fallback[field])) {
+      changes[field] = mapping[field];
+    }
+  }
+  return changes;
+}
+
+/**
+ * Build the URL hash for the current state.
+ * @param {Object} state
+ * @param {Object} [state.settings] - Current settings
+ * @param {Object} [state.defaults] - The sketch's default settings
+ * @param {MappingEvaluator} [state.mapper] - Evaluator whose changed mappings to include
+ * @param {number} [state.time] - Playback time in seconds
+ * @param {string} [state.seed] - Random seed, if not the track's own
+ * @returns {string} Hash without the leading "#"
+ */
+export function buildShareHash({ settings = {}, defaults = {}, mapper, time, seed } = {}) {
+  const params = new URLSearchParams();
+  if (Number.isFinite(time)) {
+    params.set(TIME_KEY, time.toFixed(2));
+  }
+  if (seed) {
+    params.set(SEED_KEY, seed);
+  }
+  for (const [name, value] of Object.entries(settings)) {
+    if (value !== defaults[name]) params.set(name, String(value));
+  }
+  if (mapper) {
+    const changed = [];
+    mapper.spec.forEach((mapping, i) => {
+      const changes = mappingChanges(mapping, mapper.defaults[i]);
+      if (Object.keys(changes).length > 0) changed.push({ target: mapping.target, ...changes });
+    });
+    if (changed.length > 0) params.set(MAPPINGS_KEY, encodeJson(changed));
+  }
+  return params.toString();
+}
+
+/**
+ * Write the current state into the page URL (without reloading) and return it.
+ * @param {Object} state - As for buildShareHash()
+ * @returns {string} The full link
+ */
+export function updateShareLink(state) {
+  const url = new URL(window.location.href);
+  url.hash = buildShareHash(state);
+  window.history.replaceState(null, "", url);
+  return url.href;
+}
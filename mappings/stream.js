@@ -0,0 +1,277 @@
+/**
+ * Progressive analysis loading.
+ *
+ * Analysis files are decoded while they download, in time order, so a
+ * sketch can start once the first seconds are available instead of waiting
+ * for the whole file. The frames array grows in place; `frames.complete`
+ * stays false until the last frame has arrived (getFrameAtTime returns null
+ * past the loaded range rather than guessing).
+ *
+ * Packed .arv files decode block by block (see packed.js). JSON files from
+ * analyze.py decode frame by frame, because `frames` is their last key; any
+ * other JSON layout falls back to parsing the whole file at the end.
+ */
+
+import { isPackedAnalysis, PackedAnalysisStream } from "./packed.js";
+
+// Matches the opening of the frames array in analyze.py output
+const FRAMES_KEY_PATTERN = /"frames"\s*:\s*\[/;
+
+// Bytes needed to tell a packed file from JSON (the "ARVA" magic)
+const SNIFF_BYTES = 4;
+
+/**
+ * Incremental decoder for analysis JSON.
+ */
+class JsonAnalysisStream {
+  constructor() {
+    this.decoder = new TextDecoder();
+    this.text = "";
+    this.pos = 0;
+    this.state = "header"; // header -> frames -> tail, or "whole" as fallback
+    this.analysis = null;
+    this.frames = [];
+    this.frames.complete = false;
+  }
+
+  /**
+   * Add downloaded bytes and decode whatever is now complete.
+   * @param {Uint8Array} chunk
+   * @returns {number} Frames decoded so far
+   */
+  push(chunk) {
+    this.text += this.decoder.decode(chunk, { stream: true });
+
+    if (this.state === "header") {
+      this.readHeader();
+    }
+    if (this.state === "frames") {
+      this.readFrames();
+    }
+    return this.frames.length;
+  }
+
+  readHeader() {
+    const match = FRAMES_KEY_PATTERN.exec(this.text);
+    if (!match) return;
+
+    // Everything before "frames" is the track-level header object
+    const prefix = this.text.slice(0, match.index).trim().replace(/,$/, "");
+    try {
+      this.analysis = prefix === "{" ? {} : JSON.parse(`${prefix}}`);
+    } catch {
+      this.state = "whole";
+      return;
+    }
+
+    this.analysis.frames = this.frames;
+    this.pos = match.index + match[0].length;
+    this.state = "frames";
+  }
+
+  readFrames() {
+    const text = this.text;
+    let pos = this.pos;
+
+    while (pos < text.length) {
+      const ch = text[pos];
+      if (ch === "," || ch === " " || ch === "\n" || ch === "\r" || ch === "\t") {
+        pos++;
+        continue;
+      }
+      if (ch === "]") {
+        pos++;
+        this.state = "tail";
+        break;
+      }
+      if (ch !== "{") {
+        throw new Error(`Unexpected content in analysis frames at "${text.slice(pos, pos + 20)}"`);
+      }
+
+      const end = findObjectEnd(text, pos);
+      if (end === -1) break; // Frame not fully downloaded yet
+      this.frames.push(JSON.parse(text.slice(pos, end + 1)));
+      pos = end + 1;
+    }
+
+    // Drop consumed text so long files don't keep it all in memory
+    this.text = text.slice(pos);
+    this.pos = 0;
+  }
+
+  /**
+   * Signal the end of the input.
+   * @returns {Object} The decoded analysis
+   */
+  finish() {
+    this.text += this.decoder.decode();
+
+    if (this.state === "whole" || this.state === "header") {
+      // Unrecognized layout: parse in one go and adopt its frames
+      const parsed = JSON.parse(this.text);
+      this.analysis = parsed;
+      for (const frame of parsed.frames || []) this.frames.push(frame);
+      parsed.frames = this.frames;
+    } else if (this.state === "tail") {
+      // Keys after the frames array, if any
+      const rest = this.text.trim().replace(/^,/, "").trim();
+      if (rest !== "}") {
+        Object.assign(this.analysis, JSON.parse(`{${rest}`));
+        this.analysis.frames = this.frames;
+      }
+    } else {
+      throw new Error("Analysis JSON is truncated");
+    }
+
+    this.frames.complete = true;
+    return this.analysis;
+  }
+}
+
+/**
+ * Find the closing brace of the JSON object starting at `start`.
+ * @param {string} text
+ * @param {number} start - Index of the opening brace
+ * @returns {number} Index of the matching closing brace, or -1 if not present yet
+ */
+function findObjectEnd(text, start) {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === "\\") i++;
+      else if (ch === "\"") inString = false;
+    } else if (ch === "\"") {
+      inString = true;
+    } else if (ch === "{" || ch === "[") {
+      depth++;
+    } else if (ch === "}" || ch === "]") {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Format a progress report for the loading overlay.
+ * @param {Object} progress - Progress from streamAnalysis()
+ * @returns {string}
+ */
+export function formatLoadProgress({ loadedBytes, totalBytes, complete }) {
+  if (!totalBytes) {
+    return `Loading... ${(loadedBytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+  // Content-Length counts compressed bytes, so cap until the stream ends
+  const percent = complete ? 100 : Math.min(99, Math.floor((loadedBytes / totalBytes) * 100));
+  return `Loading... ${percent}%`;
+}
+
+/**
+ * Decode an analysis response as it downloads.
+ *
+ * Resolves as soon as `minBuffered` seconds of frames are available (or the
+ * whole file, if shorter); the rest keeps loading in the background.
+ *
+ * @param {Response} response - Fetch response for a .json or .arv analysis
+ * @param {Object} [options]
+ * @param {number} [options.minBuffered=5] - Seconds of frames needed to start
+ * @param {Function} [options.onProgress] - Called with
+ *   { loadedBytes, totalBytes, bufferedTime, complete } as data arrives
+ * @param {Function} [options.check] - Called with (analysis, complete) after
+ *   each decoded chunk; throwing stops loading (see schema.js)
+ * @returns {Promise<Object>} { analysis, complete } where `complete` resolves
+ *   with the analysis once every frame has loaded, and rejects if loading
+ *   fails after the start
+ */
+export async function streamAnalysis(response, { minBuffered = 5, onProgress, check } = {}) {
+  const totalBytes = Number(response.headers.get("Content-Length")) || 0;
+  const reader = response.body.getReader();
+
+  let decoder = null;
+  let head = new Uint8Array(0); // first bytes, held until the format is known
+  let loadedBytes = 0;
+  let resolveStart;
+  let rejectStart;
+  const start = new Promise((resolve, reject) => {
+    resolveStart = resolve;
+    rejectStart = reject;
+  });
+
+  const report = (complete) => {
+    const frames = decoder?.analysis?.frames;
+    const bufferedTime = frames && frames.length > 0
+      ? frames[frames.length - 1].time
+      : 0;
+    onProgress?.({ loadedBytes, totalBytes, bufferedTime, complete });
+    return bufferedTime;
+  };
+
+  // Rejected frames are dropped so sketches never render them
+  const checkFrames = (done) => {
+    if (!check) return;
+    try {
+      check(decoder.analysis, done);
+    } catch (err) {
+      const frames = decoder.analysis.frames;
+      frames.length = Math.min(frames.length, err.frameIndex ?? 0);
+      reader.cancel().catch(() => {});
+      throw err;
+    }
+  };
+
+  // Pick a decoder from the first bytes, which may arrive a few at a time
+  const sniff = (chunk) => {
+    if (head.length > 0) {
+      const bytes = new Uint8Array(head.length + chunk.length);
+      bytes.set(head);
+      bytes.set(chunk, head.length);
+      chunk = bytes;
+    }
+    if (chunk.length < SNIFF_BYTES) {
+      head = chunk;
+      return null;
+    }
+    decoder = isPackedAnalysis(chunk) ? new PackedAnalysisStream() : new JsonAnalysisStream();
+    return chunk;
+  };
+
+  const complete = (async () => {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      loadedBytes += value.length;
+      const chunk = decoder ? value : sniff(value);
+      if (!chunk) continue;
+      decoder.push(chunk);
+      if (decoder.analysis) {
+        checkFrames(false);
+      }
+      const bufferedTime = report(false);
+
+      if (decoder.analysis && bufferedTime >= minBuffered) {
+        resolveStart(decoder.analysis);
+      }
+    }
+
+    if (!decoder) {
+      // Shorter than the magic: can only be (tiny) JSON
+      if (head.length === 0) throw new Error("Analysis file is empty");
+      decoder = new JsonAnalysisStream();
+      decoder.push(head);
+    }
+    const analysis = decoder.finish();
+    checkFrames(true);
+    report(true);
+    return analysis;
+  })();
+
+  // Settling an already-resolved start promise is a no-op
+  complete.then(resolveStart, rejectStart);
+
+  const analysis = await start;
+  return { analysis, complete };
+}
@@ -0,0 +1,261 @@
+/**
+ * Track loading for audio-reactive visuals.
+ *
+ * Every sketch plays one audio + analysis pair. Which pair is chosen from
+ * the `?track=<id>` URL parameter, falling back to the default entry of
+ * `data/tracks.json`. Tracks that are not listed in the manifest are still
+ * playable by id, using the `audio/<id>.mp3` + `data/<id>.json` convention.
+ *
+ * Manifest format:
+ * {
+ *   "default": "neon-noir",
+ *   "tracks": [
+ *     { "id": "neon-noir", "title": "Neon Noir",
+ *       "audio": "audio/neon-noir.mp3", "analysis": "data/neon-noir.json" }
+ *   ]
+ * }
+ *
+ * Paths in the manifest are relative to the repository root. Analysis files
+ * may be JSON (from analyze.py) or packed .arv (see packed.js).
+ *
+ * `?source=live` or `?source=test` replaces the track with real-time analysis
+ * of the microphone or a test signal (see live.js), and `?source=playlist`
+ * plays the manifest's tracks one after another (see playlist.js).
+ */
+
+import { createAnalysisChecker } from "./schema.js";
+import { streamAnalysis } from "./stream.js";
+import { segmentSections } from "./sections.js";
+import { analyzeHarmony } from "./harmony.js";
+
+// Repository root, resolved from this module so sketches at any depth work
+const ROOT_URL = new URL("../", import.meta.url);
+const MANIFEST_URL = new URL("data/tracks.json", ROOT_URL);
+
+// Track ids end up in file paths, so keep them to a safe character set
+const TRACK_ID_PATTERN = /^[\w.-]+$/;
+
+/** Real-time input sources, by `?source=` value. */
+export const LIVE_SOURCES = {
+  live: "Live input (microphone / line-in)",
+  test: "Live test signal",
+};
+
+/** `?source=` value for playing a queue of tracks. */
+export const PLAYLIST_SOURCE = "playlist";
+
+/**
+ * Load the track manifest.
+ * A missing manifest is not fatal: tracks can still be chosen by id.
+ * @returns {Promise<Object>} Manifest with `default` and `tracks`
+ */
+export async function loadManifest() {
+  try {
+    const response = await fetch(MANIFEST_URL);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const manifest = await response.json();
+    return {
+      default: manifest.default || null,
+      tracks: Array.isArray(manifest.tracks) ? manifest.tracks : [],
+    };
+  } catch (err) {
+    console.warn(`Track manifest unavailable (${err.message})`);
+    return { default: null, tracks: [] };
+  }
+}
+
+/**
+ * Read the requested track id from the page URL.
+ * @returns {string|null} Track id, or null if none was given
+ */
+export function getRequestedTrackId() {
+  return new URLSearchParams(window.location.search).get("track");
+}
+
+/**
+ * Read the requested input source from the page URL.
+ * @returns {string} "file" (default), PLAYLIST_SOURCE or a key of LIVE_SOURCES
+ */
+export function getRequestedSource() {
+  const source = new URLSearchParams(window.location.search).get("source");
+  return source in LIVE_SOURCES || source === PLAYLIST_SOURCE ? source : "file";
+}
+
+/**
+ * Resolve a track id to absolute audio and analysis URLs.
+ * @param {Object} manifest - Manifest from loadManifest()
+ * @param {string|null} id - Requested track id (null = manifest default)
+ * @returns {Object} Track entry with `audioUrl` and `analysisUrl`
+ */
+export function resolveTrack(manifest, id) {
+  const trackId = id || manifest.default || manifest.tracks[0]?.id;
+  if (!trackId) {
+    throw new Error("No track requested and no default track in data/tracks.json");
+  }
+  if (!TRACK_ID_PATTERN.test(trackId)) {
+    throw new Error(`Invalid track id: "${trackId}"`);
+  }
+
+  const entry = manifest.tracks.find((t) => t.id === trackId) || {
+    id: trackId,
+    title: trackId,
+    audio: `audio/${trackId}.mp3`,
+    analysis: `data/${trackId}.json`,
+  };
+
+  return {
+    ...entry,
+    title: entry.title || entry.id,
+    audioUrl: new URL(entry.audio, ROOT_URL).href,
+    analysisUrl: new URL(entry.analysis, ROOT_URL).href,
+  };
+}
+
+/**
+ * Add a track picker to a sketch's controls bar.
+ * Choosing a track reloads the page with the new `?track=` parameter; the
+ * playlist and live sources at the end of the list switch to `?source=`
+ * instead.
+ * @param {HTMLElement} container - Element to append the picker to
+ * @param {Array} tracks - Manifest track entries
+ * @param {string|null} currentId - Id of the track currently playing
+ * @param {string} [currentSource="file"] - Current input source
+ * @returns {HTMLSelectElement}
+ */
+export function mountTrackPicker(container, tracks, currentId, currentSource = "file") {
+  const select = document.createElement("select");
+  select.className = "track-picker";
+  select.title = "Track";
+
+  // Tracks opened by id but missing from the manifest still get an entry
+  const entries = !currentId || tracks.some((t) => t.id === currentId)
+    ? tracks
+    : [...tracks, { id: currentId, title: currentId }];
+
+  const addOption = (value, label, selected) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    option.selected = selected;
+    select.appendChild(option);
+  };
+
+  for (const track of entries) {
+    addOption(track.id, track.title || track.id, currentSource === "file" && track.id === currentId);
+  }
+  addOption(`source:${PLAYLIST_SOURCE}`, "Playlist (all tracks)", currentSource === PLAYLIST_SOURCE);
+  for (const [source, label] of Object.entries(LIVE_SOURCES)) {
+    addOption(`source:${source}`, label, source === currentSource);
+  }
+
+  select.addEventListener("change", () => {
+    const params = new URLSearchParams(window.location.search);
+    if (select.value.startsWith("source:")) {
+      params.set("source", select.value.slice("source:".length));
+      params.delete("track");
+      params.delete("tracks");
+    } else {
+      params.set("track", select.value);
+      params.delete("source");
+    }
+    window.location.search = params.toString();
+  });
+
+  container.appendChild(select);
+  return select;
+}
+
+/**
+ * Stream a track's analysis.
+ *
+ * Resolves once the first seconds have arrived; `complete` resolves once
+ * the rest has, and the sections and harmony (which need every frame) are
+ * filled in. Until then `analysis.sections` is empty and `analysis.harmony`
+ * null.
+ *
+ * @param {Object} track - Entry from resolveTrack()
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Download progress callback
+ * @returns {Promise<Object>} { analysis, complete }
+ */
+export async function loadTrackAnalysis(track, { onProgress } = {}) {
+  const response = await fetch(track.analysisUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to load analysis for "${track.id}" (HTTP ${response.status})`);
+  }
+  const { analysis, complete } = await streamAnalysis(response, {
+    onProgress,
+    check: createAnalysisChecker(),
+  });
+
+  analysis.sections = [];
+  analysis.harmony = null;
+  const derived = complete.then(() => {
+    analysis.sections = segmentSections(analysis.frames, { beats: analysis.beats });
+    analysis.harmony = analyzeHarmony(analysis.frames, { chromaNames: analysis.chromaNames });
+  });
+
+  return { analysis, complete: derived };
+}
+
+/**
+ * Load the requested track: point the audio element at it and stream its analysis.
+ *
+ * Resolves once the first seconds of analysis are ready; `complete` resolves
+ * when the rest has arrived (see stream.js). Older analysis files are
+ * migrated and every frame is validated as it loads (see schema.js); a bad
+ * frame rejects `complete` with an AnalysisError naming it. Once complete,
+ * `analysis.sections` holds the song sections (see sections.js) and
+ * `analysis.harmony` the chords and keys (see harmony.js).
+ *
+ * With a live `?source=`, the audio element carries the input stream and
+ * `analysis.frames` fills in real time instead (see live.js). The playlist
+ * source does the same with the queue's mix (see playlist.js).
+ *
+ * @param {HTMLAudioElement} audio - Audio element to load the track into
+ * @param {Object} [options]
+ * @param {HTMLElement} [options.picker] - Controls bar to mount a track picker in
+ * @param {Function} [options.onProgress] - Download progress callback
+ * @returns {Promise<Object>} { track, analysis, complete }
+ */
+export async function loadTrack(audio, { picker, onProgress } = {}) {
+  const manifest = await loadManifest();
+
+  const source = getRequestedSource();
+  if (source === PLAYLIST_SOURCE) {
+    if (picker) {
+      mountTrackPicker(picker, manifest.tracks, null, source);
+    }
+    const { openPlaylist, mountPlaylistControls, readPlaylistOptions } = await import("./playlist.js");
+    const { analysis, complete, player } = await openPlaylist(audio, manifest, { ...readPlaylistOptions(), onProgress });
+    if (picker) {
+      mountPlaylistControls(picker, player);
+    }
+    return { track: { id: source, title: "Playlist" }, analysis, complete };
+  }
+  if (source !== "file") {
+    if (picker) {
+      mountTrackPicker(picker, manifest.tracks, null, source);
+    }
+    // Only live mode needs the real-time analyzer
+    const { openLiveSource } = await import("./live.js");
+    const { analysis, complete } = await openLiveSource(audio, { input: source });
+    // Sections and harmony need the whole track
+    analysis.sections = [];
+    analysis.harmony = null;
+    return { track: { id: source, title: LIVE_SOURCES[source] }, analysis, complete };
+  }
+
+  const track = resolveTrack(manifest, getRequestedTrackId());
+
+  // Mount the picker first so a broken track can still be switched away from
+  if (picker) {
+    mountTrackPicker(picker, manifest.tracks, track.id);
+  }
+
+  audio.src = track.audioUrl;
+  const { analysis, complete } = await loadTrackAnalysis(track, { onProgress });
+  return { track, analysis, complete };
+}
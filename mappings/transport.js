@@ -0,0 +1,473 @@
+/**
+ * Transport bar shared by the sketches.
+ *
+ * Play/pause, the time, an overview of the track drawn from the analysis
+ * (RMS envelope, onset density, beat and bar ticks), an A/B loop and the
+ * playback rate, mounted at the start of a sketch's controls bar:
+ *
+ *   const transport = mountTransport(audio, controlsEl);
+ *   transport.setAnalysis(analysisData, { onsets: onsetEvents });  // once loaded
+ *   transport.update();                                           // every frame
+ *
+ * Click or drag the overview to seek; shift-drag selects a loop. The A/B
+ * button sets the loop's start and end at the playback position, then
+ * clears it. Space plays and pauses, the arrow keys skip 5 seconds.
+ *
+ * Sketches take their time from transport.now() every frame, so seeking,
+ * looping and rate changes reach the visuals on the next frame. That's the
+ * AudioClock's time (see audio-clock.js): what the speakers are playing,
+ * shifted by the offset set in the Sync screen (calibration.js). Live input
+ * has no overview, loop, rate or sync.
+ */
+
+import { AudioClock } from "./audio-clock.js";
+import { BeatClock } from "./beat-clock.js";
+import { Calibration } from "./calibration.js";
+
+const RATES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2];
+const SKIP_SECONDS = 5;
+const MIN_LOOP = 0.05; // seconds; shorter shift-drags clear the loop
+const MAX_PLAYBACK_STEP = 1; // seconds between frames; longer jumps are seeks
+const REDRAW_INTERVAL = 500; // ms between overview redraws while frames stream in
+const MIN_TICK_SPACING = 4; // px between beat ticks before thinning to bars
+
+const STYLE = `
+.transport-overview {
+  width: 320px;
+  height: 32px;
+  border-radius: 3px;
+  background: rgba(255, 255, 255, 0.04);
+  cursor: pointer;
+  touch-action: none;
+}
+`;
+
+function injectStyle() {
+  if (document.getElementById("transport-style")) return;
+  const style = document.createElement("style");
+  style.id = "transport-style";
+  style.textContent = STYLE;
+  document.head.appendChild(style);
+}
+
+/**
+ * Format a time as M:SS ("Live" for live input, which has no duration).
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatTime(seconds) {
+  if (seconds === Infinity) return "Live";
+  const m = Math.floor(seconds / 60);
+  const s = Math.floor(seconds % 60)
+    .toString()
+    .padStart(2, "0");
+  return `${m}:${s}`;
+}
+
+/**
+ * Playback controls and track overview for an audio element.
+ */
+export class Transport {
+  /**
+   * @param {HTMLAudioElement} audio
+   * @param {HTMLElement} container - Controls bar; the transport goes first in it
+   */
+  constructor(audio, container) {
+    injectStyle();
+    this.audio = audio;
+    this.analysis = null;
+    this.onsets = null;
+    this.clock = null;
+    this.audioClock = new AudioClock(audio);
+    this.calibration = null; // made when first opened
+    this.loop = null; // { start, end }
+    this.loopStart = null; // A set, waiting for B
+    this.drag = null; // { mode: "seek"|"loop", anchor }
+    this.lastTime = 0;
+    this.drawnFrames = 0;
+    this.drawnAt = 0;
+    this.displayed = null;
+
+    this.playButton = document.createElement("button");
+    this.playButton.textContent = "Play";
+    this.playButton.addEventListener("click", () => this.toggle());
+
+    this.timeDisplay = document.createElement("span");
+    this.timeDisplay.className = "time";
+    this.timeDisplay.textContent = "0:00 / 0:00";
+
+    this.overview = document.createElement("canvas");
+    this.overview.className = "transport-overview";
+    this.overview.title = "Click or drag to seek, shift-drag to loop";
+    this.base = document.createElement("canvas"); // Overview without the playhead
+
+    this.loopButton = document.createElement("button");
+    this.loopButton.addEventListener("click", () => this.stepLoop());
+
+    this.rateSelect = document.createElement("select");
+    this.rateSelect.title = "Playback rate";
+    for (const rate of RATES) {
+      const option = document.createElement("option");
+      option.value = String(rate);
+      option.textContent = `${rate}×`;
+      option.selected = rate === 1;
+      this.rateSelect.appendChild(option);
+    }
+    this.rateSelect.addEventListener("change", () => this.setRate(Number(this.rateSelect.value)));
+
+    this.syncButton = document.createElement("button");
+    this.syncButton.textContent = "Sync";
+    this.syncButton.title = "Calibrate audio/video sync for this device";
+    this.syncButton.addEventListener("click", () => this.openCalibration());
+
+    // Hidden until there's an analysis to draw (and for live input)
+    for (const node of this.fileControls) {
+      node.style.display = "none";
+    }
+    container.prepend(this.playButton, this.timeDisplay, ...this.fileControls);
+
+    audio.addEventListener("play", () => this.showPlaying());
+    audio.addEventListener("pause", () => this.showPlaying());
+    audio.addEventListener("ended", () => {
+      // A loop running to the end of the track keeps going
+      if (this.loop) {
+        this.seek(this.loop.start);
+        audio.play();
+      }
+      this.showPlaying();
+    });
+    // Changing the source resets the rate to the default
+    audio.addEventListener("loadedmetadata", () => {
+      audio.playbackRate = audio.defaultPlaybackRate;
+    });
+
+    this.overview.addEventListener("pointerdown", (event) => this.startDrag(event));
+    this.overview.addEventListener("pointermove", (event) => this.moveDrag(event));
+    this.overview.addEventListener("pointerup", (event) => this.endDrag(event));
+    this.overview.addEventListener("pointercancel", (event) => this.endDrag(event));
+
+    document.addEventListener("keydown", (event) => this.onKey(event));
+    this.showLoop();
+  }
+
+  // Controls that only apply to a track file
+  get fileControls() {
+    return [this.overview, this.loopButton, this.rateSelect, this.syncButton];
+  }
+
+  /** Whether the audio is playing. */
+  get playing() {
+    return !this.audio.paused;
+  }
+
+  /** Track length in seconds (Infinity for live input, 0 before loading). */
+  get duration() {
+    return this.analysis?.duration ?? (this.audio.duration || 0);
+  }
+
+  /**
+   * Show the overview of a loaded analysis.
+   * @param {Object} analysis - Analysis data (frames may still be streaming in)
+   * @param {Object} [options]
+   * @param {OnsetEvents} [options.onsets] - For the onset density
+   */
+  setAnalysis(analysis, { onsets } = {}) {
+    this.analysis = analysis;
+    this.onsets = onsets || null;
+    this.clock = new BeatClock(analysis);
+    this.drawnFrames = 0;
+
+    const seekable = Number.isFinite(analysis.duration);
+    for (const node of this.fileControls) {
+      node.style.display = seekable ? "" : "none";
+    }
+    if (!seekable) this.clearLoop();
+  }
+
+  /**
+   * Playback time to draw, in seconds: the audio clock, corrected for
+   * output latency and the calibrated offset. Call once per frame.
+   * @returns {number}
+   */
+  now() {
+    return this.audioClock.now();
+  }
+
+  openCalibration() {
+    this.calibration ||= new Calibration(this.audioClock);
+    this.calibration.open();
+  }
+
+  toggle() {
+    if (this.audio.paused) {
+      this.audio.play();
+    } else {
+      this.audio.pause();
+    }
+  }
+
+  /**
+   * Jump to a time, within the track.
+   * @param {number} time - Seconds
+   */
+  seek(time) {
+    const duration = this.duration;
+    if (!Number.isFinite(duration) || duration <= 0) return;
+    this.audio.currentTime = Math.min(Math.max(time, 0), duration);
+    this.lastTime = this.audio.currentTime;
+  }
+
+  /**
+   * Loop a section of the track.
+   * @param {number} start - Seconds
+   * @param {number} end - Seconds (the ends may come in either order)
+   */
+  setLoop(start, end) {
+    const [a, b] = start <= end ? [start, end] : [end, start];
+    this.loop = { start: Math.max(0, a), end: Math.min(b, this.duration) };
+    this.loopStart = null;
+    this.showLoop();
+  }
+
+  clearLoop() {
+    this.loop = null;
+    this.loopStart = null;
+    this.showLoop();
+  }
+
+  // The A/B button: set A, then B, then clear
+  stepLoop() {
+    const time = this.audio.currentTime;
+    if (this.loop) {
+      this.clearLoop();
+    } else if (this.loopStart === null) {
+      this.loopStart = time;
+      this.showLoop();
+    } else if (Math.abs(time - this.loopStart) < MIN_LOOP) {
+      this.clearLoop();
+    } else {
+      this.setLoop(this.loopStart, time);
+    }
+  }
+
+  /**
+   * Change the playback rate (pitch is kept).
+   * @param {number} rate - 1 is normal speed
+   */
+  setRate(rate) {
+    this.audio.playbackRate = rate;
+    this.audio.defaultPlaybackRate = rate;
+    this.rateSelect.value = String(rate);
+  }
+
+  showPlaying() {
+    this.playButton.textContent = this.audio.paused ? "Play" : "Pause";
+  }
+
+  showLoop() {
+    if (this.loop) {
+      this.loopButton.textContent = "Clear loop";
+      this.loopButton.title = `Looping ${formatTime(this.loop.start)}-${formatTime(this.loop.end)}`;
+    } else if (this.loopStart !== null) {
+      this.loopButton.textContent = "Set B";
+      this.loopButton.title = "Set the loop end at the playback position";
+    } else {
+      this.loopButton.textContent = "Set A";
+      this.loopButton.title = "Set the loop start at the playback position";
+    }
+    this.displayed = null;
+  }
+
+  // Time under a pointer on the overview
+  timeAt(event) {
+    const rect = this.overview.getBoundingClientRect();
+    const x = rect.width > 0 ? (event.clientX - rect.left) / rect.width : 0;
+    return Math.min(Math.max(x, 0), 1) * this.duration;
+  }
+
+  startDrag(event) {
+    if (!this.analysis || !Number.isFinite(this.duration)) return;
+    this.overview.setPointerCapture?.(event.pointerId);
+    const time = this.timeAt(event);
+    if (event.shiftKey) {
+      this.drag = { mode: "loop", anchor: time };
+      this.loop = { start: time, end: time };
+      this.displayed = null;
+    } else {
+      this.drag = { mode: "seek" };
+      this.seek(time);
+    }
+  }
+
+  moveDrag(event) {
+    if (!this.drag) return;
+    const time = this.timeAt(event);
+    if (this.drag.mode === "seek") {
+      this.seek(time);
+    } else {
+      const { anchor } = this.drag;
+      this.loop = { start: Math.min(anchor, time), end: Math.max(anchor, time) };
+      this.displayed = null;
+    }
+  }
+
+  endDrag(event) {
+    if (!this.drag) return;
+    if (this.drag.mode === "loop") {
+      const time = this.timeAt(event);
+      if (Math.abs(time - this.drag.anchor) < MIN_LOOP) {
+        this.clearLoop();
+      } else {
+        this.setLoop(this.drag.anchor, time);
+        this.seek(this.loop.start);
+      }
+    }
+    this.drag = null;
+  }
+
+  onKey(event) {
+    // Leave keys alone while typing or on a focused control
+    if (event.target?.closest?.("input, select, textarea, button")) return;
+    if (event.code === "Space") {
+      event.preventDefault();
+      this.toggle();
+    } else if (event.code === "ArrowLeft") {
+      this.seek(this.audio.currentTime - SKIP_SECONDS);
+    } else if (event.code === "ArrowRight") {
+      this.seek(this.audio.currentTime + SKIP_SECONDS);
+    }
+  }
+
+  /**
+   * Wrap the loop, and redraw the time and overview. Call once per frame.
+   */
+  update() {
+    const { audio } = this;
+    const time = audio.currentTime;
+
+    // Wrap when playback crosses the loop end (seeking past it is allowed)
+    const played = time - this.lastTime;
+    if (this.loop && !this.drag && this.lastTime < this.loop.end && time >= this.loop.end && played < MAX_PLAYBACK_STEP) {
+      this.seek(this.loop.start);
+    } else {
+      this.lastTime = time;
+    }
+
+    this.timeDisplay.textContent = `${formatTime(audio.currentTime)} / ${formatTime(this.duration)}`;
+    if (this.analysis && Number.isFinite(this.duration)) {
+      this.drawPlayhead();
+    }
+  }
+
+  // Size a canvas to its displayed size, in device pixels
+  fitCanvas() {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round((this.overview.clientWidth || 320) * ratio);
+    const height = Math.round((this.overview.clientHeight || 32) * ratio);
+    if (this.overview.width !== width || this.overview.height !== height) {
+      this.overview.width = this.base.width = width;
+      this.overview.height = this.base.height = height;
+      this.drawnFrames = 0;
+    }
+  }
+
+  drawPlayhead() {
+    this.fitCanvas();
+    const { frames } = this.analysis;
+    const now = performance.now();
+    if (frames.length !== this.drawnFrames && now - this.drawnAt > REDRAW_INTERVAL) {
+      this.drawOverview();
+      this.drawnFrames = frames.length;
+      this.drawnAt = now;
+      this.displayed = null;
+    }
+
+    const time = this.audio.currentTime;
+    const state = `${time}|${this.loopStart}|${this.loop?.start}|${this.loop?.end}|${this.drawnAt}`;
+    if (state === this.displayed) return;
+    this.displayed = state;
+
+    const { width, height } = this.overview;
+    const ctx = this.overview.getContext("2d");
+    const x = (t) => (t / this.duration) * width;
+    ctx.clearRect(0, 0, width, height);
+    ctx.drawImage(this.base, 0, 0);
+
+    if (this.loop) {
+      ctx.fillStyle = "rgba(120, 180, 255, 0.18)";
+      ctx.fillRect(x(this.loop.start), 0, x(this.loop.end) - x(this.loop.start), height);
+    }
+    ctx.fillStyle = "rgba(120, 180, 255, 0.9)";
+    for (const edge of this.loop ? [this.loop.start, this.loop.end] : [this.loopStart]) {
+      if (edge !== null) ctx.fillRect(x(edge) - 0.5, 0, 1, height);
+    }
+
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(x(time) - 1, 0, 2, height);
+  }
+
+  // The static part: onset density behind the RMS envelope, with beat ticks on top
+  drawOverview() {
+    const { width, height } = this.base;
+    const { frames } = this.analysis;
+    const duration = this.duration;
+    const ctx = this.base.getContext("2d");
+    ctx.clearRect(0, 0, width, height);
+    if (!(duration > 0) || width === 0) return;
+
+    const column = (time) => Math.min(width - 1, Math.floor((time / duration) * width));
+
+    if (this.onsets) {
+      const density = new Float32Array(width);
+      for (const event of this.onsets.between(-Infinity, duration)) {
+        // Spread each onset over neighbouring columns so isolated hits still show
+        const c = column(event.time);
+        for (let d = -2; d <= 2; d++) {
+          if (c + d >= 0 && c + d < width) density[c + d] += 3 - Math.abs(d);
+        }
+      }
+      const peak = Math.max(...density);
+      if (peak > 0) {
+        for (let c = 0; c < width; c++) {
+          ctx.fillStyle = `rgba(255, 150, 60, ${(density[c] / peak) * 0.35})`;
+          ctx.fillRect(c, 0, 1, height);
+        }
+      }
+    }
+
+    const peaks = new Float32Array(width);
+    for (const frame of frames) {
+      const c = column(frame.time);
+      peaks[c] = Math.max(peaks[c], frame.rms);
+    }
+    ctx.fillStyle = "rgba(170, 190, 230, 0.7)";
+    for (let c = 0; c < width; c++) {
+      const h = Math.max(1, peaks[c] * height * 0.9);
+      ctx.fillRect(c, (height - h) / 2, 1, h);
+    }
+
+    // Beat ticks, thinned to bars (then every few bars) when they'd crowd
+    if (!this.clock.valid) return;
+    const beatSpacing = (this.clock.beatDuration / duration) * width;
+    const barSpacing = beatSpacing * this.clock.barOf(0).beatsPerBar;
+    const everyBars = barSpacing >= MIN_TICK_SPACING ? 1 : Math.ceil(MIN_TICK_SPACING / barSpacing);
+    const lastBeat = this.clock.beatIndex(duration);
+    for (let beat = Math.max(0, this.clock.beatIndex(0)); beat <= lastBeat; beat++) {
+      const { bar, beatInBar } = this.clock.barOf(beat);
+      const downbeat = beatInBar === 0;
+      if (beatSpacing < MIN_TICK_SPACING && (!downbeat || bar % everyBars !== 0)) continue;
+      ctx.fillStyle = downbeat ? "rgba(255, 255, 255, 0.5)" : "rgba(255, 255, 255, 0.25)";
+      ctx.fillRect(Math.round(column(this.clock.beatTime(beat))), 0, 1, downbeat ? height * 0.3 : height * 0.15);
+    }
+  }
+}
+
+/**
+ * Mount the transport at the start of a sketch's controls bar.
+ * @param {HTMLAudioElement} audio
+ * @param {HTMLElement} container - Controls bar
+ * @returns {Transport}
+ */
+export function mountTransport(audio, container) {
+  return new Transport(audio, container);
+}
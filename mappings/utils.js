@@ -83,16 +83,102 @@ export function getFrameIndex(frames, time) {
   return low;
 }
 
+/**
+ * Interpolation policy per frame field, for fields that shouldn't be
+ * linearly blended. Anything not listed is "linear" if numeric (or a numeric
+ * array) and "step" otherwise.
+ *   linear  - blend between the surrounding frames
+ *   step    - hold the earlier frame's value until the next frame
+ *   nearest - take the value of whichever frame is closer
+ */
+export const FIELD_INTERPOLATION = {
+  dominantPitch: "nearest",
+  section: "nearest",
+  sectionId: "nearest",
+};
+
+/**
+ * Set the interpolation policy for a frame field.
+ * @param {string} field - Frame field name
+ * @param {string} policy - "linear", "step" or "nearest"
+ */
+export function setFieldInterpolation(field, policy) {
+  if (!["linear", "step", "nearest"].includes(policy)) {
+    throw new Error(`Unknown interpolation policy "${policy}" for "${field}"`);
+  }
+  FIELD_INTERPOLATION[field] = policy;
+}
+
+function isNumericArray(value) {
+  return (Array.isArray(value) || ArrayBuffer.isView(value))
+    && (value.length === 0 || typeof value[0] === "number");
+}
+
+/**
+ * Interpolate one field between two frames.
+ * @param {*} a - Value in the earlier frame
+ * @param {*} b - Value in the later frame
+ * @param {number} t - Position between the frames (0-1)
+ * @param {string} policy - Interpolation policy
+ * @returns {*}
+ */
+function interpolateField(a, b, t, policy) {
+  if (b === undefined || policy === "step") return a;
+  if (policy === "nearest") return t < 0.5 ? a : b;
+
+  if (typeof a === "number" && typeof b === "number") {
+    return lerp(a, b, t);
+  }
+  if (isNumericArray(a) && isNumericArray(b) && a.length === b.length) {
+    const result = new Array(a.length);
+    for (let i = 0; i < a.length; i++) {
+      result[i] = lerp(a[i], b[i], t);
+    }
+    return result;
+  }
+  // Strings, objects and mismatched values can't be blended
+  return a;
+}
+
+/**
+ * Blend two frames field by field, by each field's policy (see
+ * FIELD_INTERPOLATION). Also mixes frames from two tracks in a crossfade.
+ * @param {Object} a - Frame at t = 0
+ * @param {Object} b - Frame at t = 1
+ * @param {number} t - Position between them (0-1)
+ * @param {Object} [interpolation] - Per-field policy overrides
+ * @returns {Object} The blended frame, with `time` interpolated too
+ */
+export function blendFrames(a, b, t, interpolation) {
+  const result = { time: lerp(a.time, b.time, t) };
+  for (const key in a) {
+    if (key === "time") continue;
+    const policy = interpolation?.[key] || FIELD_INTERPOLATION[key] || "linear";
+    result[key] = interpolateField(a[key], b[key], t, policy);
+  }
+  return result;
+}
+
 /**
  * Get interpolated frame data at a given time.
- * Linearly interpolates between two frames for smoother values.
+ * Every field of the surrounding frames is interpolated according to its
+ * policy (see FIELD_INTERPOLATION), so new analysis features come through
+ * without changes here.
+ * Returns null past the end of a frames array that is still loading
+ * (`frames.complete === false`), since those frames haven't arrived yet.
  * @param {Array} frames - Array of frame objects
  * @param {number} time - Current time in seconds
+ * @param {Object} [interpolation] - Per-field policy overrides for this call
  * @returns {Object} Interpolated frame data
  */
-export function getFrameAtTime(frames, time) {
+export function getFrameAtTime(frames, time, interpolation) {
   if (!frames || frames.length === 0) return null;
 
+  // Streaming: the frames after the last loaded one don't exist yet
+  if (frames.complete === false && time > frames[frames.length - 1].time) {
+    return null;
+  }
+
   const idx = getFrameIndex(frames, time);
   const frame = frames[idx];
 
@@ -104,19 +190,7 @@ export function getFrameAtTime(frames, time) {
   // Interpolate between this frame and the next
   const nextFrame = frames[idx + 1];
   const t = (time - frame.time) / (nextFrame.time - frame.time);
-
-  return {
-    time: time,
-    rms: lerp(frame.rms, nextFrame.rms, t),
-    centroid: lerp(frame.centroid, nextFrame.centroid, t),
-    centroid_hz: lerp(frame.centroid_hz, nextFrame.centroid_hz, t),
-    contrast: lerp(frame.contrast, nextFrame.contrast, t),
-    onset: lerp(frame.onset, nextFrame.onset, t),
-    harmonic: lerp(frame.harmonic, nextFrame.harmonic, t),
-    percussive: lerp(frame.percussive, nextFrame.percussive, t),
-    bands: frame.bands.map((v, i) => lerp(v, nextFrame.bands[i], t)),
-    chroma: frame.chroma.map((v, i) => lerp(v, nextFrame.chroma[i], t)),
-  };
+  return { ...blendFrames(frame, nextFrame, t, interpolation), time };
 }
 
 /**
@@ -167,41 +241,156 @@ export function hslToRgb(h, s, l) {
   };
 }
 
+/*
+ * Smoothing below is time-based: smoothers take each frame's duration (dt,
+ * in seconds) and time constants in milliseconds, so motion looks the same
+ * on 60 Hz and 120 Hz displays.
+ */
+
+/** Frame rate that per-frame factors (lerp amounts, decay multipliers) were tuned at. */
+export const REFERENCE_FPS = 60;
+
+/**
+ * Create a frame timer for a render loop.
+ * @param {number} [maxDt=0.05] - Longest frame in seconds (keeps a backgrounded tab from jumping)
+ * @returns {Function} Call once per frame; returns seconds since the previous call
+ */
+export function createFrameTimer(maxDt = 0.05) {
+  let last = null;
+
+  return function tick() {
+    const now = performance.now();
+    const dt = last === null ? 1 / REFERENCE_FPS : (now - last) / 1000;
+    last = now;
+    return Math.min(Math.max(dt, 0), maxDt);
+  };
+}
+
+/**
+ * Lerp factor for one frame of exponential smoothing: after `timeConstant`
+ * ms, a value has covered 63% of the way to its target, at any frame rate.
+ * @param {number} timeConstant - Time constant in ms (0 = no smoothing)
+ * @param {number} dt - Frame duration in seconds
+ * @returns {number} Factor for lerp()
+ */
+export function smoothingFactor(timeConstant, dt) {
+  return timeConstant > 0 ? 1 - Math.exp((-dt * 1000) / timeConstant) : 1;
+}
+
+/**
+ * Exponential decay toward 0 (e.g. an onset flash fading out).
+ * @param {number} value - Current value
+ * @param {number} timeConstant - Time to fall to 37%, in ms
+ * @param {number} dt - Frame duration in seconds
+ * @returns {number}
+ */
+export function decay(value, timeConstant, dt) {
+  return value * Math.exp((-dt * 1000) / timeConstant);
+}
+
+/**
+ * Adapt a per-frame factor tuned at REFERENCE_FPS (a lerp amount, or the
+ * alpha of a trail-fading fill) to a frame of length dt.
+ * @param {number} factor - Per-frame factor at 60 fps (0-1)
+ * @param {number} dt - Frame duration in seconds
+ * @returns {number}
+ */
+export function perFrame(factor, dt) {
+  return 1 - Math.pow(1 - clamp(factor, 0, 1), dt * REFERENCE_FPS);
+}
+
+/**
+ * Time constant equivalent to a per-frame lerp factor tuned at 60 fps.
+ * @param {number} factor - Per-frame factor (0-1)
+ * @returns {number} Time constant in ms
+ */
+export function factorToTimeConstant(factor) {
+  return factor >= 1 ? 0 : -1000 / (REFERENCE_FPS * Math.log(1 - factor));
+}
+
 /**
  * Create a smoother that maintains state for temporal smoothing.
- * @param {number} factor - Smoothing factor (0-1, lower = smoother)
- * @returns {Function} Smoother function
+ * @param {number} [timeConstant=150] - Time constant in ms (higher = smoother)
+ * @returns {Function} smooth(target, dt) - dt in seconds
  */
-export function createSmoother(factor = 0.1) {
+export function createSmoother(timeConstant = 150) {
   let value = null;
 
-  return function smooth(target) {
+  return function smooth(target, dt) {
     if (value === null) {
       value = target;
     } else {
-      value = lerp(value, target, factor);
+      value = lerp(value, target, smoothingFactor(timeConstant, dt));
+    }
+    return value;
+  };
+}
+
+/**
+ * Create an envelope follower: a smoother with separate time constants
+ * for rising (attack) and falling (release) values. A short attack and a
+ * long release jump on hits and fade out after them.
+ * @param {Object} [options]
+ * @param {number} [options.attack=10] - Rising time constant in ms
+ * @param {number} [options.release=300] - Falling time constant in ms
+ * @returns {Function} follow(target, dt) - dt in seconds
+ */
+export function createEnvelopeFollower({ attack = 10, release = 300 } = {}) {
+  let value = null;
+
+  return function follow(target, dt) {
+    if (value === null) {
+      value = target;
+    } else {
+      const timeConstant = target > value ? attack : release;
+      value = lerp(value, target, smoothingFactor(timeConstant, dt));
+    }
+    return value;
+  };
+}
+
+/**
+ * Create a critically damped spring smoother. Unlike exponential smoothing
+ * it carries velocity, so it eases in as well as out and never overshoots.
+ * @param {number} [timeConstant=150] - Time constant in ms (higher = slower)
+ * @returns {Function} smooth(target, dt) - dt in seconds
+ */
+export function createSpringSmoother(timeConstant = 150) {
+  const omega = 1000 / timeConstant;
+  let value = null;
+  let velocity = 0;
+
+  return function smooth(target, dt) {
+    if (value === null) {
+      value = target;
+      return value;
     }
+    // Exact solution of x'' = -2wx' - w^2x over the frame, so it is stable at any dt
+    const offset = value - target;
+    const temp = (velocity + omega * offset) * dt;
+    const falloff = Math.exp(-omega * dt);
+    velocity = (velocity - omega * temp) * falloff;
+    value = target + (offset + temp) * falloff;
     return value;
   };
 }
 
 /**
  * Create an object smoother for smoothing multiple properties at once.
- * @param {Object} factors - Object mapping property names to smoothing factors
- * @returns {Function} Smoother function that takes an object
+ * @param {Object} timeConstants - Object mapping property names to time constants in ms
+ * @returns {Function} smooth(obj, dt) - dt in seconds
  */
-export function createObjectSmoother(factors = {}) {
+export function createObjectSmoother(timeConstants = {}) {
   const smoothers = {};
-  const defaultFactor = 0.15;
+  const defaultTimeConstant = 100;
 
-  return function smooth(obj) {
+  return function smooth(obj, dt) {
     const result = {};
     for (const key in obj) {
-      const factor = factors[key] || defaultFactor;
       if (!smoothers[key]) {
-        smoothers[key] = createSmoother(factor);
+        smoothers[key] = createSmoother(timeConstants[key] ?? defaultTimeConstant);
       }
-      result[key] = smoothers[key](obj[key]);
+      result[key] = smoothers[key](obj[key], dt);
     }
     return result;
   };
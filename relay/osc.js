@@ -0,0 +1,133 @@
+/**
+ * OSC encoding for the feature relay, and the address scheme.
+ *
+ * Every frame from mappings/broadcast.js becomes one OSC bundle:
+ *
+ *   /arv/time          f  playback time (s)
+ *   /arv/<feature>     f  each scalar feature: /arv/rms, /arv/centroid,
+ *                         /arv/onset, /arv/harmonic, /arv/percussive, ...
+ *   /arv/bands         f* all bands, low to high
+ *   /arv/bands/<i>     f  one band: /arv/bands/0 (sub_bass) ... /arv/bands/6 (brilliance)
+ *   /arv/chroma        f* all 12 pitch classes, C first
+ *   /arv/chroma/<i>    f  one pitch class: /arv/chroma/0 (C) ... /arv/chroma/11 (B)
+ *
+ * and the events in it follow in the same bundle:
+ *
+ *   /arv/beat          iii  beat index, bar, beat in bar (0 = downbeat)
+ *   /arv/hit           fs   an onset event: strength (0-1), band ("low", "mid" or "high")
+ *
+ * (/arv/onset is the onset envelope feature, sent every frame.)
+ *
+ * When a page connects, the relay also sends /arv/tempo f (BPM).
+ * Features are 0-1 unless their name says otherwise (centroid_hz).
+ */
+
+const BUNDLE_TAG = "#bundle";
+const IMMEDIATELY = Buffer.from([0, 0, 0, 0, 0, 0, 0, 1]);
+
+// OSC strings are null-terminated and padded to a multiple of 4 bytes
+function oscString(text) {
+  const bytes = Buffer.from(text, "utf8");
+  const padded = Buffer.alloc(Math.ceil((bytes.length + 1) / 4) * 4);
+  bytes.copy(padded);
+  return padded;
+}
+
+// Type tag for a value when none is given: whole numbers go as int32
+function inferTag(value) {
+  if (typeof value === "string") return "s";
+  return Number.isInteger(value) && Math.abs(value) < 2 ** 31 ? "i" : "f";
+}
+
+function oscArgument(tag, value) {
+  const data = Buffer.alloc(4);
+  switch (tag) {
+    case "s":
+      return oscString(String(value));
+    case "i":
+      data.writeInt32BE(Math.trunc(value));
+      return data;
+    case "f":
+      data.writeFloatBE(value);
+      return data;
+    default:
+      throw new Error(`Unsupported OSC type tag "${tag}"`);
+  }
+}
+
+/**
+ * Encode an OSC message.
+ * @param {string} address - e.g. "/arv/rms"
+ * @param {Array<number|string>} args
+ * @param {string} [types] - Type tags ("f", "i" or "s" per argument); inferred if omitted
+ * @returns {Buffer}
+ */
+export function encodeMessage(address, args = [], types = args.map(inferTag).join("")) {
+  if (types.length !== args.length) {
+    throw new Error(`OSC message ${address} has ${args.length} arguments but type tags "${types}"`);
+  }
+  return Buffer.concat([
+    oscString(address),
+    oscString(`,${types}`),
+    ...args.map((value, i) => oscArgument(types[i], value)),
+  ]);
+}
+
+/**
+ * Encode OSC messages as one bundle, to be applied at once.
+ * @param {Array<Buffer>} messages - Encoded messages
+ * @returns {Buffer}
+ */
+export function encodeBundle(messages) {
+  const parts = [oscString(BUNDLE_TAG), IMMEDIATELY];
+  for (const message of messages) {
+    const size = Buffer.alloc(4);
+    size.writeInt32BE(message.length);
+    parts.push(size, message);
+  }
+  return Buffer.concat(parts);
+}
+
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * Turn a message from the browser into OSC messages, following the address
+ * scheme above. Features are always floats, even when they land on 0 or 1.
+ * Anything that doesn't fit the scheme (a message that isn't an object,
+ * non-numeric values, events that aren't a list) is left out rather than
+ * sent, since the page on the other end isn't trusted.
+ * @param {Object} message - A "hello" or "frame" message (see mappings/broadcast.js)
+ * @param {string} [prefix="/arv"]
+ * @returns {Array<Object>} [{ address, args, types }]
+ */
+export function toOsc(message, prefix = "/arv") {
+  const out = [];
+  const float = (address, value) => out.push({ address, args: [value], types: "f" });
+  if (!isObject(message)) return out;
+
+  if (message.type === "hello") {
+    if (Number.isFinite(message.tempo)) float(`${prefix}/tempo`, message.tempo);
+    return out;
+  }
+  if (message.type !== "frame") return out;
+
+  if (Number.isFinite(message.time)) float(`${prefix}/time`, message.time);
+  for (const [key, value] of Object.entries(isObject(message.frame) ? message.frame : {})) {
+    if (Array.isArray(value) && value.length > 0 && value.every(Number.isFinite)) {
+      out.push({ address: `${prefix}/${key}`, args: value, types: "f".repeat(value.length) });
+      value.forEach((v, i) => float(`${prefix}/${key}/${i}`, v));
+    } else if (Number.isFinite(value)) {
+      float(`${prefix}/${key}`, value);
+    }
+  }
+  for (const event of Array.isArray(message.events) ? message.events : []) {
+    if (!isObject(event)) continue;
+    const { type, beat, bar, beatInBar, strength, band } = event;
+    if (type === "beat" && [beat, bar, beatInBar].every(Number.isInteger)) {
+      out.push({ address: `${prefix}/beat`, args: [beat, bar, beatInBar], types: "iii" });
+    } else if (type === "onset" && Number.isFinite(strength)) {
+      out.push({ address: `${prefix}/hit`, args: [strength, String(band)], types: "fs" });
+    }
+  }
+  return out;
+}
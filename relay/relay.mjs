@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * Feature relay: receives frames from sketches over WebSocket and re-emits
+ * them as OSC over UDP (address scheme in relay/osc.js).
+ *
+ * Usage:
+ *   node relay/relay.mjs                                  # ws://localhost:8765 -> 127.0.0.1:9000
+ *   node relay/relay.mjs --osc-host 192.168.1.20 --osc-port 7000
+ *   node relay/relay.mjs --port 9999 --prefix /stage --no-bundle
+ *   node relay/relay.mjs --allow-origin https://example.github.io
+ *
+ * Then open a sketch with ?broadcast (or ?broadcast=ws://host:port).
+ * Only pages served from this machine may connect (any page open in the
+ * browser could otherwise drive the lights); --allow-origin adds others.
+ * No dependencies: the WebSocket side is a minimal server on node:http that
+ * handles what browsers send (text frames, fragments, ping, close).
+ */
+
+import { createHash } from "node:crypto";
+import { createSocket } from "node:dgram";
+import { createServer } from "node:http";
+import { parseArgs } from "node:util";
+
+import { encodeBundle, encodeMessage, toOsc } from "./osc.js";
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+const OPCODE = { continuation: 0, text: 1, binary: 2, close: 8, ping: 9, pong: 10 };
+const LOCAL_HOSTS = new Set(["localhost", "127.0.0.1", "[::1]"]);
+
+/**
+ * Whether a page may connect. Clients that aren't browsers send no Origin.
+ * @param {string|undefined} origin - The upgrade request's Origin header
+ * @param {Array<string>} allowed - Extra origins, e.g. "https://example.github.io"
+ * @returns {boolean}
+ */
+function isAllowedOrigin(origin, allowed) {
+  if (!origin) return true;
+  if (allowed.includes(origin)) return true;
+  try {
+    return LOCAL_HOSTS.has(new URL(origin).hostname);
+  } catch {
+    return false; // "null" (file:// pages, sandboxed frames) and garbage
+  }
+}
+
+// Server-to-client frame (never masked, never fragmented)
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Read client frames from a socket, reassembling fragmented messages.
+ * @param {net.Socket} socket
+ * @param {Function} onMessage - (text) => void, for each text message
+ */
+function readFrames(socket, onMessage) {
+  let buffered = Buffer.alloc(0);
+  let fragments = [];
+
+  const close = (code) => {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    socket.end(encodeFrame(OPCODE.close, payload));
+  };
+
+  socket.on("data", (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+
+    while (buffered.length >= 2) {
+      const fin = (buffered[0] & 0x80) !== 0;
+      const opcode = buffered[0] & 0x0f;
+      const masked = (buffered[1] & 0x80) !== 0;
+      let length = buffered[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (buffered.length < 4) return;
+        length = buffered.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffered.length < 10) return;
+        length = Number(buffered.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (!masked) return close(1002); // Clients must mask
+      if (length > MAX_MESSAGE_BYTES) return close(1009);
+      if (buffered.length < offset + 4 + length) return;
+
+      const mask = buffered.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffered.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      buffered = buffered.subarray(offset + 4 + length);
+
+      if (opcode === OPCODE.close) return close(1000);
+      if (opcode === OPCODE.ping) {
+        socket.write(encodeFrame(OPCODE.pong, payload));
+        continue;
+      }
+      if (opcode === OPCODE.pong) continue;
+
+      fragments.push(payload);
+      if (!fin) continue;
+      const message = Buffer.concat(fragments);
+      fragments = [];
+      if (opcode === OPCODE.text || opcode === OPCODE.continuation) {
+        onMessage(message.toString("utf8"));
+      }
+    }
+  });
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: "8765" },
+      "osc-host": { type: "string", default: "127.0.0.1" },
+      "osc-port": { type: "string", default: "9000" },
+      prefix: { type: "string", default: "/arv" },
+      "no-bundle": { type: "boolean", default: false },
+      "allow-origin": { type: "string", multiple: true, default: [] },
+      verbose: { type: "boolean", short: "v", default: false },
+    },
+  });
+
+  const port = Number(values.port);
+  const oscHost = values["osc-host"];
+  const oscPort = Number(values["osc-port"]);
+  const { prefix, verbose } = values;
+  if (!Number.isInteger(port) || !Number.isInteger(oscPort)) {
+    console.error(
+      "Usage: node relay/relay.mjs [--port 8765] [--osc-host 127.0.0.1] [--osc-port 9000] [--prefix /arv] [--no-bundle]"
+      + " [--allow-origin <origin>]..."
+    );
+    process.exit(1);
+  }
+
+  const udp = createSocket("udp4");
+  const sendOsc = (packet) => {
+    udp.send(packet, oscPort, oscHost, (err) => {
+      if (err) console.warn(`OSC send failed (${err.message})`);
+    });
+  };
+
+  let clients = 0;
+  let frames = 0;
+
+  const forward = (text) => {
+    let message;
+    let packets;
+    try {
+      message = JSON.parse(text);
+      packets = toOsc(message, prefix).map(({ address, args, types }) => encodeMessage(address, args, types));
+    } catch (err) {
+      // A bad message must not take down the relay (and the show with it)
+      console.warn(`Ignoring a message that can't be sent as OSC (${err.message})`);
+      return;
+    }
+    if (packets.length === 0) return;
+    if (message.type === "frame") frames++;
+    if (verbose && message.type === "frame" && Array.isArray(message.events) && message.events.length) {
+      console.log(message.events.map((event) => `${event?.type} @ ${Number(event?.time).toFixed(2)}s`).join(", "));
+    }
+
+    if (values["no-bundle"]) {
+      packets.forEach(sendOsc);
+    } else {
+      sendOsc(encodeBundle(packets));
+    }
+  };
+
+  const server = createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end(`Feature relay: ${clients} sketch(es) connected, ${frames} frames sent as OSC to ${oscHost}:${oscPort}\n`);
+  });
+
+  server.on("upgrade", (req, socket) => {
+    const key = req.headers["sec-websocket-key"];
+    if (req.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    if (!isAllowedOrigin(req.headers.origin, values["allow-origin"])) {
+      console.warn(`Refused a connection from ${req.headers.origin} (allow it with --allow-origin)`);
+      socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+      return;
+    }
+    const accept = createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n"
+      + "Upgrade: websocket\r\n"
+      + "Connection: Upgrade\r\n"
+      + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    clients++;
+    const from = req.headers.origin || socket.remoteAddress;
+    console.log(`Sketch connected (${from})`);
+    socket.on("close", () => {
+      clients--;
+      console.log(`Sketch disconnected (${from})`);
+    });
+    socket.on("error", (err) => console.warn(`Connection error (${err.message})`));
+    readFrames(socket, forward);
+  });
+
+  server.on("error", (err) => {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  });
+
+  server.listen(port, () => {
+    console.log(`Relay listening on ws://localhost:${port}`);
+    console.log(`Sending OSC to ${oscHost}:${oscPort} under ${prefix}/ (${values["no-bundle"] ? "messages" : "bundles"})`);
+  });
+}
+
+main();
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FeatureStream } from "../mappings/feature-stream.js";
+
+const HOP = 512 / 22050;
+
+function assertNear(actual, expected, tolerance = 1e-6) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+}
+
+// rms 0.1 for the first half hour, then 0.9
+function makeFrames(duration) {
+  return Array.from({ length: Math.ceil(duration / HOP) }, (_, i) => {
+    const rms = i * HOP < duration / 2 ? 0.1 : 0.9;
+    return { time: i * HOP, rms, centroid: 0, contrast: 0, onset: 0, harmonic: 0, percussive: 0, bands: [] };
+  });
+}
+
+test("an hour-long file keeps its early frames", () => {
+  const features = new FeatureStream({ frames: makeFrames(3600), bandNames: [] });
+  assertNear(features.get("rms", 60), 0.1);
+  assertNear(features.get("rms.mean", 60), 0.1);
+  assertNear(features.get("rms.variance", 60), 0);
+  assertNear(features.get("rms", 3000), 0.9);
+  assertNear(features.get("rms.rank", 60), 0.5, 0.01);
+});
+
+test("live input trims old frames", () => {
+  const frames = [];
+  frames.live = true;
+  const features = new FeatureStream({ frames, bandNames: [] });
+  for (const frame of makeFrames(3600)) {
+    frames.push(frame);
+    if (frames.length % 1000 === 0) features.update();
+  }
+  features.update();
+  assert.ok(features.times.length <= 1 << 16);
+  assertNear(features.get("rms", 3500), 0.9);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFFT, hannWindow } from "../analysis/dsp.js";
+import { LiveFeatureExtractor } from "../mappings/live-features.js";
+import { validateFrames } from "../mappings/schema.js";
+
+const SAMPLE_RATE = 22050;
+const FFT_SIZE = 2048;
+const HOP = 512;
+
+// Run the extractor over a synthetic signal, as live.js does over an
+// AnalyserNode: one windowed spectrum of the latest FFT_SIZE samples per hop
+function extract(signal, seconds) {
+  const extractor = new LiveFeatureExtractor({ sampleRate: SAMPLE_RATE, fftSize: FFT_SIZE });
+  const fft = createFFT(FFT_SIZE);
+  const window = hannWindow(FFT_SIZE);
+  const frames = [];
+  for (let end = FFT_SIZE; end <= seconds * SAMPLE_RATE; end += HOP) {
+    const samples = new Float32Array(FFT_SIZE);
+    for (let i = 0; i < FFT_SIZE; i++) samples[i] = signal((end - FFT_SIZE + i) / SAMPLE_RATE);
+    const re = Float64Array.from(samples, (s, i) => s * window[i]);
+    const im = new Float64Array(FFT_SIZE);
+    fft(re, im);
+    const magnitude = new Float32Array(FFT_SIZE / 2 + 1);
+    for (let k = 0; k < magnitude.length; k++) magnitude[k] = Math.hypot(re[k], im[k]) / FFT_SIZE;
+    frames.push(extractor.process(end / SAMPLE_RATE, magnitude, samples));
+  }
+  return { extractor, frames };
+}
+
+const tone = (hz, amplitude = 0.5) => (t) => amplitude * Math.sin(2 * Math.PI * hz * t);
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+test("frames have the fields and layout of the analysis JSON", () => {
+  const { extractor, frames } = extract(tone(440), 1);
+  assert.equal(extractor.bandNames.length, 7);
+  assert.equal(extractor.chromaNames.length, 12);
+  assert.doesNotThrow(() => validateFrames({ frames }));
+});
+
+test("a 440 Hz tone is pitch class A", () => {
+  const { extractor, frames } = extract(tone(440), 1);
+  const { chroma } = frames[frames.length - 1];
+  assert.equal(extractor.chromaNames[chroma.indexOf(Math.max(...chroma))], "A");
+});
+
+test("loudness is normalized against the running range", () => {
+  // Quiet, loud, then quiet again. The first quiet second is all the range
+  // there is, so it's stretched to fill 0-1; after the loud one it sits low
+  const loudness = (t) => (t >= 1 && t < 2 ? 0.5 : 0.05);
+  const { frames } = extract((t) => tone(220, loudness(t))(t), 3);
+  const loud = frames.filter((frame) => frame.time > 1.3 && frame.time < 2);
+  const quiet = frames.filter((frame) => frame.time > 2.3);
+  assert.ok(mean(loud.map((frame) => frame.rms)) > 0.9);
+  assert.ok(Math.max(...quiet.map((frame) => frame.rms)) < 0.2);
+});
+
+test("clicks over a steady tone read as onsets", () => {
+  // A short burst of noise every half second
+  let seed = 1;
+  const noise = () => ((seed = (seed * 16807) % 2147483647) / 2147483647) * 2 - 1;
+  const clicks = (t) => tone(220, 0.2)(t) + (t % 0.5 < 0.01 ? noise() : 0);
+  const { frames } = extract(clicks, 3);
+  // Frames whose newest hop holds a click, against frames well between clicks
+  const hit = frames.filter((frame) => frame.time > 0.5 && frame.time % 0.5 < HOP / SAMPLE_RATE);
+  const between = frames.filter((frame) => frame.time > 0.5 && Math.abs((frame.time % 0.5) - 0.3) < 0.05);
+  assert.ok(hit.length > 0 && between.length > 0);
+  assert.ok(mean(hit.map((frame) => frame.onset)) > mean(between.map((frame) => frame.onset)) + 0.3);
+});
@@ -0,0 +1,82 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { MidiControls, createMockMidiAccess, describeControl, parseMidiMessage } from "../mappings/midi.js";
+
+// Bindings are saved in localStorage; an in-memory one stands in for the browser's
+const stored = new Map();
+globalThis.localStorage = {
+  getItem: (key) => stored.get(key) ?? null,
+  setItem: (key, value) => stored.set(key, String(value)),
+};
+beforeEach(() => stored.clear());
+
+const CC = 0xb0;
+const NOTE_ON = 0x90;
+
+function makeControls() {
+  const settings = { feedBias: 0, boidCount: 100 };
+  const bursts = [];
+  const midi = new MidiControls(settings, {
+    params: { feedBias: { min: -0.02, max: 0.02 }, boidCount: { min: 20, max: 600, step: 1 } },
+    triggers: { burst: (velocity, note) => bursts.push({ velocity, note }) },
+    name: "test-sketch",
+  });
+  return { settings, bursts, midi };
+}
+
+test("messages decode, and a note-on at velocity 0 is a note-off", () => {
+  assert.deepEqual(parseMidiMessage([CC | 2, 21, 64]), { type: "cc", channel: 2, number: 21, value: 64 });
+  assert.equal(parseMidiMessage([NOTE_ON, 36, 0]).type, "noteoff");
+  assert.equal(parseMidiMessage([0xe0, 0, 64]), null); // pitch bend
+  assert.equal(describeControl("note:9:36"), "Note C2 (ch 10)");
+});
+
+test("learning binds the next knob, which then sets the setting on its range and step", async () => {
+  const { settings, midi } = makeControls();
+  const access = createMockMidiAccess();
+  await midi.connect(access);
+
+  midi.learn("boidCount");
+  access.send([NOTE_ON, 40, 100]); // a pad doesn't teach a knob parameter
+  assert.equal(midi.learning, "boidCount");
+  access.send([CC, 21, 0]);
+  assert.equal(midi.learning, null);
+  assert.equal(midi.describe("boidCount"), "CC 21 (ch 1)");
+
+  access.send([CC, 21, 127]);
+  assert.equal(settings.boidCount, 600);
+  access.send([CC, 21, 64]);
+  assert.ok(Number.isInteger(settings.boidCount));
+  const value = settings.boidCount;
+  access.send([CC, 22, 0]); // an unbound knob
+  assert.equal(settings.boidCount, value);
+});
+
+test("a learned pad fires its trigger with the velocity", async () => {
+  const { bursts, midi } = makeControls();
+  const access = createMockMidiAccess();
+  await midi.connect(access);
+
+  midi.learn("burst");
+  access.send([NOTE_ON | 9, 36, 127]);
+  access.send([NOTE_ON | 9, 36, 127]);
+  assert.deepEqual(bursts, [{ velocity: 1, note: 36 }]);
+});
+
+test("a controller plugged in later is heard, and bindings outlive the page", async () => {
+  const first = makeControls();
+  const access = createMockMidiAccess([]);
+  await first.midi.connect(access);
+  const id = access.plug("Late controller");
+  first.midi.learn("feedBias");
+  access.send([CC, 7, 64], id); // the move that teaches it
+  access.send([CC, 7, 0], id);
+  assert.equal(first.settings.feedBias, -0.02);
+
+  const second = makeControls();
+  await second.midi.connect(createMockMidiAccess());
+  assert.equal(second.midi.describe("feedBias"), "CC 7 (ch 1)");
+  second.midi.disconnect();
+  second.midi.handle([CC, 7, 127]); // handle() still works without inputs
+  assert.equal(second.settings.feedBias, 0.02);
+});
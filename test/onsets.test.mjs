@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { OnsetEvents } from "../mappings/onsets.js";
+
+const HOP = 512 / 22050;
+const HIT_EVERY = 13; // frames between hits, about 0.3 s
+
+function makeFrame(i) {
+  const hit = i % HIT_EVERY === 5;
+  const level = hit ? 0.9 : 0.05;
+  return { time: i * HOP, onset: level, bands: [level, level, 0.1, 0.1, 0.1, 0.1, 0.1] };
+}
+
+// Render loop: push `perRender` frames, then consume up to the newest frame's time
+function play(frames, count, { perRender = 2, consumers = 1 } = {}) {
+  const onsets = new OnsetEvents(frames);
+  const fired = Array.from({ length: consumers }, () => []);
+  let prevTime = 0;
+  for (let i = 0; i < count; i += perRender) {
+    for (let j = i; j < Math.min(i + perRender, count); j++) frames.push(makeFrame(j));
+    const currentTime = frames[frames.length - 1].time;
+    for (const events of fired) events.push(...onsets.consumeEvents(prevTime, currentTime));
+    prevTime = currentTime;
+  }
+  return { onsets, fired };
+}
+
+test("live events fire once, though they're picked after their time", () => {
+  const frames = [];
+  frames.live = true;
+  const { onsets, fired } = play(frames, 100 * HIT_EVERY);
+
+  assert.ok(onsets.events.length >= 95);
+  const ids = fired[0].map((event) => event.id);
+  assert.equal(new Set(ids).size, ids.length);
+  // All but the ones picked after the last render
+  assert.ok(ids.length >= onsets.events.length - 1);
+});
+
+test("live events reach every consumer sharing the picker", () => {
+  const frames = [];
+  frames.live = true;
+  const { onsets, fired } = play(frames, 50 * HIT_EVERY, { consumers: 2 });
+
+  assert.ok(fired[0].length >= onsets.events.length - 1);
+  assert.deepEqual(
+    fired[1].map((event) => event.id),
+    fired[0].map((event) => event.id)
+  );
+});
+
+test("events of a loaded file fire once each", () => {
+  const frames = Array.from({ length: 100 * HIT_EVERY }, (_, i) => makeFrame(i));
+  const onsets = new OnsetEvents(frames);
+  let fired = 0;
+  for (let i = 1; i < frames.length; i++) {
+    fired += onsets.consumeEvents(frames[i - 1].time, frames[i].time).length;
+  }
+  assert.equal(fired, onsets.events.length);
+});
+
+test("late events older than maxLag are dropped", () => {
+  const frames = [];
+  frames.live = true;
+  const onsets = new OnsetEvents(frames);
+  for (let i = 0; i < 40; i++) frames.push(makeFrame(i));
+  const late = onsets.consumeEvents(0, 30, { maxLag: 0.5 });
+  assert.deepEqual(late, []);
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { encodeMessage, toOsc } from "../relay/osc.js";
+
+const encodeAll = (message) => toOsc(message).map(({ address, args, types }) => encodeMessage(address, args, types));
+
+test("a frame becomes time, features and events", () => {
+  const messages = toOsc({
+    type: "frame",
+    time: 12.5,
+    frame: { rms: 0.4, bands: [0.1, 0.2] },
+    events: [
+      { type: "beat", beat: 8, bar: 2, beatInBar: 0 },
+      { type: "onset", strength: 0.9, band: "low" },
+    ],
+  });
+  assert.deepEqual(
+    messages.map(({ address, types }) => `${address} ${types}`),
+    ["/arv/time f", "/arv/rms f", "/arv/bands ff", "/arv/bands/0 f", "/arv/bands/1 f", "/arv/beat iii", "/arv/hit fs"]
+  );
+});
+
+test("messages of the wrong shape are dropped, not thrown on", () => {
+  for (const message of [null, 3, "frame", [], { type: "frame", events: {} }, { type: "frame", frame: null }]) {
+    assert.doesNotThrow(() => encodeAll(message), JSON.stringify(message));
+  }
+  assert.deepEqual(toOsc({ type: "frame", events: {} }), []);
+});
+
+test("non-numeric values and malformed events are left out", () => {
+  const messages = toOsc({
+    type: "frame",
+    time: "soon",
+    frame: { rms: "loud", bands: [0.1, "x"], centroid: 0.3 },
+    events: [null, { type: "beat", beat: "1" }, { type: "onset" }, { type: "beat", beat: 1.5, bar: 0, beatInBar: 1 }],
+  });
+  assert.deepEqual(messages.map(({ address }) => address), ["/arv/centroid"]);
+  assert.doesNotThrow(() => encodeAll({ type: "frame", frame: { rms: "loud" }, events: [{ type: "onset", strength: 1, band: {} }] }));
+});
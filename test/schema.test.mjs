@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { AnalysisError, validateAnalysis } from "../mappings/schema.js";
+
+const json = JSON.parse(readFileSync(new URL("../data/neon-noir.json", import.meta.url), "utf8"));
+
+// The first second of the demo track, with the bands cut to `count`
+function withBands(count) {
+  const frames = json.frames.filter((frame) => frame.time < 1).map((frame) => ({ ...frame, bands: frame.bands.slice(0, count) }));
+  return { ...json, bandNames: json.bandNames.slice(0, count), frames };
+}
+
+test("the demo analysis is valid", () => {
+  assert.doesNotThrow(() => validateAnalysis(withBands(7)));
+});
+
+test("a file with fewer bands than the sketches read is rejected, however consistent", () => {
+  assert.throws(() => validateAnalysis(withBands(3)), (err) => err instanceof AnalysisError && err.field === "bandNames");
+});
+
+test("chroma must have all 12 pitch classes", () => {
+  const frames = json.frames.filter((frame) => frame.time < 1).map((frame) => ({ ...frame, chroma: frame.chroma.slice(0, 7) }));
+  const data = { ...json, chromaNames: json.chromaNames.slice(0, 7), frames };
+  assert.throws(() => validateAnalysis(data), (err) => err instanceof AnalysisError && err.field === "chromaNames");
+});
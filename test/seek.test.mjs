@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SeekSync } from "../mappings/seek.js";
+
+const HOP = 512 / 22050;
+
+// An hour-long mix
+function makeAnalysis(duration = 3600) {
+  const frames = Array.from({ length: Math.ceil(duration / HOP) }, (_, i) => ({ time: i * HOP, rms: 0.5 }));
+  return { duration, frames };
+}
+
+function makeSync(analysis, options = {}) {
+  const sim = { steps: 0, value: 0 };
+  const sync = new SeekSync(analysis, {
+    reset: () => {
+      sim.value = 0;
+    },
+    advance: () => {
+      sim.steps++;
+      sim.value++;
+    },
+    snapshot: () => sim.value,
+    restore: (value) => {
+      sim.value = value;
+    },
+    ...options,
+  });
+  return { sim, sync };
+}
+
+test("a seek replays no more than the warmup", () => {
+  const analysis = makeAnalysis();
+  const { sim, sync } = makeSync(analysis, { warmup: 10 });
+  const frame = analysis.frames[0];
+
+  sync.step(frame, 0, 0);
+  sim.steps = 0;
+  sync.step(frame, 3000, 1 / 60);
+  assert.ok(sim.steps <= 10 * 60 + 1, `${sim.steps} steps`);
+  assert.equal(sync.lastRebuild.from, 2990);
+});
+
+test("the default warmup is finite", () => {
+  const analysis = makeAnalysis();
+  const { sim, sync } = makeSync(analysis);
+  const frame = analysis.frames[0];
+
+  sync.step(frame, 0, 0);
+  sim.steps = 0;
+  sync.step(frame, 3000, 1 / 60);
+  assert.ok(sim.steps < 3000, `${sim.steps} steps`);
+});
+
+test("dragging forward replays from checkpoints saved by the previous seek", () => {
+  const analysis = makeAnalysis();
+  const { sim, sync } = makeSync(analysis, { warmup: 20 });
+  const frame = analysis.frames[0];
+
+  sync.step(frame, 1000, 0);
+  sim.steps = 0;
+  sync.step(frame, 1001, 1 / 60);
+  assert.ok(sync.lastRebuild.restored);
+  // At most a checkpoint interval (5 s) plus the second dragged
+  assert.ok(sim.steps <= 6 * 60 + 1, `${sim.steps} steps`);
+});
+
+test("a replay over budget carries on over the next steps and ends where playing would", () => {
+  const analysis = makeAnalysis(600);
+  const frame = analysis.frames[0];
+  const played = makeSync(analysis, { warmup: Infinity });
+  for (let i = 0; i <= 120 * 60; i++) played.sync.step(frame, i / 60, 1 / 60);
+
+  const { sim, sync } = makeSync(analysis, { warmup: Infinity, budget: 0.01 });
+  let frames = 0;
+  while (sync.step(frame, 120, 1 / 60) === null) {
+    assert.ok(sync.rebuilding && sync.progress < 1);
+    frames++;
+  }
+  assert.ok(frames > 0);
+  assert.equal(sync.progress, 1);
+  assert.equal(sim.value, played.sim.value);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { encodePackedAnalysis } from "../mappings/packed.js";
+import { validateAnalysis } from "../mappings/schema.js";
+import { streamAnalysis } from "../mappings/stream.js";
+
+// The first 20 seconds of the demo track
+const json = JSON.parse(readFileSync(new URL("../data/neon-noir.json", import.meta.url), "utf8"));
+const analysis = validateAnalysis({ ...json, frames: json.frames.filter((frame) => frame.time < 20) });
+
+// A response that delivers the bytes `size` at a time
+function respond(bytes, size) {
+  let offset = 0;
+  const body = new ReadableStream({
+    pull(controller) {
+      if (offset >= bytes.length) {
+        controller.close();
+        return;
+      }
+      controller.enqueue(bytes.slice(offset, offset + size));
+      offset += size;
+    },
+  });
+  return new Response(body);
+}
+
+for (const size of [1, 3, 4096]) {
+  test(`packed analysis decodes from ${size}-byte chunks`, async () => {
+    const packed = new Uint8Array(encodePackedAnalysis(analysis));
+    const { complete } = await streamAnalysis(respond(packed, size));
+    const loaded = await complete;
+    assert.equal(loaded.frames.length, analysis.frames.length);
+  });
+
+  test(`JSON analysis decodes from ${size}-byte chunks`, async () => {
+    const text = new TextEncoder().encode(JSON.stringify(analysis));
+    const { complete } = await streamAnalysis(respond(text, size));
+    const loaded = await complete;
+    assert.equal(loaded.frames.length, analysis.frames.length);
+    assert.deepEqual(loaded.frames[100], analysis.frames[100]);
+  });
+}
+
+test("JSON shorter than the packed magic still decodes", async () => {
+  const { complete } = await streamAnalysis(respond(new TextEncoder().encode("{}"), 1), { minBuffered: 0 });
+  assert.equal((await complete).frames.length, 0);
+});
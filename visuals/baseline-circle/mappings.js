@@ -0,0 +1,39 @@
+/**
+ * Baseline Circle mappings: one audio feature per visual property.
+ * Evaluated every frame by MappingEvaluator (see mappings/evaluator.js).
+ */
+
+export const MAPPINGS = [
+  // RMS energy -> size, as a multiple of the base radius.
+  // The power curve makes quiet parts smaller relative to loud parts
+  { target: "radius", source: "rms", curve: "power", exponent: 0.7, output: [0.5, 2], smoothing: 100 },
+
+  // Centroid -> hue: low = cool blue, high = warm orange
+  { target: "hue", source: "centroid", output: [220, 30], smoothing: 160 },
+
+  // Chromagram -> secondary hue shift of +/- 30 degrees, slow for color stability
+  { target: "hueShift", source: "dominantPitch", input: [0, 12], output: [-30, 30], smoothing: 320 },
+
+  // Saturation rises with energy
+  { target: "saturation", source: "rms", output: [40, 85], smoothing: 100 },
+
+  // Bass band -> depth and presence
+  { target: "lightness", source: "bass", output: [35, 55], smoothing: 75 },
+  { target: "alpha", source: "bass", output: [0.7, 1], smoothing: 75 },
+
+  // Harmonic -> glow size (smoother sound, larger glow)
+  { target: "glow", source: "harmonic", output: [1, 1.5], smoothing: 200 },
+
+  // Percussive -> jitter in pixels
+  { target: "jitter", source: "percussive", output: [0, 8], smoothing: 45 },
+
+  // Energy -> brightness of the inner highlight
+  { target: "highlight", source: "rms", output: [0, 0.6], smoothing: 100 },
+];
+
+// Modulation (see mappings/modulation.js): the circle breathes once a bar,
+// even through quiet passages
+export const MODULATION = {
+  lfos: [{ name: "breath", shape: "sine", beats: 4 }],
+  routes: [{ source: "breath", target: "radius", depth: 0.08 }],
+};
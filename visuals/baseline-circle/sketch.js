@@ -4,11 +4,11 @@
  * A single circle with all audio features mapped to different visual properties.
  * This is the foundation for understanding how each feature "feels" visually.
  *
- * Mappings:
+ * Mappings (ranges and smoothing live in mappings.js):
  * - RMS energy     -> radius (size)
  * - Centroid       -> hue (cool blue to warm orange)
  * - Bass band      -> opacity/glow
- * - Onset strength -> scale spike (quick pop)
+ * - Onset events   -> scale spike (quick pop)
  * - Chromagram     -> secondary hue shift
  * - Harmonic       -> smoothness (blur)
  * - Percussive     -> jitter/shake
@@ -16,43 +16,58 @@
 
 import {
   lerp,
-  map,
-  clamp,
-  power,
   getFrameAtTime,
-  getDominantPitch,
   hslToRgb,
-  createSmoother,
+  createFrameTimer,
+  smoothingFactor,
+  decay,
+  perFrame,
 } from "../../mappings/utils.js";
+import { loadTrack } from "../../mappings/tracks.js";
+import { mountTransport } from "../../mappings/transport.js";
+import { describeLoadError } from "../../mappings/schema.js";
+import { formatLoadProgress } from "../../mappings/stream.js";
+import { OnsetEvents } from "../../mappings/onsets.js";
+import { MappingEvaluator } from "../../mappings/evaluator.js";
+import { mountMappingEditor } from "../../mappings/editor.js";
+import { readSettings, seekToSharedTime } from "../../mappings/share.js";
+import { ModulationMatrix } from "../../mappings/modulation.js";
+import { startBroadcast } from "../../mappings/broadcast.js";
+import { SeededRandom } from "../../mappings/random.js";
+import { MAPPINGS, MODULATION } from "./mappings.js";
 
 // Canvas setup
 const canvas = document.getElementById("canvas");
 const ctx = canvas.getContext("2d");
 const audio = document.getElementById("audio");
-const playPauseBtn = document.getElementById("playPause");
-const timeDisplay = document.getElementById("time");
 const loadingEl = document.getElementById("loading");
+const controlsEl = document.getElementById("controls");
+const transport = mountTransport(audio, controlsEl);
 
 // State
 let analysisData = null;
-let isPlaying = false;
-
-// Smoothers with different response speeds
-const smoothers = {
-  rms: createSmoother(0.15),
-  centroid: createSmoother(0.1),
-  bass: createSmoother(0.2),
-  onset: createSmoother(0.4), // Fast for transients
-  harmonic: createSmoother(0.08),
-  percussive: createSmoother(0.3),
-  dominantPitch: createSmoother(0.05), // Slow for color stability
+let mapper = null;
+let modulation = null;
+let broadcast = null;
+
+// Config (overridable from the URL hash, see mappings/share.js)
+const SETTINGS = {
+  size: 0.15, // Base radius, as a fraction of the smaller screen side
 };
+const settings = readSettings(SETTINGS);
+
+// Jitter is seeded, so a render can be reproduced (see mappings/random.js)
+const random = new SeededRandom();
+const shake = random.stream("shake");
 
 // Visual state
 let displayRadius = 100;
 let jitterX = 0;
 let jitterY = 0;
 let onsetSpike = 0;
+let onsetEvents = null;
+let lastOnsetTime = 0;
+const frameTimer = createFrameTimer();
 
 // Resize canvas to fill window
 function resize() {
@@ -65,60 +80,51 @@ resize();
 // Load analysis data
 async function loadAnalysis() {
   try {
-    const response = await fetch("../../data/neon-noir.json");
-    analysisData = await response.json();
+    const { analysis, complete } = await loadTrack(audio, {
+      picker: controlsEl,
+      onProgress: (progress) => {
+        loadingEl.textContent = formatLoadProgress(progress);
+      },
+    });
+    analysisData = analysis;
+    onsetEvents = new OnsetEvents(analysisData.frames);
+    mapper = new MappingEvaluator(MAPPINGS, analysisData);
+    modulation = new ModulationMatrix(MODULATION, analysisData, { mapper });
+    broadcast = startBroadcast(analysisData, { onsets: onsetEvents });
+    transport.setAnalysis(analysisData, { onsets: onsetEvents });
+    mountMappingEditor(mapper, {
+      toggle: controlsEl,
+      audio,
+      settings: { values: settings, defaults: SETTINGS },
+    });
+    seekToSharedTime(audio);
     loadingEl.style.display = "none";
+    complete.catch(showLoadError);
     console.log(
       `Loaded ${analysisData.frames.length} frames, ${analysisData.duration}s duration`
     );
   } catch (err) {
-    loadingEl.textContent = "Error loading analysis data";
-    console.error(err);
+    showLoadError(err);
   }
 }
 
-// Format time as M:SS
-function formatTime(seconds) {
-  const m = Math.floor(seconds / 60);
-  const s = Math.floor(seconds % 60)
-    .toString()
-    .padStart(2, "0");
-  return `${m}:${s}`;
-}
-
-// Update time display
-function updateTimeDisplay() {
-  const current = audio.currentTime;
-  const duration = audio.duration || 0;
-  timeDisplay.textContent = `${formatTime(current)} / ${formatTime(duration)}`;
+// Show why loading failed (also for bad frames found after playback starts)
+function showLoadError(err) {
+  loadingEl.textContent = describeLoadError(err);
+  loadingEl.style.display = "block";
+  console.error(err);
 }
 
-// Play/pause controls
-playPauseBtn.addEventListener("click", () => {
-  if (isPlaying) {
-    audio.pause();
-    playPauseBtn.textContent = "Play";
-  } else {
-    audio.play();
-    playPauseBtn.textContent = "Pause";
-  }
-  isPlaying = !isPlaying;
-});
-
-audio.addEventListener("ended", () => {
-  isPlaying = false;
-  playPauseBtn.textContent = "Play";
-});
-
 // Main render loop
 function render() {
   const { width, height } = canvas;
   const centerX = width / 2;
   const centerY = height / 2;
-  const baseRadius = Math.min(width, height) * 0.15;
+  const baseRadius = Math.min(width, height) * settings.size;
+  const dt = frameTimer();
 
   // Clear with slight fade for trail effect
-  ctx.fillStyle = "rgba(10, 10, 15, 0.3)";
+  ctx.fillStyle = `rgba(10, 10, 15, ${perFrame(0.3, dt)})`;
   ctx.fillRect(0, 0, width, height);
 
   // Get current frame data
@@ -127,7 +133,7 @@ function render() {
     return;
   }
 
-  const currentTime = audio.currentTime;
+  const currentTime = transport.now();
   const frame = getFrameAtTime(analysisData.frames, currentTime);
 
   if (!frame) {
@@ -135,61 +141,41 @@ function render() {
     return;
   }
 
-  // Extract and smooth features
-  const rms = smoothers.rms(frame.rms);
-  const centroid = smoothers.centroid(frame.centroid);
-  const bass = smoothers.bass(frame.bands[1]); // Bass band (60-250Hz)
-  const onset = smoothers.onset(frame.onset);
-  const harmonic = smoothers.harmonic(frame.harmonic);
-  const percussive = smoothers.percussive(frame.percussive);
-  const dominantPitch = smoothers.dominantPitch(getDominantPitch(frame.chroma));
+  broadcast?.send(frame, currentTime);
 
   // === MAPPINGS ===
 
+  const params = modulation.apply(mapper.evaluate(frame, dt), frame, currentTime);
+
   // Radius: RMS energy -> size
-  // Apply power curve to make quiet parts smaller relative to loud parts
-  const radiusFactor = power(rms, 0.7);
-  const targetRadius = baseRadius * (0.5 + radiusFactor * 1.5);
-  displayRadius = lerp(displayRadius, targetRadius, 0.2);
+  const targetRadius = baseRadius * params.radius;
+  displayRadius = lerp(displayRadius, targetRadius, smoothingFactor(75, dt));
 
   // Onset spike: quick scale pop on transients
-  if (onset > 0.6) {
-    onsetSpike = Math.max(onsetSpike, onset * 0.3);
+  for (const hit of onsetEvents.consumeEvents(lastOnsetTime, currentTime)) {
+    onsetSpike = Math.max(onsetSpike, hit.strength * 0.3);
   }
-  onsetSpike *= 0.85; // Decay
+  lastOnsetTime = currentTime;
+  onsetSpike = decay(onsetSpike, 100, dt);
   const spikedRadius = displayRadius * (1 + onsetSpike);
 
   // Jitter: percussive energy -> shake
-  const jitterAmount = percussive * 8;
-  jitterX = (Math.random() - 0.5) * jitterAmount;
-  jitterY = (Math.random() - 0.5) * jitterAmount;
-
-  // Color: centroid -> hue (blue 220 to orange 30)
-  // Low centroid = cool/dark, high centroid = warm/bright
-  const baseHue = map(centroid, 0, 1, 220, 30);
+  jitterX = (shake.next() - 0.5) * params.jitter;
+  jitterY = (shake.next() - 0.5) * params.jitter;
 
-  // Chromagram influence: shift hue by dominant pitch
-  const pitchHueShift = (dominantPitch / 12) * 60 - 30; // +/- 30 degrees
-  const hue = (baseHue + pitchHueShift + 360) % 360;
-
-  // Saturation: higher with energy
-  const saturation = map(rms, 0, 1, 40, 85);
-
-  // Lightness: bass adds depth
-  const lightness = map(bass, 0, 1, 35, 55);
+  // Color: centroid hue, shifted by the dominant pitch
+  const hue = (params.hue + params.hueShift + 360) % 360;
+  const { saturation, lightness, alpha } = params;
 
   const { r, g, b } = hslToRgb(hue, saturation, lightness);
 
-  // Opacity: bass adds presence
-  const alpha = map(bass, 0, 1, 0.7, 1.0);
-
   // === DRAWING ===
 
   const drawX = centerX + jitterX;
   const drawY = centerY + jitterY;
 
   // Outer glow (harmonic energy = smoother/larger glow)
-  const glowSize = spikedRadius * (1 + harmonic * 0.5);
+  const glowSize = spikedRadius * params.glow;
   const gradient = ctx.createRadialGradient(
     drawX,
     drawY,
@@ -225,7 +211,7 @@ function render() {
   );
   const highlightL = Math.min(lightness + 30, 90);
   const { r: hr, g: hg, b: hb } = hslToRgb(hue, saturation * 0.5, highlightL);
-  highlightGradient.addColorStop(0, `rgba(${hr}, ${hg}, ${hb}, ${rms * 0.6})`);
+  highlightGradient.addColorStop(0, `rgba(${hr}, ${hg}, ${hb}, ${params.highlight})`);
   highlightGradient.addColorStop(1, `rgba(${hr}, ${hg}, ${hb}, 0)`);
 
   ctx.beginPath();
@@ -233,8 +219,8 @@ function render() {
   ctx.fillStyle = highlightGradient;
   ctx.fill();
 
-  // Update time display
-  updateTimeDisplay();
+  // Loop, time readout and overview
+  transport.update();
 
   requestAnimationFrame(render);
 }
@@ -0,0 +1,27 @@
+/**
+ * Chromagram Wheel mappings for the whole-wheel properties. The petals
+ * follow the 12 chroma values directly.
+ * Evaluated every frame by MappingEvaluator (see mappings/evaluator.js).
+ */
+
+export const MAPPINGS = [
+  // RMS energy -> overall scale pulse
+  { target: "pulse", source: "rms", output: [1, 1.15], smoothing: 100 },
+
+  // Spectral centroid -> ring glow color temperature (blue to orange)
+  { target: "ringHue", source: "centroid", output: [240, 30], smoothing: 160 },
+
+  // RMS energy -> ring glow and center ring opacity
+  { target: "ringGlow", source: "rms", output: [0, 0.15], smoothing: 100 },
+  { target: "centerRing", source: "rms", output: [0.2, 0.5], smoothing: 100 },
+
+  // Harmonic content -> connection lines and petal glow
+  { target: "harmonic", source: "harmonic", smoothing: 200 },
+];
+
+// Modulation (see mappings/modulation.js): the wheel swells once a bar on
+// top of the loudness pulse
+export const MODULATION = {
+  lfos: [{ name: "swell", shape: "sine", beats: 4 }],
+  routes: [{ source: "swell", target: "pulse", depth: 0.03 }],
+};
@@ -4,10 +4,10 @@
  * A harmonic color wheel showing the 12 pitch classes.
  * Each pitch class maps to a hue, with energy controlling petal size and glow.
  *
- * Mappings:
+ * Mappings (whole-wheel ranges and smoothing live in mappings.js):
  * - Chroma values     -> petal radius and brightness
- * - Pitch class       -> hue (C=0°, C#=30°, D=60°, ...)
- * - Dominant pitch    -> center color
+ * - Scale degree      -> hue (tonic=0°, +30° per semitone; absolute pitch until the key is known)
+ * - Chord             -> center color and label (dominant pitch until chords are known)
  * - RMS energy        -> overall scale pulse
  * - Onset             -> rotation impulse
  * - Harmonic content  -> connection lines between pitches
@@ -16,41 +16,65 @@
 
 import {
   lerp,
-  map,
   clamp,
   power,
   getFrameAtTime,
   getDominantPitch,
   hslToRgb,
   createSmoother,
+  createFrameTimer,
+  smoothingFactor,
+  decay,
+  perFrame,
 } from "../../mappings/utils.js";
+import { loadTrack } from "../../mappings/tracks.js";
+import { mountTransport } from "../../mappings/transport.js";
+import { describeLoadError } from "../../mappings/schema.js";
+import { formatLoadProgress } from "../../mappings/stream.js";
+import { OnsetEvents } from "../../mappings/onsets.js";
+import { getChordAtTime, getKeyAtTime, scaleDegree } from "../../mappings/harmony.js";
+import { MappingEvaluator } from "../../mappings/evaluator.js";
+import { mountMappingEditor } from "../../mappings/editor.js";
+import { readSettings, seekToSharedTime } from "../../mappings/share.js";
+import { ModulationMatrix } from "../../mappings/modulation.js";
+import { startBroadcast } from "../../mappings/broadcast.js";
+import { MAPPINGS, MODULATION } from "./mappings.js";
 
 // Canvas setup
 const canvas = document.getElementById("canvas");
 const ctx = canvas.getContext("2d");
 const audio = document.getElementById("audio");
-const playPauseBtn = document.getElementById("playPause");
-const timeDisplay = document.getElementById("time");
 const loadingEl = document.getElementById("loading");
+const controlsEl = document.getElementById("controls");
+const transport = mountTransport(audio, controlsEl);
 
 // State
 let analysisData = null;
-let isPlaying = false;
+let mapper = null;
+let modulation = null;
+let broadcast = null;
 
 // Pitch class names
 const PITCH_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
 
+// Config (overridable from the URL hash, see mappings/share.js)
+const SETTINGS = {
+  chromaSmoothing: 100, // Per-pitch smoothing time constant (ms)
+  spin: 3, // Rotation impulse per onset (radians per second)
+  spinDecay: 800, // Rotation slowdown time constant (ms)
+};
+const settings = readSettings(SETTINGS);
+
 // Create smoothers for each pitch class
-const chromaSmoothers = PITCH_NAMES.map(() => createSmoother(0.15));
-const rmsSmoother = createSmoother(0.15);
-const onsetSmoother = createSmoother(0.4);
-const centroidSmoother = createSmoother(0.1);
-const harmonicSmoother = createSmoother(0.08);
+const chromaSmoothers = PITCH_NAMES.map(() => createSmoother(settings.chromaSmoothing));
 
 // Visual state
 let wheelRotation = 0;
 let rotationVelocity = 0;
+let onsetEvents = null;
+let lastOnsetTime = 0;
 let pulseScale = 1;
+const frameTimer = createFrameTimer();
 
 // Resize canvas to fill window
 function resize() {
@@ -63,51 +87,41 @@ resize();
 // Load analysis data
 async function loadAnalysis() {
   try {
-    const response = await fetch("../../data/neon-noir.json");
-    analysisData = await response.json();
+    const { analysis, complete } = await loadTrack(audio, {
+      picker: controlsEl,
+      onProgress: (progress) => {
+        loadingEl.textContent = formatLoadProgress(progress);
+      },
+    });
+    analysisData = analysis;
+    onsetEvents = new OnsetEvents(analysisData.frames);
+    mapper = new MappingEvaluator(MAPPINGS, analysisData);
+    modulation = new ModulationMatrix(MODULATION, analysisData, { mapper });
+    broadcast = startBroadcast(analysisData, { onsets: onsetEvents });
+    transport.setAnalysis(analysisData, { onsets: onsetEvents });
+    mountMappingEditor(mapper, {
+      toggle: controlsEl,
+      audio,
+      settings: { values: settings, defaults: SETTINGS },
+    });
+    seekToSharedTime(audio);
     loadingEl.style.display = "none";
+    complete.catch(showLoadError);
     console.log(
       `Loaded ${analysisData.frames.length} frames, ${analysisData.duration}s duration`
     );
   } catch (err) {
-    loadingEl.textContent = "Error loading analysis data";
-    console.error(err);
+    showLoadError(err);
   }
 }
 
-// Format time as M:SS
-function formatTime(seconds) {
-  const m = Math.floor(seconds / 60);
-  const s = Math.floor(seconds % 60)
-    .toString()
-    .padStart(2, "0");
-  return `${m}:${s}`;
-}
-
-// Update time display
-function updateTimeDisplay() {
-  const current = audio.currentTime;
-  const duration = audio.duration || 0;
-  timeDisplay.textContent = `${formatTime(current)} / ${formatTime(duration)}`;
+// Show why loading failed (also for bad frames found after playback starts)
+function showLoadError(err) {
+  loadingEl.textContent = describeLoadError(err);
+  loadingEl.style.display = "block";
+  console.error(err);
 }
 
-// Play/pause controls
-playPauseBtn.addEventListener("click", () => {
-  if (isPlaying) {
-    audio.pause();
-    playPauseBtn.textContent = "Play";
-  } else {
-    audio.play();
-    playPauseBtn.textContent = "Pause";
-  }
-  isPlaying = !isPlaying;
-});
-
-audio.addEventListener("ended", () => {
-  isPlaying = false;
-  playPauseBtn.textContent = "Play";
-});
-
 // Draw a single petal/wedge
 function drawPetal(ctx, cx, cy, angle, innerRadius, outerRadius, hue, energy, glowAmount) {
   const wedgeAngle = Math.PI / 7; // Slightly less than 30° for gaps
@@ -195,9 +209,10 @@ function render() {
   const centerX = width / 2;
   const centerY = height / 2;
   const maxRadius = Math.min(width, height) * 0.35;
+  const dt = frameTimer();
 
   // Clear with fade
-  ctx.fillStyle = "rgba(10, 10, 15, 0.2)";
+  ctx.fillStyle = `rgba(10, 10, 15, ${perFrame(0.2, dt)})`;
   ctx.fillRect(0, 0, width, height);
 
   // Get current frame data
@@ -206,7 +221,7 @@ function render() {
     return;
   }
 
-  const currentTime = audio.currentTime;
+  const currentTime = transport.now();
   const frame = getFrameAtTime(analysisData.frames, currentTime);
 
   if (!frame) {
@@ -214,37 +229,41 @@ function render() {
     return;
   }
 
+  broadcast?.send(frame, currentTime);
+
   // Extract and smooth features
-  const chroma = frame.chroma.map((c, i) => chromaSmoothers[i](c));
-  const rms = rmsSmoother(frame.rms);
-  const onset = onsetSmoother(frame.onset);
-  const centroid = centroidSmoother(frame.centroid);
-  const harmonic = harmonicSmoother(frame.harmonic);
+  const chroma = frame.chroma.map((c, i) => chromaSmoothers[i](c, dt));
+  const params = modulation.apply(mapper.evaluate(frame, dt), frame, currentTime);
+  const { harmonic } = params;
 
-  const dominantPitch = getDominantPitch(chroma);
+  // Chord and key once harmony is analyzed (see harmony.js); until then,
+  // and for live input, the loudest pitch and absolute hues
+  const chord = getChordAtTime(analysisData.harmony, currentTime);
+  const key = getKeyAtTime(analysisData.harmony, currentTime);
+  const dominantPitch = chord && chord.root !== null ? chord.root : getDominantPitch(chroma);
+  const pitchHue = (pitch) => (key ? scaleDegree(pitch, key) : pitch) * 30;
 
   // === ROTATION ===
   // Onset adds rotation impulse
-  if (onset > 0.5) {
-    rotationVelocity += onset * 0.02;
+  for (const hit of onsetEvents.consumeEvents(lastOnsetTime, currentTime)) {
+    rotationVelocity += hit.strength * settings.spin;
   }
-  rotationVelocity *= 0.98; // Friction
-  wheelRotation += rotationVelocity;
+  lastOnsetTime = currentTime;
+  rotationVelocity = decay(rotationVelocity, settings.spinDecay, dt);
+  wheelRotation += rotationVelocity * dt;
 
   // === PULSE ===
   // RMS adds subtle pulse
-  const targetPulse = 1 + rms * 0.15;
-  pulseScale = lerp(pulseScale, targetPulse, 0.1);
+  pulseScale = lerp(pulseScale, params.pulse, smoothingFactor(160, dt));
 
   // === DRAW OUTER RING GLOW ===
-  const ringGlowHue = map(centroid, 0, 1, 240, 30);
-  const { r: rr, g: rg, b: rb } = hslToRgb(ringGlowHue, 50, 50);
+  const { r: rr, g: rg, b: rb } = hslToRgb(params.ringHue, 50, 50);
   const ringGradient = ctx.createRadialGradient(
     centerX, centerY, maxRadius * 0.9 * pulseScale,
     centerX, centerY, maxRadius * 1.4 * pulseScale
   );
   ringGradient.addColorStop(0, `rgba(${rr}, ${rg}, ${rb}, 0)`);
-  ringGradient.addColorStop(0.5, `rgba(${rr}, ${rg}, ${rb}, ${rms * 0.15})`);
+  ringGradient.addColorStop(0.5, `rgba(${rr}, ${rg}, ${rb}, ${params.ringGlow})`);
   ringGradient.addColorStop(1, `rgba(${rr}, ${rg}, ${rb}, 0)`);
 
   ctx.beginPath();
@@ -290,8 +309,8 @@ function render() {
     const outerRadius = innerRadius + petalLength;
 
     // Hue: 12 pitches around the color wheel
-    // Start C at red (0°), going around
-    const hue = (i * 30) % 360;
+    // The tonic is red (0°), going around by scale degree
+    const hue = pitchHue(i);
 
     drawPetal(ctx, centerX, centerY, angle, innerRadius, outerRadius, hue, energy, harmonic);
   }
@@ -324,8 +343,8 @@ function render() {
   }
 
   // === DRAW CENTER ===
-  // Center circle shows dominant pitch color
-  const dominantHue = (dominantPitch * 30) % 360;
+  // Center circle shows the chord root's color
+  const dominantHue = pitchHue(dominantPitch);
   const { r: dr, g: dg, b: db } = hslToRgb(dominantHue, 60, 45);
 
   const centerRadius = innerRadius * 0.4 * pulseScale;
@@ -345,10 +364,19 @@ function render() {
   // Center ring
   ctx.beginPath();
   ctx.arc(centerX, centerY, centerRadius, 0, Math.PI * 2);
-  ctx.strokeStyle = `rgba(255, 255, 255, ${0.2 + rms * 0.3})`;
+  ctx.strokeStyle = `rgba(255, 255, 255, ${params.centerRing})`;
   ctx.lineWidth = 2;
   ctx.stroke();
 
+  // Chord label
+  if (chord && chord.root !== null) {
+    ctx.fillStyle = "rgba(255, 255, 255, 0.9)";
+    ctx.font = "bold 16px system-ui";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(chord.name, centerX, centerY);
+  }
+
   // === HARMONIC COMPLEXITY INDICATOR ===
   // Show how many pitches are active
   const activePitches = chroma.filter(c => c > 0.4).length;
@@ -357,11 +385,16 @@ function render() {
   ctx.textAlign = "left";
   ctx.fillText(`Harmonic density: ${activePitches}/12`, 20, 30);
 
-  // Dominant pitch name
-  ctx.fillText(`Root: ${PITCH_NAMES[dominantPitch]}`, 20, 48);
+  // Chord and key, or the dominant pitch until they're known
+  if (chord) {
+    ctx.fillText(`Chord: ${chord.name === "N" ? "none" : chord.name}`, 20, 48);
+    ctx.fillText(`Key: ${key.name}`, 20, 66);
+  } else {
+    ctx.fillText(`Root: ${PITCH_NAMES[dominantPitch]}`, 20, 48);
+  }
 
-  // Update time display
-  updateTimeDisplay();
+  // Loop, time readout and overview
+  transport.update();
 
   requestAnimationFrame(render);
 }
@@ -0,0 +1,40 @@
+/**
+ * Flocking mappings: audio features -> flocking rules and color.
+ * The sketch eases the flocking weights further before applying them.
+ * Evaluated every frame by MappingEvaluator (see mappings/evaluator.js).
+ */
+
+export const MAPPINGS = [
+  // Percussive energy -> separation weight (scatter on hits)
+  { target: "separation", source: "percussive", output: [1, 4], smoothing: 35 },
+
+  // Harmonic energy -> alignment weight (unify on sustained tones)
+  { target: "alignment", source: "harmonic", output: [0.5, 2.5], smoothing: 160 },
+
+  // Bass energy -> cohesion weight (group on low end)
+  { target: "cohesion", source: "bass", output: [0.5, 3], smoothing: 75 },
+
+  // RMS energy -> max speed, as a multiple of the base speed
+  { target: "speed", source: "rms", output: [0.5, 2.5], smoothing: 100 },
+
+  // Highs -> perception radius, as a multiple of the base radius
+  { target: "perception", source: "highs", output: [0.8, 2.3], smoothing: 75 },
+
+  // Contrast -> trail fade: more texture, longer trails
+  { target: "trailAlpha", source: "contrast", output: [0.15, 0.05], smoothing: 160 },
+
+  // Spectral centroid -> hue (cool blue to warm orange)
+  { target: "hue", source: "centroid", output: [220, 30], smoothing: 160 },
+
+  // Energy -> saturation, mids -> lightness, bass -> presence
+  { target: "saturation", source: "rms", output: [50, 85], smoothing: 100 },
+  { target: "lightness", source: "mids", output: [40, 60], smoothing: 100 },
+  { target: "alpha", source: "bass", output: [0.6, 0.95], smoothing: 75 },
+];
+
+// Modulation (see mappings/modulation.js): the flock rushes and settles
+// over two bars, whatever the level
+export const MODULATION = {
+  lfos: [{ name: "rush", shape: "sine", beats: 8 }],
+  routes: [{ source: "rush", target: "speed", depth: 0.4 }],
+};
@@ -4,7 +4,7 @@
  * Classic boids algorithm with audio-modulated behaviors.
  * Simple rules + audio perturbation = emergent, musical movement.
  *
- * Mappings:
+ * Mappings (ranges and smoothing live in mappings.js):
  * - Separation weight   <- percussive energy (scatter on hits)
  * - Alignment weight    <- harmonic energy (unify on sustained tones)
  * - Cohesion weight     <- bass energy (group on low end)
@@ -17,55 +17,77 @@
 
 import {
   lerp,
-  map,
   clamp,
   power,
   getFrameAtTime,
   hslToRgb,
-  createSmoother,
+  createFrameTimer,
+  smoothingFactor,
+  perFrame,
+  REFERENCE_FPS,
 } from "../../mappings/utils.js";
+import { loadTrack } from "../../mappings/tracks.js";
+import { mountTransport } from "../../mappings/transport.js";
+import { describeLoadError } from "../../mappings/schema.js";
+import { formatLoadProgress } from "../../mappings/stream.js";
+import { OnsetEvents } from "../../mappings/onsets.js";
+import { MappingEvaluator } from "../../mappings/evaluator.js";
+import { mountMappingEditor } from "../../mappings/editor.js";
+import { readSettings, seekToSharedTime } from "../../mappings/share.js";
+import { ModulationMatrix } from "../../mappings/modulation.js";
+import { MidiControls } from "../../mappings/midi.js";
+import { startBroadcast } from "../../mappings/broadcast.js";
+import { SeededRandom } from "../../mappings/random.js";
+import { MAPPINGS, MODULATION } from "./mappings.js";
 
 // Canvas setup
 const canvas = document.getElementById("canvas");
 const ctx = canvas.getContext("2d");
 const audio = document.getElementById("audio");
-const playPauseBtn = document.getElementById("playPause");
-const timeDisplay = document.getElementById("time");
 const loadingEl = document.getElementById("loading");
-
-// Config
-const BOID_COUNT = 150;
-const BASE_MAX_SPEED = 3;
-const BASE_MAX_FORCE = 0.05;
-const BASE_PERCEPTION = 50;
+const controlsEl = document.getElementById("controls");
+const transport = mountTransport(audio, controlsEl);
+
+// Config (overridable from the URL hash, see mappings/share.js)
+const SETTINGS = {
+  boidCount: 150,
+  maxSpeed: 3, // px per 60 fps frame
+  maxForce: 0.05,
+  perception: 50,
+};
+const settings = readSettings(SETTINGS);
+
+// MIDI knobs can change every setting while the flock runs (see mappings/midi.js)
+const midi = new MidiControls(settings, {
+  params: {
+    boidCount: { min: 20, max: 600, step: 1 },
+    maxSpeed: { min: 1, max: 8 },
+    maxForce: { min: 0.01, max: 0.2 },
+    perception: { min: 20, max: 150 },
+  },
+});
 
 // State
 let analysisData = null;
-let isPlaying = false;
 let boids = [];
-
-// Smoothers
-const smoothers = {
-  rms: createSmoother(0.15),
-  centroid: createSmoother(0.1),
-  bass: createSmoother(0.2),
-  mids: createSmoother(0.15),
-  highs: createSmoother(0.2),
-  onset: createSmoother(0.5),
-  harmonic: createSmoother(0.1),
-  percussive: createSmoother(0.4),
-  contrast: createSmoother(0.1),
-};
+let mapper = null;
+let modulation = null;
+let broadcast = null;
 
 // Audio-driven parameters (smoothed further for stability)
 let separation = 1.5;
 let alignment = 1.0;
 let cohesion = 1.0;
-let maxSpeed = BASE_MAX_SPEED;
-let perception = BASE_PERCEPTION;
+let maxSpeed = settings.maxSpeed;
+let perception = settings.perception;
 let trailAlpha = 0.1;
 let hue = 200;
 
+// Seeded, so a flock can be replayed exactly (see mappings/random.js)
+const random = new SeededRandom();
+const flockRandom = random.stream("flock"); // starting positions and headings
+const burstRandom = random.stream("bursts"); // onset impulse directions
+
 /**
  * Boid class - autonomous agent with flocking behaviors
  */
@@ -73,8 +95,8 @@ class Boid {
   constructor(x, y) {
     this.x = x;
     this.y = y;
-    const angle = Math.random() * Math.PI * 2;
-    const speed = Math.random() * 2 + 1;
+    const angle = flockRandom.next() * Math.PI * 2;
+    const speed = flockRandom.next() * 2 + 1;
     this.vx = Math.cos(angle) * speed;
     this.vy = Math.sin(angle) * speed;
     this.ax = 0;
@@ -118,7 +140,7 @@ class Boid {
       }
     }
 
-    return this.limit(steerX, steerY, BASE_MAX_FORCE);
+    return this.limit(steerX, steerY, settings.maxForce);
   }
 
   // Alignment: steer toward average heading of neighbors
@@ -140,7 +162,7 @@ class Boid {
     let steerX = avgVx - this.vx;
     let steerY = avgVy - this.vy;
 
-    return this.limit(steerX, steerY, BASE_MAX_FORCE);
+    return this.limit(steerX, steerY, settings.maxForce);
   }
 
   // Cohesion: steer toward center of neighbors
@@ -162,7 +184,7 @@ class Boid {
     let steerX = centerX - this.x;
     let steerY = centerY - this.y;
 
-    return this.limit(steerX, steerY, BASE_MAX_FORCE);
+    return this.limit(steerX, steerY, settings.maxForce);
   }
 
   // Limit vector magnitude
@@ -191,15 +213,16 @@ class Boid {
 
   // Apply impulse (for onset bursts)
   impulse(strength) {
-    const angle = Math.random() * Math.PI * 2;
+    const angle = burstRandom.next() * Math.PI * 2;
     this.vx += Math.cos(angle) * strength;
     this.vy += Math.sin(angle) * strength;
   }
 
-  update() {
+  // step: frame length in 60 fps frames (speeds and forces are per 60 fps frame)
+  update(step) {
     // Apply acceleration to velocity
-    this.vx += this.ax;
-    this.vy += this.ay;
+    this.vx += this.ax * step;
+    this.vy += this.ay * step;
 
     // Limit speed
     const speed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
@@ -209,8 +232,8 @@ class Boid {
     }
 
     // Apply velocity to position
-    this.x += this.vx;
-    this.y += this.vy;
+    this.x += this.vx * step;
+    this.y += this.vy * step;
 
     // Reset acceleration
     this.ax = 0;
@@ -247,14 +270,14 @@ class Boid {
   }
 }
 
-// Initialize boids
-function initBoids() {
-  boids = [];
-  for (let i = 0; i < BOID_COUNT; i++) {
-    const x = Math.random() * canvas.width;
-    const y = Math.random() * canvas.height;
+// Add or remove boids to match the boid count, which a MIDI knob can change
+function resizeFlock() {
+  while (boids.length < settings.boidCount) {
+    const x = flockRandom.next() * canvas.width;
+    const y = flockRandom.next() * canvas.height;
     boids.push(new Boid(x, y));
   }
+  boids.length = Math.min(boids.length, settings.boidCount);
 }
 
 // Resize canvas
@@ -262,7 +285,7 @@ function resize() {
   canvas.width = window.innerWidth;
   canvas.height = window.innerHeight;
   if (boids.length === 0) {
-    initBoids();
+    resizeFlock();
   }
 }
 window.addEventListener("resize", resize);
@@ -271,58 +294,56 @@ resize();
 // Load analysis data
 async function loadAnalysis() {
   try {
-    const response = await fetch("../../data/neon-noir.json");
-    analysisData = await response.json();
+    const { analysis, complete } = await loadTrack(audio, {
+      picker: controlsEl,
+      onProgress: (progress) => {
+        loadingEl.textContent = formatLoadProgress(progress);
+      },
+    });
+    analysisData = analysis;
+    onsetEvents = new OnsetEvents(analysisData.frames);
+    mapper = new MappingEvaluator(MAPPINGS, analysisData);
+    modulation = new ModulationMatrix(MODULATION, analysisData, { mapper });
+    broadcast = startBroadcast(analysisData, { onsets: onsetEvents });
+    transport.setAnalysis(analysisData, { onsets: onsetEvents });
+    mountMappingEditor(mapper, {
+      toggle: controlsEl,
+      audio,
+      settings: { values: settings, defaults: SETTINGS },
+      midi,
+    });
+    seekToSharedTime(audio);
     loadingEl.style.display = "none";
+    complete.catch(showLoadError);
     console.log(
       `Loaded ${analysisData.frames.length} frames, ${analysisData.duration}s duration`
     );
   } catch (err) {
-    loadingEl.textContent = "Error loading analysis data";
-    console.error(err);
+    showLoadError(err);
   }
 }
 
-// Format time as M:SS
-function formatTime(seconds) {
-  const m = Math.floor(seconds / 60);
-  const s = Math.floor(seconds % 60).toString().padStart(2, "0");
-  return `${m}:${s}`;
-}
-
-// Update time display
-function updateTimeDisplay() {
-  const current = audio.currentTime;
-  const duration = audio.duration || 0;
-  timeDisplay.textContent = `${formatTime(current)} / ${formatTime(duration)}`;
+// Show why loading failed (also for bad frames found after playback starts)
+function showLoadError(err) {
+  loadingEl.textContent = describeLoadError(err);
+  loadingEl.style.display = "block";
+  console.error(err);
 }
 
-// Play/pause controls
-playPauseBtn.addEventListener("click", () => {
-  if (isPlaying) {
-    audio.pause();
-    playPauseBtn.textContent = "Play";
-  } else {
-    audio.play();
-    playPauseBtn.textContent = "Pause";
-  }
-  isPlaying = !isPlaying;
-});
-
-audio.addEventListener("ended", () => {
-  isPlaying = false;
-  playPauseBtn.textContent = "Play";
-});
-
 // Track onset for impulse trigger
-let lastOnset = 0;
+let onsetEvents = null;
+let lastOnsetTime = 0;
+const frameTimer = createFrameTimer();
 
 // Main render loop
 function render() {
   const { width, height } = canvas;
+  const dt = frameTimer();
+  const step = dt * REFERENCE_FPS;
+  resizeFlock();
 
   // Trail effect: fade previous frame
-  ctx.fillStyle = `rgba(10, 10, 15, ${trailAlpha})`;
+  ctx.fillStyle = `rgba(10, 10, 15, ${perFrame(trailAlpha, dt)})`;
   ctx.fillRect(0, 0, width, height);
 
   // Get current frame data
@@ -331,85 +352,57 @@ function render() {
     return;
   }
 
-  const currentTime = audio.currentTime;
+  const currentTime = transport.now();
   const frame = getFrameAtTime(analysisData.frames, currentTime);
 
   if (!frame) {
     // Still draw boids even without audio data
     for (const boid of boids) {
       boid.flock(boids);
-      boid.update();
+      boid.update(step);
       boid.draw(ctx, hue, 60, 50, 0.8);
     }
     requestAnimationFrame(render);
     return;
   }
 
-  // Extract and smooth features
-  const rms = smoothers.rms(frame.rms);
-  const centroid = smoothers.centroid(frame.centroid);
-  const bass = smoothers.bass(frame.bands[1]);
-  const mids = smoothers.mids(frame.bands[3]);
-  const highs = smoothers.highs(frame.bands[5]);
-  const onset = smoothers.onset(frame.onset);
-  const harmonic = smoothers.harmonic(frame.harmonic);
-  const percussive = smoothers.percussive(frame.percussive);
-  const contrast = smoothers.contrast(frame.contrast);
+  broadcast?.send(frame, currentTime);
 
   // === AUDIO MAPPINGS ===
 
-  // Separation: percussive energy makes boids scatter
-  // Higher percussive = more separation (avoid each other more)
-  separation = lerp(separation, 1.0 + percussive * 3.0, 0.1);
-
-  // Alignment: harmonic energy unifies movement
-  // Higher harmonic = more alignment (move together)
-  alignment = lerp(alignment, 0.5 + harmonic * 2.0, 0.1);
-
-  // Cohesion: bass brings them together
-  // Higher bass = more cohesion (cluster)
-  cohesion = lerp(cohesion, 0.5 + bass * 2.5, 0.1);
-
-  // Max speed: RMS energy
-  maxSpeed = lerp(maxSpeed, BASE_MAX_SPEED * (0.5 + rms * 2.0), 0.1);
-
-  // Perception radius: highs expand awareness
-  perception = lerp(perception, BASE_PERCEPTION * (0.8 + highs * 1.5), 0.1);
-
-  // Trail opacity: contrast = more texture = longer trails
-  trailAlpha = lerp(trailAlpha, map(contrast, 0, 1, 0.15, 0.05), 0.1);
-
-  // Hue: centroid (cool blue 220 to warm orange 30)
-  hue = lerp(hue, map(centroid, 0, 1, 220, 30), 0.05);
-
-  // Saturation: energy
-  const saturation = map(rms, 0, 1, 50, 85);
+  const params = modulation.apply(mapper.evaluate(frame, dt), frame, currentTime);
 
-  // Lightness: mids
-  const lightness = map(mids, 0, 1, 40, 60);
+  // Flocking weights, eased further for stability
+  const ease = smoothingFactor(160, dt);
+  separation = lerp(separation, params.separation, ease);
+  alignment = lerp(alignment, params.alignment, ease);
+  cohesion = lerp(cohesion, params.cohesion, ease);
+  maxSpeed = lerp(maxSpeed, settings.maxSpeed * params.speed, ease);
+  perception = lerp(perception, settings.perception * params.perception, ease);
+  trailAlpha = lerp(trailAlpha, params.trailAlpha, ease);
+  hue = lerp(hue, params.hue, smoothingFactor(320, dt));
 
-  // Alpha: bass adds presence
-  const alpha = map(bass, 0, 1, 0.6, 0.95);
+  const { saturation, lightness, alpha } = params;
 
   // === ONSET IMPULSE ===
   // When onset spikes, apply random impulse to all boids
-  if (onset > 0.5 && onset > lastOnset + 0.1) {
-    const impulseStrength = onset * 4;
+  for (const hit of onsetEvents.consumeEvents(lastOnsetTime, currentTime)) {
+    const impulseStrength = hit.strength * 4;
     for (const boid of boids) {
       boid.impulse(impulseStrength);
     }
   }
-  lastOnset = onset;
+  lastOnsetTime = currentTime;
 
   // === UPDATE & DRAW ===
   for (const boid of boids) {
     boid.flock(boids);
-    boid.update();
+    boid.update(step);
     boid.draw(ctx, hue, saturation, lightness, alpha);
   }
 
-  // Update time display
-  updateTimeDisplay();
+  // Loop, time readout and overview
+  transport.update();
 
   requestAnimationFrame(render);
 }
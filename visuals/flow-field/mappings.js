@@ -0,0 +1,43 @@
+/**
+ * Flow Field mappings: audio features -> field shape, particle motion and color.
+ * The sketch eases the field parameters further before applying them.
+ * Evaluated every frame by MappingEvaluator (see mappings/evaluator.js).
+ */
+
+export const MAPPINGS = [
+  // Bass -> noise scale, as a multiple of the base scale (larger = smoother curves)
+  { target: "scale", source: "bass", output: [0.5, 2.5], smoothing: 100 },
+
+  // Mids -> particle speed, as a multiple of the base speed
+  { target: "speed", source: "mids", output: [0.5, 3.5], smoothing: 75 },
+
+  // Highs -> field evolution rate and noise octaves (turbulence on bright sounds)
+  { target: "zSpeed", source: "highs", output: [0.0005, 0.0035], smoothing: 75 },
+  { target: "octaves", source: "highs", output: [1, 4], smoothing: 75 },
+
+  // Harmonic -> trail fade: longer trails on sustained tones
+  { target: "trailAlpha", source: "harmonic", output: [0.08, 0.02], smoothing: 160 },
+
+  // Centroid -> color temperature (cool blue to warm orange)
+  { target: "hue", source: "centroid", output: [220, 30], smoothing: 200 },
+
+  // Contrast -> saturation
+  { target: "saturation", source: "contrast", output: [40, 85], smoothing: 160 },
+
+  // RMS -> particle opacity and lightness
+  { target: "alpha", source: "rms", output: [0.3, 0.9], smoothing: 100 },
+  { target: "lightness", source: "rms", output: [45, 65], smoothing: 100 },
+
+  // Percussive -> particle jitter in pixels
+  { target: "jitter", source: "percussive", output: [0, 8], smoothing: 40 },
+
+  // Onset -> visibility of the flow vectors
+  { target: "vectors", source: "onset", smoothing: 25 },
+];
+
+// Modulation (see mappings/modulation.js): the field evolves in slow
+// four-bar waves on top of the highs
+export const MODULATION = {
+  lfos: [{ name: "drift", shape: "sine", beats: 16 }],
+  routes: [{ source: "drift", target: "zSpeed", depth: 0.0005 }],
+};
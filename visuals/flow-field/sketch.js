@@ -4,7 +4,7 @@
  * Perlin noise flow field with audio-driven parameters.
  * Particles follow vector fields shaped by noise; audio modulates the field.
  *
- * Mappings:
+ * Mappings (ranges and smoothing live in mappings.js):
  * - Bass         -> noise scale (larger = slower, smoother curves)
  * - Mids         -> particle speed multiplier
  * - Highs        -> z-offset animation speed (turbulence/evolution)
@@ -18,13 +18,33 @@
 
 import {
   lerp,
-  map,
   clamp,
   power,
   getFrameAtTime,
   hslToRgb,
-  createSmoother,
+  createFrameTimer,
+  smoothingFactor,
+  perFrame,
+  REFERENCE_FPS,
 } from "../../mappings/utils.js";
+import { loadTrack } from "../../mappings/tracks.js";
+import { mountTransport } from "../../mappings/transport.js";
+import { describeLoadError } from "../../mappings/schema.js";
+import { formatLoadProgress } from "../../mappings/stream.js";
+import { OnsetEvents } from "../../mappings/onsets.js";
+import { MappingEvaluator } from "../../mappings/evaluator.js";
+import { mountMappingEditor } from "../../mappings/editor.js";
+import { readSettings, seekToSharedTime } from "../../mappings/share.js";
+import { ModulationMatrix } from "../../mappings/modulation.js";
+import { startBroadcast } from "../../mappings/broadcast.js";
+import { SeededRandom } from "../../mappings/random.js";
+import { MAPPINGS, MODULATION } from "./mappings.js";
+
+// Seeded, so the field and particles are the same each run (see mappings/random.js)
+const random = new SeededRandom();
+const noiseRandom = random.stream("noise"); // permutation table
+const particleRandom = random.stream("particles"); // respawns and jitter
+const pulseRandom = random.stream("pulses"); // onset rotation kicks
 
 // ============================================================================
 // PERLIN NOISE IMPLEMENTATION
@@ -41,7 +61,7 @@ function initNoise() {
   }
   // Shuffle
   for (let i = 255; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = noiseRandom.int(i + 1);
     [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
   }
   // Duplicate for overflow
@@ -123,37 +143,31 @@ initNoise();
 const canvas = document.getElementById("canvas");
 const ctx = canvas.getContext("2d");
 const audio = document.getElementById("audio");
-const playPauseBtn = document.getElementById("playPause");
-const timeDisplay = document.getElementById("time");
 const loadingEl = document.getElementById("loading");
+const controlsEl = document.getElementById("controls");
+const transport = mountTransport(audio, controlsEl);
 
 // State
 let analysisData = null;
-let isPlaying = false;
+let mapper = null;
+let modulation = null;
+let broadcast = null;
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-const PARTICLE_COUNT = 2000;
-const FLOW_SCALE_BASE = 0.003; // Base noise scale
-const FLOW_SPEED_BASE = 2; // Base particle speed
-
-// ============================================================================
-// SMOOTHERS
-// ============================================================================
-
-const smoothers = {
-  bass: createSmoother(0.15),
-  mids: createSmoother(0.2),
-  highs: createSmoother(0.2),
-  onset: createSmoother(0.5),
-  rms: createSmoother(0.15),
-  centroid: createSmoother(0.08),
-  harmonic: createSmoother(0.1),
-  percussive: createSmoother(0.35),
-  contrast: createSmoother(0.1),
+// Overridable from the URL hash (see mappings/share.js)
+const SETTINGS = {
+  particleCount: 2000,
+  flowScale: 0.003, // Base noise scale
+  flowSpeed: 2, // Base particle speed (px per 60 fps frame)
 };
+const settings = readSettings(SETTINGS);
+
+const PARTICLE_COUNT = settings.particleCount;
+const FLOW_SCALE_BASE = settings.flowScale;
+const FLOW_SPEED_BASE = settings.flowSpeed;
 
 // Audio-driven parameters (smoothed further)
 let noiseScale = FLOW_SCALE_BASE;
@@ -176,25 +190,28 @@ class Particle {
   }
 
   reset() {
-    this.x = Math.random() * canvas.width;
-    this.y = Math.random() * canvas.height;
+    this.x = particleRandom.next() * canvas.width;
+    this.y = particleRandom.next() * canvas.height;
     this.prevX = this.x;
     this.prevY = this.y;
-    this.speed = 0.5 + Math.random() * 0.5;
-    this.life = Math.random();
+    this.speed = 0.5 + particleRandom.next() * 0.5;
+    this.life = particleRandom.next();
   }
 
-  update(flowAngle, speedMult, jitter) {
+  // step: frame length in 60 fps frames
+  update(flowAngle, speedMult, jitter, step) {
     this.prevX = this.x;
     this.prevY = this.y;
 
     // Follow flow field
-    const vx = Math.cos(flowAngle) * this.speed * speedMult;
-    const vy = Math.sin(flowAngle) * this.speed * speedMult;
+    const vx = Math.cos(flowAngle) * this.speed * speedMult * step;
+    const vy = Math.sin(flowAngle) * this.speed * speedMult * step;
 
-    // Add jitter on percussive hits
-    const jitterX = (Math.random() - 0.5) * jitter;
-    const jitterY = (Math.random() - 0.5) * jitter;
+    // Add jitter on percussive hits. Random steps add up with the square
+    // root of their count, so √step scatters as far at any frame rate.
+    const scatter = jitter * Math.sqrt(step);
+    const jitterX = (particleRandom.next() - 0.5) * scatter;
+    const jitterY = (particleRandom.next() - 0.5) * scatter;
 
     this.x += vx + jitterX;
     this.y += vy + jitterY;
@@ -218,7 +235,7 @@ class Particle {
     }
 
     // Age and potentially reset
-    this.life -= 0.003;
+    this.life -= 0.003 * step;
     if (this.life <= 0) {
       this.reset();
     }
@@ -285,70 +302,57 @@ resize();
 
 async function loadAnalysis() {
   try {
-    const response = await fetch("../../data/neon-noir.json");
-    analysisData = await response.json();
+    const { analysis, complete } = await loadTrack(audio, {
+      picker: controlsEl,
+      onProgress: (progress) => {
+        loadingEl.textContent = formatLoadProgress(progress);
+      },
+    });
+    analysisData = analysis;
+    onsetEvents = new OnsetEvents(analysisData.frames);
+    mapper = new MappingEvaluator(MAPPINGS, analysisData);
+    modulation = new ModulationMatrix(MODULATION, analysisData, { mapper });
+    broadcast = startBroadcast(analysisData, { onsets: onsetEvents });
+    transport.setAnalysis(analysisData, { onsets: onsetEvents });
+    mountMappingEditor(mapper, {
+      toggle: controlsEl,
+      audio,
+      settings: { values: settings, defaults: SETTINGS },
+    });
+    seekToSharedTime(audio);
     loadingEl.style.display = "none";
+    complete.catch(showLoadError);
     console.log(
       `Loaded ${analysisData.frames.length} frames, ${analysisData.duration}s duration`
     );
   } catch (err) {
-    loadingEl.textContent = "Error loading analysis data";
-    console.error(err);
+    showLoadError(err);
   }
 }
 
-// ============================================================================
-// TIME DISPLAY
-// ============================================================================
-
-function formatTime(seconds) {
-  const m = Math.floor(seconds / 60);
-  const s = Math.floor(seconds % 60).toString().padStart(2, "0");
-  return `${m}:${s}`;
+// Show why loading failed (also for bad frames found after playback starts)
+function showLoadError(err) {
+  loadingEl.textContent = describeLoadError(err);
+  loadingEl.style.display = "block";
+  console.error(err);
 }
 
-function updateTimeDisplay() {
-  const current = audio.currentTime;
-  const duration = audio.duration || 0;
-  timeDisplay.textContent = `${formatTime(current)} / ${formatTime(duration)}`;
-}
-
-// ============================================================================
-// CONTROLS
-// ============================================================================
-
-playPauseBtn.addEventListener("click", () => {
-  if (isPlaying) {
-    audio.pause();
-    playPauseBtn.textContent = "Play";
-  } else {
-    audio.play();
-    playPauseBtn.textContent = "Pause";
-  }
-  isPlaying = !isPlaying;
-});
-
-audio.addEventListener("ended", () => {
-  isPlaying = false;
-  playPauseBtn.textContent = "Play";
-});
-
 // ============================================================================
 // RENDER LOOP
 // ============================================================================
 
-let lastTime = performance.now();
-let lastOnset = 0;
+const frameTimer = createFrameTimer();
+let onsetEvents = null;
+let lastOnsetTime = 0;
 
 function render() {
-  const now = performance.now();
-  const dt = Math.min((now - lastTime) / 1000, 0.05);
-  lastTime = now;
+  const dt = frameTimer();
+  const step = dt * REFERENCE_FPS;
 
   const { width, height } = canvas;
 
   // Trail effect: semi-transparent overlay
-  ctx.fillStyle = `rgba(10, 10, 15, ${trailAlpha})`;
+  ctx.fillStyle = `rgba(10, 10, 15, ${perFrame(trailAlpha, dt)})`;
   ctx.fillRect(0, 0, width, height);
 
   // Get current frame data
@@ -357,15 +361,15 @@ function render() {
     return;
   }
 
-  const currentTime = audio.currentTime;
+  const currentTime = transport.now();
   const frame = getFrameAtTime(analysisData.frames, currentTime);
 
   if (!frame) {
     // Still animate even without audio data
-    zOffset += zSpeed;
+    zOffset += zSpeed * step;
     for (const particle of particles) {
       const angle = getFlowAngle(particle.x, particle.y, zOffset, noiseScale, fieldRotation, octaves);
-      particle.update(angle, flowSpeed, 0);
+      particle.update(angle, flowSpeed, 0, step);
       const { r, g, b } = hslToRgb(hue, saturation, 55);
       particle.draw(ctx, r, g, b, 0.5);
     }
@@ -373,66 +377,43 @@ function render() {
     return;
   }
 
-  // Extract and smooth features
-  const bass = smoothers.bass(frame.bands[1]);
-  const mids = smoothers.mids(frame.bands[3]);
-  const highs = smoothers.highs(frame.bands[5]);
-  const onset = smoothers.onset(frame.onset);
-  const rms = smoothers.rms(frame.rms);
-  const centroid = smoothers.centroid(frame.centroid);
-  const harmonic = smoothers.harmonic(frame.harmonic);
-  const percussive = smoothers.percussive(frame.percussive);
-  const contrast = smoothers.contrast(frame.contrast);
+  broadcast?.send(frame, currentTime);
 
   // ========================================================================
   // AUDIO MAPPINGS
   // ========================================================================
 
+  const params = modulation.apply(mapper.evaluate(frame, dt), frame, currentTime);
+
   // Bass -> noise scale (higher bass = larger scale = smoother, flowing curves)
-  const targetScale = FLOW_SCALE_BASE * (0.5 + bass * 2.0);
-  noiseScale = lerp(noiseScale, targetScale, 0.05);
+  noiseScale = lerp(noiseScale, FLOW_SCALE_BASE * params.scale, smoothingFactor(320, dt));
 
   // Mids -> flow speed (higher mids = faster particles)
-  const targetSpeed = FLOW_SPEED_BASE * (0.5 + mids * 3.0);
-  flowSpeed = lerp(flowSpeed, targetSpeed, 0.1);
+  flowSpeed = lerp(flowSpeed, FLOW_SPEED_BASE * params.speed, smoothingFactor(160, dt));
 
   // Highs -> z-offset speed (turbulence/evolution rate)
-  zSpeed = 0.0005 + highs * 0.003;
-  zOffset += zSpeed;
+  zSpeed = params.zSpeed;
+  zOffset += zSpeed * step;
 
   // Highs -> octave count (more complexity on bright)
-  const targetOctaves = 1 + Math.floor(highs * 3);
-  octaves = Math.round(lerp(octaves, targetOctaves, 0.1));
+  const targetOctaves = Math.floor(params.octaves);
+  octaves = Math.round(lerp(octaves, targetOctaves, smoothingFactor(160, dt)));
   octaves = clamp(octaves, 1, 4);
 
   // Onset -> field rotation pulse
-  if (onset > 0.5 && onset > lastOnset + 0.1) {
-    fieldRotation += (Math.random() - 0.5) * onset * 0.5;
+  for (const hit of onsetEvents.consumeEvents(lastOnsetTime, currentTime)) {
+    fieldRotation += (pulseRandom.next() - 0.5) * hit.strength * 0.5;
   }
   // Decay rotation back to 0
-  fieldRotation = lerp(fieldRotation, 0, 0.02);
-  lastOnset = onset;
-
-  // Harmonic -> trail length (longer trails on sustained tones)
-  const targetTrailAlpha = map(harmonic, 0, 1, 0.08, 0.02);
-  trailAlpha = lerp(trailAlpha, targetTrailAlpha, 0.05);
-
-  // Centroid -> hue (cool blue 220 to warm orange 30)
-  const targetHue = map(centroid, 0, 1, 220, 30);
-  hue = lerp(hue, targetHue, 0.03);
-
-  // Contrast -> saturation
-  const targetSat = map(contrast, 0, 1, 40, 85);
-  saturation = lerp(saturation, targetSat, 0.1);
-
-  // RMS -> particle opacity
-  const particleAlpha = map(rms, 0, 1, 0.3, 0.9);
+  fieldRotation = lerp(fieldRotation, 0, smoothingFactor(800, dt));
+  lastOnsetTime = currentTime;
 
-  // Lightness based on energy
-  const lightness = map(rms, 0, 1, 45, 65);
+  // Harmonic -> trail length, centroid -> hue, contrast -> saturation
+  trailAlpha = lerp(trailAlpha, params.trailAlpha, smoothingFactor(320, dt));
+  hue = lerp(hue, params.hue, smoothingFactor(550, dt));
+  saturation = lerp(saturation, params.saturation, smoothingFactor(160, dt));
 
-  // Percussive -> jitter
-  const jitter = percussive * 8;
+  const { alpha: particleAlpha, lightness, jitter } = params;
 
   // ========================================================================
   // UPDATE & DRAW PARTICLES
@@ -449,7 +430,7 @@ function render() {
       fieldRotation,
       octaves
     );
-    particle.update(angle, flowSpeed, jitter);
+    particle.update(angle, flowSpeed, jitter, step);
     particle.draw(ctx, r, g, b, particleAlpha);
   }
 
@@ -458,10 +439,10 @@ function render() {
   // ========================================================================
 
   // Draw flow vectors at low opacity when onset is high
-  if (onset > 0.4) {
+  if (params.vectors > 0.4) {
     const gridSize = 60;
     const vectorLen = 15;
-    ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${onset * 0.15})`;
+    ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${params.vectors * 0.15})`;
     ctx.lineWidth = 1;
 
     for (let x = gridSize / 2; x < width; x += gridSize) {
@@ -478,8 +459,8 @@ function render() {
     }
   }
 
-  // Update time display
-  updateTimeDisplay();
+  // Loop, time readout and overview
+  transport.update();
 
   requestAnimationFrame(render);
 }
@@ -0,0 +1,44 @@
+/**
+ * Frequency Bars mappings: one bar per band, plus the shared glow and
+ * centroid marker.
+ * Evaluated every frame by MappingEvaluator (see mappings/evaluator.js).
+ */
+
+// Band energy -> bar height (0-1 of the maximum).
+// The power curve gives a more dramatic response
+const bar = (index, source) => ({
+  target: `bar${index}`,
+  source,
+  curve: "power",
+  exponent: 0.7,
+  smoothing: 75,
+});
+
+export const MAPPINGS = [
+  bar(0, "sub_bass"),
+  bar(1, "bass"),
+  bar(2, "low_mids"),
+  bar(3, "mids"),
+  bar(4, "high_mids"),
+  bar(5, "highs"),
+  bar(6, "brilliance"),
+
+  // Centroid -> saturation shift of every bar color
+  { target: "saturationShift", source: "centroid", output: [-15, 10], smoothing: 160 },
+
+  // RMS energy -> overall glow (added to each bar's own energy)
+  { target: "glow", source: "rms", output: [0, 0.5], smoothing: 100 },
+
+  // Centroid -> marker position across the bars (0-1)
+  { target: "marker", source: "centroid", smoothing: 160 },
+
+  // RMS energy -> marker line and dot opacity
+  { target: "markerLine", source: "rms", output: [0.1, 0.3], smoothing: 100 },
+  { target: "markerDot", source: "rms", output: [0.3, 0.8], smoothing: 100 },
+];
+
+// Modulation (see mappings/modulation.js): the glow throbs every two beats
+export const MODULATION = {
+  lfos: [{ name: "throb", shape: "sine", beats: 2 }],
+  routes: [{ source: "throb", target: "glow", depth: 0.15 }],
+};
@@ -4,7 +4,7 @@
  * Classic frequency band visualization with enhanced mappings.
  * 7 bars representing the frequency spectrum from sub-bass to brilliance.
  *
- * Mappings:
+ * Mappings (ranges and smoothing live in mappings.js):
  * - Band energy     -> bar height
  * - Frequency range -> bar color (warm low to cool high)
  * - Onset strength  -> brightness pulse
@@ -14,25 +14,38 @@
 
 import {
   lerp,
-  map,
   clamp,
-  power,
   getFrameAtTime,
   hslToRgb,
-  createSmoother,
+  createFrameTimer,
+  decay,
+  perFrame,
 } from "../../mappings/utils.js";
+import { loadTrack } from "../../mappings/tracks.js";
+import { mountTransport } from "../../mappings/transport.js";
+import { describeLoadError } from "../../mappings/schema.js";
+import { formatLoadProgress } from "../../mappings/stream.js";
+import { OnsetEvents } from "../../mappings/onsets.js";
+import { MappingEvaluator } from "../../mappings/evaluator.js";
+import { mountMappingEditor } from "../../mappings/editor.js";
+import { readSettings, seekToSharedTime } from "../../mappings/share.js";
+import { ModulationMatrix } from "../../mappings/modulation.js";
+import { startBroadcast } from "../../mappings/broadcast.js";
+import { MAPPINGS, MODULATION } from "./mappings.js";
 
 // Canvas setup
 const canvas = document.getElementById("canvas");
 const ctx = canvas.getContext("2d");
 const audio = document.getElementById("audio");
-const playPauseBtn = document.getElementById("playPause");
-const timeDisplay = document.getElementById("time");
 const loadingEl = document.getElementById("loading");
+const controlsEl = document.getElementById("controls");
+const transport = mountTransport(audio, controlsEl);
 
 // State
 let analysisData = null;
-let isPlaying = false;
+let mapper = null;
+let modulation = null;
+let broadcast = null;
 
 // Band configuration
 const BAND_NAMES = ["Sub", "Bass", "Low Mid", "Mid", "High Mid", "High", "Air"];
@@ -46,14 +59,17 @@ const BAND_COLORS = [
   { h: 280, s: 70, l: 60 },   // Brilliance: Purple
 ];
 
-// Create smoothers for each band
-const bandSmoothers = BAND_COLORS.map(() => createSmoother(0.2));
-const rmsSmoother = createSmoother(0.15);
-const onsetSmoother = createSmoother(0.4);
-const centroidSmoother = createSmoother(0.1);
+// Config (overridable from the URL hash, see mappings/share.js)
+const SETTINGS = {
+  paletteShift: 0, // Degrees to rotate every band's hue by
+  width: 0.8, // Fraction of the screen the bars span (up to 800px)
+};
+const settings = readSettings(SETTINGS);
 
 // Visual state
 let onsetPulse = 0;
+let onsetEvents = null;
+let lastOnsetTime = 0;
 
 // Resize canvas to fill window
 function resize() {
@@ -66,51 +82,41 @@ resize();
 // Load analysis data
 async function loadAnalysis() {
   try {
-    const response = await fetch("../../data/neon-noir.json");
-    analysisData = await response.json();
+    const { analysis, complete } = await loadTrack(audio, {
+      picker: controlsEl,
+      onProgress: (progress) => {
+        loadingEl.textContent = formatLoadProgress(progress);
+      },
+    });
+    analysisData = analysis;
+    onsetEvents = new OnsetEvents(analysisData.frames);
+    mapper = new MappingEvaluator(MAPPINGS, analysisData);
+    modulation = new ModulationMatrix(MODULATION, analysisData, { mapper });
+    broadcast = startBroadcast(analysisData, { onsets: onsetEvents });
+    transport.setAnalysis(analysisData, { onsets: onsetEvents });
+    mountMappingEditor(mapper, {
+      toggle: controlsEl,
+      audio,
+      settings: { values: settings, defaults: SETTINGS },
+    });
+    seekToSharedTime(audio);
     loadingEl.style.display = "none";
+    complete.catch(showLoadError);
     console.log(
       `Loaded ${analysisData.frames.length} frames, ${analysisData.duration}s duration`
     );
   } catch (err) {
-    loadingEl.textContent = "Error loading analysis data";
-    console.error(err);
+    showLoadError(err);
   }
 }
 
-// Format time as M:SS
-function formatTime(seconds) {
-  const m = Math.floor(seconds / 60);
-  const s = Math.floor(seconds % 60)
-    .toString()
-    .padStart(2, "0");
-  return `${m}:${s}`;
+// Show why loading failed (also for bad frames found after playback starts)
+function showLoadError(err) {
+  loadingEl.textContent = describeLoadError(err);
+  loadingEl.style.display = "block";
+  console.error(err);
 }
 
-// Update time display
-function updateTimeDisplay() {
-  const current = audio.currentTime;
-  const duration = audio.duration || 0;
-  timeDisplay.textContent = `${formatTime(current)} / ${formatTime(duration)}`;
-}
-
-// Play/pause controls
-playPauseBtn.addEventListener("click", () => {
-  if (isPlaying) {
-    audio.pause();
-    playPauseBtn.textContent = "Play";
-  } else {
-    audio.play();
-    playPauseBtn.textContent = "Pause";
-  }
-  isPlaying = !isPlaying;
-});
-
-audio.addEventListener("ended", () => {
-  isPlaying = false;
-  playPauseBtn.textContent = "Play";
-});
-
 // Draw a single bar with glow effect
 function drawBar(x, y, width, height, color, glowIntensity, pulseAmount) {
   const { h, s, l } = color;
@@ -178,12 +184,15 @@ function drawBar(x, y, width, height, color, glowIntensity, pulseAmount) {
   ctx.fillRect(x, y + 2, width, height * 0.4);
 }
 
+const frameTimer = createFrameTimer();
+
 // Main render loop
 function render() {
   const { width, height } = canvas;
+  const dt = frameTimer();
 
   // Clear with fade for subtle trails
-  ctx.fillStyle = "rgba(10, 10, 15, 0.4)";
+  ctx.fillStyle = `rgba(10, 10, 15, ${perFrame(0.4, dt)})`;
   ctx.fillRect(0, 0, width, height);
 
   // Get current frame data
@@ -192,7 +201,7 @@ function render() {
     return;
   }
 
-  const currentTime = audio.currentTime;
+  const currentTime = transport.now();
   const frame = getFrameAtTime(analysisData.frames, currentTime);
 
   if (!frame) {
@@ -200,21 +209,20 @@ function render() {
     return;
   }
 
-  // Extract and smooth features
-  const bands = frame.bands.map((b, i) => bandSmoothers[i](b));
-  const rms = rmsSmoother(frame.rms);
-  const onset = onsetSmoother(frame.onset);
-  const centroid = centroidSmoother(frame.centroid);
+  broadcast?.send(frame, currentTime);
+
+  const params = modulation.apply(mapper.evaluate(frame, dt), frame, currentTime);
 
   // Onset pulse effect
-  if (onset > 0.5) {
-    onsetPulse = Math.max(onsetPulse, onset);
+  for (const hit of onsetEvents.consumeEvents(lastOnsetTime, currentTime)) {
+    onsetPulse = Math.max(onsetPulse, hit.strength);
   }
-  onsetPulse *= 0.9; // Decay
+  lastOnsetTime = currentTime;
+  onsetPulse = decay(onsetPulse, 160, dt);
 
   // === BAR LAYOUT ===
-  const numBars = bands.length;
-  const totalWidth = Math.min(width * 0.8, 800);
+  const numBars = BAND_NAMES.length;
+  const totalWidth = Math.min(width * settings.width, 800);
   const barGap = totalWidth * 0.03;
   const barWidth = (totalWidth - barGap * (numBars - 1)) / numBars;
   const startX = (width - totalWidth) / 2;
@@ -225,16 +233,16 @@ function render() {
   for (let i = 0; i < numBars; i++) {
     const x = startX + i * (barWidth + barGap);
 
-    // Apply power curve for more dramatic response
-    const bandValue = power(bands[i], 0.7);
+    const bandValue = params[`bar${i}`];
     const barHeight = Math.max(bandValue * maxBarHeight, 4);
 
     // Color with centroid influence on saturation
-    const color = { ...BAND_COLORS[i] };
-    color.s = map(centroid, 0, 1, color.s - 15, color.s + 10);
+    const hue = (((BAND_COLORS[i].h + settings.paletteShift) % 360) + 360) % 360;
+    const color = { ...BAND_COLORS[i], h: hue };
+    color.s += params.saturationShift;
 
     // Glow based on RMS and individual band energy
-    const glowIntensity = rms * 0.5 + bandValue * 0.5;
+    const glowIntensity = params.glow + bandValue * 0.5;
 
     drawBar(x, baseY, barWidth, barHeight, color, glowIntensity, onsetPulse);
 
@@ -247,11 +255,11 @@ function render() {
 
   // === FREQUENCY INDICATOR LINE ===
   // Draw a line showing where the spectral centroid sits
-  const centroidX = startX + centroid * totalWidth;
+  const centroidX = startX + params.marker * totalWidth;
   ctx.beginPath();
   ctx.moveTo(centroidX, baseY - maxBarHeight - 20);
   ctx.lineTo(centroidX, baseY + 10);
-  ctx.strokeStyle = `rgba(255, 255, 255, ${0.1 + rms * 0.2})`;
+  ctx.strokeStyle = `rgba(255, 255, 255, ${params.markerLine})`;
   ctx.lineWidth = 1;
   ctx.setLineDash([4, 4]);
   ctx.stroke();
@@ -260,11 +268,11 @@ function render() {
   // Small indicator at top
   ctx.beginPath();
   ctx.arc(centroidX, baseY - maxBarHeight - 28, 4, 0, Math.PI * 2);
-  ctx.fillStyle = `rgba(255, 255, 255, ${0.3 + rms * 0.5})`;
+  ctx.fillStyle = `rgba(255, 255, 255, ${params.markerDot})`;
   ctx.fill();
 
-  // Update time display
-  updateTimeDisplay();
+  // Loop, time readout and overview
+  transport.update();
 
   requestAnimationFrame(render);
 }
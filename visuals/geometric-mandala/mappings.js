@@ -0,0 +1,37 @@
+/**
+ * Geometric Mandala mappings. `energy`, `onset` and `harmonic` are 0-1
+ * levels that several layer properties share.
+ * Evaluated every frame by MappingEvaluator (see mappings/evaluator.js).
+ */
+
+export const MAPPINGS = [
+  // Chord degree -> symmetry count (3-12 fold). Very slow for stability;
+  // "chordDegree" is the chord root's scale degree (see sketch.js)
+  { target: "symmetry", source: "chordDegree", input: [0, 11], output: [3, 12], smoothing: 550 },
+
+  // RMS energy -> overall scale pulse, on top of the beat pulse
+  { target: "pulse", source: "rms", output: [0, 0.1], smoothing: 100 },
+
+  // Bands -> ring expansion: bass for the inner rings, mids the middle, highs the outer
+  { target: "innerExpand", source: "bass", output: [0, 0.3], smoothing: 75 },
+  { target: "middleExpand", source: "mids", output: [0, 0.2], smoothing: 100 },
+  { target: "outerExpand", source: "highs", output: [0, 0.15], smoothing: 60 },
+
+  // Centroid -> color temperature (blue to orange)
+  { target: "hue", source: "centroid", output: [220, 40], smoothing: 160 },
+
+  // Harmonic -> line weight
+  { target: "lineWeight", source: "harmonic", output: [0.8, 1.3], smoothing: 200 },
+
+  // Shared levels: brightness and rotation speed, fills and flashes, glow
+  { target: "energy", source: "rms", smoothing: 100 },
+  { target: "onset", source: "onset", smoothing: 25 },
+  { target: "harmonic", source: "harmonic", smoothing: 200 },
+];
+
+// Modulation (see mappings/modulation.js): layer rotation speeds up and
+// slows down over two bars. `rotation` is a speed multiplier (1 = as is)
+export const MODULATION = {
+  lfos: [{ name: "sway", shape: "sine", beats: 8 }],
+  routes: [{ source: "sway", target: "rotation", depth: 0.5 }],
+};
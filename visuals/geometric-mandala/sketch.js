@@ -4,7 +4,7 @@
  * Layered sacred geometry with beat-synced rotation and audio-driven symmetry.
  * Multiple concentric rings of polygons, each responding to different features.
  *
- * Mappings:
+ * Mappings (ranges and smoothing live in mappings.js):
  * - Beat phase      -> rotation sync (snaps to beat grid)
  * - RMS energy      -> overall scale pulse
  * - Bass            -> inner ring expansion
@@ -12,70 +12,99 @@
  * - Highs           -> outer ring detail/shimmer
  * - Onset           -> flash/bloom effect
  * - Centroid        -> color temperature
- * - Dominant pitch  -> symmetry count (3-12 fold)
+ * - Chord degree    -> symmetry count (3-12 fold): the chord root's scale
+ *                      degree, or the dominant pitch until chords are known
  * - Harmonic        -> line weight and glow
  */
 
 import {
   lerp,
-  map,
   clamp,
   power,
   getFrameAtTime,
   getDominantPitch,
   hslToRgb,
-  createSmoother,
+  createFrameTimer,
+  decay,
+  perFrame,
 } from "../../mappings/utils.js";
+import { loadTrack } from "../../mappings/tracks.js";
+import { mountTransport } from "../../mappings/transport.js";
+import { describeLoadError } from "../../mappings/schema.js";
+import { formatLoadProgress } from "../../mappings/stream.js";
+import { BeatClock } from "../../mappings/beat-clock.js";
+import { OnsetEvents } from "../../mappings/onsets.js";
+import { getChordAtTime, getKeyAtTime, scaleDegree } from "../../mappings/harmony.js";
+import { MappingEvaluator } from "../../mappings/evaluator.js";
+import { mountMappingEditor } from "../../mappings/editor.js";
+import { readSettings, seekToSharedTime } from "../../mappings/share.js";
+import { ModulationMatrix } from "../../mappings/modulation.js";
+import { MidiControls } from "../../mappings/midi.js";
+import { startBroadcast } from "../../mappings/broadcast.js";
+import { SeededRandom } from "../../mappings/random.js";
+import { MAPPINGS, MODULATION } from "./mappings.js";
 
 // Canvas setup
 const canvas = document.getElementById("canvas");
 const ctx = canvas.getContext("2d");
 const audio = document.getElementById("audio");
-const playPauseBtn = document.getElementById("playPause");
-const timeDisplay = document.getElementById("time");
 const loadingEl = document.getElementById("loading");
+const controlsEl = document.getElementById("controls");
+const transport = mountTransport(audio, controlsEl);
 
 // State
 let analysisData = null;
-let isPlaying = false;
-
-// Smoothers
-const smoothers = {
-  rms: createSmoother(0.15),
-  bass: createSmoother(0.2),
-  mids: createSmoother(0.15),
-  highs: createSmoother(0.25),
-  onset: createSmoother(0.5),
-  centroid: createSmoother(0.1),
-  harmonic: createSmoother(0.08),
-  dominantPitch: createSmoother(0.03), // Very slow for stability
-};
+let mapper = null;
+let modulation = null;
+let broadcast = null;
 
 // Visual state
+let beatClock = null;
 let beatPhase = 0;
-let lastBeatTime = 0;
-let beatInterval = 0.5; // Will be calculated from tempo
 let onsetFlash = 0;
+let onsetEvents = null;
+let lastOnsetTime = 0;
 let layers = [];
 
-// Layer configuration
-const NUM_LAYERS = 6;
-
-// Initialize layers
-function initLayers() {
-  layers = [];
-  for (let i = 0; i < NUM_LAYERS; i++) {
-    layers.push({
-      rotation: Math.random() * Math.PI * 2,
-      rotationSpeed: (i % 2 === 0 ? 1 : -1) * (0.1 + i * 0.05), // Alternate directions
-      radiusFactor: 0.15 + i * 0.13, // Concentric sizing
-      sides: 6, // Will be modulated
-      lineWidth: 1.5,
-      hue: 0,
-    });
+// Layer configuration (overridable from the URL hash, see mappings/share.js)
+const SETTINGS = {
+  layers: 6,
+  lineScale: 1, // Line width multiplier
+};
+const settings = readSettings(SETTINGS);
+
+// MIDI knobs can change both while the mandala turns (see mappings/midi.js)
+const midi = new MidiControls(settings, {
+  params: {
+    layers: { min: 1, max: 10, step: 1 },
+    lineScale: { min: 0.2, max: 3 },
+  },
+});
+
+// Starting angles are seeded (see mappings/random.js)
+const random = new SeededRandom();
+const layerRandom = random.stream("layers");
+
+// Create layer i, counting from the center
+function createLayer(i) {
+  return {
+    rotation: layerRandom.next() * Math.PI * 2,
+    rotationSpeed: (i % 2 === 0 ? 1 : -1) * (0.1 + i * 0.05), // Alternate directions
+    radiusFactor: 0.15 + i * 0.13, // Concentric sizing
+    sides: 6, // Will be modulated
+    lineWidth: 1.5,
+    hue: 0,
+  };
+}
+
+// Add or remove outer layers to match the layer count
+function resizeLayers() {
+  while (layers.length < settings.layers) {
+    layers.push(createLayer(layers.length));
   }
+  layers.length = Math.min(layers.length, settings.layers);
 }
-initLayers();
+resizeLayers();
 
 // Resize canvas to fill window
 function resize() {
@@ -88,57 +117,47 @@ resize();
 // Load analysis data
 async function loadAnalysis() {
   try {
-    const response = await fetch("../../data/neon-noir.json");
-    analysisData = await response.json();
+    const { analysis, complete } = await loadTrack(audio, {
+      picker: controlsEl,
+      onProgress: (progress) => {
+        loadingEl.textContent = formatLoadProgress(progress);
+      },
+    });
+    analysisData = analysis;
+    onsetEvents = new OnsetEvents(analysisData.frames);
+    mapper = new MappingEvaluator(MAPPINGS, analysisData, {
+      sources: { chordDegree: getChordDegree },
+    });
+    modulation = new ModulationMatrix(MODULATION, analysisData, { mapper, targets: ["rotation"] });
+    broadcast = startBroadcast(analysisData, { onsets: onsetEvents });
+    transport.setAnalysis(analysisData, { onsets: onsetEvents });
+    mountMappingEditor(mapper, {
+      toggle: controlsEl,
+      audio,
+      settings: { values: settings, defaults: SETTINGS },
+      midi,
+    });
+    seekToSharedTime(audio);
     loadingEl.style.display = "none";
+    complete.catch(showLoadError);
 
-    // Calculate beat interval from tempo
-    if (analysisData.tempo) {
-      beatInterval = 60 / analysisData.tempo;
-    }
+    beatClock = new BeatClock(analysisData);
 
     console.log(
       `Loaded ${analysisData.frames.length} frames, tempo: ${analysisData.tempo} BPM`
     );
   } catch (err) {
-    loadingEl.textContent = "Error loading analysis data";
-    console.error(err);
+    showLoadError(err);
   }
 }
 
-// Format time as M:SS
-function formatTime(seconds) {
-  const m = Math.floor(seconds / 60);
-  const s = Math.floor(seconds % 60)
-    .toString()
-    .padStart(2, "0");
-  return `${m}:${s}`;
+// Show why loading failed (also for bad frames found after playback starts)
+function showLoadError(err) {
+  loadingEl.textContent = describeLoadError(err);
+  loadingEl.style.display = "block";
+  console.error(err);
 }
 
-// Update time display
-function updateTimeDisplay() {
-  const current = audio.currentTime;
-  const duration = audio.duration || 0;
-  timeDisplay.textContent = `${formatTime(current)} / ${formatTime(duration)}`;
-}
-
-// Play/pause controls
-playPauseBtn.addEventListener("click", () => {
-  if (isPlaying) {
-    audio.pause();
-    playPauseBtn.textContent = "Play";
-  } else {
-    audio.play();
-    playPauseBtn.textContent = "Pause";
-  }
-  isPlaying = !isPlaying;
-});
-
-audio.addEventListener("ended", () => {
-  isPlaying = false;
-  playPauseBtn.textContent = "Play";
-});
-
 // Draw a regular polygon
 function drawPolygon(cx, cy, radius, sides, rotation, close = true) {
   ctx.beginPath();
@@ -201,22 +220,29 @@ function drawDots(cx, cy, radius, count, rotation, dotRadius) {
   }
 }
 
+// Harmonic position: the chord root relative to the key holds steady
+// through each chord; before harmony is analyzed, the loudest pitch
+function getChordDegree(frame) {
+  const chord = getChordAtTime(analysisData.harmony, frame.time);
+  const key = getKeyAtTime(analysisData.harmony, frame.time);
+  const pitch = chord?.root ?? getDominantPitch(frame.chroma);
+  return key ? scaleDegree(pitch, key) : pitch;
+}
+
 // Draw a layer of the mandala
-function drawLayer(cx, cy, layer, index, maxRadius, features) {
-  const {
-    rms, bass, mids, highs, onset, centroid, harmonic, symmetry
-  } = features;
+function drawLayer(cx, cy, layer, index, maxRadius, params, dt) {
+  const { energy: rms, onset, harmonic, symmetry } = params;
 
   const baseRadius = maxRadius * layer.radiusFactor;
 
   // Modulate radius by frequency band
   let radiusMod = 1;
   if (index < 2) {
-    radiusMod = 1 + bass * 0.3; // Inner layers respond to bass
+    radiusMod = 1 + params.innerExpand; // Inner layers respond to bass
   } else if (index < 4) {
-    radiusMod = 1 + mids * 0.2; // Middle layers respond to mids
+    radiusMod = 1 + params.middleExpand; // Middle layers respond to mids
   } else {
-    radiusMod = 1 + highs * 0.15; // Outer layers respond to highs
+    radiusMod = 1 + params.outerExpand; // Outer layers respond to highs
   }
 
   const radius = baseRadius * radiusMod * (1 + onsetFlash * 0.1);
@@ -226,22 +252,21 @@ function drawLayer(cx, cy, layer, index, maxRadius, features) {
   layer.sides = baseSides;
 
   // Color: layer index shifts hue, centroid affects temperature
-  const baseHue = map(centroid, 0, 1, 220, 40); // Blue to orange
-  layer.hue = (baseHue + index * 25) % 360;
+  layer.hue = (params.hue + index * 25) % 360;
 
   const { r, g, b } = hslToRgb(layer.hue, 60 + rms * 30, 45 + rms * 20);
 
   // Line weight based on harmonic content and layer
-  const baseLineWidth = 1 + (NUM_LAYERS - index) * 0.3;
-  layer.lineWidth = baseLineWidth * (0.8 + harmonic * 0.5);
+  const baseLineWidth = (1 + (layers.length - index) * 0.3) * settings.lineScale;
+  layer.lineWidth = baseLineWidth * params.lineWeight;
 
   ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${0.6 + rms * 0.3})`;
   ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${0.1 + onset * 0.2})`;
   ctx.lineWidth = layer.lineWidth;
 
-  // Update rotation - beat synced
-  const rotationMult = 1 + rms * 0.5;
-  layer.rotation += layer.rotationSpeed * 0.02 * rotationMult;
+  // Update rotation (rotationSpeed * 1.2 radians per second) - beat synced
+  const rotationMult = (1 + rms * 0.5) * params.rotation;
+  layer.rotation += layer.rotationSpeed * 1.2 * rotationMult * dt;
 
   // Draw based on layer type
   switch (index % 4) {
@@ -279,7 +304,7 @@ function drawLayer(cx, cy, layer, index, maxRadius, features) {
   }
 
   // Glow effect on outer layers
-  if (index >= NUM_LAYERS - 2 && harmonic > 0.2) {
+  if (index >= layers.length - 2 && harmonic > 0.2) {
     ctx.shadowColor = `rgba(${r}, ${g}, ${b}, 0.5)`;
     ctx.shadowBlur = 10 + harmonic * 20;
     drawPolygon(cx, cy, radius * 1.02, layer.sides, layer.rotation);
@@ -288,24 +313,7 @@ function drawLayer(cx, cy, layer, index, maxRadius, features) {
   }
 }
 
-// Find nearest beat
-function getNearestBeat(time, beats) {
-  if (!beats || beats.length === 0) return 0;
-
-  let nearest = beats[0];
-  let minDist = Math.abs(time - beats[0]);
-
-  for (const beat of beats) {
-    const dist = Math.abs(time - beat);
-    if (dist < minDist) {
-      minDist = dist;
-      nearest = beat;
-    }
-    if (beat > time) break;
-  }
-
-  return nearest;
-}
+const frameTimer = createFrameTimer();
 
 // Main render loop
 function render() {
@@ -313,9 +321,10 @@ function render() {
   const centerX = width / 2;
   const centerY = height / 2;
   const maxRadius = Math.min(width, height) * 0.42;
+  const dt = frameTimer();
 
   // Clear with fade for trails
-  ctx.fillStyle = "rgba(10, 10, 15, 0.15)";
+  ctx.fillStyle = `rgba(10, 10, 15, ${perFrame(0.15, dt)})`;
   ctx.fillRect(0, 0, width, height);
 
   // Get current frame data
@@ -324,7 +333,7 @@ function render() {
     return;
   }
 
-  const currentTime = audio.currentTime;
+  const currentTime = transport.now();
   const frame = getFrameAtTime(analysisData.frames, currentTime);
 
   if (!frame) {
@@ -332,44 +341,31 @@ function render() {
     return;
   }
 
-  // Extract and smooth features
-  const rms = smoothers.rms(frame.rms);
-  const bass = smoothers.bass(frame.bands[1]);
-  const mids = smoothers.mids(frame.bands[3]);
-  const highs = smoothers.highs(frame.bands[5]);
-  const onset = smoothers.onset(frame.onset);
-  const centroid = smoothers.centroid(frame.centroid);
-  const harmonic = smoothers.harmonic(frame.harmonic);
-  const dominantPitch = smoothers.dominantPitch(getDominantPitch(frame.chroma));
+  broadcast?.send(frame, currentTime);
 
-  // Calculate symmetry from dominant pitch (3-12 fold)
-  const symmetry = 3 + Math.round(dominantPitch * 9 / 11);
+  // rotation: layer rotation speed multiplier, for modulation routes (see mappings.js)
+  const params = modulation.apply({ ...mapper.evaluate(frame, dt), rotation: 1 }, frame, currentTime);
+  const { energy: rms, onset } = params;
+
+  // Symmetry from the chord degree (3-12 fold)
+  const symmetry = Math.round(params.symmetry);
 
   // Beat phase calculation
-  if (analysisData.beats && analysisData.beats.length > 0) {
-    const nearestBeat = getNearestBeat(currentTime, analysisData.beats);
-    const timeSinceBeat = currentTime - nearestBeat;
-    beatPhase = (timeSinceBeat / beatInterval) % 1;
-  }
+  beatPhase = beatClock.at(currentTime).phase;
 
   // Onset flash
-  if (onset > 0.6) {
-    onsetFlash = Math.max(onsetFlash, onset);
+  for (const hit of onsetEvents.consumeEvents(lastOnsetTime, currentTime)) {
+    onsetFlash = Math.max(onsetFlash, hit.strength);
   }
-  onsetFlash *= 0.9;
+  lastOnsetTime = currentTime;
+  onsetFlash = decay(onsetFlash, 160, dt);
 
   // Pulse scale based on beat phase and RMS
   const beatPulse = Math.sin(beatPhase * Math.PI * 2) * 0.03;
-  const pulseScale = 1 + beatPulse + rms * 0.1;
-
-  // Package features for layers
-  const features = {
-    rms, bass, mids, highs, onset, centroid, harmonic, symmetry
-  };
+  const pulseScale = 1 + beatPulse + params.pulse;
 
   // === DRAW CENTER GLOW ===
-  const centerHue = map(centroid, 0, 1, 220, 40);
-  const { r: cr, g: cg, b: cb } = hslToRgb(centerHue, 50, 50);
+  const { r: cr, g: cg, b: cb } = hslToRgb(params.hue, 50, 50);
 
   const centerGlow = ctx.createRadialGradient(
     centerX, centerY, 0,
@@ -390,8 +386,9 @@ function render() {
   ctx.scale(pulseScale, pulseScale);
   ctx.translate(-centerX, -centerY);
 
+  resizeLayers();
   for (let i = 0; i < layers.length; i++) {
-    drawLayer(centerX, centerY, layers[i], i, maxRadius, features);
+    drawLayer(centerX, centerY, layers[i], i, maxRadius, { ...params, symmetry }, dt);
   }
 
   ctx.restore();
@@ -422,8 +419,8 @@ function render() {
   ctx.fillText(`Symmetry: ${symmetry}-fold`, 20, 30);
   ctx.fillText(`BPM: ${Math.round(analysisData.tempo || 0)}`, 20, 48);
 
-  // Update time display
-  updateTimeDisplay();
+  // Loop, time readout and overview
+  transport.update();
 
   requestAnimationFrame(render);
 }
@@ -0,0 +1,33 @@
+/**
+ * Multi-Layer mappings, grouped by layer. Each layer's features are
+ * smoothed at its own speed: slow in the background, fast in the foreground.
+ * Evaluated every frame by MappingEvaluator (see mappings/evaluator.js).
+ */
+
+export const MAPPINGS = [
+  // BACKGROUND (slow, atmospheric)
+  // Centroid -> color temperature of every layer (blue to orange)
+  { target: "hue", source: "centroid", output: [240, 40], smoothing: 550 },
+  // Harmonic -> nebula drift, opacity and glow
+  { target: "harmonic", source: "harmonic", smoothing: 320 },
+  { target: "nebulaOpacity", source: "harmonic", output: [0.6, 1], smoothing: 320 },
+  { target: "nebulaGlow", source: "harmonic", output: [0.5, 1], smoothing: 320 },
+
+  // MIDGROUND (medium, floating)
+  // Bass -> orb size, mids -> movement speed, RMS -> orb opacity
+  { target: "bass", source: "bass", smoothing: 130 },
+  { target: "mids", source: "mids", smoothing: 160 },
+  { target: "rms", source: "rms", smoothing: 160 },
+
+  // FOREGROUND (fast, reactive)
+  // Highs -> line spawns and intensity, percussive -> spark jitter
+  { target: "highs", source: "highs", smoothing: 60 },
+  { target: "percussive", source: "percussive", smoothing: 40 },
+];
+
+// Modulation (see mappings/modulation.js): the nebula brightens and dims
+// over four bars, as slow as the background around it
+export const MODULATION = {
+  lfos: [{ name: "tide", shape: "sine", beats: 16 }],
+  routes: [{ source: "tide", target: "nebulaGlow", depth: 0.25 }],
+};
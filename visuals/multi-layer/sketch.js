@@ -18,69 +18,84 @@
  * - Onset      -> spark spawns
  * - Highs      -> line intensity
  * - Percussive -> jitter/chaos
+ *
+ * Ranges and smoothing live in mappings.js.
  */
 
 import {
   lerp,
-  map,
   clamp,
   power,
   getFrameAtTime,
-  getDominantPitch,
   hslToRgb,
-  createSmoother,
+  createFrameTimer,
+  perFrame,
+  REFERENCE_FPS,
 } from "../../mappings/utils.js";
+import { loadTrack } from "../../mappings/tracks.js";
+import { mountTransport } from "../../mappings/transport.js";
+import { describeLoadError } from "../../mappings/schema.js";
+import { formatLoadProgress } from "../../mappings/stream.js";
+import { OnsetEvents } from "../../mappings/onsets.js";
+import { MappingEvaluator } from "../../mappings/evaluator.js";
+import { mountMappingEditor } from "../../mappings/editor.js";
+import { readSettings, seekToSharedTime } from "../../mappings/share.js";
+import { ModulationMatrix } from "../../mappings/modulation.js";
+import { startBroadcast } from "../../mappings/broadcast.js";
+import { SeededRandom } from "../../mappings/random.js";
+import { MAPPINGS, MODULATION } from "./mappings.js";
 
 // Canvas setup
 const canvas = document.getElementById("canvas");
 const ctx = canvas.getContext("2d");
 const audio = document.getElementById("audio");
-const playPauseBtn = document.getElementById("playPause");
-const timeDisplay = document.getElementById("time");
 const loadingEl = document.getElementById("loading");
+const controlsEl = document.getElementById("controls");
+const transport = mountTransport(audio, controlsEl);
 
 // State
 let analysisData = null;
-let isPlaying = false;
-
-// Smoothers - different speeds for different layers
-const smoothers = {
-  // Background (very slow)
-  chromaHue: createSmoother(0.02),
-  harmonic: createSmoother(0.05),
-  centroid: createSmoother(0.03),
-
-  // Midground (medium)
-  bass: createSmoother(0.12),
-  mids: createSmoother(0.1),
-  rms: createSmoother(0.1),
-
-  // Foreground (fast)
-  onset: createSmoother(0.5),
-  highs: createSmoother(0.25),
-  percussive: createSmoother(0.35),
+let mapper = null;
+let modulation = null;
+let broadcast = null;
+
+// Layer sizes (overridable from the URL hash, see mappings/share.js)
+const SETTINGS = {
+  nebulae: 5,
+  orbs: 30,
+  sparks: 100,
+  lines: 20,
 };
+const settings = readSettings(SETTINGS);
+
+// A seeded stream per layer, so sparks don't reshuffle the nebulae (see mappings/random.js)
+const random = new SeededRandom();
+const nebulaRandom = random.stream("nebulae");
+const orbRandom = random.stream("orbs");
+const sparkRandom = random.stream("sparks");
+const lineRandom = random.stream("lines");
 
 // === BACKGROUND STATE ===
 const nebulae = [];
-const NUM_NEBULAE = 5;
+const NUM_NEBULAE = settings.nebulae;
 
 class Nebula {
   constructor(width, height) {
-    this.x = Math.random() * width;
-    this.y = Math.random() * height;
-    this.baseRadius = 150 + Math.random() * 200;
+    this.x = nebulaRandom.next() * width;
+    this.y = nebulaRandom.next() * height;
+    this.baseRadius = 150 + nebulaRandom.next() * 200;
     this.radius = this.baseRadius;
-    this.vx = (Math.random() - 0.5) * 0.3;
-    this.vy = (Math.random() - 0.5) * 0.3;
-    this.hue = Math.random() * 360;
-    this.phase = Math.random() * Math.PI * 2;
+    this.vx = (nebulaRandom.next() - 0.5) * 0.3;
+    this.vy = (nebulaRandom.next() - 0.5) * 0.3;
+    this.hue = nebulaRandom.next() * 360;
+    this.phase = nebulaRandom.next() * Math.PI * 2;
   }
 
-  update(width, height, harmonic) {
-    this.phase += 0.005;
-    this.x += this.vx + Math.sin(this.phase) * 0.2;
-    this.y += this.vy + Math.cos(this.phase * 0.7) * 0.2;
+  // step (here and below): frame length in 60 fps frames; speeds are per 60 fps frame
+  update(width, height, harmonic, step) {
+    this.phase += 0.005 * step;
+    this.x += (this.vx + Math.sin(this.phase) * 0.2) * step;
+    this.y += (this.vy + Math.cos(this.phase * 0.7) * 0.2) * step;
 
     // Wrap around edges
     if (this.x < -this.radius) this.x = width + this.radius;
@@ -113,7 +128,7 @@ class Nebula {
 
 // === MIDGROUND STATE ===
 const orbs = [];
-const MAX_ORBS = 30;
+const MAX_ORBS = settings.orbs;
 
 class Orb {
   constructor(width, height) {
@@ -121,27 +136,27 @@ class Orb {
   }
 
   reset(width, height) {
-    this.x = Math.random() * width;
-    this.y = Math.random() * height;
-    this.baseSize = 8 + Math.random() * 25;
+    this.x = orbRandom.next() * width;
+    this.y = orbRandom.next() * height;
+    this.baseSize = 8 + orbRandom.next() * 25;
     this.size = this.baseSize;
-    this.speed = 0.3 + Math.random() * 0.5;
-    this.angle = Math.random() * Math.PI * 2;
-    this.rotSpeed = (Math.random() - 0.5) * 0.02;
-    this.hueOffset = Math.random() * 60 - 30;
-    this.alpha = 0.3 + Math.random() * 0.4;
-    this.pulsePhase = Math.random() * Math.PI * 2;
+    this.speed = 0.3 + orbRandom.next() * 0.5;
+    this.angle = orbRandom.next() * Math.PI * 2;
+    this.rotSpeed = (orbRandom.next() - 0.5) * 0.02;
+    this.hueOffset = orbRandom.next() * 60 - 30;
+    this.alpha = 0.3 + orbRandom.next() * 0.4;
+    this.pulsePhase = orbRandom.next() * Math.PI * 2;
   }
 
-  update(width, height, bass, mids) {
-    this.pulsePhase += 0.03;
+  update(width, height, bass, mids, step) {
+    this.pulsePhase += 0.03 * step;
 
     // Size pulses with bass
     this.size = this.baseSize * (0.7 + bass * 0.8 + Math.sin(this.pulsePhase) * 0.1);
 
     // Movement speed from mids
-    const moveSpeed = this.speed * (0.5 + mids * 2);
-    this.angle += this.rotSpeed;
+    const moveSpeed = this.speed * (0.5 + mids * 2) * step;
+    this.angle += this.rotSpeed * step;
 
     this.x += Math.cos(this.angle) * moveSpeed;
     this.y += Math.sin(this.angle) * moveSpeed;
@@ -193,7 +208,7 @@ class Orb {
 
 // === FOREGROUND STATE ===
 const sparks = [];
-const MAX_SPARKS = 100;
+const MAX_SPARKS = settings.sparks;
 
 class Spark {
   constructor(x, y, angle, speed, hue) {
@@ -202,31 +217,36 @@ class Spark {
     this.vx = Math.cos(angle) * speed;
     this.vy = Math.sin(angle) * speed;
     this.life = 1;
-    this.decay = 0.02 + Math.random() * 0.03;
-    this.size = 2 + Math.random() * 3;
+    this.decay = 0.02 + sparkRandom.next() * 0.03;
+    this.size = 2 + sparkRandom.next() * 3;
     this.hue = hue;
     this.trail = [];
-    this.maxTrail = 8;
+    this.maxTrail = 8; // in 60 fps frames; the trail keeps that long at any frame rate
+    this.elapsed = 0;
   }
 
-  update(percussive) {
+  update(percussive, step) {
     // Store trail
-    if (this.trail.length >= this.maxTrail) this.trail.shift();
-    this.trail.push({ x: this.x, y: this.y });
+    this.elapsed += step / REFERENCE_FPS;
+    this.trail.push({ x: this.x, y: this.y, time: this.elapsed });
+    while (this.trail.length > 2 && this.elapsed - this.trail[0].time > this.maxTrail / REFERENCE_FPS) {
+      this.trail.shift();
+    }
 
-    // Add jitter from percussive
-    const jitter = percussive * 3;
-    this.x += this.vx + (Math.random() - 0.5) * jitter;
-    this.y += this.vy + (Math.random() - 0.5) * jitter;
+    // Add jitter from percussive (a random walk, so it spreads with √time)
+    const jitter = percussive * 3 * Math.sqrt(step);
+    this.x += this.vx * step + (sparkRandom.next() - 0.5) * jitter;
+    this.y += this.vy * step + (sparkRandom.next() - 0.5) * jitter;
 
     // Gravity
-    this.vy += 0.15;
+    this.vy += 0.15 * step;
 
     // Friction
-    this.vx *= 0.98;
-    this.vy *= 0.98;
+    const friction = Math.pow(0.98, step);
+    this.vx *= friction;
+    this.vy *= friction;
 
-    this.life -= this.decay;
+    this.life -= this.decay * step;
   }
 
   draw(ctx) {
@@ -262,7 +282,7 @@ class Spark {
 
 // Lines for foreground
 const lines = [];
-const MAX_LINES = 20;
+const MAX_LINES = settings.lines;
 
 class Line {
   constructor(width, height, hue) {
@@ -271,24 +291,24 @@ class Line {
 
   reset(width, height, hue) {
     // Random position on edge
-    const edge = Math.floor(Math.random() * 4);
+    const edge = lineRandom.int(4);
     switch (edge) {
-      case 0: this.x = Math.random() * width; this.y = 0; break;
-      case 1: this.x = width; this.y = Math.random() * height; break;
-      case 2: this.x = Math.random() * width; this.y = height; break;
-      case 3: this.x = 0; this.y = Math.random() * height; break;
+      case 0: this.x = lineRandom.next() * width; this.y = 0; break;
+      case 1: this.x = width; this.y = lineRandom.next() * height; break;
+      case 2: this.x = lineRandom.next() * width; this.y = height; break;
+      case 3: this.x = 0; this.y = lineRandom.next() * height; break;
     }
-    this.targetX = width / 2 + (Math.random() - 0.5) * width * 0.5;
-    this.targetY = height / 2 + (Math.random() - 0.5) * height * 0.5;
+    this.targetX = width / 2 + (lineRandom.next() - 0.5) * width * 0.5;
+    this.targetY = height / 2 + (lineRandom.next() - 0.5) * height * 0.5;
     this.progress = 0;
-    this.speed = 0.02 + Math.random() * 0.03;
-    this.hue = hue + (Math.random() - 0.5) * 40;
-    this.alpha = 0.3 + Math.random() * 0.4;
-    this.width = 1 + Math.random() * 2;
+    this.speed = 0.02 + lineRandom.next() * 0.03;
+    this.hue = hue + (lineRandom.next() - 0.5) * 40;
+    this.alpha = 0.3 + lineRandom.next() * 0.4;
+    this.width = 1 + lineRandom.next() * 2;
   }
 
-  update() {
-    this.progress += this.speed;
+  update(step) {
+    this.progress += this.speed * step;
   }
 
   draw(ctx, intensity) {
@@ -344,57 +364,51 @@ resize();
 // Load analysis data
 async function loadAnalysis() {
   try {
-    const response = await fetch("../../data/neon-noir.json");
-    analysisData = await response.json();
+    const { analysis, complete } = await loadTrack(audio, {
+      picker: controlsEl,
+      onProgress: (progress) => {
+        loadingEl.textContent = formatLoadProgress(progress);
+      },
+    });
+    analysisData = analysis;
+    onsetEvents = new OnsetEvents(analysisData.frames);
+    mapper = new MappingEvaluator(MAPPINGS, analysisData);
+    modulation = new ModulationMatrix(MODULATION, analysisData, { mapper });
+    broadcast = startBroadcast(analysisData, { onsets: onsetEvents });
+    transport.setAnalysis(analysisData, { onsets: onsetEvents });
+    mountMappingEditor(mapper, {
+      toggle: controlsEl,
+      audio,
+      settings: { values: settings, defaults: SETTINGS },
+    });
+    seekToSharedTime(audio);
     loadingEl.style.display = "none";
+    complete.catch(showLoadError);
     console.log(
       `Loaded ${analysisData.frames.length} frames, ${analysisData.duration}s duration`
     );
   } catch (err) {
-    loadingEl.textContent = "Error loading analysis data";
-    console.error(err);
+    showLoadError(err);
   }
 }
 
-// Format time as M:SS
-function formatTime(seconds) {
-  const m = Math.floor(seconds / 60);
-  const s = Math.floor(seconds % 60)
-    .toString()
-    .padStart(2, "0");
-  return `${m}:${s}`;
-}
-
-// Update time display
-function updateTimeDisplay() {
-  const current = audio.currentTime;
-  const duration = audio.duration || 0;
-  timeDisplay.textContent = `${formatTime(current)} / ${formatTime(duration)}`;
+// Show why loading failed (also for bad frames found after playback starts)
+function showLoadError(err) {
+  loadingEl.textContent = describeLoadError(err);
+  loadingEl.style.display = "block";
+  console.error(err);
 }
 
-// Play/pause controls
-playPauseBtn.addEventListener("click", () => {
-  if (isPlaying) {
-    audio.pause();
-    playPauseBtn.textContent = "Play";
-  } else {
-    audio.play();
-    playPauseBtn.textContent = "Pause";
-  }
-  isPlaying = !isPlaying;
-});
-
-audio.addEventListener("ended", () => {
-  isPlaying = false;
-  playPauseBtn.textContent = "Play";
-});
-
 // Track onset for spawning
-let lastOnset = 0;
+let onsetEvents = null;
+let lastOnsetTime = 0;
+const frameTimer = createFrameTimer();
 
 // Main render loop
 function render() {
   const { width, height } = canvas;
+  const dt = frameTimer();
+  const step = dt * REFERENCE_FPS;
 
   // Clear completely (layers will build up)
   ctx.fillStyle = "#08080c";
@@ -406,7 +420,7 @@ function render() {
     return;
   }
 
-  const currentTime = audio.currentTime;
+  const currentTime = transport.now();
   const frame = getFrameAtTime(analysisData.frames, currentTime);
 
   if (!frame) {
@@ -414,58 +428,48 @@ function render() {
     return;
   }
 
-  // Extract features with layer-appropriate smoothing
-  const dominantPitch = getDominantPitch(frame.chroma);
-  const chromaHue = smoothers.chromaHue(dominantPitch * 30);
-  const harmonic = smoothers.harmonic(frame.harmonic);
-  const centroid = smoothers.centroid(frame.centroid);
-
-  const bass = smoothers.bass(frame.bands[1]);
-  const mids = smoothers.mids(frame.bands[3]);
-  const rms = smoothers.rms(frame.rms);
-
-  const onset = smoothers.onset(frame.onset);
-  const highs = smoothers.highs(frame.bands[5]);
-  const percussive = smoothers.percussive(frame.percussive);
+  broadcast?.send(frame, currentTime);
 
-  // Base hue from centroid (temperature)
-  const baseHue = map(centroid, 0, 1, 240, 40);
+  // Features with layer-appropriate smoothing
+  const params = modulation.apply(mapper.evaluate(frame, dt), frame, currentTime);
+  const { harmonic, bass, mids, rms, highs, percussive } = params;
+  const baseHue = params.hue;
 
   // === BACKGROUND LAYER ===
-  ctx.globalAlpha = 0.6 + harmonic * 0.4;
+  ctx.globalAlpha = params.nebulaOpacity;
   for (const nebula of nebulae) {
-    nebula.update(width, height, harmonic);
-    nebula.draw(ctx, baseHue, 0.5 + harmonic * 0.5);
+    nebula.update(width, height, harmonic, step);
+    nebula.draw(ctx, baseHue, params.nebulaGlow);
   }
   ctx.globalAlpha = 1;
 
   // === MIDGROUND LAYER ===
   for (const orb of orbs) {
-    orb.update(width, height, bass, mids);
+    orb.update(width, height, bass, mids, step);
     orb.draw(ctx, baseHue, rms);
   }
 
   // === FOREGROUND LAYER ===
 
   // Spawn sparks on onset
-  if (onset > 0.5 && onset > lastOnset + 0.1) {
-    const numSparks = Math.floor(5 + onset * 15);
-    const spawnX = width / 2 + (Math.random() - 0.5) * width * 0.6;
-    const spawnY = height / 2 + (Math.random() - 0.5) * height * 0.4;
+  for (const hit of onsetEvents.consumeEvents(lastOnsetTime, currentTime)) {
+    const numSparks = Math.floor(5 + hit.strength * 15);
+    const spawnX = width / 2 + (sparkRandom.next() - 0.5) * width * 0.6;
+    const spawnY = height / 2 + (sparkRandom.next() - 0.5) * height * 0.4;
 
     for (let i = 0; i < numSparks; i++) {
       if (sparks.length < MAX_SPARKS) {
-        const angle = Math.random() * Math.PI * 2;
-        const speed = 3 + Math.random() * 8 * onset;
-        const hue = (baseHue + 60 + Math.random() * 60) % 360; // Warmer sparks
+        const angle = sparkRandom.next() * Math.PI * 2;
+        const speed = 3 + sparkRandom.next() * 8 * hit.strength;
+        const hue = (baseHue + 60 + sparkRandom.next() * 60) % 360; // Warmer sparks
         sparks.push(new Spark(spawnX, spawnY, angle, speed, hue));
       }
     }
   }
-  lastOnset = onset;
+  lastOnsetTime = currentTime;
 
   // Spawn lines based on highs
-  if (highs > 0.3 && Math.random() < highs * 0.3) {
+  if (highs > 0.3 && lineRandom.next() < perFrame(highs * 0.3, dt)) {
     if (lines.length < MAX_LINES) {
       lines.push(new Line(width, height, baseHue));
     }
@@ -473,7 +477,7 @@ function render() {
 
   // Update and draw sparks
   for (let i = sparks.length - 1; i >= 0; i--) {
-    sparks[i].update(percussive);
+    sparks[i].update(percussive, step);
     sparks[i].draw(ctx);
     if (!sparks[i].isAlive()) {
       sparks.splice(i, 1);
@@ -482,7 +486,7 @@ function render() {
 
   // Update and draw lines
   for (let i = lines.length - 1; i >= 0; i--) {
-    lines[i].update();
+    lines[i].update(step);
     lines[i].draw(ctx, highs);
     if (lines[i].isDone()) {
       lines.splice(i, 1);
@@ -499,8 +503,8 @@ function render() {
   ctx.fillStyle = vignetteGradient;
   ctx.fillRect(0, 0, width, height);
 
-  // Update time display
-  updateTimeDisplay();
+  // Loop, time readout and overview
+  transport.update();
 
   requestAnimationFrame(render);
 }
@@ -0,0 +1,39 @@
+/**
+ * Particle Physics mappings: audio features -> forces, spawning and color.
+ * Forces are in pixels per second squared.
+ * Evaluated every frame by MappingEvaluator (see mappings/evaluator.js).
+ */
+
+export const MAPPINGS = [
+  // Bass -> gravity (pull down)
+  { target: "gravity", source: "bass", output: [300, 900], smoothing: 75 },
+
+  // Mids -> wind (horizontal push)
+  { target: "wind", source: "mids", output: [0, 200], smoothing: 100 },
+
+  // Highs -> turbulence (random noise)
+  { target: "turbulence", source: "highs", output: [0, 150], smoothing: 60 },
+
+  // RMS energy -> damping (less friction when loud)
+  { target: "damping", source: "rms", output: [0.985, 0.998], smoothing: 100 },
+
+  // RMS energy -> extra particles spawned per frame
+  { target: "spawn", source: "rms", output: [0, 3], smoothing: 100 },
+
+  // Centroid -> particle color temperature (blue to orange)
+  { target: "hue", source: "centroid", output: [240, 30], smoothing: 160 },
+
+  // Harmonic -> particle glow/softness
+  { target: "glow", source: "harmonic", smoothing: 200 },
+
+  // Force indicators
+  { target: "gravityIndicator", source: "bass", smoothing: 75 },
+  { target: "windIndicator", source: "mids", smoothing: 100 },
+];
+
+// Modulation (see mappings/modulation.js): the edges spawn in waves, one
+// extra particle a frame for a beat, one fewer the next
+export const MODULATION = {
+  lfos: [{ name: "waves", shape: "square", beats: 2 }],
+  routes: [{ source: "waves", target: "spawn", depth: 1 }],
+};
@@ -4,7 +4,7 @@
  * Audio becomes forces acting on autonomous particles.
  * The particles follow physics rules; music shapes their world.
  *
- * Mappings:
+ * Mappings (ranges and smoothing live in mappings.js):
  * - Bass          -> gravity strength (pull down)
  * - Mids          -> wind force (horizontal push)
  * - Highs         -> turbulence (random noise)
@@ -16,41 +16,66 @@
 
 import {
   lerp,
-  map,
   clamp,
   power,
   getFrameAtTime,
   hslToRgb,
-  createSmoother,
+  createFrameTimer,
+  perFrame,
+  REFERENCE_FPS,
 } from "../../mappings/utils.js";
+import { loadTrack } from "../../mappings/tracks.js";
+import { mountTransport } from "../../mappings/transport.js";
+import { describeLoadError } from "../../mappings/schema.js";
+import { formatLoadProgress } from "../../mappings/stream.js";
+import { OnsetEvents } from "../../mappings/onsets.js";
+import { MappingEvaluator } from "../../mappings/evaluator.js";
+import { mountMappingEditor } from "../../mappings/editor.js";
+import { readSettings, seekToSharedTime } from "../../mappings/share.js";
+import { ModulationMatrix } from "../../mappings/modulation.js";
+import { MidiControls } from "../../mappings/midi.js";
+import { startBroadcast } from "../../mappings/broadcast.js";
+import { SeededRandom } from "../../mappings/random.js";
+import { MAPPINGS, MODULATION } from "./mappings.js";
 
 // Canvas setup
 const canvas = document.getElementById("canvas");
 const ctx = canvas.getContext("2d");
 const audio = document.getElementById("audio");
-const playPauseBtn = document.getElementById("playPause");
-const timeDisplay = document.getElementById("time");
 const loadingEl = document.getElementById("loading");
+const controlsEl = document.getElementById("controls");
+const transport = mountTransport(audio, controlsEl);
 
 // State
 let analysisData = null;
-let isPlaying = false;
-
-// Particle configuration
-const MAX_PARTICLES = 1500;
-const PARTICLE_LIFETIME = 12; // seconds
-const BASE_SPAWN_RATE = 1; // particles per frame when quiet
-
-// Smoothers
-const smoothers = {
-  bass: createSmoother(0.2),
-  mids: createSmoother(0.15),
-  highs: createSmoother(0.25),
-  onset: createSmoother(0.5),
-  rms: createSmoother(0.15),
-  centroid: createSmoother(0.1),
-  harmonic: createSmoother(0.08),
+let mapper = null;
+let modulation = null;
+let broadcast = null;
+
+// Particle configuration (overridable from the URL hash, see mappings/share.js)
+const SETTINGS = {
+  maxParticles: 1500,
+  lifetime: 12, // seconds
+  spawnRate: 1, // particles per 60 fps frame when quiet
 };
+const settings = readSettings(SETTINGS);
+const PARTICLE_LIFETIME = settings.lifetime;
+
+// MIDI knobs set the particle budget and spawn rate, pads fire bursts
+// (velocities queue until the next frame; see mappings/midi.js)
+const padBursts = [];
+const midi = new MidiControls(settings, {
+  params: {
+    maxParticles: { min: 100, max: 4000, step: 50 },
+    spawnRate: { min: 0, max: 10, step: 0.1 },
+  },
+  triggers: { burst: (velocity) => padBursts.push(velocity) },
+});
+
+// Seeded, so the same track always rains the same way (see mappings/random.js)
+const random = new SeededRandom();
+const spawnRandom = random.stream("spawns"); // edge spawns and particle sizes
+const burstRandom = random.stream("bursts"); // onset and pad bursts
 
 // Particle class
 class Particle {
@@ -63,10 +88,11 @@ class Particle {
     this.ay = 0;
     this.life = 1.0;
     this.maxLife = PARTICLE_LIFETIME;
-    this.size = 2 + Math.random() * 3;
+    this.size = 2 + spawnRandom.next() * 3;
     this.hue = 0;
     this.trail = [];
-    this.trailLength = 8;
+    this.trailLength = 8; // in 60 fps frames, kept as a duration
+    this.elapsed = 0;
   }
 
   applyForce(fx, fy) {
@@ -75,19 +101,21 @@ class Particle {
   }
 
   update(dt, damping) {
-    // Store trail position
-    if (this.trail.length >= this.trailLength) {
+    // Store trail position, dropping points older than the trail
+    this.elapsed += dt;
+    this.trail.push({ x: this.x, y: this.y, time: this.elapsed });
+    while (this.trail.length > 2 && this.elapsed - this.trail[0].time > this.trailLength / REFERENCE_FPS) {
       this.trail.shift();
     }
-    this.trail.push({ x: this.x, y: this.y });
 
     // Apply acceleration to velocity
     this.vx += this.ax * dt;
     this.vy += this.ay * dt;
 
-    // Apply damping
-    this.vx *= damping;
-    this.vy *= damping;
+    // Apply damping (a per-frame factor at 60 fps)
+    const friction = Math.pow(damping, dt * REFERENCE_FPS);
+    this.vx *= friction;
+    this.vy *= friction;
 
     // Clamp velocity
     const maxSpeed = 500;
@@ -157,7 +185,11 @@ class Particle {
 let particles = [];
 
 function spawnParticle(x, y, vx, vy, hue) {
-  if (particles.length >= MAX_PARTICLES) {
+  // A MIDI knob can lower the budget: drop the oldest particles past it
+  if (particles.length > settings.maxParticles) {
+    particles.splice(0, particles.length - settings.maxParticles);
+  }
+  if (particles.length >= settings.maxParticles) {
     // Recycle oldest particle
     const oldest = particles.shift();
     oldest.x = x;
@@ -179,8 +211,8 @@ function spawnParticle(x, y, vx, vy, hue) {
 
 function spawnBurst(x, y, count, hue, intensity) {
   for (let i = 0; i < count; i++) {
-    const angle = Math.random() * Math.PI * 2;
-    const speed = 50 + Math.random() * 150 * intensity;
+    const angle = burstRandom.next() * Math.PI * 2;
+    const speed = 50 + burstRandom.next() * 150 * intensity;
     const vx = Math.cos(angle) * speed;
     const vy = Math.sin(angle) * speed;
     spawnParticle(x, y, vx, vy, hue);
@@ -198,51 +230,42 @@ resize();
 // Load analysis data
 async function loadAnalysis() {
   try {
-    const response = await fetch("../../data/neon-noir.json");
-    analysisData = await response.json();
+    const { analysis, complete } = await loadTrack(audio, {
+      picker: controlsEl,
+      onProgress: (progress) => {
+        loadingEl.textContent = formatLoadProgress(progress);
+      },
+    });
+    analysisData = analysis;
+    onsetEvents = new OnsetEvents(analysisData.frames);
+    mapper = new MappingEvaluator(MAPPINGS, analysisData);
+    modulation = new ModulationMatrix(MODULATION, analysisData, { mapper });
+    broadcast = startBroadcast(analysisData, { onsets: onsetEvents });
+    transport.setAnalysis(analysisData, { onsets: onsetEvents });
+    mountMappingEditor(mapper, {
+      toggle: controlsEl,
+      audio,
+      settings: { values: settings, defaults: SETTINGS },
+      midi,
+    });
+    seekToSharedTime(audio);
     loadingEl.style.display = "none";
+    complete.catch(showLoadError);
     console.log(
       `Loaded ${analysisData.frames.length} frames, ${analysisData.duration}s duration`
     );
   } catch (err) {
-    loadingEl.textContent = "Error loading analysis data";
-    console.error(err);
+    showLoadError(err);
   }
 }
 
-// Format time as M:SS
-function formatTime(seconds) {
-  const m = Math.floor(seconds / 60);
-  const s = Math.floor(seconds % 60)
-    .toString()
-    .padStart(2, "0");
-  return `${m}:${s}`;
+// Show why loading failed (also for bad frames found after playback starts)
+function showLoadError(err) {
+  loadingEl.textContent = describeLoadError(err);
+  loadingEl.style.display = "block";
+  console.error(err);
 }
 
-// Update time display
-function updateTimeDisplay() {
-  const current = audio.currentTime;
-  const duration = audio.duration || 0;
-  timeDisplay.textContent = `${formatTime(current)} / ${formatTime(duration)}`;
-}
-
-// Play/pause controls
-playPauseBtn.addEventListener("click", () => {
-  if (isPlaying) {
-    audio.pause();
-    playPauseBtn.textContent = "Play";
-  } else {
-    audio.play();
-    playPauseBtn.textContent = "Pause";
-  }
-  isPlaying = !isPlaying;
-});
-
-audio.addEventListener("ended", () => {
-  isPlaying = false;
-  playPauseBtn.textContent = "Play";
-});
-
 // Noise function for turbulence
 let noiseTime = 0;
 function noise2D(x, y, t) {
@@ -252,21 +275,21 @@ function noise2D(x, y, t) {
 }
 
 // Track last onset for burst spawning
-let lastOnset = 0;
+let onsetEvents = null;
+let lastOnsetTime = 0;
 
 // Timing
-let lastTime = performance.now();
+const frameTimer = createFrameTimer();
+let spawnBudget = 0; // Particles owed to the continuous spawn
 
 // Main render loop
 function render() {
-  const now = performance.now();
-  const dt = Math.min((now - lastTime) / 1000, 0.05); // Cap delta time
-  lastTime = now;
+  const dt = frameTimer();
 
   const { width, height } = canvas;
 
   // Clear with fade for trails
-  ctx.fillStyle = "rgba(10, 10, 15, 0.15)";
+  ctx.fillStyle = `rgba(10, 10, 15, ${perFrame(0.15, dt)})`;
   ctx.fillRect(0, 0, width, height);
 
   // Get current frame data
@@ -275,7 +298,7 @@ function render() {
     return;
   }
 
-  const currentTime = audio.currentTime;
+  const currentTime = transport.now();
   const frame = getFrameAtTime(analysisData.frames, currentTime);
 
   if (!frame) {
@@ -283,76 +306,76 @@ function render() {
     return;
   }
 
-  // Extract and smooth features
-  const bass = smoothers.bass(frame.bands[1]); // Bass band
-  const mids = smoothers.mids(frame.bands[3]); // Mids band
-  const highs = smoothers.highs(frame.bands[5]); // Highs band
-  const onset = smoothers.onset(frame.onset);
-  const rms = smoothers.rms(frame.rms);
-  const centroid = smoothers.centroid(frame.centroid);
-  const harmonic = smoothers.harmonic(frame.harmonic);
+  broadcast?.send(frame, currentTime);
+
+  const params = modulation.apply(mapper.evaluate(frame, dt), frame, currentTime);
 
   // === FORCE CALCULATIONS ===
 
   // Gravity: bass pulls down
-  const gravityStrength = 300 + bass * 600;
+  const gravityStrength = params.gravity;
 
   // Wind: mids push horizontally (oscillates with time)
   const windAngle = Math.sin(currentTime * 0.5) * Math.PI * 0.3;
-  const windStrength = mids * 200;
+  const windStrength = params.wind;
   const windX = Math.cos(windAngle) * windStrength;
   const windY = Math.sin(windAngle) * windStrength * 0.3;
 
   // Turbulence: highs add noise
-  const turbulenceStrength = highs * 150;
+  const turbulenceStrength = params.turbulence;
 
   // Damping: less friction when loud
-  const damping = map(rms, 0, 1, 0.985, 0.998);
+  const { damping } = params;
 
   // Color: centroid controls temperature
-  const baseHue = map(centroid, 0, 1, 240, 30); // Blue to orange
+  const baseHue = params.hue;
 
   // === PARTICLE SPAWNING ===
 
   // Continuous spawn from edges
-  const spawnRate = BASE_SPAWN_RATE + rms * 3;
-  for (let i = 0; i < spawnRate; i++) {
+  spawnBudget += Math.max(0, settings.spawnRate + params.spawn) * dt * REFERENCE_FPS;
+  for (; spawnBudget >= 1; spawnBudget--) {
     // Spawn from top or sides
-    const side = Math.random();
+    const side = spawnRandom.next();
     let x, y, vx, vy;
 
     if (side < 0.5) {
       // Top
-      x = Math.random() * width;
+      x = spawnRandom.next() * width;
       y = -10;
-      vx = (Math.random() - 0.5) * 50;
-      vy = 20 + Math.random() * 30;
+      vx = (spawnRandom.next() - 0.5) * 50;
+      vy = 20 + spawnRandom.next() * 30;
     } else if (side < 0.75) {
       // Left
       x = -10;
-      y = Math.random() * height * 0.5;
-      vx = 30 + Math.random() * 50;
-      vy = (Math.random() - 0.5) * 30;
+      y = spawnRandom.next() * height * 0.5;
+      vx = 30 + spawnRandom.next() * 50;
+      vy = (spawnRandom.next() - 0.5) * 30;
     } else {
       // Right
       x = width + 10;
-      y = Math.random() * height * 0.5;
-      vx = -(30 + Math.random() * 50);
-      vy = (Math.random() - 0.5) * 30;
+      y = spawnRandom.next() * height * 0.5;
+      vx = -(30 + spawnRandom.next() * 50);
+      vy = (spawnRandom.next() - 0.5) * 30;
     }
 
-    const hue = baseHue + (Math.random() - 0.5) * 40;
+    const hue = baseHue + (spawnRandom.next() - 0.5) * 40;
     spawnParticle(x, y, vx, vy, hue);
   }
 
   // Burst spawn on onsets
-  if (onset > 0.6 && onset > lastOnset + 0.1) {
-    const burstCount = Math.floor(10 + onset * 20);
-    const burstX = width * 0.3 + Math.random() * width * 0.4;
-    const burstY = height * 0.3 + Math.random() * height * 0.3;
-    spawnBurst(burstX, burstY, burstCount, baseHue, onset);
+  for (const hit of onsetEvents.consumeEvents(lastOnsetTime, currentTime)) {
+    const burstCount = Math.floor(10 + hit.strength * 20);
+    const burstX = width * 0.3 + burstRandom.next() * width * 0.4;
+    const burstY = height * 0.3 + burstRandom.next() * height * 0.3;
+    spawnBurst(burstX, burstY, burstCount, baseHue, hit.strength);
+  }
+  lastOnsetTime = currentTime;
+
+  // Pad bursts: from the center, sized by velocity
+  for (const velocity of padBursts.splice(0)) {
+    spawnBurst(width / 2, height / 2, Math.floor(10 + velocity * 40), baseHue, velocity);
   }
-  lastOnset = onset;
 
   // === UPDATE PARTICLES ===
 
@@ -385,35 +408,35 @@ function render() {
   // === DRAW PARTICLES ===
 
   for (const p of particles) {
-    p.draw(ctx, harmonic);
+    p.draw(ctx, params.glow);
   }
 
   // === FORCE VISUALIZATION (subtle) ===
 
   // Show gravity direction
   const gravIndicatorY = height - 60;
-  const gravIndicatorSize = 20 + bass * 30;
+  const gravIndicatorSize = 20 + params.gravityIndicator * 30;
   ctx.beginPath();
   ctx.moveTo(width / 2, gravIndicatorY);
   ctx.lineTo(width / 2, gravIndicatorY + gravIndicatorSize);
   ctx.lineTo(width / 2 - 6, gravIndicatorY + gravIndicatorSize - 10);
   ctx.moveTo(width / 2, gravIndicatorY + gravIndicatorSize);
   ctx.lineTo(width / 2 + 6, gravIndicatorY + gravIndicatorSize - 10);
-  ctx.strokeStyle = `rgba(100, 100, 120, ${0.2 + bass * 0.3})`;
+  ctx.strokeStyle = `rgba(100, 100, 120, ${0.2 + params.gravityIndicator * 0.3})`;
   ctx.lineWidth = 2;
   ctx.stroke();
 
   // Show wind direction
   const windIndicatorX = 60;
   const windIndicatorY = height / 2;
-  const windLen = 20 + mids * 40;
+  const windLen = 20 + params.windIndicator * 40;
   ctx.beginPath();
   ctx.moveTo(windIndicatorX, windIndicatorY);
   ctx.lineTo(
     windIndicatorX + Math.cos(windAngle) * windLen,
     windIndicatorY + Math.sin(windAngle) * windLen
   );
-  ctx.strokeStyle = `rgba(100, 120, 100, ${0.2 + mids * 0.3})`;
+  ctx.strokeStyle = `rgba(100, 120, 100, ${0.2 + params.windIndicator * 0.3})`;
   ctx.lineWidth = 2;
   ctx.stroke();
 
@@ -422,8 +445,8 @@ function render() {
   ctx.font = "11px system-ui";
   ctx.fillText(`${particles.length} particles`, 20, 30);
 
-  // Update time display
-  updateTimeDisplay();
+  // Loop, time readout and overview
+  transport.update();
 
   requestAnimationFrame(render);
 }
@@ -0,0 +1,31 @@
+/**
+ * Reaction-Diffusion mappings: audio features -> Gray-Scott parameters and color.
+ * Evaluated every frame by MappingEvaluator (see mappings/evaluator.js).
+ */
+
+export const MAPPINGS = [
+  // Bass -> feed rate (more bass = more growth)
+  { target: "feed", source: "bass", output: [0.04, 0.08], smoothing: 100 },
+
+  // Mids -> kill rate: lower is more coral-like, higher more spots
+  { target: "kill", source: "mids", output: [0.055, 0.075], smoothing: 130 },
+
+  // Highs -> diffusion rate of B: higher is smoother, blurrier patterns
+  { target: "diffusionB", source: "highs", output: [0.4, 0.7], smoothing: 75 },
+
+  // RMS energy -> simulation steps per 60 fps frame
+  { target: "steps", source: "rms", output: [2, 10], smoothing: 100 },
+
+  // Centroid -> color temperature (blue to orange)
+  { target: "hue", source: "centroid", output: [240, 30], smoothing: 160 },
+
+  // Harmonic -> color saturation
+  { target: "saturation", source: "harmonic", output: [40, 90], smoothing: 200 },
+];
+
+// Modulation (see mappings/modulation.js): the feed rate rises and falls
+// over four bars, so the pattern grows and recedes with the phrase
+export const MODULATION = {
+  lfos: [{ name: "tide", shape: "sine", beats: 16 }],
+  routes: [{ source: "tide", target: "feed", depth: 0.003 }],
+};
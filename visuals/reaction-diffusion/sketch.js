@@ -4,7 +4,7 @@
  * Gray-Scott model simulation with audio-modulated parameters.
  * Two virtual chemicals interact to create organic, evolving patterns.
  *
- * Mappings:
+ * Mappings (ranges and smoothing live in mappings.js):
  * - Bass           -> feed rate (more bass = more growth)
  * - Mids           -> kill rate (pattern complexity)
  * - Highs          -> diffusion rate B (pattern sharpness)
@@ -20,23 +20,60 @@ import {
   clamp,
   getFrameAtTime,
   hslToRgb,
-  createSmoother,
+  createFrameTimer,
+  REFERENCE_FPS,
 } from "../../mappings/utils.js";
+import { loadTrack } from "../../mappings/tracks.js";
+import { mountTransport } from "../../mappings/transport.js";
+import { describeLoadError } from "../../mappings/schema.js";
+import { formatLoadProgress } from "../../mappings/stream.js";
+import { OnsetEvents } from "../../mappings/onsets.js";
+import { MappingEvaluator } from "../../mappings/evaluator.js";
+import { mountMappingEditor } from "../../mappings/editor.js";
+import { readSettings, seekToSharedTime } from "../../mappings/share.js";
+import { ModulationMatrix } from "../../mappings/modulation.js";
+import { MidiControls } from "../../mappings/midi.js";
+import { startBroadcast } from "../../mappings/broadcast.js";
+import { SeekSync } from "../../mappings/seek.js";
+import { SeededRandom } from "../../mappings/random.js";
+import { MAPPINGS, MODULATION } from "./mappings.js";
 
 // Canvas setup
 const canvas = document.getElementById("canvas");
 const ctx = canvas.getContext("2d");
 const audio = document.getElementById("audio");
-const playPauseBtn = document.getElementById("playPause");
-const timeDisplay = document.getElementById("time");
 const loadingEl = document.getElementById("loading");
+const controlsEl = document.getElementById("controls");
+const transport = mountTransport(audio, controlsEl);
 
 // State
 let analysisData = null;
-let isPlaying = false;
-
-// Simulation parameters
-const SCALE = 4; // Each cell is 4x4 pixels
+let mapper = null;
+let modulation = null;
+let broadcast = null;
+let seekSync = null;
+
+// Simulation parameters (overridable from the URL hash, see mappings/share.js)
+const SETTINGS = {
+  scale: 4, // Each cell is scale x scale pixels
+  feedBias: 0, // Added to the audio-driven feed rate
+  killBias: 0, // Added to the audio-driven kill rate
+};
+const settings = readSettings(SETTINGS);
+const SCALE = settings.scale;
+
+// Spot sizes and places are seeded, and rewound with the grids on seeks (see mappings/random.js)
+const random = new SeededRandom();
+const spotRandom = random.stream("spots");
+
+// MIDI knobs nudge the feed and kill rates, pads seed spots (see mappings/midi.js)
+const midi = new MidiControls(settings, {
+  params: {
+    feedBias: { min: -0.02, max: 0.02, step: 0.0005 },
+    killBias: { min: -0.01, max: 0.01, step: 0.0005 },
+  },
+  triggers: { seed: (velocity) => seedSpots(velocity) },
+});
 let gridWidth, gridHeight;
 let gridA, gridB, nextA, nextB;
 
@@ -48,19 +85,19 @@ let dB = 0.5;
 let feed = 0.055;
 let kill = 0.062;
 
-// Smoothers
-const smoothers = {
-  bass: createSmoother(0.15),
-  mids: createSmoother(0.12),
-  highs: createSmoother(0.2),
-  onset: createSmoother(0.5),
-  rms: createSmoother(0.15),
-  centroid: createSmoother(0.1),
-  harmonic: createSmoother(0.08),
-};
-
 // Tracked onset for seeding
-let lastOnset = 0;
+let onsetEvents = null;
+let lastOnsetTime = 0;
+
+// Seeks replay the pattern from the nearest checkpoint (or the start of the
+// track), so it's the one playing would have grown. Replaying takes about as
+// long as playing (every step runs the whole simulation), so playback holds
+// while it catches up. Each checkpoint holds both grids, so their number is
+// set by a memory budget.
+const CHECKPOINT_MEMORY = 128 * 1024 * 1024; // bytes
+const REPLAY_BUDGET = 12; // ms of replay per frame
+let heldForReplay = false; // paused by the sketch until a replay catches up
+let latestParams = null; // from the last step, replayed or not, for drawing mid-replay
 
 // Initialize grids
 function initGrids() {
@@ -100,10 +137,20 @@ function seedPattern(cx, cy, radius) {
 
 // Seed a small spot
 function seedSpot(cx, cy) {
-  const radius = 3 + Math.random() * 5;
+  const radius = 3 + spotRandom.next() * 5;
   seedPattern(cx, cy, radius);
 }
 
+// Seed one to four spots at random locations, more for stronger hits
+function seedSpots(strength) {
+  const numSeeds = Math.floor(1 + strength * 3);
+  for (let i = 0; i < numSeeds; i++) {
+    const sx = spotRandom.next() * gridWidth;
+    const sy = spotRandom.next() * gridHeight;
+    seedSpot(sx, sy);
+  }
+}
+
 // Get grid index with wrapping
 function idx(x, y) {
   x = (x + gridWidth) % gridWidth;
@@ -159,6 +206,8 @@ function resize() {
   canvas.width = window.innerWidth;
   canvas.height = window.innerHeight;
   initGrids();
+  // Checkpoints of the old grid size can't be restored
+  seekSync?.invalidate();
 }
 window.addEventListener("resize", resize);
 resize();
@@ -166,51 +215,52 @@ resize();
 // Load analysis data
 async function loadAnalysis() {
   try {
-    const response = await fetch("../../data/neon-noir.json");
-    analysisData = await response.json();
+    const { analysis, complete } = await loadTrack(audio, {
+      picker: controlsEl,
+      onProgress: (progress) => {
+        loadingEl.textContent = formatLoadProgress(progress);
+      },
+    });
+    analysisData = analysis;
+    onsetEvents = new OnsetEvents(analysisData.frames);
+    mapper = new MappingEvaluator(MAPPINGS, analysisData);
+    modulation = new ModulationMatrix(MODULATION, analysisData, { mapper });
+    broadcast = startBroadcast(analysisData, { onsets: onsetEvents });
+    seekSync = new SeekSync(analysisData, {
+      reset,
+      advance,
+      snapshot,
+      restore,
+      warmup: Infinity,
+      checkpointInterval: 1,
+      budget: REPLAY_BUDGET,
+      maxCheckpoints: Math.floor(CHECKPOINT_MEMORY / (gridWidth * gridHeight * 8)),
+    });
+    transport.setAnalysis(analysisData, { onsets: onsetEvents });
+    mountMappingEditor(mapper, {
+      toggle: controlsEl,
+      audio,
+      settings: { values: settings, defaults: SETTINGS },
+      midi,
+    });
+    seekToSharedTime(audio);
     loadingEl.style.display = "none";
+    complete.catch(showLoadError);
     console.log(
       `Loaded ${analysisData.frames.length} frames, ${analysisData.duration}s duration`
     );
   } catch (err) {
-    loadingEl.textContent = "Error loading analysis data";
-    console.error(err);
+    showLoadError(err);
   }
 }
 
-// Format time as M:SS
-function formatTime(seconds) {
-  const m = Math.floor(seconds / 60);
-  const s = Math.floor(seconds % 60)
-    .toString()
-    .padStart(2, "0");
-  return `${m}:${s}`;
-}
-
-// Update time display
-function updateTimeDisplay() {
-  const current = audio.currentTime;
-  const duration = audio.duration || 0;
-  timeDisplay.textContent = `${formatTime(current)} / ${formatTime(duration)}`;
+// Show why loading failed (also for bad frames found after playback starts)
+function showLoadError(err) {
+  loadingEl.textContent = describeLoadError(err);
+  loadingEl.style.display = "block";
+  console.error(err);
 }
 
-// Play/pause controls
-playPauseBtn.addEventListener("click", () => {
-  if (isPlaying) {
-    audio.pause();
-    playPauseBtn.textContent = "Play";
-  } else {
-    audio.play();
-    playPauseBtn.textContent = "Pause";
-  }
-  isPlaying = !isPlaying;
-});
-
-audio.addEventListener("ended", () => {
-  isPlaying = false;
-  playPauseBtn.textContent = "Play";
-});
-
 // Render the grid to canvas
 function renderGrid(hue, saturation) {
   const imageData = ctx.createImageData(canvas.width, canvas.height);
@@ -254,15 +304,82 @@ function renderGrid(hue, saturation) {
   ctx.putImageData(imageData, 0, 0);
 }
 
+const frameTimer = createFrameTimer();
+let stepBudget = 0; // Simulation steps owed, carried between frames
+
+// Start over from the initial seed (see SeekSync in mappings/seek.js)
+function reset(time) {
+  spotRandom.reset();
+  initGrids();
+  mapper.clearSmoothing();
+  stepBudget = 0;
+  lastOnsetTime = time;
+}
+
+function snapshot() {
+  return {
+    gridA: gridA.slice(),
+    gridB: gridB.slice(),
+    stepBudget,
+    random: spotRandom.state,
+    smoothing: mapper.saveSmoothing(),
+  };
+}
+
+function restore(state, time) {
+  gridA.set(state.gridA);
+  gridB.set(state.gridB);
+  stepBudget = state.stepBudget;
+  spotRandom.state = state.random;
+  mapper.restoreSmoothing(state.smoothing);
+  lastOnsetTime = time;
+}
+
+// One simulation step: parameters, onset seeds and reaction-diffusion (no drawing)
+function advance(frame, time, dt) {
+  const params = modulation.apply(mapper.evaluate(frame, dt), frame, time);
+  feed = params.feed + settings.feedBias;
+  kill = params.kill + settings.killBias;
+  dB = params.diffusionB;
+  latestParams = params;
+
+  // Simulation speed based on RMS (steps per 60 fps frame)
+  stepBudget += Math.floor(params.steps) * dt * REFERENCE_FPS;
+  const steps = Math.floor(stepBudget);
+  stepBudget -= steps;
+
+  // Seed on onsets: strong hits only, so the pattern isn't overwritten by every hi-hat
+  for (const hit of onsetEvents.consumeEvents(lastOnsetTime, time, { minStrength: 0.3 })) {
+    seedSpots(hit.strength);
+  }
+  lastOnsetTime = time;
+
+  for (let i = 0; i < steps; i++) {
+    simulate();
+  }
+  return { params, steps };
+}
+
+// Overlay while a seek is replayed
+function drawReplayProgress(progress) {
+  ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+  ctx.fillRect(10, 10, 180, 36);
+  ctx.fillStyle = "rgba(200, 200, 220, 0.8)";
+  ctx.font = "11px system-ui";
+  ctx.fillText(`Catching up with the seek: ${Math.floor(progress * 100)}%`, 20, 32);
+}
+
 // Main render loop
 function render() {
+  const dt = frameTimer();
+
   // Get current frame data
   if (!analysisData) {
     requestAnimationFrame(render);
     return;
   }
 
-  const currentTime = audio.currentTime;
+  const currentTime = transport.now();
   const frame = getFrameAtTime(analysisData.frames, currentTime);
 
   if (!frame) {
@@ -270,58 +387,30 @@ function render() {
     return;
   }
 
-  // Extract and smooth features
-  const bass = smoothers.bass(frame.bands[1]);
-  const mids = smoothers.mids(frame.bands[3]);
-  const highs = smoothers.highs(frame.bands[5]);
-  const onset = smoothers.onset(frame.onset);
-  const rms = smoothers.rms(frame.rms);
-  const centroid = smoothers.centroid(frame.centroid);
-  const harmonic = smoothers.harmonic(frame.harmonic);
-
-  // === MODULATE PARAMETERS ===
-
-  // Feed rate: bass adds growth (creates more pattern)
-  // Base feed around 0.055, range roughly 0.03-0.08
-  feed = 0.04 + bass * 0.04;
-
-  // Kill rate: mids control pattern complexity
-  // Lower kill = more coral-like, higher = more spots
-  // Base kill around 0.062, range roughly 0.05-0.07
-  kill = 0.055 + mids * 0.02;
-
-  // Diffusion rate B: highs affect sharpness
-  // Higher dB = smoother, blurrier patterns
-  dB = 0.4 + highs * 0.3;
-
-  // Simulation speed based on RMS
-  const steps = Math.floor(2 + rms * 8);
-
-  // === SEED ON ONSETS ===
-  if (onset > 0.6 && onset > lastOnset + 0.2) {
-    // Seed new patterns at random locations
-    const numSeeds = Math.floor(1 + onset * 3);
-    for (let i = 0; i < numSeeds; i++) {
-      const sx = Math.random() * gridWidth;
-      const sy = Math.random() * gridHeight;
-      seedSpot(sx, sy);
+  broadcast?.send(frame, currentTime);
+
+  // === MODULATE, SEED AND SIMULATE ===
+  // Seeks first rebuild the grids as if the track had played up to here
+  const result = seekSync.step(frame, currentTime, dt);
+  if (!result) {
+    if (!audio.paused) {
+      audio.pause();
+      heldForReplay = true;
     }
+    if (latestParams) renderGrid(latestParams.hue, latestParams.saturation);
+    drawReplayProgress(seekSync.progress);
+    transport.update();
+    requestAnimationFrame(render);
+    return;
   }
-  lastOnset = onset;
-
-  // === RUN SIMULATION ===
-  for (let i = 0; i < steps; i++) {
-    simulate();
+  if (heldForReplay) {
+    heldForReplay = false;
+    audio.play();
   }
+  const { params, steps } = result;
 
   // === RENDER ===
-  // Color: centroid controls hue temperature
-  const hue = map(centroid, 0, 1, 240, 30); // Blue to orange
-
-  // Saturation from harmonic content
-  const saturation = 40 + harmonic * 50;
-
-  renderGrid(hue, saturation);
+  renderGrid(params.hue, params.saturation);
 
   // === INFO OVERLAY ===
   ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
@@ -333,8 +422,8 @@ function render() {
   ctx.fillText(`Kill: ${kill.toFixed(4)}`, 20, 44);
   ctx.fillText(`Steps/frame: ${steps}`, 20, 60);
 
-  // Update time display
-  updateTimeDisplay();
+  // Loop, time readout and overview
+  transport.update();
 
   requestAnimationFrame(render);
 }
@@ -0,0 +1,28 @@
+/**
+ * State Machine mappings. The states decide how these levels look (see
+ * getHueForState() and the particles); the mappings decide how the audio
+ * drives them.
+ * Evaluated every frame by MappingEvaluator (see mappings/evaluator.js).
+ */
+
+export const MAPPINGS = [
+  // Mean RMS over the last second -> energy meter, and the state before
+  // sections are ready (or for live input)
+  { target: "energyLevel", source: "rms.mean" },
+
+  // RMS energy -> particle speed, background glow and line reach
+  { target: "energy", source: "rms", smoothing: 100 },
+
+  // Bass -> breakdown pulse
+  { target: "pulse", source: "bass", smoothing: 75 },
+
+  // Centroid -> position within the state's hue range
+  { target: "warmth", source: "centroid", smoothing: 160 },
+];
+
+// Modulation (see mappings/modulation.js): the hue drifts across the
+// state's range over two bars
+export const MODULATION = {
+  lfos: [{ name: "drift", shape: "sine", beats: 8 }],
+  routes: [{ source: "drift", target: "warmth", depth: 0.15 }],
+};
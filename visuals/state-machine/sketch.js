@@ -11,35 +11,65 @@
  * - BREAKDOWN: Sudden drop, single focused element, breathing
  *
  * TRANSITIONS:
- * - Energy accumulator tracks rising/falling trends
- * - Onset density influences state changes
- * - Sudden energy drops trigger BREAKDOWN
- * - Gradual builds move AMBIENT -> BUILDING -> INTENSE
+ * - Follow the song sections found by mappings/sections.js:
+ *   intro/outro -> AMBIENT, build -> BUILDING, drop -> INTENSE,
+ *   breakdown -> BREAKDOWN, verse -> AMBIENT or BUILDING by its energy
+ * - Until sections are ready (and for live input), the energy level picks
+ *   AMBIENT, BUILDING or INTENSE
+ *
+ * The audio levels behind each state's look are declared in mappings.js.
  */
 
 import {
   lerp,
-  map,
   clamp,
   power,
   getFrameAtTime,
-  getDominantPitch,
   hslToRgb,
-  createSmoother,
+  createFrameTimer,
+  smoothingFactor,
+  REFERENCE_FPS,
 } from "../../mappings/utils.js";
+import { loadTrack } from "../../mappings/tracks.js";
+import { mountTransport } from "../../mappings/transport.js";
+import { describeLoadError } from "../../mappings/schema.js";
+import { formatLoadProgress } from "../../mappings/stream.js";
+import { getSectionAtTime } from "../../mappings/sections.js";
+import { FeatureStream } from "../../mappings/feature-stream.js";
+import { MappingEvaluator } from "../../mappings/evaluator.js";
+import { mountMappingEditor } from "../../mappings/editor.js";
+import { readSettings, seekToSharedTime } from "../../mappings/share.js";
+import { ModulationMatrix } from "../../mappings/modulation.js";
+import { startBroadcast } from "../../mappings/broadcast.js";
+import { SeekSync } from "../../mappings/seek.js";
+import { SeededRandom } from "../../mappings/random.js";
+import { MAPPINGS, MODULATION } from "./mappings.js";
 
 // Canvas setup
 const canvas = document.getElementById("canvas");
 const ctx = canvas.getContext("2d");
 const audio = document.getElementById("audio");
-const playPauseBtn = document.getElementById("playPause");
-const timeDisplay = document.getElementById("time");
 const loadingEl = document.getElementById("loading");
+const controlsEl = document.getElementById("controls");
+const transport = mountTransport(audio, controlsEl);
 const stateIndicator = document.getElementById("stateIndicator");
 
 // State
 let analysisData = null;
-let isPlaying = false;
+let mapper = null;
+let modulation = null;
+let broadcast = null;
+let seekSync = null;
+
+// Config (overridable from the URL hash, see mappings/share.js)
+const SETTINGS = {
+  maxParticles: 300,
+};
+const settings = readSettings(SETTINGS);
+
+// Particles are seeded, and rewound on seeks (see mappings/random.js)
+const random = new SeededRandom();
+const particleRandom = random.stream("particles");
 
 // === STATE MACHINE ===
 const STATES = {
@@ -62,27 +92,15 @@ let currentState = STATES.AMBIENT;
 let stateBlend = 0; // 0-1 blend to next state
 let targetState = STATES.AMBIENT;
 
-// Energy tracking for state transitions
-let energyAccumulator = 0;
-let energyHistory = [];
-const ENERGY_HISTORY_SIZE = 60; // ~1 second of history
-let onsetHistory = [];
-const ONSET_HISTORY_SIZE = 30;
-let lastEnergy = 0;
-
-// Smoothers
-const smoothers = {
-  rms: createSmoother(0.15),
-  bass: createSmoother(0.2),
-  mids: createSmoother(0.15),
-  highs: createSmoother(0.25),
-  onset: createSmoother(0.4),
-  centroid: createSmoother(0.1),
-};
+let currentSection = null;
+
+// Energy over the last second, for the meter (and states before sections are ready)
+let features = null;
+let energyLevel = 0;
 
 // === PARTICLES ===
 const particles = [];
-const MAX_PARTICLES = 300;
+const MAX_PARTICLES = settings.maxParticles;
 
 class Particle {
   constructor(width, height, state) {
@@ -90,44 +108,46 @@ class Particle {
   }
 
   reset(width, height, state) {
-    this.x = Math.random() * width;
-    this.y = Math.random() * height;
+    this.x = particleRandom.next() * width;
+    this.y = particleRandom.next() * height;
     this.size = this.getSizeForState(state);
     this.speed = this.getSpeedForState(state);
-    this.angle = Math.random() * Math.PI * 2;
-    this.rotSpeed = (Math.random() - 0.5) * 0.02;
-    this.alpha = 0.3 + Math.random() * 0.5;
+    this.angle = particleRandom.next() * Math.PI * 2;
+    this.rotSpeed = (particleRandom.next() - 0.5) * 0.02;
+    this.alpha = 0.3 + particleRandom.next() * 0.5;
     this.hue = 0;
     this.life = 1;
-    this.maxLife = 3 + Math.random() * 5;
+    this.maxLife = 3 + particleRandom.next() * 5;
   }
 
   getSizeForState(state) {
     switch (state) {
-      case STATES.AMBIENT: return 1 + Math.random() * 2;
-      case STATES.BUILDING: return 2 + Math.random() * 4;
-      case STATES.INTENSE: return 3 + Math.random() * 6;
-      case STATES.BREAKDOWN: return 4 + Math.random() * 8;
+      case STATES.AMBIENT: return 1 + particleRandom.next() * 2;
+      case STATES.BUILDING: return 2 + particleRandom.next() * 4;
+      case STATES.INTENSE: return 3 + particleRandom.next() * 6;
+      case STATES.BREAKDOWN: return 4 + particleRandom.next() * 8;
       default: return 2;
     }
   }
 
   getSpeedForState(state) {
     switch (state) {
-      case STATES.AMBIENT: return 0.2 + Math.random() * 0.3;
-      case STATES.BUILDING: return 0.5 + Math.random() * 1;
-      case STATES.INTENSE: return 1.5 + Math.random() * 2.5;
-      case STATES.BREAKDOWN: return 0.1 + Math.random() * 0.2;
+      case STATES.AMBIENT: return 0.2 + particleRandom.next() * 0.3;
+      case STATES.BUILDING: return 0.5 + particleRandom.next() * 1;
+      case STATES.INTENSE: return 1.5 + particleRandom.next() * 2.5;
+      case STATES.BREAKDOWN: return 0.1 + particleRandom.next() * 0.2;
       default: return 0.5;
     }
   }
 
-  update(width, height, state, energy) {
+  // Speeds are per 60 fps frame; dt is in seconds
+  update(width, height, state, energy, dt) {
     const speedMult = state === STATES.INTENSE ? (1 + energy * 2) : 1;
+    const step = dt * REFERENCE_FPS;
 
-    this.angle += this.rotSpeed;
-    this.x += Math.cos(this.angle) * this.speed * speedMult;
-    this.y += Math.sin(this.angle) * this.speed * speedMult;
+    this.angle += this.rotSpeed * step;
+    this.x += Math.cos(this.angle) * this.speed * speedMult * step;
+    this.y += Math.sin(this.angle) * this.speed * speedMult * step;
 
     // Wrap
     if (this.x < -50) this.x = width + 50;
@@ -135,7 +155,7 @@ class Particle {
     if (this.y < -50) this.y = height + 50;
     if (this.y > height + 50) this.y = -50;
 
-    this.life -= 1 / 60 / this.maxLife;
+    this.life -= dt / this.maxLife;
   }
 
   draw(ctx, hue, stateBlendValue) {
@@ -151,6 +171,10 @@ class Particle {
   isAlive() {
     return this.life > 0;
   }
+
+  clone() {
+    return Object.assign(Object.create(Particle.prototype), this);
+  }
 }
 
 // === CENTRAL ELEMENT (for BREAKDOWN state) ===
@@ -201,117 +225,85 @@ initParticles(getParticleCountForState(STATES.AMBIENT), STATES.AMBIENT);
 // Load analysis data
 async function loadAnalysis() {
   try {
-    const response = await fetch("../../data/neon-noir.json");
-    analysisData = await response.json();
+    const { analysis, complete } = await loadTrack(audio, {
+      picker: controlsEl,
+      onProgress: (progress) => {
+        loadingEl.textContent = formatLoadProgress(progress);
+      },
+    });
+    analysisData = analysis;
+    features = new FeatureStream(analysisData, { window: 1 });
+    mapper = new MappingEvaluator(MAPPINGS, analysisData, { features });
+    modulation = new ModulationMatrix(MODULATION, analysisData, { mapper });
+    broadcast = startBroadcast(analysisData);
+    // Replays past the longest particle life (8 s), so every particle on screen is accounted for
+    seekSync = new SeekSync(analysisData, { reset, advance, snapshot, restore, warmup: 10 });
+    transport.setAnalysis(analysisData);
+    mountMappingEditor(mapper, {
+      toggle: controlsEl,
+      audio,
+      settings: { values: settings, defaults: SETTINGS },
+    });
+    seekToSharedTime(audio);
     loadingEl.style.display = "none";
+    complete.catch(showLoadError);
     console.log(
       `Loaded ${analysisData.frames.length} frames, ${analysisData.duration}s duration`
     );
   } catch (err) {
-    loadingEl.textContent = "Error loading analysis data";
-    console.error(err);
+    showLoadError(err);
   }
 }
 
-// Format time as M:SS
-function formatTime(seconds) {
-  const m = Math.floor(seconds / 60);
-  const s = Math.floor(seconds % 60)
-    .toString()
-    .padStart(2, "0");
-  return `${m}:${s}`;
+// Show why loading failed (also for bad frames found after playback starts)
+function showLoadError(err) {
+  loadingEl.textContent = describeLoadError(err);
+  loadingEl.style.display = "block";
+  console.error(err);
 }
 
-// Update time display
-function updateTimeDisplay() {
-  const current = audio.currentTime;
-  const duration = audio.duration || 0;
-  timeDisplay.textContent = `${formatTime(current)} / ${formatTime(duration)}`;
-}
-
-// Play/pause controls
-playPauseBtn.addEventListener("click", () => {
-  if (isPlaying) {
-    audio.pause();
-    playPauseBtn.textContent = "Play";
-  } else {
-    audio.play();
-    playPauseBtn.textContent = "Pause";
-  }
-  isPlaying = !isPlaying;
-});
-
-audio.addEventListener("ended", () => {
-  isPlaying = false;
-  playPauseBtn.textContent = "Play";
-});
-
 // Update state indicator UI
-function updateStateIndicator(state) {
-  stateIndicator.textContent = STATE_NAMES[state];
+function updateStateIndicator(state, section) {
+  stateIndicator.textContent = section
+    ? `${STATE_NAMES[state]} · ${section.label} ${section.cluster}`
+    : STATE_NAMES[state];
   stateIndicator.style.background = STATE_COLORS[state].indicator;
   stateIndicator.style.color = state === STATES.INTENSE ? "#fff" : "#ddd";
 }
 
-// Analyze energy trends and determine state transitions
-function analyzeAndTransition(rms, onset, bass) {
-  // Track energy history
-  energyHistory.push(rms);
-  if (energyHistory.length > ENERGY_HISTORY_SIZE) {
-    energyHistory.shift();
+// Map a song section to a state
+function getStateForSection(section) {
+  switch (section.label) {
+    case "build": return STATES.BUILDING;
+    case "drop": return STATES.INTENSE;
+    case "breakdown": return STATES.BREAKDOWN;
+    case "verse": return section.energy > 0.4 ? STATES.BUILDING : STATES.AMBIENT;
+    default: return STATES.AMBIENT; // intro, outro
   }
+}
 
-  // Track onset history
-  onsetHistory.push(onset > 0.5 ? 1 : 0);
-  if (onsetHistory.length > ONSET_HISTORY_SIZE) {
-    onsetHistory.shift();
-  }
+// Map an energy level to a state (no sections yet, or live input)
+function getStateForEnergy(level) {
+  if (level > 0.5) return STATES.INTENSE;
+  if (level > 0.2) return STATES.BUILDING;
+  return STATES.AMBIENT;
+}
 
-  // Calculate metrics
-  const avgEnergy = energyHistory.reduce((a, b) => a + b, 0) / energyHistory.length;
-  const recentEnergy = energyHistory.slice(-10).reduce((a, b) => a + b, 0) / 10;
-  const energyTrend = recentEnergy - avgEnergy;
-  const onsetDensity = onsetHistory.reduce((a, b) => a + b, 0) / onsetHistory.length;
-
-  // Sudden drop detection
-  const suddenDrop = lastEnergy > 0.5 && rms < 0.15;
-  lastEnergy = rms;
-
-  // Energy accumulator (momentum)
-  energyAccumulator = lerp(energyAccumulator, rms + onsetDensity * 0.5, 0.05);
-
-  // State transition logic
-  let newState = currentState;
-
-  if (suddenDrop && currentState === STATES.INTENSE) {
-    // Sudden energy drop after intense = breakdown
-    newState = STATES.BREAKDOWN;
-  } else if (currentState === STATES.BREAKDOWN && energyAccumulator > 0.4) {
-    // Coming out of breakdown
-    newState = STATES.BUILDING;
-  } else if (energyAccumulator < 0.2 && onsetDensity < 0.2) {
-    // Low energy, few onsets = ambient
-    newState = STATES.AMBIENT;
-  } else if (energyAccumulator > 0.6 && onsetDensity > 0.4) {
-    // High energy, lots of onsets = intense
-    newState = STATES.INTENSE;
-  } else if (energyAccumulator > 0.3 || energyTrend > 0.05) {
-    // Rising energy = building
-    if (currentState === STATES.AMBIENT) {
-      newState = STATES.BUILDING;
-    } else if (currentState === STATES.BUILDING && energyAccumulator > 0.5) {
-      newState = STATES.INTENSE;
-    }
-  } else if (energyTrend < -0.05 && currentState === STATES.INTENSE) {
-    // Falling from intense
-    newState = STATES.BUILDING;
+// Determine the state at the current time and transition to it
+function updateState(currentTime) {
+  const section = getSectionAtTime(analysisData.sections, currentTime);
+  const newState = section ? getStateForSection(section) : getStateForEnergy(energyLevel);
+
+  if (section !== currentSection) {
+    currentSection = section;
+    updateStateIndicator(newState, section);
   }
 
   // Apply state change
   if (newState !== currentState) {
     targetState = newState;
     currentState = newState;
-    updateStateIndicator(newState);
+    updateStateIndicator(newState, section);
 
     // Adjust particle count
     const targetCount = getParticleCountForState(newState);
@@ -350,14 +342,10 @@ function drawBackground(state, blend, rms) {
 }
 
 // Draw central element for BREAKDOWN state
-function drawCentralElement(rms, bass, hue) {
+function drawCentralElement(rms, hue) {
   const cx = canvas.width / 2;
   const cy = canvas.height / 2;
 
-  // Pulse with bass
-  centralPulse = lerp(centralPulse, bass, 0.1);
-  centralSize = lerp(centralSize, 80 + rms * 120, 0.05);
-
   const size = centralSize * (1 + centralPulse * 0.3);
   const { r, g, b } = hslToRgb(hue, 60, 50);
 
@@ -415,9 +403,76 @@ function drawIntenseLines(particles, hue, rms) {
   }
 }
 
+const frameTimer = createFrameTimer();
+
+// Start over in AMBIENT (see SeekSync in mappings/seek.js)
+function reset() {
+  particleRandom.reset();
+  initParticles(getParticleCountForState(STATES.AMBIENT), STATES.AMBIENT);
+  mapper.clearSmoothing();
+  currentState = STATES.AMBIENT;
+  targetState = STATES.AMBIENT;
+  currentSection = null;
+  centralPulse = 0;
+  centralSize = 100;
+}
+
+function snapshot() {
+  return {
+    particles: particles.map((p) => p.clone()),
+    currentState,
+    targetState,
+    centralPulse,
+    centralSize,
+    random: particleRandom.state,
+    smoothing: mapper.saveSmoothing(),
+  };
+}
+
+function restore(state) {
+  particles.length = 0;
+  particles.push(...state.particles.map((p) => p.clone()));
+  ({ currentState, targetState, centralPulse, centralSize } = state);
+  currentSection = null; // Refreshes the indicator
+  particleRandom.state = state.random;
+  mapper.restoreSmoothing(state.smoothing);
+}
+
+// One step: levels, state and particles (no drawing)
+function advance(frame, time, dt) {
+  const { width, height } = canvas;
+  const params = modulation.apply(mapper.evaluate(frame, dt), frame, time);
+  const { energy: rms, pulse: bass } = params;
+  energyLevel = params.energyLevel;
+
+  // Follow the song structure
+  updateState(time);
+  const targetParticleCount = getParticleCountForState(currentState);
+
+  for (let i = particles.length - 1; i >= 0; i--) {
+    particles[i].update(width, height, currentState, rms, dt);
+
+    if (!particles[i].isAlive()) {
+      if (particles.length > targetParticleCount) {
+        particles.splice(i, 1);
+      } else {
+        particles[i].reset(width, height, currentState);
+      }
+    }
+  }
+
+  // Central element pulses with bass
+  if (currentState === STATES.BREAKDOWN) {
+    centralPulse = lerp(centralPulse, bass, smoothingFactor(160, dt));
+    centralSize = lerp(centralSize, 80 + rms * 120, smoothingFactor(320, dt));
+  }
+  return params;
+}
+
 // Main render loop
 function render() {
   const { width, height } = canvas;
+  const dt = frameTimer();
 
   // Get current frame data
   if (!analysisData) {
@@ -427,7 +482,7 @@ function render() {
     return;
   }
 
-  const currentTime = audio.currentTime;
+  const currentTime = transport.now();
   const frame = getFrameAtTime(analysisData.frames, currentTime);
 
   if (!frame) {
@@ -437,38 +492,23 @@ function render() {
     return;
   }
 
-  // Extract and smooth features
-  const rms = smoothers.rms(frame.rms);
-  const bass = smoothers.bass(frame.bands[1]);
-  const mids = smoothers.mids(frame.bands[3]);
-  const highs = smoothers.highs(frame.bands[5]);
-  const onset = smoothers.onset(frame.onset);
-  const centroid = smoothers.centroid(frame.centroid);
+  broadcast?.send(frame, currentTime);
 
-  // Analyze and potentially transition states
-  analyzeAndTransition(rms, onset, bass);
+  // Seeks first rebuild the state and particles as if the track had played up to here
+  const params = seekSync.step(frame, currentTime, dt);
+  const { energy: rms } = params;
 
   // Get visuals for current state
-  const hue = getHueForState(currentState, centroid);
-  const targetParticleCount = getParticleCountForState(currentState);
+  const hue = getHueForState(currentState, params.warmth);
 
   // === DRAW ===
 
   // Background
   drawBackground(currentState, stateBlend, rms);
 
-  // Update and draw particles
+  // Particles
   for (let i = particles.length - 1; i >= 0; i--) {
-    particles[i].update(width, height, currentState, rms);
     particles[i].draw(ctx, hue, stateBlend);
-
-    if (!particles[i].isAlive()) {
-      if (particles.length > targetParticleCount) {
-        particles.splice(i, 1);
-      } else {
-        particles[i].reset(width, height, currentState);
-      }
-    }
   }
 
   // State-specific effects
@@ -477,7 +517,7 @@ function render() {
   }
 
   if (currentState === STATES.BREAKDOWN) {
-    drawCentralElement(rms, bass, hue);
+    drawCentralElement(rms, hue);
   }
 
   // Energy meter (subtle)
@@ -490,10 +530,10 @@ function render() {
   ctx.fillRect(meterX, meterY, meterWidth, meterHeight);
 
   ctx.fillStyle = `rgba(${currentState === STATES.INTENSE ? 255 : 150}, ${currentState === STATES.BUILDING ? 200 : 150}, ${currentState === STATES.AMBIENT ? 200 : 150}, 0.7)`;
-  ctx.fillRect(meterX, meterY, meterWidth * energyAccumulator, meterHeight);
+  ctx.fillRect(meterX, meterY, meterWidth * energyLevel, meterHeight);
 
-  // Update time display
-  updateTimeDisplay();
+  // Loop, time readout and overview
+  transport.update();
 
   requestAnimationFrame(render);
 }
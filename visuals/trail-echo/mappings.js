@@ -0,0 +1,29 @@
+/**
+ * Trail Echo mappings. Phrase intensity, beat anticipation and the wind-up
+ * come from the beat grid and lookahead rather than a single feature, so
+ * they stay in sketch.js.
+ * Evaluated every frame by MappingEvaluator (see mappings/evaluator.js).
+ */
+
+export const MAPPINGS = [
+  // Mean RMS over the last half second -> trail behavior and phrase intensity
+  { target: "recentEnergy", source: "rms.mean" },
+
+  // RMS energy and bass -> orbiter speed and size
+  { target: "energy", source: "rms", smoothing: 100 },
+  { target: "bass", source: "bass", smoothing: 100 },
+
+  // Centroid -> color: trails and center, and the echo ghosts
+  { target: "hue", source: "centroid", output: [220, 40], smoothing: 200 },
+  { target: "echoHue", source: "centroid", output: [200, 40], smoothing: 200 },
+
+  // Harmonic -> trail smoothness
+  { target: "smoothness", source: "harmonic", smoothing: 320 },
+];
+
+// Modulation (see mappings/modulation.js): the orbits widen and narrow
+// once a bar (bass sets the orbit radius)
+export const MODULATION = {
+  lfos: [{ name: "breath", shape: "sine", beats: 4 }],
+  routes: [{ source: "breath", target: "bass", depth: 0.3 }],
+};
@@ -7,14 +7,16 @@
  * TEMPORAL FEATURES:
  * - Long trails that persist and fade
  * - Echo/ghosts spawned at onset moments
- * - Phrase-level intensity building (4/8 bar accumulation)
+ * - Phrase-level intensity building over 8-bar phrases
  * - Beat anticipation (glow before beats)
+ * - Wind-up before drops and energy swells (lookahead)
  * - Decay curves with different rates
  *
- * MAPPINGS:
+ * MAPPINGS (feature ranges and smoothing live in mappings.js):
  * - RMS history      -> trail length/opacity
  * - Onset            -> spawn echo ghosts
  * - Beat proximity   -> anticipation glow
+ * - Coming drop/swell -> center wind-up
  * - Phrase energy    -> overall intensity
  * - Centroid         -> color
  * - Harmonic         -> trail smoothness
@@ -26,45 +28,69 @@ import {
   clamp,
   power,
   getFrameAtTime,
-  getDominantPitch,
   hslToRgb,
-  createSmoother,
+  createFrameTimer,
+  smoothingFactor,
+  decay,
+  perFrame,
+  REFERENCE_FPS,
 } from "../../mappings/utils.js";
+import { loadTrack } from "../../mappings/tracks.js";
+import { mountTransport } from "../../mappings/transport.js";
+import { describeLoadError } from "../../mappings/schema.js";
+import { formatLoadProgress } from "../../mappings/stream.js";
+import { BeatClock } from "../../mappings/beat-clock.js";
+import { OnsetEvents } from "../../mappings/onsets.js";
+import { Lookahead } from "../../mappings/lookahead.js";
+import { FeatureStream } from "../../mappings/feature-stream.js";
+import { MappingEvaluator } from "../../mappings/evaluator.js";
+import { mountMappingEditor } from "../../mappings/editor.js";
+import { readSettings, seekToSharedTime } from "../../mappings/share.js";
+import { ModulationMatrix } from "../../mappings/modulation.js";
+import { startBroadcast } from "../../mappings/broadcast.js";
+import { SeekSync } from "../../mappings/seek.js";
+import { SeededRandom } from "../../mappings/random.js";
+import { MAPPINGS, MODULATION } from "./mappings.js";
 
 // Canvas setup
 const canvas = document.getElementById("canvas");
 const ctx = canvas.getContext("2d");
 const audio = document.getElementById("audio");
-const playPauseBtn = document.getElementById("playPause");
-const timeDisplay = document.getElementById("time");
 const loadingEl = document.getElementById("loading");
+const controlsEl = document.getElementById("controls");
+const transport = mountTransport(audio, controlsEl);
 
 // State
 let analysisData = null;
-let isPlaying = false;
-
-// Smoothers
-const smoothers = {
-  rms: createSmoother(0.15),
-  onset: createSmoother(0.5),
-  centroid: createSmoother(0.08),
-  harmonic: createSmoother(0.05),
-  bass: createSmoother(0.15),
+let mapper = null;
+let modulation = null;
+let broadcast = null;
+let seekSync = null;
+
+// Config (overridable from the URL hash, see mappings/share.js)
+const SETTINGS = {
+  phraseBars: 8,
+  orbiters: 5,
+  maxEchoes: 30,
+  windupSeconds: 4, // How early to start winding up before a drop
 };
+const settings = readSettings(SETTINGS);
+
+// Echoes are seeded, and rewound on seeks (see mappings/random.js)
+const random = new SeededRandom();
+const echoRandom = random.stream("echoes");
 
 // === TEMPORAL MEMORY ===
-const HISTORY_SIZE = 120; // ~2 seconds at 60fps
-const energyHistory = [];
-const onsetHistory = [];
+// Rolling feature stats over the last half second (see feature-stream.js)
+let features = null;
 
-// Phrase-level accumulator (builds over multiple bars)
+// Phrase-level intensity (builds across each phrase, scaled by energy)
 let phraseIntensity = 0;
-const PHRASE_DECAY = 0.995; // Slow decay
-const PHRASE_BUILD = 0.02;  // How fast it builds
+const PHRASE_BARS = settings.phraseBars;
 
 // === ORBITERS (main visual elements) ===
 const orbiters = [];
-const NUM_ORBITERS = 5;
+const NUM_ORBITERS = settings.orbiters;
 
 class Orbiter {
   constructor(index, total) {
@@ -77,9 +103,10 @@ class Orbiter {
     this.trail = [];
     this.maxTrail = 80 + index * 20;
     this.hueOffset = index * 30;
+    this.elapsed = 0; // Seconds of updates, to age the trail by
   }
 
-  update(width, height, rms, bass, phraseInt) {
+  update(width, height, rms, bass, phraseInt, dt) {
     const cx = width / 2;
     const cy = height / 2;
 
@@ -88,7 +115,7 @@ class Orbiter {
 
     // Speed increases with energy
     const speedMult = 1 + rms * 0.5 + phraseInt * 0.3;
-    this.angle += this.speed * 0.02 * speedMult;
+    this.angle += this.speed * 1.2 * speedMult * dt;
 
     // Calculate position
     const orbitRadius = Math.min(width, height) * this.radius;
@@ -96,16 +123,18 @@ class Orbiter {
     this.y = cy + Math.sin(this.angle) * orbitRadius;
 
     // Store in trail
+    this.elapsed += dt;
     this.trail.push({
       x: this.x,
       y: this.y,
       size: this.size * (1 + rms * 0.5),
-      time: Date.now(),
+      time: this.elapsed,
     });
 
-    // Limit trail length (dynamic based on phrase intensity)
-    const maxLen = Math.floor(this.maxTrail * (0.5 + phraseInt * 0.5 + rms * 0.3));
-    while (this.trail.length > maxLen) {
+    // Limit trail length (dynamic based on phrase intensity). maxTrail is
+    // in 60 fps frames; the trail keeps that long at any frame rate.
+    const maxAge = (this.maxTrail * (0.5 + phraseInt * 0.5 + rms * 0.3)) / REFERENCE_FPS;
+    while (this.trail.length > 2 && this.elapsed - this.trail[0].time > maxAge) {
       this.trail.shift();
     }
   }
@@ -161,11 +190,15 @@ class Orbiter {
     ctx.fillStyle = `rgba(${r + 50}, ${g + 50}, ${b + 50}, 0.9)`;
     ctx.fill();
   }
+
+  clone() {
+    return Object.assign(Object.create(Orbiter.prototype), this, { trail: [...this.trail] });
+  }
 }
 
 // === ECHO GHOSTS (spawned on onsets) ===
 const echoes = [];
-const MAX_ECHOES = 30;
+const MAX_ECHOES = settings.maxEchoes;
 
 class Echo {
   constructor(x, y, size, hue) {
@@ -175,12 +208,12 @@ class Echo {
     this.maxSize = size * 4;
     this.hue = hue;
     this.life = 1;
-    this.decay = 0.015 + Math.random() * 0.01;
+    this.decay = 0.015 + echoRandom.next() * 0.01;
   }
 
-  update() {
-    this.life -= this.decay;
-    this.size = lerp(this.size, this.maxSize, 0.05);
+  update(dt) {
+    this.life -= this.decay * dt * REFERENCE_FPS;
+    this.size = lerp(this.size, this.maxSize, smoothingFactor(320, dt));
   }
 
   draw(ctx) {
@@ -213,22 +246,21 @@ class Echo {
   isAlive() {
     return this.life > 0;
   }
+
+  clone() {
+    return Object.assign(Object.create(Echo.prototype), this);
+  }
 }
 
 // === BEAT ANTICIPATION ===
 let anticipationGlow = 0;
-let lastBeatIndex = -1;
+let lastBeatIndex = null;
+let beatClock = null;
 
-function getNextBeat(currentTime, beats) {
-  if (!beats || beats.length === 0) return null;
-
-  for (let i = 0; i < beats.length; i++) {
-    if (beats[i] > currentTime) {
-      return { time: beats[i], index: i };
-    }
-  }
-  return null;
-}
+// === WIND-UP (anticipating drops and swells) ===
+let lookahead = null;
+let windup = 0;
+const WINDUP_SECONDS = settings.windupSeconds;
 
 // Initialize orbiters
 function initOrbiters() {
@@ -250,60 +282,155 @@ initOrbiters();
 // Load analysis data
 async function loadAnalysis() {
   try {
-    const response = await fetch("../../data/neon-noir.json");
-    analysisData = await response.json();
+    const { analysis, complete } = await loadTrack(audio, {
+      picker: controlsEl,
+      onProgress: (progress) => {
+        loadingEl.textContent = formatLoadProgress(progress);
+      },
+    });
+    analysisData = analysis;
+    onsetEvents = new OnsetEvents(analysisData.frames);
+    lookahead = new Lookahead(analysisData, { onsets: onsetEvents });
+    features = new FeatureStream(analysisData, { window: 0.5 });
+    mapper = new MappingEvaluator(MAPPINGS, analysisData, { features });
+    modulation = new ModulationMatrix(MODULATION, analysisData, { mapper });
+    broadcast = startBroadcast(analysisData, { onsets: onsetEvents });
+    // Replays long enough for the trails, echoes and phrase build-up
+    seekSync = new SeekSync(analysisData, { reset, advance, snapshot, restore, warmup: 10 });
+    transport.setAnalysis(analysisData, { onsets: onsetEvents });
+    mountMappingEditor(mapper, {
+      toggle: controlsEl,
+      audio,
+      settings: { values: settings, defaults: SETTINGS },
+    });
+    seekToSharedTime(audio);
+    beatClock = new BeatClock(analysisData, { phraseBars: [PHRASE_BARS] });
     loadingEl.style.display = "none";
+    complete.catch(showLoadError);
     console.log(
       `Loaded ${analysisData.frames.length} frames, ${analysisData.duration}s duration`
     );
   } catch (err) {
-    loadingEl.textContent = "Error loading analysis data";
-    console.error(err);
+    showLoadError(err);
   }
 }
 
-// Format time as M:SS
-function formatTime(seconds) {
-  const m = Math.floor(seconds / 60);
-  const s = Math.floor(seconds % 60)
-    .toString()
-    .padStart(2, "0");
-  return `${m}:${s}`;
+// Show why loading failed (also for bad frames found after playback starts)
+function showLoadError(err) {
+  loadingEl.textContent = describeLoadError(err);
+  loadingEl.style.display = "block";
+  console.error(err);
+}
+
+// Track onsets for echo spawning
+let onsetEvents = null;
+let lastOnsetTime = 0;
+const frameTimer = createFrameTimer();
+
+// Start over with the orbiters in their first positions (see SeekSync in mappings/seek.js)
+function reset(time) {
+  initOrbiters();
+  echoes.length = 0;
+  echoRandom.reset();
+  mapper.clearSmoothing();
+  phraseIntensity = 0;
+  anticipationGlow = 0;
+  lastBeatIndex = null;
+  windup = 0;
+  lastOnsetTime = time;
+}
+
+function snapshot() {
+  return {
+    orbiters: orbiters.map((orbiter) => orbiter.clone()),
+    echoes: echoes.map((echo) => echo.clone()),
+    phraseIntensity,
+    anticipationGlow,
+    lastBeatIndex,
+    windup,
+    random: echoRandom.state,
+    smoothing: mapper.saveSmoothing(),
+  };
 }
 
-// Update time display
-function updateTimeDisplay() {
-  const current = audio.currentTime;
-  const duration = audio.duration || 0;
-  timeDisplay.textContent = `${formatTime(current)} / ${formatTime(duration)}`;
+function restore(state, time) {
+  orbiters.splice(0, orbiters.length, ...state.orbiters.map((orbiter) => orbiter.clone()));
+  echoes.splice(0, echoes.length, ...state.echoes.map((echo) => echo.clone()));
+  ({ phraseIntensity, anticipationGlow, lastBeatIndex, windup } = state);
+  echoRandom.state = state.random;
+  mapper.restoreSmoothing(state.smoothing);
+  lastOnsetTime = time;
 }
 
-// Play/pause controls
-playPauseBtn.addEventListener("click", () => {
-  if (isPlaying) {
-    audio.pause();
-    playPauseBtn.textContent = "Play";
-  } else {
-    audio.play();
-    playPauseBtn.textContent = "Pause";
+// One step: phrase, beat and wind-up levels, echoes and orbits (no drawing)
+function advance(frame, time, dt) {
+  const { width, height } = canvas;
+  const params = modulation.apply(mapper.evaluate(frame, dt), frame, time);
+  const { energy: rms, bass, recentEnergy } = params;
+
+  // === TEMPORAL MEMORY ===
+
+  const beat = beatClock.at(time);
+
+  // Phrase intensity: ramps up over the phrase and falls back at the next one,
+  // eased so the reset reads as a release. Without a beat grid, follow energy.
+  const phraseTarget = beat.valid
+    ? beat.phrases[PHRASE_BARS].position * (0.4 + recentEnergy * 0.6)
+    : recentEnergy;
+  phraseIntensity = lerp(phraseIntensity, phraseTarget, smoothingFactor(320, dt));
+
+  // === BEAT ANTICIPATION ===
+  if (beat.valid) {
+    if (lastBeatIndex !== null && beat.beat !== lastBeatIndex) {
+      // Beat just hit - flash
+      anticipationGlow = 1;
+    } else if (beat.timeToNextBeat < 0.3) {
+      // Glow builds as beat approaches (within 0.3 seconds)
+      anticipationGlow = Math.max(anticipationGlow, map(beat.timeToNextBeat, 0.3, 0, 0, 1));
+    }
+    lastBeatIndex = beat.beat;
   }
-  isPlaying = !isPlaying;
-});
+  anticipationGlow = decay(anticipationGlow, 200, dt);
 
-audio.addEventListener("ended", () => {
-  isPlaying = false;
-  playPauseBtn.textContent = "Play";
-});
+  // === WIND-UP ===
+  // Build toward the next drop, or toward a coming rise in energy
+  const untilDrop = lookahead.timeUntilSection(time, "drop");
+  const dropWindup = untilDrop < WINDUP_SECONDS ? map(untilDrop, WINDUP_SECONDS, 0, 0, 1) : 0;
+  const swell = clamp(lookahead.upcomingEnergyRise(time, 2) * 3, 0, 1);
+  windup = lerp(windup, Math.max(dropWindup, swell), smoothingFactor(160, dt));
 
-// Track onsets for echo spawning
-let lastOnset = 0;
+  // === SPAWN ECHOES ON ONSETS ===
+  for (const hit of onsetEvents.consumeEvents(lastOnsetTime, time, { minStrength: 0.3 })) {
+    // Spawn echo at random orbiter position
+    const orbiter = echoRandom.pick(orbiters);
+    if (orbiter.trail.length > 0 && echoes.length < MAX_ECHOES) {
+      const pos = orbiter.trail[orbiter.trail.length - 1];
+      echoes.push(new Echo(pos.x, pos.y, orbiter.size, params.echoHue));
+    }
+  }
+  lastOnsetTime = time;
+
+  // === ECHOES AND ORBITS ===
+  for (let i = echoes.length - 1; i >= 0; i--) {
+    echoes[i].update(dt);
+    if (!echoes[i].isAlive()) {
+      echoes.splice(i, 1);
+    }
+  }
+  for (const orbiter of orbiters) {
+    orbiter.update(width, height, rms, bass, phraseIntensity, dt);
+  }
+
+  return { params, beat };
+}
 
 // Main render loop
 function render() {
   const { width, height } = canvas;
+  const dt = frameTimer();
 
   // Fade background (creates natural trail decay)
-  ctx.fillStyle = "rgba(10, 10, 15, 0.08)";
+  ctx.fillStyle = `rgba(10, 10, 15, ${perFrame(0.08, dt)})`;
   ctx.fillRect(0, 0, width, height);
 
   // Get current frame data
@@ -312,7 +439,7 @@ function render() {
     return;
   }
 
-  const currentTime = audio.currentTime;
+  const currentTime = transport.now();
   const frame = getFrameAtTime(analysisData.frames, currentTime);
 
   if (!frame) {
@@ -320,61 +447,14 @@ function render() {
     return;
   }
 
-  // Extract and smooth features
-  const rms = smoothers.rms(frame.rms);
-  const onset = smoothers.onset(frame.onset);
-  const centroid = smoothers.centroid(frame.centroid);
-  const harmonic = smoothers.harmonic(frame.harmonic);
-  const bass = smoothers.bass(frame.bands[1]);
-
-  // === TEMPORAL MEMORY ===
-
-  // Update history
-  energyHistory.push(rms);
-  if (energyHistory.length > HISTORY_SIZE) energyHistory.shift();
+  broadcast?.send(frame, currentTime);
 
-  onsetHistory.push(onset > 0.5 ? 1 : 0);
-  if (onsetHistory.length > HISTORY_SIZE) onsetHistory.shift();
-
-  // Calculate phrase intensity (builds over time with energy)
-  if (rms > 0.3) {
-    phraseIntensity = Math.min(1, phraseIntensity + PHRASE_BUILD * rms);
-  }
-  phraseIntensity *= PHRASE_DECAY;
-
-  // Average recent energy for trail behavior
-  const recentEnergy = energyHistory.slice(-30).reduce((a, b) => a + b, 0) / 30;
-
-  // === BEAT ANTICIPATION ===
-  const nextBeat = getNextBeat(currentTime, analysisData.beats);
-  if (nextBeat) {
-    const timeUntilBeat = nextBeat.time - currentTime;
-
-    // Glow builds as beat approaches (within 0.3 seconds)
-    if (timeUntilBeat < 0.3 && timeUntilBeat > 0) {
-      anticipationGlow = map(timeUntilBeat, 0.3, 0, 0, 1);
-    } else if (timeUntilBeat <= 0 && nextBeat.index !== lastBeatIndex) {
-      // Beat just hit - flash
-      anticipationGlow = 1;
-      lastBeatIndex = nextBeat.index;
-    }
-  }
-  anticipationGlow *= 0.92; // Decay
-
-  // === SPAWN ECHOES ON ONSETS ===
-  if (onset > 0.6 && onset > lastOnset + 0.2) {
-    // Spawn echo at random orbiter position
-    const orbiter = orbiters[Math.floor(Math.random() * orbiters.length)];
-    if (orbiter.trail.length > 0 && echoes.length < MAX_ECHOES) {
-      const pos = orbiter.trail[orbiter.trail.length - 1];
-      const hue = map(centroid, 0, 1, 200, 40);
-      echoes.push(new Echo(pos.x, pos.y, orbiter.size, hue));
-    }
-  }
-  lastOnset = onset;
+  // Seeks first rebuild the phrase, echoes and orbits as if the track had played up to here
+  const { params, beat } = seekSync.step(frame, currentTime, dt);
+  const { smoothness: harmonic } = params;
 
   // === COLOR ===
-  const baseHue = map(centroid, 0, 1, 220, 40);
+  const baseHue = params.hue;
 
   // === DRAW BEAT ANTICIPATION ===
   if (anticipationGlow > 0.1) {
@@ -394,31 +474,26 @@ function render() {
     ctx.fill();
   }
 
-  // === UPDATE AND DRAW ECHOES ===
-  for (let i = echoes.length - 1; i >= 0; i--) {
-    echoes[i].update();
-    echoes[i].draw(ctx);
-    if (!echoes[i].isAlive()) {
-      echoes.splice(i, 1);
-    }
+  // === DRAW ECHOES ===
+  for (const echo of echoes) {
+    echo.draw(ctx);
   }
 
-  // === UPDATE AND DRAW ORBITERS ===
+  // === DRAW ORBITERS ===
   for (const orbiter of orbiters) {
-    orbiter.update(width, height, rms, bass, phraseIntensity);
     orbiter.draw(ctx, baseHue, harmonic, phraseIntensity);
   }
 
   // === CENTER ELEMENT ===
-  // Pulses with phrase intensity
-  const centerSize = 20 + phraseIntensity * 30 + anticipationGlow * 20;
+  // Pulses with phrase intensity, tightens and brightens while winding up
+  const centerSize = (20 + phraseIntensity * 30 + anticipationGlow * 20) * (1 - windup * 0.4);
   const { r, g, b } = hslToRgb(baseHue, 50, 50);
 
   const centerGradient = ctx.createRadialGradient(
     width / 2, height / 2, 0,
     width / 2, height / 2, centerSize * 2
   );
-  centerGradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${0.4 + phraseIntensity * 0.4})`);
+  centerGradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${0.4 + phraseIntensity * 0.4 + windup * 0.2})`);
   centerGradient.addColorStop(0.5, `rgba(${r}, ${g}, ${b}, 0.1)`);
   centerGradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
 
@@ -431,16 +506,17 @@ function render() {
   ctx.beginPath();
   ctx.arc(width / 2, height / 2, centerSize, 0, Math.PI * 2);
   ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${0.3 + phraseIntensity * 0.5})`;
-  ctx.lineWidth = 1 + phraseIntensity * 2;
+  ctx.lineWidth = 1 + phraseIntensity * 2 + windup * 3;
   ctx.stroke();
 
   // === INFO ===
   ctx.fillStyle = "rgba(150, 150, 170, 0.5)";
   ctx.font = "11px system-ui";
-  ctx.fillText(`Phrase: ${(phraseIntensity * 100).toFixed(0)}%`, 20, 30);
+  const barLabel = beat.valid ? ` · Bar ${beat.phrases[PHRASE_BARS].bar + 1}/${PHRASE_BARS}` : "";
+  ctx.fillText(`Phrase: ${(phraseIntensity * 100).toFixed(0)}%${barLabel}`, 20, 30);
 
-  // Update time display
-  updateTimeDisplay();
+  // Loop, time readout and overview
+  transport.update();
 
   requestAnimationFrame(render);
 }
@@ -0,0 +1,47 @@
+/**
+ * Waveform Terrain mappings: one terrain height per band, plus the levels
+ * the terrain, fog and color are drawn from.
+ * Evaluated every frame by MappingEvaluator (see mappings/evaluator.js).
+ */
+
+// Band energy -> terrain height across the width (0-1 of the maximum).
+// The power curve gives more dramatic peaks
+const band = (index, source) => ({
+  target: `band${index}`,
+  source,
+  curve: "power",
+  exponent: 0.7,
+  smoothing: 75,
+});
+
+export const MAPPINGS = [
+  band(0, "sub_bass"),
+  band(1, "bass"),
+  band(2, "low_mids"),
+  band(3, "mids"),
+  band(4, "high_mids"),
+  band(5, "highs"),
+  band(6, "brilliance"),
+
+  // RMS energy -> terrain amplitude, brightness and reflection
+  { target: "rms", source: "rms", smoothing: 100 },
+
+  // Spectral centroid -> color temperature (cool blue to warm orange)
+  { target: "hue", source: "centroid", output: [220, 30], smoothing: 200 },
+
+  // Contrast -> color saturation
+  { target: "saturation", source: "contrast", output: [40, 80], smoothing: 160 },
+
+  // Percussive -> terrain jitter
+  { target: "percussive", source: "percussive", smoothing: 40 },
+
+  // Bass -> fog density
+  { target: "bass", source: "bass", smoothing: 100 },
+];
+
+// Modulation (see mappings/modulation.js): the terrain surges forward over
+// two bars. `scroll` is a scroll speed multiplier (1 = as is)
+export const MODULATION = {
+  lfos: [{ name: "surge", shape: "sine", beats: 8 }],
+  routes: [{ source: "surge", target: "scroll", depth: 0.25 }],
+};
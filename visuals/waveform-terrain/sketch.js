@@ -4,11 +4,11 @@
  * Classic demo-scene scrolling terrain mesh with 2.5D perspective projection.
  * Terrain scrolls toward viewer with height driven by frequency bands.
  *
- * Mappings:
+ * Mappings (ranges and smoothing live in mappings.js):
  * - Frequency bands -> terrain height at X positions
  * - RMS energy      -> overall terrain amplitude multiplier
  * - Spectral centroid -> color temperature (cool blue to warm orange)
- * - Onset           -> brightness flash, grid visibility pulse
+ * - Onset events    -> brightness flash (picked by mappings/onsets.js)
  * - Harmonic        -> terrain smoothness (interpolation strength)
  * - Percussive      -> terrain jitter/noise
  * - Bass            -> fog density / depth fade
@@ -19,11 +19,25 @@ import {
   lerp,
   map,
   clamp,
-  power,
   getFrameAtTime,
   hslToRgb,
-  createSmoother,
+  createFrameTimer,
+  smoothingFactor,
+  decay,
 } from "../../mappings/utils.js";
+import { loadTrack } from "../../mappings/tracks.js";
+import { mountTransport } from "../../mappings/transport.js";
+import { describeLoadError } from "../../mappings/schema.js";
+import { formatLoadProgress } from "../../mappings/stream.js";
+import { MappingEvaluator } from "../../mappings/evaluator.js";
+import { mountMappingEditor } from "../../mappings/editor.js";
+import { readSettings, seekToSharedTime } from "../../mappings/share.js";
+import { ModulationMatrix } from "../../mappings/modulation.js";
+import { startBroadcast } from "../../mappings/broadcast.js";
+import { SeekSync } from "../../mappings/seek.js";
+import { OnsetEvents } from "../../mappings/onsets.js";
+import { SeededRandom } from "../../mappings/random.js";
+import { MAPPINGS, MODULATION } from "./mappings.js";
 
 // ============================================================================
 // CANVAS & AUDIO SETUP
@@ -32,45 +46,50 @@ import {
 const canvas = document.getElementById("canvas");
 const ctx = canvas.getContext("2d");
 const audio = document.getElementById("audio");
-const playPauseBtn = document.getElementById("playPause");
-const timeDisplay = document.getElementById("time");
 const loadingEl = document.getElementById("loading");
+const controlsEl = document.getElementById("controls");
+const transport = mountTransport(audio, controlsEl);
 
 // State
 let analysisData = null;
-let isPlaying = false;
+let mapper = null;
+let modulation = null;
+let broadcast = null;
+let seekSync = null;
 
 // ============================================================================
-// CONFIGURATION
+// CONFIGURATION (overridable from the URL hash, see mappings/share.js)
 // ============================================================================
 
-const ROWS = 45;              // Depth slices (Z direction)
-const COLS = 60;              // Points per row (X direction)
-const FOCAL_LENGTH = 450;     // Perspective strength
-const MAX_DEPTH = 900;        // How far back terrain extends
-const HEIGHT_SCALE = 180;     // Max terrain height
-const SCROLL_SPEED = 120;     // Pixels per second
-const TERRAIN_WIDTH = 1.4;    // Width multiplier relative to screen
+const SETTINGS = {
+  rows: 45,                   // Depth slices (Z direction)
+  cols: 60,                   // Points per row (X direction)
+  focalLength: 450,           // Perspective strength
+  maxDepth: 900,              // How far back terrain extends
+  heightScale: 180,           // Max terrain height
+  scrollSpeed: 120,           // Pixels per second
+  terrainWidth: 1.4,          // Width multiplier relative to screen
+};
+const settings = readSettings(SETTINGS);
 
-// ============================================================================
-// SMOOTHERS
-// ============================================================================
+const ROWS = settings.rows;
+const COLS = settings.cols;
+const FOCAL_LENGTH = settings.focalLength;
+const MAX_DEPTH = settings.maxDepth;
+const HEIGHT_SCALE = settings.heightScale;
+const SCROLL_SPEED = settings.scrollSpeed;
+const TERRAIN_WIDTH = settings.terrainWidth;
 
-const smoothers = {
-  rms: createSmoother(0.15),
-  centroid: createSmoother(0.08),
-  onset: createSmoother(0.5),
-  harmonic: createSmoother(0.1),
-  percussive: createSmoother(0.35),
-  bass: createSmoother(0.15),
-  contrast: createSmoother(0.1),
-  bands: Array.from({ length: 7 }, () => createSmoother(0.2)),
-};
+// Jitter is seeded, and rewound on seeks (see mappings/random.js)
+const random = new SeededRandom();
+const jitterRandom = random.stream("jitter");
 
 // Visual state
 let hue = 200;
 let saturation = 60;
 let onsetFlash = 0;
+let onsetEvents = null;
+let lastOnsetTime = 0;
 
 // ============================================================================
 // TERRAIN DATA STRUCTURE
@@ -90,7 +109,7 @@ function initTerrain() {
 }
 
 // Generate a new front row from audio data
-function generateRowFromAudio(frame, smoothedBands, jitter) {
+function generateRowFromAudio(frame, bandHeights, jitter) {
   const row = new Array(COLS);
 
   for (let col = 0; col < COLS; col++) {
@@ -102,17 +121,14 @@ function generateRowFromAudio(frame, smoothedBands, jitter) {
     const t = bandPosition - bandIndex;
 
     // Interpolate between adjacent bands for smooth terrain
-    const bandValue = lerp(
-      smoothedBands[bandIndex],
-      smoothedBands[nextBandIndex],
+    const heightValue = lerp(
+      bandHeights[bandIndex],
+      bandHeights[nextBandIndex],
       t
     );
 
-    // Apply power curve for more dramatic peaks
-    const heightValue = power(bandValue, 0.7);
-
     // Add jitter from percussive energy
-    const jitterAmount = (Math.random() - 0.5) * jitter * 20;
+    const jitterAmount = (jitterRandom.next() - 0.5) * jitter * 20;
 
     row[col] = heightValue * HEIGHT_SCALE + jitterAmount;
   }
@@ -155,54 +171,49 @@ resize();
 
 async function loadAnalysis() {
   try {
-    const response = await fetch("../../data/neon-noir.json");
-    analysisData = await response.json();
+    const { analysis, complete } = await loadTrack(audio, {
+      picker: controlsEl,
+      onProgress: (progress) => {
+        loadingEl.textContent = formatLoadProgress(progress);
+      },
+    });
+    analysisData = analysis;
+    mapper = new MappingEvaluator(MAPPINGS, analysisData);
+    modulation = new ModulationMatrix(MODULATION, analysisData, { mapper, targets: ["scroll"] });
+    onsetEvents = new OnsetEvents(analysisData.frames);
+    broadcast = startBroadcast(analysisData, { onsets: onsetEvents });
+    // Replays long enough to fill the terrain, plus a little for the smoothing
+    seekSync = new SeekSync(analysisData, {
+      reset,
+      advance,
+      snapshot,
+      restore,
+      warmup: MAX_DEPTH / SCROLL_SPEED + 2,
+    });
+    transport.setAnalysis(analysisData, { onsets: onsetEvents });
+    mountMappingEditor(mapper, {
+      toggle: controlsEl,
+      audio,
+      settings: { values: settings, defaults: SETTINGS },
+    });
+    seekToSharedTime(audio);
     loadingEl.style.display = "none";
+    complete.catch(showLoadError);
     console.log(
       `Loaded ${analysisData.frames.length} frames, ${analysisData.duration}s duration`
     );
   } catch (err) {
-    loadingEl.textContent = "Error loading analysis data";
-    console.error(err);
+    showLoadError(err);
   }
 }
 
-// ============================================================================
-// TIME DISPLAY
-// ============================================================================
-
-function formatTime(seconds) {
-  const m = Math.floor(seconds / 60);
-  const s = Math.floor(seconds % 60).toString().padStart(2, "0");
-  return `${m}:${s}`;
-}
-
-function updateTimeDisplay() {
-  const current = audio.currentTime;
-  const duration = audio.duration || 0;
-  timeDisplay.textContent = `${formatTime(current)} / ${formatTime(duration)}`;
+// Show why loading failed (also for bad frames found after playback starts)
+function showLoadError(err) {
+  loadingEl.textContent = describeLoadError(err);
+  loadingEl.style.display = "block";
+  console.error(err);
 }
 
-// ============================================================================
-// CONTROLS
-// ============================================================================
-
-playPauseBtn.addEventListener("click", () => {
-  if (isPlaying) {
-    audio.pause();
-    playPauseBtn.textContent = "Play";
-  } else {
-    audio.play();
-    playPauseBtn.textContent = "Pause";
-  }
-  isPlaying = !isPlaying;
-});
-
-audio.addEventListener("ended", () => {
-  isPlaying = false;
-  playPauseBtn.textContent = "Play";
-});
-
 // ============================================================================
 // DRAWING FUNCTIONS
 // ============================================================================
@@ -235,13 +246,7 @@ function drawBackground(width, height, horizonY, hue, rms) {
 }
 
 function drawTerrain(width, height, smoothedValues) {
-  const {
-    rms,
-    centroid,
-    onset,
-    bass,
-    contrast,
-  } = smoothedValues;
+  const { rms, bass } = smoothedValues;
 
   const centerX = width / 2;
   const centerY = height * 0.65; // Horizon position
@@ -385,76 +390,75 @@ function drawReflection(width, height, smoothedValues) {
 // RENDER LOOP
 // ============================================================================
 
-let lastTime = performance.now();
-let needsNewRow = false;
+const frameTimer = createFrameTimer();
 
-function render() {
-  const now = performance.now();
-  const dt = Math.min((now - lastTime) / 1000, 0.05);
-  lastTime = now;
+// Default values when no frame
+const IDLE_VALUES = {
+  rms: 0.1,
+  percussive: 0,
+  bass: 0.2,
+  scroll: 1,
+  bands: [0, 0, 0, 0, 0, 0, 0],
+};
 
-  const { width, height } = canvas;
+// Start over with flat terrain (see SeekSync in mappings/seek.js)
+function reset(time) {
+  initTerrain();
+  jitterRandom.reset();
+  mapper.clearSmoothing();
+  scrollOffset = 0;
+  hue = 200;
+  saturation = 60;
+  onsetFlash = 0;
+  lastOnsetTime = time;
+}
 
-  // Get current frame data
-  if (!analysisData) {
-    // Draw placeholder while loading
-    ctx.fillStyle = "#0a0a0f";
-    ctx.fillRect(0, 0, width, height);
-    requestAnimationFrame(render);
-    return;
-  }
+function snapshot() {
+  return {
+    terrain: terrain.map((row) => [...row]),
+    scrollOffset,
+    hue,
+    saturation,
+    onsetFlash,
+    random: jitterRandom.state,
+    smoothing: mapper.saveSmoothing(),
+  };
+}
 
-  const currentTime = audio.currentTime;
-  const frame = getFrameAtTime(analysisData.frames, currentTime);
+function restore(state, time) {
+  terrain = state.terrain.map((row) => [...row]);
+  ({ scrollOffset, hue, saturation, onsetFlash } = state);
+  jitterRandom.state = state.random;
+  mapper.restoreSmoothing(state.smoothing);
+  lastOnsetTime = time;
+}
 
-  // Default values when no frame
-  let smoothedValues = {
-    rms: 0.1,
-    centroid: 0.5,
-    onset: 0,
-    harmonic: 0.2,
-    percussive: 0,
-    bass: 0.2,
-    contrast: 0.5,
-    bands: [0, 0, 0, 0, 0, 0, 0],
-  };
+// One step: smooth the audio values, scroll and add rows (no drawing)
+function advance(frame, time, dt) {
+  let smoothedValues = IDLE_VALUES;
 
   if (frame) {
-    // Smooth all audio features
-    const bands = frame.bands.map((b, i) => smoothers.bands[i](b));
-
+    // scroll: scroll speed multiplier, for modulation routes (see mappings.js)
+    const params = modulation.apply({ ...mapper.evaluate(frame, dt), scroll: 1 }, frame, time);
     smoothedValues = {
-      rms: smoothers.rms(frame.rms),
-      centroid: smoothers.centroid(frame.centroid),
-      onset: smoothers.onset(frame.onset),
-      harmonic: smoothers.harmonic(frame.harmonic),
-      percussive: smoothers.percussive(frame.percussive),
-      bass: smoothers.bass(frame.bands[1]),
-      contrast: smoothers.contrast(frame.contrast),
-      bands: bands,
+      ...params,
+      bands: IDLE_VALUES.bands.map((_, i) => params[`band${i}`]),
     };
 
     // Update visual parameters from audio
-    // Centroid -> hue (cool blue 220 to warm orange 30)
-    const targetHue = map(smoothedValues.centroid, 0, 1, 220, 30);
-    hue = lerp(hue, targetHue, 0.03);
-
-    // Contrast -> saturation
-    const targetSat = map(smoothedValues.contrast, 0, 1, 40, 80);
-    saturation = lerp(saturation, targetSat, 0.1);
+    hue = lerp(hue, params.hue, smoothingFactor(550, dt));
+    saturation = lerp(saturation, params.saturation, smoothingFactor(160, dt));
 
     // Onset flash
-    if (smoothedValues.onset > 0.4) {
-      onsetFlash = Math.max(onsetFlash, smoothedValues.onset);
+    for (const hit of onsetEvents.consumeEvents(lastOnsetTime, time, { minStrength: 0.4 })) {
+      onsetFlash = Math.max(onsetFlash, hit.strength);
     }
-    onsetFlash *= 0.92; // Decay
+    onsetFlash = decay(onsetFlash, 200, dt);
   }
 
-  // ========================================================================
-  // TERRAIN SCROLLING
-  // ========================================================================
+  lastOnsetTime = time;
 
-  scrollOffset += SCROLL_SPEED * dt;
+  scrollOffset += SCROLL_SPEED * Math.max(0, smoothedValues.scroll) * dt;
 
   // When we've scrolled a full row, shift terrain and add new row
   while (scrollOffset >= rowSpacing) {
@@ -472,6 +476,37 @@ function render() {
     terrain.unshift(newRow);
   }
 
+  return smoothedValues;
+}
+
+function render() {
+  const dt = frameTimer();
+
+  const { width, height } = canvas;
+
+  // Get current frame data
+  if (!analysisData) {
+    // Draw placeholder while loading
+    ctx.fillStyle = "#0a0a0f";
+    ctx.fillRect(0, 0, width, height);
+    requestAnimationFrame(render);
+    return;
+  }
+
+  const currentTime = transport.now();
+  const frame = getFrameAtTime(analysisData.frames, currentTime);
+
+  if (frame) {
+    broadcast?.send(frame, currentTime);
+  }
+
+  // ========================================================================
+  // AUDIO VALUES AND TERRAIN SCROLLING
+  // ========================================================================
+
+  // Seeks first rebuild the rows as if the track had played up to here
+  const smoothedValues = seekSync.step(frame, currentTime, dt);
+
   // ========================================================================
   // DRAWING
   // ========================================================================
@@ -493,8 +528,8 @@ function render() {
     ctx.fillRect(0, 0, width, height);
   }
 
-  // Update time display
-  updateTimeDisplay();
+  // Loop, time readout and overview
+  transport.update();
 
   requestAnimationFrame(render);
 }